@@ -0,0 +1,477 @@
+/**
+ * Agent Channel Store: Where MCPClient keeps channels and messages
+ *
+ * PostgresChannelStore writes to agent_channels / agent_messages and wakes
+ * receivers with LISTEN/NOTIFY (migration 019), so the trail of a scoring run
+ * survives restarts and can be replayed. MemoryChannelStore keeps the same
+ * data in Maps for tests and database-less runs.
+ */
+
+const NOTIFY_CHANNEL = 'agent_messages';
+const FALLBACK_POLL_MS = 1000; // only while LISTEN is unavailable
+const DEFAULT_RUN_LIMIT = 20;
+const MAX_RUN_LIMIT = 100;
+
+function runLimit(limit) {
+  return Math.min(MAX_RUN_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_RUN_LIMIT));
+}
+
+// ============================================================================
+// In-Memory Store
+// ============================================================================
+
+export class MemoryChannelStore {
+  constructor() {
+    this.backend = 'memory';
+    this.channels = new Map(); // channelId -> channel with messages
+    this.waiters = new Map(); // channelId -> Set of wake functions
+    this.sequence = 0;
+  }
+
+  async createChannel(channel) {
+    this.channels.set(channel.channelId, {
+      ...channel,
+      status: 'open',
+      createdAt: new Date(),
+      closedAt: null,
+      messages: []
+    });
+  }
+
+  async closeChannel(channelId) {
+    const channel = this.requireChannel(channelId);
+    channel.status = 'closed';
+    channel.closedAt = new Date();
+  }
+
+  async getChannel(channelId) {
+    const channel = this.channels.get(channelId);
+    if (!channel) return null;
+
+    const { messages, ...info } = channel;
+    return {
+      ...info,
+      messageCount: messages.length,
+      pendingMessages: messages.filter(message => !message.receivedAt).length
+    };
+  }
+
+  async send(message) {
+    const channel = this.requireChannel(message.channelId);
+    const stored = { ...message, sequence: ++this.sequence, receivedAt: null };
+    channel.messages.push(stored);
+    wakeWaiters(this.waiters, message.channelId);
+    return stored;
+  }
+
+  /**
+   * Take the oldest unreceived message, waiting up to timeoutMs for one
+   *
+   * @returns {Promise<Object|null>} null on timeout
+   */
+  async receive(channelId, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const channel = this.requireChannel(channelId);
+      const message = channel.messages.find(candidate => !candidate.receivedAt);
+      if (message) {
+        message.receivedAt = new Date();
+        return message;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return null;
+
+      await addWaiter(this.waiters, channelId, remaining).promise;
+    }
+  }
+
+  async getRunTrail(runId) {
+    const channels = [...this.channels.values()].filter(channel => channel.runId === runId);
+    if (channels.length === 0) return null;
+
+    const messages = channels
+      .flatMap(channel => channel.messages.map(message => ({ ...message, agentType: channel.agentType })))
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(({ sequence, ...message }) => message);
+
+    return {
+      ...summarizeRun(runId, channels),
+      channels: channels.map(({ messages, ...info }) => info),
+      messages
+    };
+  }
+
+  async listRuns(options = {}) {
+    const runs = new Map();
+    for (const channel of this.channels.values()) {
+      if (!channel.runId) continue;
+      if (options.resumeId && channel.resumeId !== options.resumeId) continue;
+      if (options.jobId && channel.jobId !== options.jobId) continue;
+
+      if (!runs.has(channel.runId)) runs.set(channel.runId, []);
+      runs.get(channel.runId).push(channel);
+    }
+
+    return [...runs.entries()]
+      .map(([runId, channels]) => ({
+        ...summarizeRun(runId, channels),
+        channels: channels.length,
+        messages: channels.reduce((sum, channel) => sum + channel.messages.length, 0)
+      }))
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .slice(0, runLimit(options.limit));
+  }
+
+  async shutdown() {
+    for (const channelId of [...this.waiters.keys()]) wakeWaiters(this.waiters, channelId);
+  }
+
+  /**
+   * @private
+   */
+  requireChannel(channelId) {
+    const channel = this.channels.get(channelId);
+    if (!channel) throw new Error(`Channel not found: ${channelId}`);
+    return channel;
+  }
+}
+
+// ============================================================================
+// Postgres Store
+// ============================================================================
+
+export class PostgresChannelStore {
+  constructor(database) {
+    this.pool = database;
+    this.backend = 'postgres';
+    this.listener = null; // dedicated client holding LISTEN
+    this.listening = null; // pending connect, shared by concurrent receivers
+    this.waiters = new Map(); // channelId -> Set of wake functions
+  }
+
+  async createChannel(channel) {
+    await this.pool.query(
+      `INSERT INTO agent_channels
+         (channel_id, fork_id, agent_type, status, run_id, name, priority, resume_id, job_id)
+       VALUES ($1, $2, $3, 'open', $4, $5, $6, $7, $8)`,
+      [
+        channel.channelId,
+        channel.forkId || null,
+        channel.agentType,
+        channel.runId || null,
+        channel.name || null,
+        channel.priority || 'normal',
+        channel.resumeId || null,
+        channel.jobId || null
+      ]
+    );
+  }
+
+  async closeChannel(channelId) {
+    const result = await this.pool.query(
+      `UPDATE agent_channels SET status = 'closed', closed_at = COALESCE(closed_at, NOW())
+       WHERE channel_id = $1`,
+      [channelId]
+    );
+    if (result.rowCount === 0) throw new Error(`Channel not found: ${channelId}`);
+  }
+
+  async getChannel(channelId) {
+    const result = await this.pool.query(
+      `SELECT c.*,
+              COUNT(m.id) AS message_count,
+              COUNT(m.id) FILTER (WHERE m.processed_at IS NULL) AS pending_count
+       FROM agent_channels c
+       LEFT JOIN agent_messages m ON m.channel_id = c.channel_id
+       WHERE c.channel_id = $1
+       GROUP BY c.id`,
+      [channelId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return {
+      ...toChannel(row),
+      messageCount: parseInt(row.message_count),
+      pendingMessages: parseInt(row.pending_count)
+    };
+  }
+
+  async send(message) {
+    try {
+      const result = await this.pool.query(
+        `INSERT INTO agent_messages (message_id, channel_id, direction, message_type, payload, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          message.messageId,
+          message.channelId,
+          message.direction,
+          message.type,
+          JSON.stringify(message.payload ?? null),
+          message.timestamp
+        ]
+      );
+      return toMessage(result.rows[0]);
+    } catch (error) {
+      // agent_messages.channel_id references agent_channels
+      if (error.code === '23503') throw new Error(`Channel not found: ${message.channelId}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the oldest unreceived message, waiting up to timeoutMs for one
+   * The insert trigger NOTIFYs with the channel ID, which wakes the wait;
+   * SKIP LOCKED lets several receivers share a channel without double reads
+   *
+   * @returns {Promise<Object|null>} null on timeout
+   */
+  async receive(channelId, timeoutMs) {
+    const exists = await this.pool.query('SELECT 1 FROM agent_channels WHERE channel_id = $1', [channelId]);
+    if (exists.rows.length === 0) throw new Error(`Channel not found: ${channelId}`);
+
+    await this.listen();
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const remaining = deadline - Date.now();
+      // Register before claiming so a message sent in between still wakes us
+      const wait = addWaiter(this.waiters, channelId, this.listener ? remaining : Math.min(remaining, FALLBACK_POLL_MS));
+
+      const message = await this.claim(channelId);
+      if (message) {
+        wait.cancel();
+        return message;
+      }
+      if (remaining <= 0) {
+        wait.cancel();
+        return null;
+      }
+
+      await wait.promise;
+    }
+  }
+
+  async getRunTrail(runId) {
+    const channels = await this.pool.query(
+      'SELECT * FROM agent_channels WHERE run_id = $1 ORDER BY created_at, id',
+      [runId]
+    );
+    if (channels.rows.length === 0) return null;
+
+    const messages = await this.pool.query(
+      `SELECT m.*, c.agent_type
+       FROM agent_messages m
+       JOIN agent_channels c ON c.channel_id = m.channel_id
+       WHERE c.run_id = $1
+       ORDER BY m.id`,
+      [runId]
+    );
+
+    const trailChannels = channels.rows.map(toChannel);
+    return {
+      ...summarizeRun(runId, trailChannels),
+      channels: trailChannels,
+      messages: messages.rows.map(toMessage)
+    };
+  }
+
+  async listRuns(options = {}) {
+    const params = [];
+    const clauses = ['c.run_id IS NOT NULL'];
+    if (options.resumeId) {
+      params.push(options.resumeId);
+      clauses.push(`c.resume_id = $${params.length}`);
+    }
+    if (options.jobId) {
+      params.push(options.jobId);
+      clauses.push(`c.job_id = $${params.length}`);
+    }
+    params.push(runLimit(options.limit));
+
+    const result = await this.pool.query(
+      `SELECT c.run_id,
+              MAX(c.resume_id) AS resume_id,
+              MAX(c.job_id) AS job_id,
+              MIN(c.created_at) AS started_at,
+              CASE WHEN BOOL_OR(c.status = 'open') THEN NULL ELSE MAX(c.closed_at) END AS closed_at,
+              COUNT(*) AS channels,
+              SUM((SELECT COUNT(*) FROM agent_messages m WHERE m.channel_id = c.channel_id)) AS messages
+       FROM agent_channels c
+       WHERE ${clauses.join(' AND ')}
+       GROUP BY c.run_id
+       ORDER BY MIN(c.created_at) DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return result.rows.map(row => ({
+      runId: row.run_id,
+      resumeId: row.resume_id,
+      jobId: row.job_id,
+      startedAt: row.started_at,
+      closedAt: row.closed_at,
+      channels: parseInt(row.channels),
+      messages: parseInt(row.messages)
+    }));
+  }
+
+  async shutdown() {
+    this.wakeAll();
+    if (this.listener) {
+      const listener = this.listener;
+      this.listener = null;
+      await listener.query(`UNLISTEN ${NOTIFY_CHANNEL}`).catch(() => {});
+      listener.release();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async claim(channelId) {
+    const result = await this.pool.query(
+      `UPDATE agent_messages SET processed_at = NOW()
+       WHERE id = (
+         SELECT id FROM agent_messages
+         WHERE channel_id = $1 AND processed_at IS NULL
+         ORDER BY id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [channelId]
+    );
+    return result.rows.length > 0 ? toMessage(result.rows[0]) : null;
+  }
+
+  /**
+   * Hold one pooled client for LISTEN; on failure receivers fall back to
+   * checking every FALLBACK_POLL_MS
+   *
+   * @private
+   */
+  async listen() {
+    if (this.listener) return;
+    if (!this.listening) {
+      this.listening = (async () => {
+        try {
+          const client = await this.pool.connect();
+          client.on('notification', notification => wakeWaiters(this.waiters, notification.payload));
+          client.on('error', error => {
+            console.warn('[MCP] LISTEN connection lost:', error.message);
+            if (this.listener === client) this.listener = null;
+            client.release(error);
+            this.wakeAll();
+          });
+          await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+          this.listener = client;
+        } catch (error) {
+          console.warn('[MCP] LISTEN unavailable, polling agent_messages instead:', error.message);
+        } finally {
+          this.listening = null;
+        }
+      })();
+    }
+    await this.listening;
+  }
+
+  /**
+   * @private
+   */
+  wakeAll() {
+    for (const channelId of [...this.waiters.keys()]) wakeWaiters(this.waiters, channelId);
+  }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function toChannel(row) {
+  return {
+    channelId: row.channel_id,
+    agentType: row.agent_type,
+    name: row.name,
+    priority: row.priority,
+    runId: row.run_id,
+    forkId: row.fork_id,
+    resumeId: row.resume_id,
+    jobId: row.job_id,
+    status: row.status,
+    createdAt: row.created_at,
+    closedAt: row.closed_at
+  };
+}
+
+function toMessage(row) {
+  const message = {
+    messageId: row.message_id,
+    channelId: row.channel_id,
+    direction: row.direction,
+    type: row.message_type,
+    payload: row.payload,
+    timestamp: row.created_at,
+    receivedAt: row.processed_at
+  };
+  if (row.agent_type) message.agentType = row.agent_type;
+  return message;
+}
+
+/**
+ * Resume/job and start/end of a run from its channels
+ * closedAt stays null while any channel is open
+ *
+ * @private
+ */
+function summarizeRun(runId, channels) {
+  const withIds = channels.find(channel => channel.resumeId || channel.jobId) || {};
+  const earliest = (a, b) => (!a || b < a ? b : a);
+  const latest = (a, b) => (!a || b > a ? b : a);
+
+  return {
+    runId,
+    resumeId: withIds.resumeId || null,
+    jobId: withIds.jobId || null,
+    startedAt: channels.map(channel => channel.createdAt).reduce(earliest, null),
+    closedAt: channels.every(channel => channel.status === 'closed')
+      ? channels.map(channel => channel.closedAt).reduce(latest, null)
+      : null
+  };
+}
+
+/**
+ * Wait until woken or timeoutMs passes; cancel() wakes it early
+ *
+ * @private
+ */
+function addWaiter(waiters, channelId, timeoutMs) {
+  let wake;
+  const promise = new Promise(resolve => {
+    const timer = setTimeout(() => wake(), Math.max(0, timeoutMs));
+    wake = () => {
+      clearTimeout(timer);
+      waiters.get(channelId)?.delete(wake);
+      resolve();
+    };
+  });
+
+  if (!waiters.has(channelId)) waiters.set(channelId, new Set());
+  waiters.get(channelId).add(wake);
+  return { promise, cancel: wake };
+}
+
+function wakeWaiters(waiters, channelId) {
+  const waiting = waiters.get(channelId);
+  if (!waiting) return;
+  waiters.delete(channelId);
+  waiting.forEach(wake => wake());
+}
+
+export default {
+  MemoryChannelStore,
+  PostgresChannelStore
+};
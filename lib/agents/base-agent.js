@@ -10,6 +10,7 @@
  */
 
 import { Pool } from 'pg';
+import { applyResumeCorrections } from '../resume-corrections.js';
 
 export class BaseAgent {
   /**
@@ -137,8 +138,9 @@ export class BaseAgent {
         throw new Error(`Job not found: ${this.jobId}`);
       }
 
+      // Agents score the corrected profile, not the raw parse
       return {
-        resume: resumeResult.rows[0],
+        resume: applyResumeCorrections(resumeResult.rows[0]),
         job: jobResult.rows[0]
       };
 
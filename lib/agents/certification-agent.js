@@ -3,12 +3,14 @@
  *
  * Evaluates:
  * - Certifications held by candidate
- * - Certifications required by job
+ * - Certifications required by job (required / preferred / bonus)
  * - Certification prestige and relevance
  * - Credential verification status
  */
 
 import BaseAgent from './base-agent.js';
+import { segmentJobDescription, classifyJobItem, bucketByImportance, IMPORTANCE_WEIGHTS, MISSING_PENALTIES } from '../job-requirements.js';
+import { getJobRequisition } from '../job-requisition.js';
 
 // Common high-value certifications
 const CERT_DATABASE = {
@@ -90,8 +92,10 @@ export class CertificationAgent extends BaseAgent {
         score: this.normalizeScore(score),
         candidateCertifications: candidateCerts,
         requiredCertifications: requiredCerts,
+        requirementSource: requiredCerts.some(cert => cert.source === 'explicit') ? 'explicit' : 'description',
         matchedCertifications: matchedCerts,
         missingCertifications: missingCerts,
+        missingByImportance: bucketByImportance(missingCerts),
         matchPercentage: requiredCerts.length > 0
           ? Math.round((matchedCerts.length / requiredCerts.length) * 100)
           : 100,
@@ -138,8 +142,8 @@ export class CertificationAgent extends BaseAgent {
       }
     }
 
-    // Also search raw text
-    if (resume.raw_text && typeof resume.raw_text === 'string') {
+    // Also search raw text (unless a recruiter corrected the list)
+    if (resume.raw_text && typeof resume.raw_text === 'string' && !resume.corrected_fields?.includes('certifications')) {
       const textCerts = this.parseCertificationsFromText(resume.raw_text);
       for (const textCert of textCerts) {
         if (!certs.find(c => c.name.toLowerCase() === textCert.name.toLowerCase())) {
@@ -159,23 +163,17 @@ export class CertificationAgent extends BaseAgent {
   extractRequiredCertifications(job) {
     if (!job) return [];
 
-    const certs = [];
-
-    // Check specific field
-    if (job.required_certifications) {
-      if (typeof job.required_certifications === 'string') {
-        return this.parseCertificationsFromText(job.required_certifications);
-      }
-
-      if (Array.isArray(job.required_certifications)) {
-        for (const cert of job.required_certifications) {
-          if (typeof cert === 'string') {
-            const parsed = this.matchCertification(cert);
-            if (parsed) certs.push(parsed);
-          }
-        }
+    // Explicitly listed certs are required and replace the description's list
+    const explicitCerts = [];
+    for (const cert of getJobRequisition(job).required_certifications) {
+      const parsed = this.matchCertification(cert);
+      if (parsed && !explicitCerts.find(c => c.name.toLowerCase() === parsed.name.toLowerCase())) {
+        explicitCerts.push({ ...parsed, importance: 'required', weight: IMPORTANCE_WEIGHTS.required, source: 'explicit' });
       }
     }
+    if (explicitCerts.length > 0) return explicitCerts;
+
+    const certs = [];
 
     // Search description
     if (job.description && typeof job.description === 'string') {
@@ -197,7 +195,22 @@ export class CertificationAgent extends BaseAgent {
       }
     }
 
-    return certs;
+    // Importance of text-derived certs from the clause that names them
+    const clauses = segmentJobDescription([job.description, job.requirements].filter(Boolean).join('\n'));
+    return certs.map(cert => {
+      if (cert.importance) return cert;
+
+      const classification = classifyJobItem(clauses, cert.name) ||
+        (cert.mention && classifyJobItem(clauses, cert.mention)) ||
+        (cert.vendor !== 'Unknown' && classifyJobItem(clauses, cert.vendor));
+
+      return {
+        ...cert,
+        source: 'description',
+        importance: classification ? classification.importance : 'required',
+        weight: classification ? classification.weight : IMPORTANCE_WEIGHTS.required
+      };
+    });
   }
 
   /**
@@ -226,7 +239,7 @@ export class CertificationAgent extends BaseAgent {
         if (certName && certName.length > 2 && !found.has(certName.toLowerCase())) {
           found.add(certName.toLowerCase());
           const parsed = this.matchCertification(certName);
-          if (parsed) certs.push(parsed);
+          if (parsed) certs.push({ ...parsed, mention: certName });
         }
       }
     }
@@ -245,6 +258,18 @@ export class CertificationAgent extends BaseAgent {
     const certLower = certName.toLowerCase().trim();
 
     // Try exact match
+    if (CERT_DATABASE[certLower]) {
+      const data = CERT_DATABASE[certLower];
+      return {
+        name: this.formatCertName(certLower),
+        category: data.category,
+        value: data.value,
+        vendor: data.vendor,
+        confidence: 0.95
+      };
+    }
+
+    // Then partial match
     for (const [dbCert, data] of Object.entries(CERT_DATABASE)) {
       if (certLower.includes(dbCert) || dbCert.includes(certLower)) {
         return {
@@ -312,6 +337,7 @@ export class CertificationAgent extends BaseAgent {
       if (found) {
         matchedCerts.push({
           cert: reqCert.name,
+          importance: reqCert.importance || 'required',
           match: found,
           confidence: Math.min(found.confidence, reqCert.confidence || 0.8)
         });
@@ -324,9 +350,14 @@ export class CertificationAgent extends BaseAgent {
     let score = 100;
 
     if (requiredCerts.length > 0) {
-      // Job has specific cert requirements
-      const matchRatio = matchedCerts.length / requiredCerts.length;
-      score = matchRatio * 100;
+      // Job has specific cert requirements: lose each missing cert's weight,
+      // in full for required certs and partly for preferred ones
+      const totalWeight = requiredCerts.reduce((sum, c) => sum + (c.weight ?? 1), 0);
+      const lostWeight = missingCerts.reduce(
+        (sum, c) => sum + (c.weight ?? 1) * (MISSING_PENALTIES[c.importance] ?? 1),
+        0
+      );
+      score = (1 - lostWeight / totalWeight) * 100;
 
       // Bonus if exceeds requirement
       if (candidateCerts.length > requiredCerts.length) {
@@ -7,6 +7,7 @@
  * - Result aggregation
  * - Composite scoring
  * - Dynamic weight optimization
+ * - Message trail per run (through MCPClient, when given one)
  * - Error handling and fallbacks
  */
 
@@ -24,15 +25,18 @@ export class AgentCoordinator {
     this.forkManager = config.forkManager;
     this.databaseUrl = config.databaseUrl;
     this.timeout = config.timeout || 120000; // 2 minutes default
-    this.agents = [];
-    this.results = {};
-    this.startTime = null;
-    this.endTime = null;
-    this.weightOptimizer = new WeightOptimizer(); // Phase 3 enhancement
-    this.jobMetadata = {}; // Store job metadata for weight optimization
+    // One coordinator serves concurrent requests: per-run state (job metadata,
+    // agent results, weight source) lives in a run object, never on `this`
+    this.weightOptimizer = config.weightOptimizer || new WeightOptimizer(); // Phase 3 enhancement
     this.useStaticWeights = config.useStaticWeights || false; // Fallback option
+    this.mcpClient = config.mcpClient || null; // Records each run's coordinator <-> agent messages
 
     this.log('[Coordinator] Initialized with WeightOptimizer (Phase 3)');
+
+    // Pick up outcome-trained weights if a version is active
+    if (!config.weightOptimizer && config.database) {
+      this.weightOptimizer.loadLearnedWeights(config.database);
+    }
   }
 
   /**
@@ -40,30 +44,56 @@ export class AgentCoordinator {
    *
    * @param {string} resumeId - Resume ID
    * @param {string} jobId - Job ID
-   * @returns {Promise<Object>} Aggregated results from all agents
+   * @param {Object} [jobMetadata] - Job { title, description, industry, seniority } for dynamic weights
+   * @returns {Promise<Object>} Aggregated results from all agents (run_id names the message trail)
    */
-  async scoreResume(resumeId, jobId) {
-    this.startTime = Date.now();
-    this.results = {};
-    this.agents = [];
+  async scoreResume(resumeId, jobId, jobMetadata = null) {
+    const run = {
+      resumeId,
+      jobId,
+      startTime: Date.now(),
+      endTime: null,
+      results: {},
+      // Job text drives dynamic weights; never shared with another run
+      jobMetadata: jobMetadata || await this.loadJobMetadata(jobId),
+      weightSource: null
+    };
 
     this.log(`🚀 Starting multi-agent analysis: resume ${resumeId} vs job ${jobId}`);
 
+    let trail = null;
+
     try {
       // Create agent instances with forks
       const agents = await this.createAgents(resumeId, jobId);
+      trail = await this.openTrail(run, agents);
 
       // Run all agents in parallel with timeout
+      const trailWrites = [];
       const agentPromises = agents.map(agent => {
         this.log(`▶️  Starting ${agent.agentType} agent (fork: ${agent.forkId})`);
-        return Promise.race([
+        const execution = Promise.race([
           agent.run(),
           this.createTimeout(agent.agentType)
         ]);
+
+        if (trail) {
+          trailWrites.push(execution.then(
+            value => this.recordTrail(trail, agent.agentType, 'to_coordinator', 'result', {
+              // The full result is in the agent's *_agent_results table
+              status: 'completed', score: value.score, duration_ms: agent.getDuration()
+            }),
+            error => this.recordTrail(trail, agent.agentType, 'to_coordinator', 'result', {
+              status: 'failed', error: error?.message || 'Unknown error', duration_ms: agent.getDuration()
+            })
+          ));
+        }
+        return execution;
       });
 
       // Execute in parallel
       const agentResults = await Promise.allSettled(agentPromises);
+      await Promise.all(trailWrites);
 
       // Process results
       for (let i = 0; i < agents.length; i++) {
@@ -71,14 +101,14 @@ export class AgentCoordinator {
         const result = agentResults[i];
 
         if (result.status === 'fulfilled') {
-          this.results[agent.agentType] = {
+          run.results[agent.agentType] = {
             status: 'completed',
             data: result.value,
             duration: agent.getDuration()
           };
           this.log(`✅ ${agent.agentType} agent completed: ${result.value.score}%`);
         } else {
-          this.results[agent.agentType] = {
+          run.results[agent.agentType] = {
             status: 'failed',
             error: result.reason?.message || 'Unknown error',
             duration: agent.getDuration()
@@ -87,10 +117,20 @@ export class AgentCoordinator {
         }
       }
 
-      this.endTime = Date.now();
+      run.endTime = Date.now();
 
       // Aggregate results
-      const aggregated = this.aggregateResults(resumeId, jobId);
+      const aggregated = this.aggregateResults(run);
+      aggregated.run_id = trail?.runId || null;
+
+      await this.closeTrail(trail, 'run_completed', {
+        composite_score: aggregated.composite_score,
+        scores: aggregated.scores,
+        weights: aggregated.weights,
+        weight_source: aggregated.weight_source,
+        agent_statuses: aggregated.agent_statuses,
+        processing_time_ms: aggregated.processing_time_ms
+      });
 
       this.log(`✅ Multi-agent analysis complete: ${aggregated.composite_score}%`);
 
@@ -98,10 +138,102 @@ export class AgentCoordinator {
 
     } catch (error) {
       this.log(`❌ Coordinator error: ${error.message}`);
+      await this.closeTrail(trail, 'run_failed', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Open a run's message trail: a coordinator channel for run events and one
+   * channel per agent carrying its task. Returns null without an MCPClient;
+   * trail failures are logged and never fail the scoring run
+   *
+   * @private
+   */
+  async openTrail(run, agents) {
+    if (!this.mcpClient) return null;
+
+    const { resumeId, jobId } = run;
+    const trail = { runId: this.generateRunId(), channels: {} };
+    const open = async (agentType, forkId) => {
+      const channel = await this.mcpClient.createChannel({
+        name: `${agentType}:${resumeId}:${jobId}`,
+        agentType,
+        runId: trail.runId,
+        forkId,
+        resumeId,
+        jobId
+      });
+      trail.channels[agentType] = channel.channelId;
+    };
+
+    try {
+      await open('coordinator', null);
+      await Promise.all(agents.map(agent => open(agent.agentType, agent.forkId)));
+    } catch (error) {
+      this.log(`⚠️  Message trail unavailable: ${error.message}`);
+      await this.closeTrail(trail, null);
+      return null;
+    }
+
+    await this.recordTrail(trail, 'coordinator', 'log', 'run_started', {
+      resume_id: resumeId,
+      job_id: jobId,
+      job_title: run.jobMetadata.title || null,
+      agents: agents.map(agent => agent.agentType)
+    });
+    await Promise.all(agents.map(agent =>
+      this.recordTrail(trail, agent.agentType, 'to_agent', 'task', {
+        resume_id: resumeId,
+        job_id: jobId,
+        fork_id: agent.forkId
+      })
+    ));
+
+    return trail;
+  }
+
+  /**
+   * Send one message on a run's channel (never throws)
+   *
+   * @private
+   */
+  async recordTrail(trail, agentType, direction, type, payload) {
+    const channelId = trail?.channels[agentType];
+    if (!channelId) return;
+
+    try {
+      await this.mcpClient.send(channelId, { type, direction, payload });
+    } catch (error) {
+      this.log(`⚠️  Failed to record ${type} for ${agentType}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the run's final event and close its channels (never throws)
+   *
+   * @private
+   */
+  async closeTrail(trail, type, payload) {
+    if (!trail) return;
+
+    if (type) {
+      await this.recordTrail(trail, 'coordinator', 'log', type, payload);
+    }
+    await Promise.all(Object.values(trail.channels).map(channelId =>
+      this.mcpClient.closeChannel(channelId).catch(error =>
+        this.log(`⚠️  Failed to close channel ${channelId}: ${error.message}`)
+      )
+    ));
+  }
+
+  /**
+   * @private
+   */
+  generateRunId() {
+    return `run_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+  }
+
   /**
    * Create agent instances with database forks
    *
@@ -175,18 +307,20 @@ export class AgentCoordinator {
    *
    * @private
    */
-  aggregateResults(resumeId, jobId) {
+  aggregateResults(run) {
+    const { resumeId, jobId, results } = run;
+
     // Extract scores from each agent
     const scores = {
-      skill: this.results.skill?.data?.score || 0,
-      experience: this.results.experience?.data?.score || 0,
-      education: this.results.education?.data?.score || 0,
-      certification: this.results.certification?.data?.score || 0,
-      semantic: this.results.semantic?.data?.score || 0
+      skill: results.skill?.data?.score || 0,
+      experience: results.experience?.data?.score || 0,
+      education: results.education?.data?.score || 0,
+      certification: results.certification?.data?.score || 0,
+      semantic: results.semantic?.data?.score || 0
     };
 
     // Get weight distribution (can be dynamic based on job type)
-    const weights = this.getWeights(resumeId, jobId);
+    const weights = this.getWeights(run);
 
     // Calculate composite score
     const composite = this.calculateCompositeScore(scores, weights);
@@ -198,47 +332,51 @@ export class AgentCoordinator {
       composite_score: composite,
       scores: scores,
       weights: weights,
+      weight_source: run.weightSource,
       breakdown: {
         skill: {
           score: scores.skill,
           weight: weights.skill_match,
           weighted: scores.skill * weights.skill_match,
-          ...this.results.skill?.data
+          ...results.skill?.data
         },
         experience: {
           score: scores.experience,
           weight: weights.experience,
           weighted: scores.experience * weights.experience,
-          ...this.results.experience?.data
+          ...results.experience?.data
         },
         education: {
           score: scores.education,
           weight: weights.education,
           weighted: scores.education * weights.education,
-          ...this.results.education?.data
+          ...results.education?.data
         },
         certification: {
           score: scores.certification,
           weight: weights.certification,
           weighted: scores.certification * weights.certification,
-          ...this.results.certification?.data
+          ...results.certification?.data
         },
         semantic: {
           score: scores.semantic,
           weight: weights.semantic,
           weighted: scores.semantic * weights.semantic,
-          ...this.results.semantic?.data
+          ...results.semantic?.data
         }
       },
       agent_statuses: {
-        skill: this.results.skill?.status || 'pending',
-        experience: this.results.experience?.status || 'pending',
-        education: this.results.education?.status || 'pending',
-        certification: this.results.certification?.status || 'pending',
-        semantic: this.results.semantic?.status || 'pending'
+        skill: results.skill?.status || 'pending',
+        experience: results.experience?.status || 'pending',
+        education: results.education?.status || 'pending',
+        certification: results.certification?.status || 'pending',
+        semantic: results.semantic?.status || 'pending'
       },
-      processing_time_ms: this.endTime - this.startTime,
-      agents_completed: Object.values(this.results).filter(r => r.status === 'completed').length,
+      processing_time_ms: run.endTime - run.startTime,
+      agent_durations_ms: Object.fromEntries(
+        Object.entries(results).map(([agent, result]) => [agent, result.duration])
+      ),
+      agents_completed: Object.values(results).filter(r => r.status === 'completed').length,
       processing_method: 'parallel_agents',
       timestamp: new Date().toISOString()
     };
@@ -248,33 +386,42 @@ export class AgentCoordinator {
    * Get weight distribution for scoring
    * Uses dynamic WeightOptimizer based on job characteristics (Phase 3)
    * Falls back to default weights if job metadata unavailable
+   * Sets run.weightSource to where the weights came from
    *
    * @private
    */
-  getWeights(resumeId, jobId) {
+  getWeights(run) {
+    const { jobId, jobMetadata } = run;
+
     // Try to use dynamic weights from WeightOptimizer (Phase 3)
-    if (!this.useStaticWeights && this.jobMetadata.title && this.jobMetadata.description) {
+    if (!this.useStaticWeights && jobMetadata.title && jobMetadata.description) {
       try {
         const dynamicWeights = this.weightOptimizer.getOptimalWeights(
-          this.jobMetadata.title,
-          this.jobMetadata.description,
-          this.jobMetadata
+          jobMetadata.title,
+          jobMetadata.description,
+          jobMetadata
         );
 
         // Get confidence score for metadata
         const confidence = this.weightOptimizer.getWeightConfidence(
-          this.jobMetadata.title,
-          this.jobMetadata.description
+          jobMetadata.title,
+          jobMetadata.description,
+          jobMetadata
         );
 
+        run.weightSource = {
+          ...this.weightOptimizer.getWeightSource(jobMetadata.title, jobMetadata.description, jobMetadata),
+          confidence
+        };
+
         // Store weight adjustment for analytics
         if (this.config.database) {
-          this.recordWeightAdjustment(jobId, dynamicWeights, confidence).catch(err =>
+          this.recordWeightAdjustment(jobId, jobMetadata, dynamicWeights, confidence).catch(err =>
             this.log(`⚠️  Failed to record weight adjustment: ${err.message}`)
           );
         }
 
-        this.log(`💡 Using dynamic weights (confidence: ${(confidence * 100).toFixed(0)}%)`);
+        this.log(`💡 Using ${run.weightSource.source} ${run.weightSource.scope_type} weights (confidence: ${(confidence * 100).toFixed(0)}%)`);
 
         return dynamicWeights;
       } catch (error) {
@@ -283,6 +430,7 @@ export class AgentCoordinator {
     }
 
     // Default balanced weights (fallback)
+    run.weightSource = { source: 'default', scope_type: 'global', scope_key: 'default' };
     return {
       skill_match: 0.25,
       semantic: 0.20,
@@ -293,26 +441,36 @@ export class AgentCoordinator {
   }
 
   /**
-   * Set job metadata for dynamic weight calculation
-   * @param {string} title - Job title
-   * @param {string} description - Job description
+   * Load job title/description for weight selection
+   * Returns empty metadata (default weights) if the job can't be read
+   *
+   * @private
    */
-  setJobMetadata(title, description) {
-    this.jobMetadata = { title, description };
-    this.log(`📊 Job metadata set: "${title}"`);
+  async loadJobMetadata(jobId) {
+    if (!this.config.database) return {};
+
+    try {
+      const result = await this.config.database.query(
+        'SELECT title, description, industry, seniority FROM jobs WHERE job_id = $1',
+        [jobId]
+      );
+      return result.rows[0] || {};
+    } catch (error) {
+      this.log(`⚠️  Failed to load job metadata for weights: ${error.message}`);
+      return {};
+    }
   }
 
   /**
    * Record weight adjustments for analytics (Phase 3)
    * @private
    */
-  async recordWeightAdjustment(jobId, weights, confidence) {
+  async recordWeightAdjustment(jobId, jobMetadata, weights, confidence) {
     if (!this.config.database) return;
 
     try {
-      const industry = this.weightOptimizer.detectIndustry(this.jobMetadata.description);
-      const role = this.weightOptimizer.detectRole(this.jobMetadata.title, this.jobMetadata.description);
-      const seniority = this.weightOptimizer.detectSeniorityLevel(this.jobMetadata.title);
+      const { industry, role } = this.weightOptimizer.resolveScopes(jobMetadata.title, jobMetadata.description, jobMetadata);
+      const { level: seniority } = this.weightOptimizer.resolveSeniority(jobMetadata.title, jobMetadata);
 
       await this.config.database.query(
         `INSERT INTO weight_adjustments (job_id, detected_industry, detected_role, seniority_level, weights, confidence)
@@ -355,26 +513,29 @@ export class AgentCoordinator {
   /**
    * Get summary of agent results
    *
+   * @param {Object} results - scoreResume() result
    * @param {boolean} includeDetails - Whether to include full details
    * @returns {Object} Summary object
    */
-  getSummary(includeDetails = false) {
+  getSummary(results, includeDetails = false) {
+    const statuses = Object.entries(results.agent_statuses || {}).filter(([, status]) => status !== 'pending');
     const summary = {
-      agentsCompleted: Object.values(this.results).filter(r => r.status === 'completed').length,
-      agentsFailed: Object.values(this.results).filter(r => r.status === 'failed').length,
-      totalAgents: Object.keys(this.results).length,
-      totalDuration: this.endTime - this.startTime,
+      agentsCompleted: statuses.filter(([, status]) => status === 'completed').length,
+      agentsFailed: statuses.filter(([, status]) => status === 'failed').length,
+      totalAgents: statuses.length,
+      totalDuration: results.processing_time_ms,
       results: {}
     };
 
-    for (const [agent, result] of Object.entries(this.results)) {
+    for (const [agent, status] of statuses) {
+      const breakdown = results.breakdown?.[agent] || {};
       if (includeDetails) {
-        summary.results[agent] = result;
+        summary.results[agent] = { status, duration: results.agent_durations_ms?.[agent], data: breakdown };
       } else {
         summary.results[agent] = {
-          status: result.status,
-          score: result.data?.score || 0,
-          duration: result.duration
+          status,
+          score: breakdown.score || 0,
+          duration: results.agent_durations_ms?.[agent]
         };
       }
     }
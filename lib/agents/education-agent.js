@@ -3,12 +3,14 @@
  *
  * Evaluates:
  * - Candidate's highest education level
- * - Job's education requirement
+ * - Job's education requirement (and whether it is required or only preferred)
  * - Field of study relevance
  * - Additional certifications and qualifications
  */
 
 import BaseAgent from './base-agent.js';
+import { parseJobRequirements, getEducationRequirement, MISSING_PENALTIES } from '../job-requirements.js';
+import { EDUCATION_LEVELS as REQUISITION_LEVELS } from '../job-requisition.js';
 
 // Education level hierarchy (higher = more advanced)
 const EDUCATION_LEVELS = {
@@ -74,18 +76,26 @@ export class EducationAgent extends BaseAgent {
       this.log(`Candidate education: ${candidateEducation.level}, Required: ${requiredEducation.level}`);
 
       // Calculate match
-      const score = this.calculateEducationScore(
+      let score = this.calculateEducationScore(
         candidateEducation.tier,
         requiredEducation.tier,
         fieldRelevance
       );
 
+      // Falling short of a preferred (not required) degree costs only part of the gap
+      const importance = requiredEducation.importance || 'required';
+      if (requiredEducation.tier > 0 && candidateEducation.tier < requiredEducation.tier && importance !== 'required') {
+        score = 100 - (100 - score) * MISSING_PENALTIES[importance];
+      }
+
       const results = {
         score: this.normalizeScore(score),
         candidateDegree: candidateEducation.level,
         candidateTier: candidateEducation.tier,
         requiredDegree: requiredEducation.level,
         requiredTier: requiredEducation.tier,
+        requirementImportance: requiredEducation.tier > 0 ? importance : null,
+        requirementSource: requiredEducation.source,
         meetsRequirement: candidateEducation.tier >= requiredEducation.tier,
         fieldRelevance: fieldRelevance,
         fieldRelevanceScore: this.calculateFieldRelevanceScore(fieldRelevance),
@@ -151,37 +161,62 @@ export class EducationAgent extends BaseAgent {
    */
   extractRequiredEducation(job) {
     if (!job) {
-      return { level: 'None Required', tier: 0 };
+      return { level: 'None Required', tier: 0, source: 'default' };
+    }
+
+    // Explicit requisition field ('none' means no requirement)
+    if (job.education_level && REQUISITION_LEVELS[job.education_level] !== undefined) {
+      const tier = REQUISITION_LEVELS[job.education_level];
+      return {
+        level: tier > 0 ? this.parseEducationLevel(job.education_level.replace('_', ' ')).level : 'None Required',
+        tier,
+        importance: 'required',
+        source: 'education_level'
+      };
     }
 
     // Check specific field
     if (job.required_education && typeof job.required_education === 'string') {
-      return this.parseEducationLevel(job.required_education);
+      return { ...this.parseEducationLevel(job.required_education), importance: 'required', source: 'required_education' };
+    }
+
+    // Classified requirement: "Bachelor's required, Master's preferred" evaluates the Bachelor's
+    const requirement = getEducationRequirement(
+      parseJobRequirements([job.description, job.requirements].filter(Boolean).join('\n')).education
+    );
+    if (requirement) {
+      const parsed = this.parseEducationLevel(requirement.level);
+      return {
+        level: parsed.tier > 0 ? parsed.level : requirement.level,
+        tier: requirement.tier,
+        importance: requirement.importance,
+        source: 'description'
+      };
     }
 
     // Search description
     if (job.description && typeof job.description === 'string') {
       const edu = this.extractFromText(job.description);
-      if (edu.tier > 0) return edu;
+      if (edu.tier > 0) return { ...edu, source: 'description' };
     }
 
     // Search requirements
     if (job.requirements && typeof job.requirements === 'string') {
       const edu = this.extractFromText(job.requirements);
-      if (edu.tier > 0) return edu;
+      if (edu.tier > 0) return { ...edu, source: 'description' };
     }
 
     // Check title for hints
     if (job.title && typeof job.title === 'string') {
       if (job.title.toLowerCase().includes('phd') || job.title.toLowerCase().includes('doctorate')) {
-        return { level: 'Doctorate', tier: 5 };
+        return { level: 'Doctorate', tier: 5, source: 'title' };
       }
       if (job.title.toLowerCase().includes('master')) {
-        return { level: 'Masters', tier: 4 };
+        return { level: 'Masters', tier: 4, source: 'title' };
       }
     }
 
-    return { level: 'None Required', tier: 0 };
+    return { level: 'None Required', tier: 0, source: 'default' };
   }
 
   /**
@@ -291,6 +326,25 @@ export class EducationAgent extends BaseAgent {
     const fieldLower = field.toLowerCase();
     const isTechField = TECH_FIELDS.some(tech => fieldLower.includes(tech));
 
+    // Explicit field of study on the job decides relevance on its own
+    if (job && job.education_field) {
+      const requiredField = job.education_field.toLowerCase();
+      relevance.requiredField = job.education_field;
+      relevance.source = 'education_field';
+
+      if (fieldLower.includes(requiredField) || requiredField.includes(fieldLower)) {
+        relevance.relevant = true;
+        relevance.relevanceScore = 1.0;
+      } else if (isTechField && TECH_FIELDS.some(tech => requiredField.includes(tech))) {
+        relevance.relevant = true;
+        relevance.relevanceScore = 0.8; // Another technical field
+      } else {
+        relevance.relevant = false;
+        relevance.relevanceScore = 0;
+      }
+      return relevance;
+    }
+
     if (!isTechField) {
       relevance.relevant = false;
       return relevance;
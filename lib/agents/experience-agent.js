@@ -9,6 +9,8 @@
  */
 
 import BaseAgent from './base-agent.js';
+import { parseEmploymentHistory, summarizeEmploymentHistory } from '../employment-history.js';
+import { seniorityToYears } from '../job-requisition.js';
 
 export class ExperienceAgent extends BaseAgent {
   constructor(config) {
@@ -30,9 +32,9 @@ export class ExperienceAgent extends BaseAgent {
     try {
       // Extract experience data
       const candidateYears = this.extractYearsOfExperience(resume);
-      const requiredYears = this.extractRequiredYears(job);
+      const { years: requiredYears, maxYears, source: requiredYearsSource } = this.resolveRequiredYears(job);
 
-      this.log(`Candidate years: ${candidateYears}, Required years: ${requiredYears}`);
+      this.log(`Candidate years: ${candidateYears}, Required years: ${requiredYears} (${requiredYearsSource})`);
 
       // Calculate match
       const score = this.calculateExperienceScore(candidateYears, requiredYears);
@@ -42,9 +44,11 @@ export class ExperienceAgent extends BaseAgent {
         score: this.normalizeScore(score),
         candidateYears: candidateYears,
         requiredYears: requiredYears,
+        maxYears,
+        requiredYearsSource,
         meetsRequirement: candidateYears >= requiredYears,
         scoreReason: this.getScoreReason(candidateYears, requiredYears),
-        overqualified: candidateYears > requiredYears * 2,
+        overqualified: maxYears !== null ? candidateYears > maxYears : candidateYears > requiredYears * 2,
         underqualified: candidateYears < requiredYears,
         careerAnalysis: analysis,
         processingTimeMs: this.getDuration()
@@ -68,6 +72,11 @@ export class ExperienceAgent extends BaseAgent {
   extractYearsOfExperience(resume) {
     if (!resume) return 0;
 
+    // Recruiter-corrected years win, including a corrected 0
+    if (resume.corrected_fields?.includes('years_experience') && typeof resume.years_experience === 'number') {
+      return resume.years_experience;
+    }
+
     // Try to get directly from resume (primary field - calculated from dates during parsing)
     if (resume.years_experience && typeof resume.years_experience === 'number') {
       return resume.years_experience;
@@ -84,8 +93,9 @@ export class ExperienceAgent extends BaseAgent {
     }
 
     // Check for employment history or similar
-    if (resume.employment_history && Array.isArray(resume.employment_history)) {
-      return this.calculateYearsFromHistory(resume.employment_history);
+    const history = this.getEmploymentHistory(resume);
+    if (history.length > 0) {
+      return this.calculateYearsFromHistory(history);
     }
 
     // Fallback: try to parse from raw text
@@ -102,33 +112,56 @@ export class ExperienceAgent extends BaseAgent {
    * @private
    */
   extractRequiredYears(job) {
-    if (!job) return 0;
+    return this.resolveRequiredYears(job).years;
+  }
+
+  /**
+   * Required (and maximum) years plus where the figure came from
+   * Explicit job fields beat anything inferred from text
+   *
+   * @private
+   * @returns {{ years: number, maxYears: number|null, source: string }}
+   *   source: min_years | required_years | description | seniority | title | complexity | default
+   */
+  resolveRequiredYears(job) {
+    if (!job) return { years: 0, maxYears: null, source: 'default' };
+
+    const maxYears = Number.isInteger(job.max_years) ? job.max_years : null;
+
+    // Method 1: Explicit requisition fields (highest priority)
+    if (Number.isInteger(job.min_years)) {
+      return { years: job.min_years, maxYears, source: 'min_years' };
+    }
 
-    // Method 1: Check for explicit years field (highest priority)
     if (job.required_years && typeof job.required_years === 'number') {
-      return job.required_years;
+      return { years: job.required_years, maxYears, source: 'required_years' };
     }
 
     // Method 2: Parse explicit year mentions from description/requirements
     let explicitYears = this.extractExplicitYears(job);
     if (explicitYears > 0) {
-      return explicitYears;
+      return { years: explicitYears, maxYears, source: 'description' };
+    }
+
+    // Method 3: Explicit seniority, then seniority guessed from the title
+    const seniorityYears = seniorityToYears(job.seniority);
+    if (seniorityYears !== null) {
+      return { years: seniorityYears, maxYears, source: 'seniority' };
     }
 
-    // Method 3: Smart estimation based on job title seniority
     let estimatedYears = this.estimateFromJobTitle(job.title);
     if (estimatedYears > 0) {
-      return estimatedYears;
+      return { years: estimatedYears, maxYears, source: 'title' };
     }
 
     // Method 4: Smart estimation based on job complexity and keywords
     estimatedYears = this.estimateFromJobComplexity(job);
     if (estimatedYears > 0) {
-      return estimatedYears;
+      return { years: estimatedYears, maxYears, source: 'complexity' };
     }
 
     // Default: 0 years required (entry-level)
-    return 0;
+    return { years: 0, maxYears, source: 'default' };
   }
 
   /**
@@ -222,12 +255,19 @@ export class ExperienceAgent extends BaseAgent {
    * @private
    */
   estimateFromJobComplexity(job) {
-    let complexityScore = 0;
-    let complexityFactors = 0;
+    return this.explainJobComplexity(job).years;
+  }
 
+  /**
+   * Complexity estimate with the indicators behind it
+   * Each factor maps a keyword count to a minimum; the estimate is the highest
+   *
+   * @returns {{ years: number, factors: Array<{ factor, count, matches, years }> }}
+   */
+  explainJobComplexity(job) {
     const fullText = `${job.title || ''} ${job.description || ''} ${job.requirements || ''}`.toLowerCase();
 
-    // Count complexity indicators
+    // Complexity indicators
     const advancedTechKeywords = [
       'machine learning', 'deep learning', 'ai', 'artificial intelligence',
       'kubernetes', 'microservices', 'distributed systems', 'cloud architecture',
@@ -247,69 +287,46 @@ export class ExperienceAgent extends BaseAgent {
       'delegate', 'performance review', 'hiring'
     ];
 
-    // Count advanced tech requirements
-    let advancedTechCount = 0;
-    for (const keyword of advancedTechKeywords) {
-      if (fullText.includes(keyword)) {
-        advancedTechCount++;
-      }
-    }
-
-    // Count seniority indicators
-    let seniorityCount = 0;
-    for (const keyword of seniorityKeywords) {
-      if (fullText.includes(keyword)) {
-        seniorityCount++;
-      }
-    }
-
-    // Count management indicators
-    let managementCount = 0;
-    for (const keyword of managementKeywords) {
-      if (fullText.includes(keyword)) {
-        managementCount++;
-      }
-    }
-
-    // Estimate based on factors
-    let estimatedYears = 0;
-
-    // Management experience
-    if (managementCount >= 2) {
-      estimatedYears = Math.max(estimatedYears, 8);
-    } else if (managementCount >= 1) {
-      estimatedYears = Math.max(estimatedYears, 5);
-    }
-
-    // Seniority indicators
-    if (seniorityCount >= 3) {
-      estimatedYears = Math.max(estimatedYears, 10);
-    } else if (seniorityCount >= 2) {
-      estimatedYears = Math.max(estimatedYears, 6);
-    } else if (seniorityCount >= 1) {
-      estimatedYears = Math.max(estimatedYears, 4);
-    }
-
-    // Advanced technology complexity
-    if (advancedTechCount >= 4) {
-      estimatedYears = Math.max(estimatedYears, 8);
-    } else if (advancedTechCount >= 2) {
-      estimatedYears = Math.max(estimatedYears, 5);
-    } else if (advancedTechCount >= 1) {
-      estimatedYears = Math.max(estimatedYears, 3);
-    }
+    const managementMatches = managementKeywords.filter(keyword => fullText.includes(keyword));
+    const seniorityMatches = seniorityKeywords.filter(keyword => fullText.includes(keyword));
+    const advancedTechMatches = advancedTechKeywords.filter(keyword => fullText.includes(keyword));
 
     // Count total required skills (as proxy for complexity)
     const skillCount = (job.description || '').split(/[,;]/).length;
-    if (skillCount >= 15) {
-      estimatedYears = Math.max(estimatedYears, 6);
-    } else if (skillCount >= 10) {
-      estimatedYears = Math.max(estimatedYears, 4);
-    } else if (skillCount >= 5) {
-      estimatedYears = Math.max(estimatedYears, 2);
-    }
 
-    return estimatedYears;
+    const tiered = (count, tiers) => (tiers.find(([min]) => count >= min) || [0, 0])[1];
+
+    const factors = [
+      {
+        factor: 'management',
+        count: managementMatches.length,
+        matches: managementMatches,
+        years: tiered(managementMatches.length, [[2, 8], [1, 5]])
+      },
+      {
+        factor: 'seniority',
+        count: seniorityMatches.length,
+        matches: seniorityMatches,
+        years: tiered(seniorityMatches.length, [[3, 10], [2, 6], [1, 4]])
+      },
+      {
+        factor: 'advanced_tech',
+        count: advancedTechMatches.length,
+        matches: advancedTechMatches,
+        years: tiered(advancedTechMatches.length, [[4, 8], [2, 5], [1, 3]])
+      },
+      {
+        factor: 'listed_items',
+        count: skillCount,
+        matches: [],
+        years: tiered(skillCount, [[15, 6], [10, 4], [5, 2]])
+      }
+    ];
+
+    return {
+      years: Math.max(0, ...factors.map(f => f.years)),
+      factors
+    };
   }
 
   /**
@@ -380,30 +397,39 @@ export class ExperienceAgent extends BaseAgent {
   }
 
   /**
-   * Calculate years from employment history
+   * Dated positions for the resume: stored at upload, or parsed from raw text
+   * for resumes saved before employment history was recorded
    *
    * @private
    */
-  calculateYearsFromHistory(history) {
-    if (!Array.isArray(history) || history.length === 0) return 0;
-
-    let totalYears = 0;
-
-    for (const job of history) {
-      const { start_date, end_date } = job;
-
-      if (!start_date) continue;
+  getEmploymentHistory(resume) {
+    let history = resume.employment_history;
+
+    if (typeof history === 'string') {
+      try {
+        history = JSON.parse(history);
+      } catch (e) {
+        history = null;
+      }
+    }
 
-      const startDate = new Date(start_date);
-      let endDate = end_date ? new Date(end_date) : new Date();
+    if (Array.isArray(history) && history.length > 0) {
+      return history;
+    }
 
-      if (isNaN(startDate.getTime())) continue;
+    return resume.raw_text ? parseEmploymentHistory(resume.raw_text) : [];
+  }
 
-      const years = (endDate - startDate) / (1000 * 60 * 60 * 24 * 365.25);
-      totalYears += Math.max(0, years);
-    }
+  /**
+   * Calculate years from employment history
+   * Overlapping roles are merged so concurrent jobs count once
+   *
+   * @private
+   */
+  calculateYearsFromHistory(history) {
+    if (!Array.isArray(history) || history.length === 0) return 0;
 
-    return Math.round(totalYears * 10) / 10; // Round to 1 decimal
+    return summarizeEmploymentHistory(history).total_years;
   }
 
   /**
@@ -463,7 +489,7 @@ export class ExperienceAgent extends BaseAgent {
   }
 
   /**
-   * Analyze career progression and job stability
+   * Analyze career progression, job stability and employment gaps
    *
    * @private
    */
@@ -473,55 +499,42 @@ export class ExperienceAgent extends BaseAgent {
       jobCount: 0,
       averageTenure: 0,
       careerDirection: 'Unknown',
-      stability: 'Unknown'
+      stability: 'Unknown',
+      currentRole: null,
+      gaps: [],
+      longestGapMonths: 0,
+      overlappingRoles: 0
     };
 
-    if (!resume || !resume.employment_history || !Array.isArray(resume.employment_history)) {
+    const history = resume ? this.getEmploymentHistory(resume) : [];
+    if (history.length === 0) {
       return analysis;
     }
 
-    const history = resume.employment_history;
-    analysis.jobCount = history.length;
-
-    // Calculate total years
-    let totalDays = 0;
-    const startDates = [];
-    const endDates = [];
-
-    for (const job of history) {
-      if (job.start_date) {
-        const startDate = new Date(job.start_date);
-        if (!isNaN(startDate.getTime())) {
-          startDates.push(startDate);
+    const summary = summarizeEmploymentHistory(history);
+    analysis.jobCount = summary.position_count;
+    analysis.totalYears = summary.total_years;
+    analysis.averageTenure = Math.round((summary.average_tenure_months / 12) * 10) / 10;
+    analysis.gaps = summary.gaps;
+    analysis.longestGapMonths = summary.longest_gap_months;
+    analysis.overlappingRoles = summary.overlaps.length;
 
-          const endDate = job.end_date ? new Date(job.end_date) : new Date();
-          if (!isNaN(endDate.getTime())) {
-            totalDays += (endDate - startDate) / (1000 * 60 * 60 * 24);
-            endDates.push(endDate);
-          }
-        }
-      }
+    const current = history.find(job => job.is_current || (job.start_date && !job.end_date));
+    if (current) {
+      analysis.currentRole = { title: current.title || null, company: current.company || null };
     }
 
-    analysis.totalYears = Math.round((totalDays / 365.25) * 10) / 10;
-
-    // Calculate average tenure
-    if (history.length > 0) {
-      const averageDays = totalDays / history.length;
-      analysis.averageTenure = Math.round((averageDays / 365.25) * 10) / 10;
-    }
+    // Compare seniority of the earliest and latest dated roles
+    const dated = history
+      .filter(job => job.start_date && job.title)
+      .sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
 
-    // Determine career progression
-    if (history.length > 0) {
-      const titles = history.map(j => j.title || '').filter(t => t);
-      if (titles.length > 0) {
-        // Simple heuristic: look for seniority keywords
-        const seniorityKeywords = ['senior', 'lead', 'manager', 'director', 'principal', 'architect', 'vp'];
-        const hasProgression = titles.some(t =>
-          seniorityKeywords.some(kw => t.toLowerCase().includes(kw))
-        );
-        analysis.careerDirection = hasProgression ? 'Upward' : 'Lateral';
-      }
+    if (dated.length >= 2) {
+      const first = this.getSeniorityLevel(dated[0].title);
+      const last = this.getSeniorityLevel(dated[dated.length - 1].title);
+      analysis.careerDirection = last > first ? 'Upward' : last < first ? 'Downward' : 'Lateral';
+    } else if (dated.length === 1) {
+      analysis.careerDirection = this.getSeniorityLevel(dated[0].title) >= 3 ? 'Upward' : 'Lateral';
     }
 
     // Assess job stability
@@ -536,6 +549,23 @@ export class ExperienceAgent extends BaseAgent {
     return analysis;
   }
 
+  /**
+   * Rough seniority rank of a job title (0 = intern ... 6 = executive)
+   *
+   * @private
+   */
+  getSeniorityLevel(title) {
+    const t = (title || '').toLowerCase();
+
+    if (/\b(cto|ceo|cfo|coo|chief|vp|vice\s+president|head\s+of)\b/.test(t)) return 6;
+    if (/\b(director)\b/.test(t)) return 5;
+    if (/\b(principal|staff|architect|manager)\b/.test(t)) return 4;
+    if (/\b(senior|sr\.?|lead)\b/.test(t)) return 3;
+    if (/\b(junior|jr\.?|associate|graduate)\b/.test(t)) return 1;
+    if (/\b(intern|trainee|apprentice)\b/.test(t)) return 0;
+    return 2;
+  }
+
   /**
    * Define required result fields for validation
    *
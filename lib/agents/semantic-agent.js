@@ -9,13 +9,12 @@
  */
 
 import BaseAgent from './base-agent.js';
-import crypto from 'crypto';
+import { getEmbeddingService } from '../embedding-providers.js';
 
 export class SemanticAgent extends BaseAgent {
   constructor(config) {
     super(config);
     this.agentType = 'semantic';
-    this.embeddingCache = new Map();
   }
 
   /**
@@ -38,9 +37,8 @@ export class SemanticAgent extends BaseAgent {
         throw new Error('Insufficient text data for semantic analysis');
       }
 
-      // Get embeddings
-      const resumeEmbedding = await this.getEmbedding(resumeText, 'resume');
-      const jobEmbedding = await this.getEmbedding(jobText, 'job');
+      // Get embeddings (one provider batch for both texts)
+      const [resumeEmbedding, jobEmbedding] = await this.getEmbeddings([resumeText, jobText]);
 
       // Calculate similarity scores
       const cosineSimilarity = this.calculateCosineSimilarity(resumeEmbedding, jobEmbedding);
@@ -126,91 +124,16 @@ export class SemanticAgent extends BaseAgent {
   }
 
   /**
-   * Get embedding for text
-   * Uses stub embeddings (hash-based) for reliability
+   * Get embeddings for texts from the shared embedding service
+   * (same provider and cache as single-agent scoring; falls back to stub)
    *
    * @private
    */
-  async getEmbedding(text, type = 'text') {
-    if (!text || typeof text !== 'string') {
-      return this.createZeroEmbedding();
-    }
-
-    const textLower = text.toLowerCase();
-
-    // Check cache
-    const cacheKey = crypto
-      .createHash('md5')
-      .update(textLower)
-      .digest('hex');
-
-    if (this.embeddingCache.has(cacheKey)) {
-      return this.embeddingCache.get(cacheKey);
-    }
-
-    // Create deterministic stub embedding
-    const embedding = this.createStubEmbedding(textLower);
-
-    // Cache it
-    this.embeddingCache.set(cacheKey, embedding);
-
-    return embedding;
-  }
-
-  /**
-   * Create a deterministic stub embedding from text
-   * This is a hash-based approach that produces consistent vectors
-   *
-   * @private
-   */
-  createStubEmbedding(text) {
-    const embeddingDim = 384; // Standard embedding dimension
-    const embedding = new Array(embeddingDim).fill(0);
-
-    // Extract words and create hash-based features
-    const words = text
-      .toLowerCase()
-      .split(/\W+/)
-      .filter(w => w.length > 2)
-      .slice(0, 1000); // Limit to first 1000 words
-
-    // Hash each word and distribute across embedding dimensions
-    for (const word of words) {
-      const hash = this.hashString(word);
+  async getEmbeddings(texts) {
+    const valid = texts.map(text => Boolean(text) && typeof text === 'string');
+    const embeddings = await getEmbeddingService().embedMany(texts.filter((_, i) => valid[i]));
 
-      // Use hash to influence multiple dimensions
-      for (let i = 0; i < embeddingDim; i++) {
-        const component = ((hash + i * 73) ^ (i * 193)) & 0xff;
-        embedding[i] += (component / 256) - 0.5; // Range: -0.5 to 0.5
-      }
-    }
-
-    // Add word frequency features
-    const wordFreq = new Map();
-    for (const word of words) {
-      wordFreq.set(word, (wordFreq.get(word) || 0) + 1);
-    }
-
-    // Encode top words
-    const topWords = Array.from(wordFreq.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 50)
-      .map(([w]) => w);
-
-    for (let i = 0; i < topWords.length; i++) {
-      const idx = (this.hashString(topWords[i]) % embeddingDim);
-      embedding[idx] += 0.5; // Boost important words
-    }
-
-    // Normalize
-    const magnitude = Math.sqrt(embedding.reduce((sum, x) => sum + x * x, 0));
-    if (magnitude > 0) {
-      for (let i = 0; i < embeddingDim; i++) {
-        embedding[i] /= magnitude;
-      }
-    }
-
-    return embedding;
+    return valid.map(isValid => (isValid ? embeddings.shift() : this.createZeroEmbedding()));
   }
 
   /**
@@ -222,21 +145,6 @@ export class SemanticAgent extends BaseAgent {
     return new Array(384).fill(0);
   }
 
-  /**
-   * Hash string to number
-   *
-   * @private
-   */
-  hashString(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
-    }
-    return Math.abs(hash);
-  }
-
   /**
    * Calculate cosine similarity between two embeddings
    *
@@ -6,10 +6,28 @@
  * - Skills required by job description
  * - Match percentage
  * - Coverage of critical skills
+ * - Recency and depth of each matched skill (from the positions that mention it)
+ * - Required vs preferred vs bonus skills (missing nice-to-haves cost little)
+ * - Partial credit for missing skills covered by a related one (Vue.js for React)
  */
 
 import BaseAgent from './base-agent.js';
-import { extractAllSkills, findFuzzyMatch, SKILL_DATABASE } from '../skill-matcher.js';
+import { extractAllSkills, extractSkillYearRequirements, findFuzzyMatch, canonicalSkillId, canonicalSkillName, SKILL_DATABASE } from '../skill-matcher.js';
+import { parseEmploymentHistory } from '../employment-history.js';
+import { classifyJobItems, bucketByImportance, weightedRequirementScore, IMPORTANCE_WEIGHTS } from '../job-requirements.js';
+import { getJobRequisition } from '../job-requisition.js';
+import { loadRelationshipIndex, findRelatedCoverage } from '../skill-relationships.js';
+
+// Credit for a matched skill by years since it was last used in a role
+const RECENCY_BANDS = [
+  { maxYearsAgo: 2, factor: 1.0 },
+  { maxYearsAgo: 5, factor: 0.85 },
+  { maxYearsAgo: 10, factor: 0.65 },
+  { maxYearsAgo: Infinity, factor: 0.45 }
+];
+const UNLINKED_RECENCY = 0.9;   // Listed, but not mentioned in any dated role
+const UNKNOWN_DEPTH = 0.75;     // Job asks for N years, no dated role mentions the skill
+const MIN_DEPTH = 0.5;
 
 export class SkillAgent extends BaseAgent {
   constructor(config) {
@@ -41,18 +59,25 @@ export class SkillAgent extends BaseAgent {
         throw new Error('No job description available for skill analysis');
       }
 
-      // Extract skills from both resume and job
-      const resumeSkills = extractAllSkills(resumeText);
-      const jobSkills = this.extractJobSkills(jobText);
+      // Extract skills from both resume and job (resume skills carry years_used/last_used)
+      const positions = this.getPositions(resume, resumeText);
+      const resumeSkills = this.applySkillCorrections(extractAllSkills(resumeText, { positions }), resume);
+      const explicitSkills = this.getExplicitJobSkills(job);
+      const jobSkills = explicitSkills.length > 0 ? explicitSkills : this.extractJobSkills(jobText);
+      const jobSkillsSource = explicitSkills.length > 0 ? 'explicit' : 'description';
+      const yearRequirements = extractSkillYearRequirements(jobText);
+      const relationships = await loadRelationshipIndex((sql, params) => this.query(sql, params));
 
-      this.log(`Found ${resumeSkills.length} skills in resume`);
-      this.log(`Found ${jobSkills.length} skills required in job`);
+      this.log(`Found ${resumeSkills.length} skills in resume (${positions.length} dated positions)`);
+      this.log(`Found ${jobSkills.length} skills required in job from ${jobSkillsSource} (${yearRequirements.length} with year requirements)`);
 
       // Calculate match metrics
-      const { matchedSkills, score, matchPercentage, coverageAnalysis } = this.calculateSkillMatch(
+      const { matchedSkills, relatedSkills, score, matchPercentage, coverageAnalysis } = this.calculateSkillMatch(
         resumeSkills,
-        jobSkills
+        jobSkills,
+        { yearRequirements, hasHistory: positions.length > 0, relationships }
       );
+      const coveredVia = new Map(relatedSkills.map(r => [r.skillId, r.coveredVia]));
 
       // Store in knowledge base if configured
       await this.storeNewSkillsInKnowledgeBase(matchedSkills);
@@ -61,12 +86,16 @@ export class SkillAgent extends BaseAgent {
         score: this.normalizeScore(score),
         matchedSkillsCount: matchedSkills.length,
         totalJobSkillsRequired: jobSkills.length,
+        jobSkillsSource,
         matchPercentage: Math.round(matchPercentage * 100) / 100,
         matchedSkills: matchedSkills.slice(0, 10), // Top 10 matched skills
-        missingSkills: this.findMissingSkills(resumeSkills, jobSkills).slice(0, 5),
+        relatedSkills,
+        missingSkills: this.findMissingSkills(resumeSkills, jobSkills, coveredVia).slice(0, 5),
         coverageAnalysis,
+        skillEvidence: this.summarizeEvidence(matchedSkills, yearRequirements),
         strengths: this.identifyStrengths(resumeSkills, jobSkills),
-        gaps: this.identifyGaps(resumeSkills, jobSkills),
+        gaps: this.identifyGaps(resumeSkills, jobSkills, yearRequirements),
+        gapsByImportance: this.bucketGaps(resumeSkills, jobSkills, yearRequirements, coveredVia),
         processingTimeMs: this.getDuration()
       };
 
@@ -113,6 +142,32 @@ export class SkillAgent extends BaseAgent {
     return parts.join(' ');
   }
 
+  /**
+   * Dated positions with descriptions for skill linkage
+   * Histories stored before descriptions were kept are re-parsed from raw text
+   *
+   * @private
+   */
+  getPositions(resume, resumeText) {
+    let history = resume?.employment_history;
+
+    if (typeof history === 'string') {
+      try {
+        history = JSON.parse(history);
+      } catch (e) {
+        history = null;
+      }
+    }
+
+    // A recruiter-corrected history is authoritative even without descriptions
+    if (Array.isArray(history) && (history.some(position => position.description) ||
+        resume.corrected_fields?.includes('employment_history'))) {
+      return history;
+    }
+
+    return resumeText ? parseEmploymentHistory(resumeText) : [];
+  }
+
   /**
    * Extract text from job object
    *
@@ -126,7 +181,61 @@ export class SkillAgent extends BaseAgent {
     if (job.description) parts.push(job.description);
     if (job.requirements) parts.push(job.requirements);
 
-    return parts.join(' ');
+    // Newlines keep the posting's headings on their own lines for classification
+    return parts.join('\n');
+  }
+
+  /**
+   * Drop skills a recruiter removed and add the ones they added
+   * (corrections from PATCH /api/resume/:id)
+   *
+   * @private
+   */
+  applySkillCorrections(resumeSkills, resume) {
+    const corrections = resume?.skill_corrections;
+    if (!corrections) return resumeSkills;
+
+    const removed = new Set(corrections.remove.map(skill => canonicalSkillId(skill)));
+    const kept = resumeSkills.filter(skill => !removed.has(canonicalSkillId(skill)));
+    const keptIds = new Set(kept.map(skill => canonicalSkillId(skill)));
+
+    return [
+      ...kept,
+      ...corrections.add
+        .filter(name => !keptIds.has(canonicalSkillId(name)))
+        .map(name => ({
+          name: canonicalSkillName(name),
+          skillId: canonicalSkillId(name),
+          confidence: 1.0,
+          source: 'correction',
+          matchType: 'correction'
+        }))
+    ];
+  }
+
+  /**
+   * Skills from the job's required_skills / preferred_skills fields
+   * (empty when the job has neither, so the description is used instead)
+   *
+   * @private
+   */
+  getExplicitJobSkills(job) {
+    const requisition = getJobRequisition(job);
+    if (!requisition) return [];
+
+    const toSkill = (importance) => (name) => ({
+      name: canonicalSkillName(name),
+      skillId: canonicalSkillId(name),
+      confidence: 1.0,
+      source: 'explicit',
+      importance,
+      weight: IMPORTANCE_WEIGHTS[importance]
+    });
+
+    return [
+      ...requisition.required_skills.map(toSkill('required')),
+      ...requisition.preferred_skills.map(toSkill('preferred'))
+    ];
   }
 
   /**
@@ -135,7 +244,7 @@ export class SkillAgent extends BaseAgent {
    * @private
    */
   extractJobSkills(jobText) {
-    const jobSkillsText = extractAllSkills(jobText);
+    const jobSkillsText = extractAllSkills(jobText, { denials: false });
 
     // Also try direct keyword matching for common job skill requirements
     const jobSkillKeywords = [
@@ -152,53 +261,94 @@ export class SkillAgent extends BaseAgent {
     const jobTextLower = jobText.toLowerCase();
     const additionalSkills = jobSkillKeywords.filter(skill => {
       const regex = new RegExp(`\\b${skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-      return regex.test(jobTextLower) && !jobSkillsText.some(s => s.name.toLowerCase() === skill.toLowerCase());
+      return regex.test(jobTextLower) && !jobSkillsText.some(s => canonicalSkillId(s) === canonicalSkillId(skill));
     });
 
-    return [
+    // Required / preferred / bonus from the posting's headings and wording
+    return classifyJobItems([
       ...jobSkillsText,
-      ...additionalSkills.map(s => ({ name: s, confidence: 0.8, source: 'keyword' }))
-    ];
+      ...additionalSkills.map(s => ({ name: s, skillId: canonicalSkillId(s), confidence: 0.8, source: 'keyword' }))
+    ].map(({ section, sections, ...skill }) => skill), jobText);
   }
 
   /**
    * Calculate skill match between resume and job
+   * Each matched skill earns credit scaled by recency and, where the job asks
+   * for N years of it, by depth. Skills are weighted by importance: a missing
+   * required skill costs its full weight, a missing nice-to-have only part of
+   * it, a missing bonus skill nothing. A missing skill covered by a related
+   * one on the resume (context.relationships) earns that relationship's
+   * credit instead. matchPercentage stays plain coverage.
+   * Skills are compared by canonical ID, so "k8s" meets "Kubernetes"
    *
    * @private
    */
-  calculateSkillMatch(resumeSkills, jobSkills) {
+  calculateSkillMatch(resumeSkills, jobSkills, context = {}) {
     const resumeSkillsMap = new Map(
-      resumeSkills.map(s => [s.name.toLowerCase(), s])
+      resumeSkills.map(s => [canonicalSkillId(s), s])
     );
     const jobSkillsMap = new Map(
-      jobSkills.map(s => [s.name.toLowerCase(), s])
+      jobSkills.map(s => [canonicalSkillId(s), s])
+    );
+    const requirementsMap = new Map(
+      (context.yearRequirements || []).map(r => [canonicalSkillId(r.skill), r])
     );
 
     // Find exact matches
     const matchedSkills = [];
+    const relatedSkills = [];
     const unmatchedJobSkills = [];
+    const scoredItems = [];
 
-    for (const [skillName, jobSkill] of jobSkillsMap) {
-      if (resumeSkillsMap.has(skillName)) {
-        matchedSkills.push({
-          skill: jobSkill.name || skillName,
-          resumeConfidence: resumeSkillsMap.get(skillName).confidence || 0.9,
-          jobConfidence: jobSkill.confidence || 0.8
-        });
-      } else {
+    for (const [skillId, jobSkill] of jobSkillsMap) {
+      const skillName = jobSkill.name;
+      let resumeSkill = resumeSkillsMap.get(skillId);
+      let variant = null;
+
+      if (!resumeSkill) {
         // Try fuzzy matching for variations
-        const fuzzyResult = findFuzzyMatch(skillName, 1);
-        if (fuzzyResult && resumeSkillsMap.has(fuzzyResult.skill.toLowerCase())) {
-          matchedSkills.push({
-            skill: fuzzyResult.skill,
-            variant: skillName,
-            resumeConfidence: resumeSkillsMap.get(fuzzyResult.skill.toLowerCase()).confidence || 0.9,
-            jobConfidence: jobSkill.confidence || 0.8
+        const fuzzyResult = findFuzzyMatch(skillName, 1, { denials: false });
+        if (fuzzyResult && resumeSkillsMap.has(canonicalSkillId(fuzzyResult.skill))) {
+          resumeSkill = resumeSkillsMap.get(canonicalSkillId(fuzzyResult.skill));
+          variant = skillName;
+        }
+      }
+
+      const importance = jobSkill.importance || 'required';
+
+      if (!resumeSkill) {
+        const related = context.relationships && findRelatedCoverage(skillId, resumeSkillsMap, context.relationships);
+        if (related) {
+          relatedSkills.push({
+            skill: skillName,
+            skillId,
+            importance,
+            coveredVia: related.via.name,
+            relationship: related.type,
+            credit: related.credit,
+            note: `covered via related skill ${related.via.name}`
           });
+          scoredItems.push({ importance, matched: false, credit: related.credit });
         } else {
           unmatchedJobSkills.push(skillName);
+          scoredItems.push({ importance, matched: false });
         }
+        continue;
       }
+
+      const evidence = this.assessSkillEvidence(resumeSkill, requirementsMap.get(skillId), context.hasHistory);
+      scoredItems.push({ importance, matched: true, credit: evidence.recencyFactor * evidence.depthFactor });
+
+      matchedSkills.push({
+        skill: variant ? resumeSkill.name : skillName,
+        skillId: variant ? canonicalSkillId(resumeSkill) : skillId,
+        ...(variant && { variant }),
+        ...(resumeSkill.candidate && { resumeSpelling: resumeSkill.candidate }),
+        importance,
+        resumeConfidence: resumeSkill.confidence || 0.9,
+        jobConfidence: jobSkill.confidence || 0.8,
+        evidence
+      });
     }
 
     // Calculate score
@@ -206,38 +356,127 @@ export class SkillAgent extends BaseAgent {
       ? matchedSkills.length / jobSkillsMap.size
       : 0;
 
-    const score = matchPercentage * 100;
+    const score = (weightedRequirementScore(scoredItems) ?? 0) * 100;
 
     // Coverage analysis
+    const byImportance = {};
+    for (const importance of ['required', 'preferred', 'bonus']) {
+      const items = scoredItems.filter(item => item.importance === importance);
+      byImportance[importance] = {
+        matched: items.filter(item => item.matched).length,
+        related: items.filter(item => !item.matched && item.credit > 0).length,
+        total: items.length
+      };
+    }
+
     const coverageAnalysis = {
       exactMatches: matchedSkills.length,
+      relatedMatches: relatedSkills.length,
       requiredSkills: jobSkillsMap.size,
-      coverage: `${Math.round(matchPercentage * 100)}%`
+      coverage: `${Math.round(matchPercentage * 100)}%`,
+      byImportance,
+      recencyDepthAdjustment: Math.round(score - matchPercentage * 100)
     };
 
     return {
       matchedSkills,
+      relatedSkills,
       score: Math.min(100, score),
       matchPercentage,
       coverageAnalysis
     };
   }
 
+  /**
+   * Recency and depth factors for one matched skill
+   *
+   * @private
+   * @param {Object} resumeSkill - Skill with years_used/last_used/positions
+   * @param {Object} requirement - { years, phrase } from the job, if any
+   * @param {boolean} hasHistory - Whether the resume had dated positions at all
+   */
+  assessSkillEvidence(resumeSkill, requirement, hasHistory) {
+    const yearsUsed = resumeSkill.years_used || 0;
+    const lastUsed = resumeSkill.last_used || null;
+    const linked = Array.isArray(resumeSkill.positions) && resumeSkill.positions.length > 0;
+
+    // Without any dated roles there is nothing to judge recency against
+    let recencyFactor = 1.0;
+    if (linked && lastUsed) {
+      const yearsAgo = new Date().getFullYear() - lastUsed;
+      recencyFactor = RECENCY_BANDS.find(band => yearsAgo <= band.maxYearsAgo).factor;
+    } else if (hasHistory) {
+      recencyFactor = UNLINKED_RECENCY;
+    }
+
+    let depthFactor = 1.0;
+    if (requirement) {
+      depthFactor = yearsUsed > 0
+        ? Math.max(MIN_DEPTH, Math.min(1, yearsUsed / requirement.years))
+        : UNKNOWN_DEPTH;
+    }
+
+    return {
+      yearsUsed,
+      lastUsed,
+      requiredYears: requirement ? requirement.years : null,
+      requirementMet: requirement ? yearsUsed >= requirement.years : null,
+      recencyFactor,
+      depthFactor,
+      positions: linked
+        ? resumeSkill.positions.map(p => [p.title, p.company].filter(Boolean).join(' at ') || 'Untitled role')
+        : []
+    };
+  }
+
+  /**
+   * Year requirements met/unmet and skills not used recently
+   *
+   * @private
+   */
+  summarizeEvidence(matchedSkills, yearRequirements) {
+    const matchedById = new Map(matchedSkills.map(m => [m.skillId, m]));
+
+    return {
+      yearRequirements: yearRequirements.map(requirement => {
+        const match = matchedById.get(canonicalSkillId(requirement.skill));
+        return {
+          skill: requirement.skill,
+          requiredYears: requirement.years,
+          yearsUsed: match ? match.evidence.yearsUsed : 0,
+          met: match ? match.evidence.requirementMet : false,
+          phrase: requirement.phrase
+        };
+      }),
+      staleSkills: matchedSkills
+        .filter(m => m.evidence.recencyFactor < 0.85 && m.evidence.lastUsed)
+        .map(m => ({ skill: m.skill, lastUsed: m.evidence.lastUsed })),
+      linkedSkills: matchedSkills.filter(m => m.evidence.positions.length > 0).length
+    };
+  }
+
   /**
    * Find skills in job but not in resume
+   * coveredVia: job skill ID -> related resume skill that earned partial credit
    *
    * @private
    */
-  findMissingSkills(resumeSkills, jobSkills) {
-    const resumeSkillsLower = new Set(
-      resumeSkills.map(s => s.name.toLowerCase())
+  findMissingSkills(resumeSkills, jobSkills, coveredVia = new Map()) {
+    const resumeSkillIds = new Set(
+      resumeSkills.map(s => canonicalSkillId(s))
     );
 
+    const rank = { required: 0, preferred: 1, bonus: 2 };
+
     return jobSkills
-      .filter(jobSkill => !resumeSkillsLower.has(jobSkill.name.toLowerCase()))
+      .filter(jobSkill => !resumeSkillIds.has(canonicalSkillId(jobSkill)))
+      .sort((a, b) => (rank[a.importance] ?? 0) - (rank[b.importance] ?? 0))
       .map(s => ({
         skill: s.name,
-        importance: s.confidence || 0.8
+        importance: s.importance || 'required',
+        weight: s.weight ?? 1.0,
+        confidence: s.confidence || 0.8,
+        ...(coveredVia.has(canonicalSkillId(s)) && { coveredVia: coveredVia.get(canonicalSkillId(s)) })
       }));
   }
 
@@ -249,13 +488,13 @@ export class SkillAgent extends BaseAgent {
   identifyStrengths(resumeSkills, jobSkills) {
     // Find skills the candidate has that are highly valued in the job
     const jobSkillsMap = new Map(
-      jobSkills.map(s => [s.name.toLowerCase(), s])
+      jobSkills.map(s => [canonicalSkillId(s), s])
     );
 
     const strengths = [];
 
     for (const resumeSkill of resumeSkills) {
-      const jobSkill = jobSkillsMap.get(resumeSkill.name.toLowerCase());
+      const jobSkill = jobSkillsMap.get(canonicalSkillId(resumeSkill));
       if (jobSkill) {
         strengths.push({
           skill: resumeSkill.name,
@@ -274,21 +513,46 @@ export class SkillAgent extends BaseAgent {
    *
    * @private
    */
-  identifyGaps(resumeSkills, jobSkills) {
-    const resumeSkillsLower = new Set(
-      resumeSkills.map(s => s.name.toLowerCase())
+  identifyGaps(resumeSkills, jobSkills, yearRequirements = []) {
+    const resumeSkillIds = new Set(
+      resumeSkills.map(s => canonicalSkillId(s))
     );
+    const requiredYears = new Map(yearRequirements.map(r => [canonicalSkillId(r.skill), r.years]));
 
     return jobSkills
-      .filter(jobSkill => !resumeSkillsLower.has(jobSkill.name.toLowerCase()))
-      .sort((a, b) => (b.confidence || 0.8) - (a.confidence || 0.8))
+      .filter(jobSkill => !resumeSkillIds.has(canonicalSkillId(jobSkill)))
+      .sort((a, b) => ((b.weight ?? 1) * (b.confidence || 0.8)) - ((a.weight ?? 1) * (a.confidence || 0.8)))
       .slice(0, 5)
       .map(s => ({
         skill: s.name,
-        priority: s.confidence || 0.8
+        importance: s.importance || 'required',
+        priority: s.confidence || 0.8,
+        requiredYears: requiredYears.get(canonicalSkillId(s)) || null
       }));
   }
 
+  /**
+   * Missing skills grouped into required / preferred / bonus
+   *
+   * @private
+   */
+  bucketGaps(resumeSkills, jobSkills, yearRequirements = [], coveredVia = new Map()) {
+    const resumeSkillIds = new Set(resumeSkills.map(s => canonicalSkillId(s)));
+    const requiredYears = new Map(yearRequirements.map(r => [canonicalSkillId(r.skill), r.years]));
+
+    const missing = jobSkills
+      .filter(jobSkill => !resumeSkillIds.has(canonicalSkillId(jobSkill)))
+      .map(s => ({
+        skill: s.name,
+        importance: s.importance || 'required',
+        requiredYears: requiredYears.get(canonicalSkillId(s)) || null,
+        evidence: s.evidence || null,
+        ...(coveredVia.has(canonicalSkillId(s)) && { coveredVia: coveredVia.get(canonicalSkillId(s)) })
+      }));
+
+    return bucketByImportance(missing);
+  }
+
   /**
    * Store newly discovered skills in knowledge base
    *
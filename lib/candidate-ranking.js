@@ -0,0 +1,272 @@
+/**
+ * CandidateRanker: Score one job against many stored resumes
+ * Uses multi_agent_scores as a cache and only rescores pairs whose resume or
+ * job changed since the last score (tracked with content fingerprints)
+ */
+
+import { canonicalSkillId, getSkillSpellings } from './skill-matcher.js';
+
+/**
+ * Upsert a coordinator result into multi_agent_scores with current fingerprints
+ * Shared by the single-pair endpoint and the ranking endpoint
+ */
+export async function saveMultiAgentScore(database, results) {
+  await database.query(
+    `INSERT INTO multi_agent_scores (
+      resume_id, job_id, skill_score, experience_score, education_score,
+      certification_score, semantic_score, composite_score, agents_used,
+      total_processing_time_ms, processing_method, resume_fingerprint, job_fingerprint
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, resume_fingerprint($1), job_fingerprint($2))
+    ON CONFLICT (resume_id, job_id) DO UPDATE SET
+      skill_score = EXCLUDED.skill_score,
+      experience_score = EXCLUDED.experience_score,
+      education_score = EXCLUDED.education_score,
+      certification_score = EXCLUDED.certification_score,
+      semantic_score = EXCLUDED.semantic_score,
+      composite_score = EXCLUDED.composite_score,
+      agents_used = EXCLUDED.agents_used,
+      total_processing_time_ms = EXCLUDED.total_processing_time_ms,
+      resume_fingerprint = EXCLUDED.resume_fingerprint,
+      job_fingerprint = EXCLUDED.job_fingerprint,
+      created_at = NOW()`,
+    [
+      results.resume_id, results.job_id,
+      results.scores.skill,
+      results.scores.experience,
+      results.scores.education,
+      results.scores.certification,
+      results.scores.semantic,
+      results.composite_score,
+      results.agents_completed,
+      results.processing_time_ms,
+      'parallel_agents'
+    ]
+  );
+}
+
+/**
+ * Return the cached score for a pair if it is still fresh, otherwise run the
+ * coordinator and cache the new result
+ *
+ * @returns {Promise<{ score: Object, cached: boolean }>} score is a multi_agent_scores row
+ */
+export async function scoreWithCache(database, coordinator, resumeId, job) {
+  const cachedResult = await database.query(
+    `SELECT * FROM multi_agent_scores
+    WHERE resume_id = $1 AND job_id = $2
+      AND resume_fingerprint IS NOT DISTINCT FROM resume_fingerprint($1)
+      AND job_fingerprint IS NOT DISTINCT FROM job_fingerprint($2)`,
+    [resumeId, job.job_id]
+  );
+
+  if (cachedResult.rows.length > 0) {
+    return { score: cachedResult.rows[0], cached: true };
+  }
+
+  const results = await coordinator.scoreResume(resumeId, job.job_id, {
+    title: job.title,
+    description: job.description,
+    industry: job.industry,
+    seniority: job.seniority
+  });
+  await saveMultiAgentScore(database, results);
+
+  return {
+    score: {
+      resume_id: resumeId,
+      job_id: job.job_id,
+      composite_score: results.composite_score,
+      skill_score: results.scores.skill,
+      experience_score: results.scores.experience,
+      education_score: results.scores.education,
+      certification_score: results.scores.certification,
+      semantic_score: results.scores.semantic,
+      created_at: new Date()
+    },
+    cached: false
+  };
+}
+
+export class CandidateRanker {
+  constructor(database, coordinator, options = {}) {
+    this.pool = database;
+    this.coordinator = coordinator;
+    this.maxRescorePerRequest = options.maxRescorePerRequest || 25;
+  }
+
+  /**
+   * Build a paginated leaderboard of resumes for a job
+   *
+   * @param {string} jobId - Job ID
+   * @param {Object} options - { page, pageSize, resumeIds, skills, minScore, maxRescore, refresh }
+   * @returns {Promise<Object>} Leaderboard with scoring stats
+   */
+  async rankCandidates(jobId, options = {}) {
+    const page = Math.max(1, options.page || 1);
+    const pageSize = Math.min(100, Math.max(1, options.pageSize || 20));
+    const maxRescore = options.maxRescore ?? this.maxRescorePerRequest;
+
+    const jobResult = await this.pool.query(
+      'SELECT job_id, title, description, required_years, industry, seniority FROM jobs WHERE job_id = $1',
+      [jobId]
+    );
+
+    if (jobResult.rows.length === 0) {
+      const error = new Error(`Job ${jobId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const job = jobResult.rows[0];
+    const filter = this.buildResumeFilter(options, 2);
+
+    // Find candidates whose cached score is missing or out of date
+    const staleResult = await this.pool.query(
+      `SELECT r.resume_id
+      FROM resumes r
+      LEFT JOIN multi_agent_scores mas ON mas.resume_id = r.resume_id AND mas.job_id = $1
+      WHERE ${filter.where}
+        AND (
+          mas.id IS NULL
+          OR mas.resume_fingerprint IS DISTINCT FROM resume_fingerprint(r.resume_id)
+          OR mas.job_fingerprint IS DISTINCT FROM job_fingerprint($1)
+          ${options.refresh ? 'OR TRUE' : ''}
+        )
+      ORDER BY r.created_at DESC`,
+      [jobId, ...filter.params]
+    );
+
+    const stale = staleResult.rows.map(row => row.resume_id);
+    const toScore = stale.slice(0, maxRescore);
+    const scoring = { rescored: 0, failed: [], pending: stale.length - toScore.length };
+
+    // One at a time: each run already fans out to five agents
+    for (const resumeId of toScore) {
+      try {
+        const results = await this.coordinator.scoreResume(resumeId, jobId, {
+          title: job.title,
+          description: job.description,
+          industry: job.industry,
+          seniority: job.seniority
+        });
+        await saveMultiAgentScore(this.pool, results);
+        scoring.rescored++;
+      } catch (error) {
+        console.warn(`[Ranking] Failed to score ${resumeId} vs ${jobId}:`, error.message);
+        scoring.failed.push({ resume_id: resumeId, error: error.message });
+      }
+    }
+
+    const minScore = Number.isFinite(options.minScore) ? options.minScore : 0;
+    const listParams = [jobId, minScore, ...filter.params];
+    const listFilter = this.buildResumeFilter(options, 3);
+
+    const countResult = await this.pool.query(
+      `SELECT COUNT(*) as total
+      FROM multi_agent_scores mas
+      JOIN resumes r ON r.resume_id = mas.resume_id
+      WHERE mas.job_id = $1 AND mas.composite_score >= $2 AND ${listFilter.where}`,
+      listParams
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+    const offset = (page - 1) * pageSize;
+
+    const listResult = await this.pool.query(
+      `SELECT mas.resume_id, r.candidate_name, r.years_experience,
+        mas.composite_score, mas.skill_score, mas.experience_score, mas.education_score,
+        mas.certification_score, mas.semantic_score, mas.created_at as scored_at,
+        (mas.resume_fingerprint IS DISTINCT FROM resume_fingerprint(mas.resume_id)
+          OR mas.job_fingerprint IS DISTINCT FROM job_fingerprint(mas.job_id)) as stale
+      FROM multi_agent_scores mas
+      JOIN resumes r ON r.resume_id = mas.resume_id
+      WHERE mas.job_id = $1 AND mas.composite_score >= $2 AND ${listFilter.where}
+      ORDER BY mas.composite_score DESC, mas.resume_id
+      LIMIT ${pageSize} OFFSET ${offset}`,
+      listParams
+    );
+
+    return {
+      job: {
+        job_id: job.job_id,
+        title: job.title,
+        required_years: job.required_years
+      },
+      pagination: {
+        page,
+        page_size: pageSize,
+        total,
+        total_pages: Math.ceil(total / pageSize)
+      },
+      scoring: {
+        stale_or_missing: stale.length,
+        rescored: scoring.rescored,
+        failed: scoring.failed,
+        pending_rescore: scoring.pending
+      },
+      candidates: listResult.rows.map((row, index) => ({
+        rank: offset + index + 1,
+        resume_id: row.resume_id,
+        candidate_name: row.candidate_name,
+        years_experience: row.years_experience,
+        // 0-1 decimals, same as /api/score-multi-agent
+        composite: toDecimal(row.composite_score),
+        scores: toDimensionScores(row),
+        scored_at: row.scored_at,
+        stale: row.stale
+      }))
+    };
+  }
+
+  /**
+   * Build the WHERE clause for optional resume filters
+   * Parameter numbering starts at firstParam
+   *
+   * @private
+   */
+  buildResumeFilter(options, firstParam) {
+    const clauses = ['TRUE'];
+    const params = [];
+
+    if (Array.isArray(options.resumeIds) && options.resumeIds.length > 0) {
+      params.push(options.resumeIds);
+      clauses.push(`r.resume_id = ANY($${firstParam + params.length - 1})`);
+    }
+
+    if (Array.isArray(options.skills) && options.skills.length > 0) {
+      // Entries are names, or skill objects stored as JSON; match any spelling
+      // of the requested skills, or their canonical IDs
+      params.push([...new Set(options.skills.flatMap(skill =>
+        getSkillSpellings(skill).map(spelling => spelling.toLowerCase())))]);
+      params.push([...new Set(options.skills.map(skill => canonicalSkillId(skill)))]);
+      const spellingsParam = firstParam + params.length - 2;
+      const idsParam = firstParam + params.length - 1;
+      clauses.push(`EXISTS (
+        SELECT 1 FROM unnest(r.skills) s
+        WHERE LOWER(CASE WHEN s LIKE '{%' THEN s::jsonb ->> 'name' ELSE s END) = ANY($${spellingsParam})
+          OR (s LIKE '{%' AND s::jsonb ->> 'skillId' = ANY($${idsParam}))
+      )`);
+    }
+
+    return { where: clauses.join(' AND '), params };
+  }
+}
+
+/**
+ * Convert a multi_agent_scores row to 0-1 per-dimension scores
+ */
+export function toDimensionScores(row) {
+  return {
+    skill_match: toDecimal(row.skill_score),
+    semantic: toDecimal(row.semantic_score),
+    experience: toDecimal(row.experience_score),
+    education: toDecimal(row.education_score),
+    certification: toDecimal(row.certification_score)
+  };
+}
+
+export function toDecimal(score) {
+  return score === null || score === undefined ? null : parseFloat(score) / 100;
+}
+
+export default CandidateRanker;
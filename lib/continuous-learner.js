@@ -4,6 +4,7 @@
 // Allows system to improve over time without manual curation
 
 import { v4 as uuidv4 } from 'uuid';
+import { DiscoveryReview } from './discovery-review.js';
 
 // ============================================================================
 // DISCOVERY PHASE: Identify Unknown Items
@@ -87,6 +88,8 @@ export async function identifyUnknownCertifications(extractedCerts, database) {
 
 /**
  * Enrich unknown skill with contextual metadata
+ * Keyword heuristic for the unknown_skills tables; knowledge_base discoveries
+ * are categorized by skill-enrichment.js
  */
 function enrichUnknownSkill(skill, resumeText) {
   const name = skill.name.toLowerCase();
@@ -417,18 +420,14 @@ export async function learnFromResume(resumeData, database) {
 }
 
 /**
- * Get pending items for admin review
+ * Get pending items for admin review (see DiscoveryReview)
  */
 export async function getPendingDiscoveries(database, limit = 50) {
   if (!database) return [];
 
   try {
-    const result = await database.query(
-      'SELECT * FROM pending_discoveries ORDER BY discovered_at DESC LIMIT $1',
-      [limit]
-    );
-
-    return result.rows || [];
+    const { items } = await new DiscoveryReview(database).listPending({ limit });
+    return items;
   } catch (error) {
     console.error('[Learner] Error fetching pending discoveries:', error.message);
     return [];
@@ -436,33 +435,15 @@ export async function getPendingDiscoveries(database, limit = 50) {
 }
 
 /**
- * Promote unknown item to main database
+ * Promote a pending knowledge_base item to the main tables (see DiscoveryReview)
+ * itemType is kept for existing callers; the item's own type decides the table
  */
 export async function promoteToMain(itemType, unknownId, database) {
   if (!database) return false;
 
   try {
-    if (itemType === 'skill') {
-      // Get enrichment data
-      const result = await database.query(
-        'SELECT name, suggested_category, salary_estimate, demand_level FROM unknown_skills WHERE id = $1',
-        [unknownId]
-      );
-
-      if (result.rows.length === 0) return false;
-
-      const { name, suggested_category, salary_estimate, demand_level } = result.rows[0];
-
-      // Call promotion function
-      await database.query(
-        'SELECT promote_unknown_skill($1, $2, $3, $4)',
-        [unknownId, suggested_category || 'Other', salary_estimate || 0, demand_level || 'low']
-      );
-
-      return true;
-    }
-
-    return false;
+    await new DiscoveryReview(database).approve(unknownId);
+    return true;
   } catch (error) {
     console.error('[Learner] Error promoting item:', error.message);
     return false;
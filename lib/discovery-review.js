@@ -0,0 +1,395 @@
+/**
+ * DiscoveryReview: Admin review queue for knowledge base discoveries
+ * Skills, certifications and education the knowledge base picked up from
+ * resumes wait as pending until an admin approves them (into skills or
+ * certifications), merges them into an existing item, or rejects them.
+ * Every decision is written to discovery_audit_log.
+ */
+
+import { canonicalizeSkill } from './skill-matcher.js';
+
+export const REVIEW_ACTIONS = ['approved', 'merged', 'rejected'];
+export const ITEM_TYPES = ['skill', 'certification', 'education'];
+
+const DEFAULT_SOURCES_PER_ITEM = 5;
+const MAX_BULK_APPROVE = 200;
+
+/**
+ * Error carrying an HTTP status for the route
+ *
+ * @private
+ */
+function reviewError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export class DiscoveryReview {
+  constructor(database) {
+    this.pool = database;
+  }
+
+  // ==========================================================================
+  // Queue
+  // ==========================================================================
+
+  /**
+   * Pending discoveries, most-mentioned first, with the resumes they came from
+   * Items already in skills (by name or synonym) or certifications are left
+   * out: there is nothing to decide for them
+   *
+   * @param {Object} options - { type, minSourceCount, limit, offset, sourcesPerItem }
+   * @returns {{ total, items: Array<Object> }}
+   */
+  async listPending(options = {}) {
+    const { type = null, minSourceCount = 1, limit = 50, offset = 0 } = options;
+    const sourcesPerItem = options.sourcesPerItem ?? DEFAULT_SOURCES_PER_ITEM;
+
+    const result = await this.pool.query(
+      `SELECT kb.id, kb.item_name, kb.item_type, kb.source_count, kb.confidence_estimate,
+              kb.category_guess, kb.category_confidence, kb.category_source,
+              kb.suggested_demand_level, kb.suggested_related,
+              kb.first_discovered, kb.last_seen,
+              COUNT(*) OVER() AS total
+       FROM knowledge_base kb
+       WHERE COALESCE(kb.review_status, 'pending') = 'pending'
+         AND ($1::text IS NULL OR kb.item_type = $1)
+         AND kb.source_count >= $2
+         AND NOT (kb.item_type = 'skill' AND EXISTS (
+           SELECT 1 FROM skills s
+           WHERE LOWER(s.name) = LOWER(kb.item_name)
+              OR EXISTS (SELECT 1 FROM unnest(s.synonyms) syn WHERE LOWER(syn) = LOWER(kb.item_name))))
+         AND NOT (kb.item_type = 'certification' AND EXISTS (
+           SELECT 1 FROM certifications c WHERE LOWER(c.name) = LOWER(kb.item_name)))
+       ORDER BY kb.source_count DESC, kb.last_seen DESC, kb.id
+       LIMIT $3 OFFSET $4`,
+      [type, minSourceCount, limit, offset]
+    );
+
+    const sources = await this.getSources(result.rows.map(row => row.id), sourcesPerItem);
+
+    return {
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0,
+      items: result.rows.map(row => ({
+        id: row.id,
+        name: row.item_name,
+        type: row.item_type,
+        sourceCount: row.source_count,
+        confidence: row.confidence_estimate,
+        suggestions: {
+          category: row.category_guess,
+          categoryConfidence: row.category_confidence ?? null,
+          categorySource: row.category_source || null,
+          demandLevel: row.suggested_demand_level || null,
+          related: row.suggested_related || []
+        },
+        firstDiscovered: row.first_discovered,
+        lastSeen: row.last_seen,
+        sources: sources.get(row.id) || []
+      }))
+    };
+  }
+
+  /**
+   * Latest resumes (with context lines) per item
+   *
+   * @private
+   */
+  async getSources(itemIds, perItem) {
+    const byItem = new Map();
+    if (itemIds.length === 0 || perItem <= 0) return byItem;
+
+    const result = await this.pool.query(
+      `SELECT src.item_id, src.resume_id, src.context, src.seen_at, r.candidate_name
+       FROM (
+         SELECT *, ROW_NUMBER() OVER (PARTITION BY item_id ORDER BY seen_at DESC) AS rank
+         FROM knowledge_base_sources
+         WHERE item_id = ANY($1::int[])
+       ) src
+       LEFT JOIN resumes r ON r.resume_id = src.resume_id
+       WHERE src.rank <= $2
+       ORDER BY src.item_id, src.seen_at DESC`,
+      [itemIds, perItem]
+    );
+
+    for (const row of result.rows) {
+      if (!byItem.has(row.item_id)) byItem.set(row.item_id, []);
+      byItem.get(row.item_id).push({
+        resumeId: row.resume_id,
+        candidateName: row.candidate_name || null,
+        context: row.context,
+        seenAt: row.seen_at
+      });
+    }
+
+    return byItem;
+  }
+
+  // ==========================================================================
+  // Decisions
+  // ==========================================================================
+
+  /**
+   * Approve: add the item to skills or certifications (education has no main
+   * table and is only marked approved). Skills take the suggested category,
+   * demand level and related skills unless the reviewer overrides them
+   *
+   * @param {number} id - knowledge_base id
+   * @param {Object} meta - { reviewedBy, category, demandLevel, related: string[], issuer, reason }
+   * @returns {Object} { id, name, type, status, createdAsId }
+   */
+  async approve(id, meta = {}) {
+    return this.decide(id, async (client, item) => {
+      let createdAsId = null;
+      const category = meta.category || item.category_guess || 'other';
+
+      if (item.item_type === 'skill') {
+        const result = await client.query(
+          `INSERT INTO skills (name, category, demand_level)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (name) DO UPDATE SET
+             is_active = true,
+             demand_level = COALESCE(skills.demand_level, EXCLUDED.demand_level)
+           RETURNING id`,
+          [item.item_name, category, meta.demandLevel || item.suggested_demand_level || null]
+        );
+        createdAsId = result.rows[0].id;
+        await this.addRelatedSkills(client, createdAsId, meta.related, item.suggested_related);
+      } else if (item.item_type === 'certification') {
+        const result = await client.query(
+          `INSERT INTO certifications (name, issuer, category)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (name) DO UPDATE SET updated_at = NOW()
+           RETURNING id`,
+          [item.item_name, meta.issuer || 'Unknown', category]
+        );
+        createdAsId = result.rows[0].id;
+      }
+
+      return { status: 'approved', createdAsId, targetName: null };
+    }, meta);
+  }
+
+  /**
+   * Link an approved skill to its related skills (the reviewer's list, or the
+   * suggested ones weighted by how often they appeared together)
+   *
+   * @private
+   */
+  async addRelatedSkills(client, skillId, names, suggested) {
+    const related = Array.isArray(names)
+      ? names.filter(name => typeof name === 'string').map(name => ({ skill: name, share: null }))
+      : (suggested || []);
+    if (related.length === 0) return;
+
+    await client.query(
+      `INSERT INTO skill_relationships (skill_id, related_skill_id, relationship_type, relevance_score)
+       SELECT $1, s.id, 'complementary', COALESCE(rel.share, 0.5)
+       FROM unnest($2::text[], $3::float[]) AS rel(name, share)
+       JOIN skills s ON LOWER(s.name) = LOWER(rel.name)
+       WHERE s.id <> $1
+       ON CONFLICT (skill_id, related_skill_id) DO NOTHING`,
+      [skillId, related.map(rel => rel.skill), related.map(rel => rel.share)]
+    );
+  }
+
+  /**
+   * Merge: the item is another spelling of an existing skill or certification
+   * For skills the spelling joins the target's synonyms, so the matcher reads
+   * it as that skill from the next taxonomy reload on
+   *
+   * @param {number} id - knowledge_base id
+   * @param {string} into - Existing item (any spelling of a skill)
+   * @param {Object} meta - { reviewedBy, reason }
+   */
+  async merge(id, into, meta = {}) {
+    if (!into || typeof into !== 'string') {
+      throw reviewError('"into" must name an existing item', 400);
+    }
+
+    return this.decide(id, async (client, item) => {
+      let target = null;
+
+      if (item.item_type === 'skill') {
+        const name = canonicalizeSkill(into)?.name || into;
+        const result = await client.query(
+          `SELECT id, name FROM skills
+           WHERE LOWER(name) = LOWER($1)
+              OR EXISTS (SELECT 1 FROM unnest(synonyms) syn WHERE LOWER(syn) = LOWER($1))
+           ORDER BY (LOWER(name) = LOWER($1)) DESC
+           LIMIT 1`,
+          [name]
+        );
+        target = result.rows[0];
+
+        if (target) {
+          await client.query(
+            `UPDATE skills
+             SET synonyms = ARRAY(SELECT DISTINCT unnest(COALESCE(synonyms, '{}') || ARRAY[$2::text]))
+             WHERE id = $1`,
+            [target.id, item.item_name]
+          );
+        }
+      } else if (item.item_type === 'certification') {
+        const result = await client.query(
+          'SELECT id, name FROM certifications WHERE LOWER(name) = LOWER($1) LIMIT 1',
+          [into]
+        );
+        target = result.rows[0];
+      } else {
+        const result = await client.query(
+          `SELECT id, item_name AS name FROM knowledge_base
+           WHERE LOWER(item_name) = LOWER($1) AND item_type = $2 AND id <> $3
+           LIMIT 1`,
+          [into, item.item_type, item.id]
+        );
+        target = result.rows[0];
+      }
+
+      if (!target) {
+        throw reviewError(`No existing ${item.item_type} named "${into}"`, 404);
+      }
+
+      return { status: 'merged', createdAsId: target.id, targetName: target.name };
+    }, meta);
+  }
+
+  /**
+   * Reject: not a real skill/certification; it stays out of the queue
+   *
+   * @param {number} id - knowledge_base id
+   * @param {Object} meta - { reviewedBy, reason }
+   */
+  async reject(id, meta = {}) {
+    return this.decide(id, async () => ({ status: 'rejected', createdAsId: null, targetName: null }), meta);
+  }
+
+  /**
+   * Approve every pending item mentioned by at least minSourceCount resumes
+   *
+   * @param {Object} options - { minSourceCount, type, limit, reviewedBy }
+   * @returns {{ approved: Array<Object>, failed: Array<{ id, name, error }> }}
+   */
+  async bulkApprove(options = {}) {
+    const { minSourceCount, type = null, reviewedBy = null } = options;
+    const limit = Math.min(MAX_BULK_APPROVE, options.limit || MAX_BULK_APPROVE);
+
+    const { items } = await this.listPending({ type, minSourceCount, limit, sourcesPerItem: 0 });
+    const approved = [];
+    const failed = [];
+
+    for (const item of items) {
+      try {
+        approved.push(await this.approve(item.id, { reviewedBy, reason: `bulk: source_count >= ${minSourceCount}` }));
+      } catch (error) {
+        failed.push({ id: item.id, name: item.name, error: error.message });
+      }
+    }
+
+    console.log(`[DiscoveryReview] Bulk approved ${approved.length} items (source_count >= ${minSourceCount}), ${failed.length} failed`);
+    return { approved, failed };
+  }
+
+  /**
+   * Lock a pending item, apply the decision, mark it reviewed and log it,
+   * all in one transaction
+   *
+   * @private
+   */
+  async decide(id, apply, meta) {
+    if (!Number.isInteger(id)) {
+      throw reviewError(`Discovery ${id} not found`, 404);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT id, item_name, item_type, category_guess, suggested_demand_level,
+                suggested_related, review_status
+         FROM knowledge_base WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      const item = result.rows[0];
+
+      if (!item) {
+        throw reviewError(`Discovery ${id} not found`, 404);
+      }
+      if ((item.review_status || 'pending') !== 'pending') {
+        throw reviewError(`Discovery ${id} was already ${item.review_status}`, 409);
+      }
+
+      const decision = await apply(client, item);
+
+      await client.query(
+        `UPDATE knowledge_base
+         SET review_status = $2, reviewed_at = NOW(), reviewed_by = $3,
+             created_as_id = COALESCE($4, created_as_id), merged_into = $5, updated_at = NOW()
+         WHERE id = $1`,
+        [item.id, decision.status, meta.reviewedBy || null, decision.createdAsId, decision.targetName]
+      );
+
+      await client.query(
+        `INSERT INTO discovery_audit_log
+         (action, item_id, item_name, item_type, target_name, decided_by, reason, discovered_items, discovery_count)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 1)`,
+        [
+          decision.status,
+          item.id,
+          item.item_name,
+          item.item_type,
+          decision.targetName,
+          meta.reviewedBy || null,
+          meta.reason || null,
+          JSON.stringify([item.item_name])
+        ]
+      );
+
+      await client.query('COMMIT');
+      console.log(`[DiscoveryReview] ${item.item_type} "${item.item_name}" ${decision.status}${decision.targetName ? ` into ${decision.targetName}` : ''}`);
+
+      return {
+        id: item.id,
+        name: item.item_name,
+        type: item.item_type,
+        status: decision.status,
+        createdAsId: decision.createdAsId,
+        mergedInto: decision.targetName
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ==========================================================================
+  // Audit
+  // ==========================================================================
+
+  /**
+   * Review decisions, newest first
+   *
+   * @param {Object} options - { itemId, limit }
+   */
+  async getDecisions(options = {}) {
+    const { itemId = null, limit = 100 } = options;
+
+    const result = await this.pool.query(
+      `SELECT id, action, item_id, item_name, item_type, target_name, decided_by, reason, timestamp
+       FROM discovery_audit_log
+       WHERE action = ANY($1::text[])
+         AND ($2::int IS NULL OR item_id = $2)
+       ORDER BY timestamp DESC, id DESC
+       LIMIT $3`,
+      [REVIEW_ACTIONS, itemId, limit]
+    );
+
+    return result.rows;
+  }
+}
+
+export default DiscoveryReview;
@@ -0,0 +1,384 @@
+/**
+ * EmbeddingMigrator: Re-embed stored vectors after a provider/model change
+ * Walks resumes, jobs and skills in primary-key order, re-embedding every row
+ * whose tag differs from the configured provider. Progress (including a
+ * per-target cursor) is saved after each batch so a stopped or failed run
+ * picks up where it left off.
+ */
+
+import { EmbeddingService, getEmbeddingProvider } from './embedding-providers.js';
+
+// Text each table is embedded from (must match what upload/job creation embeds)
+const TARGETS = {
+  resumes: { table: 'resumes', textColumn: 'raw_text', vectorType: 'jsonb' },
+  jobs: { table: 'jobs', textColumn: 'description', vectorType: 'jsonb' },
+  skills: { table: 'skills', textColumn: 'name', vectorType: 'vector' }
+};
+
+export const EMBEDDING_TARGETS = Object.keys(TARGETS);
+
+export class EmbeddingMigrator {
+  constructor(database, options = {}) {
+    this.pool = database;
+    this.providerName = options.provider || process.env.EMBEDDING_METHOD || 'stub';
+    this.defaultBatchSize = options.batchSize || 32;
+    // No fallback: a run must never write stub vectors tagged as something else
+    this.embeddings = new EmbeddingService({ provider: this.providerName, database, fallback: null });
+    this.activeRuns = new Map(); // runId -> { stopRequested }
+  }
+
+  /**
+   * Provider/model that stored embeddings should carry
+   */
+  getTargetTag() {
+    const provider = getEmbeddingProvider(this.providerName);
+    return { provider: provider.name, model: provider.model };
+  }
+
+  /**
+   * Per-table counts of current, stale and missing embeddings
+   */
+  async getStatus() {
+    const target = this.getTargetTag();
+    const tables = {};
+
+    for (const [name, config] of Object.entries(TARGETS)) {
+      const result = await this.pool.query(
+        `SELECT embedding_provider, embedding_model, embedding_dimension, COUNT(*) as count,
+          COUNT(*) FILTER (WHERE embedding IS NULL) as missing
+        FROM ${config.table}
+        WHERE ${config.textColumn} IS NOT NULL AND ${config.textColumn} <> ''
+        GROUP BY embedding_provider, embedding_model, embedding_dimension
+        ORDER BY count DESC`
+      );
+
+      let total = 0;
+      let current = 0;
+      for (const row of result.rows) {
+        const count = parseInt(row.count);
+        total += count;
+        if (row.embedding_provider === target.provider && row.embedding_model === target.model) {
+          current += count - parseInt(row.missing);
+        }
+      }
+
+      tables[name] = {
+        total,
+        current,
+        stale: total - current,
+        by_tag: result.rows.map(row => ({
+          provider: row.embedding_provider || 'untagged',
+          model: row.embedding_model,
+          dimension: row.embedding_dimension,
+          count: parseInt(row.count)
+        }))
+      };
+    }
+
+    return { target, tables };
+  }
+
+  /**
+   * Create a run for the configured provider, or reuse its unfinished one
+   *
+   * @param {Object} options - { targets, batchSize }
+   * @returns {Promise<Object>} Run row (resumed: true if an earlier run was picked up)
+   */
+  async start(options = {}) {
+    const provider = getEmbeddingProvider(this.providerName);
+    if (!provider.available()) {
+      const error = new Error(`Embedding provider ${provider.name} is not configured (missing API key?)`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const targets = options.targets || EMBEDDING_TARGETS;
+    const unknown = targets.filter(t => !TARGETS[t]);
+    if (unknown.length > 0) {
+      const error = new Error(`Unknown targets: ${unknown.join(', ')} (valid: ${EMBEDDING_TARGETS.join(', ')})`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const existing = await this.pool.query(
+      `SELECT * FROM embedding_migration_runs
+      WHERE provider = $1 AND model = $2 AND status <> 'completed'
+      ORDER BY created_at DESC LIMIT 1`,
+      [provider.name, provider.model]
+    );
+
+    if (existing.rows.length > 0) {
+      return { ...existing.rows[0], resumed: true };
+    }
+
+    const progress = {};
+    for (const name of targets) {
+      progress[name] = {
+        total: await this.countStale(name, provider),
+        processed: 0,
+        failed: 0,
+        last_id: 0,
+        done: false
+      };
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO embedding_migration_runs (provider, model, targets, batch_size, progress)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *`,
+      [provider.name, provider.model, targets, options.batchSize || this.defaultBatchSize, JSON.stringify(progress)]
+    );
+
+    return { ...result.rows[0], resumed: false };
+  }
+
+  /**
+   * Process a run to completion (or until stop() is called)
+   *
+   * @param {number} runId - Run ID from start()
+   * @param {Object} options - { onProgress(run) } called after every batch
+   * @returns {Promise<Object>} Final run status
+   */
+  async run(runId, options = {}) {
+    if (this.activeRuns.has(runId)) {
+      throw new Error(`Re-embedding run ${runId} is already in progress`);
+    }
+
+    const run = await this.loadRun(runId);
+    const provider = getEmbeddingProvider(this.providerName);
+
+    if (run.provider !== provider.name || run.model !== provider.model) {
+      throw new Error(`Run ${runId} targets ${run.provider}/${run.model} but the configured provider is ${provider.name}/${provider.model}`);
+    }
+
+    const state = { stopRequested: false };
+    this.activeRuns.set(runId, state);
+
+    await this.pool.query(
+      `UPDATE embedding_migration_runs
+      SET status = 'running', error = NULL, started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+      WHERE id = $1`,
+      [runId]
+    );
+
+    try {
+      for (const name of run.targets) {
+        const progress = run.progress[name];
+
+        while (!progress.done && !state.stopRequested) {
+          const batch = await this.processBatch(name, provider, progress.last_id, run.batch_size);
+
+          progress.processed += batch.processed;
+          progress.failed += batch.failed;
+          progress.last_id = batch.lastId ?? progress.last_id;
+          progress.done = batch.size < run.batch_size;
+
+          await this.saveProgress(runId, run.progress);
+          if (options.onProgress) options.onProgress(this.describeRun({ ...run, status: 'running' }));
+        }
+      }
+
+      const status = state.stopRequested ? 'paused' : 'completed';
+      await this.pool.query(
+        `UPDATE embedding_migration_runs
+        SET status = $2, updated_at = NOW(), completed_at = CASE WHEN $3 THEN NOW() END
+        WHERE id = $1`,
+        [runId, status, status === 'completed']
+      );
+    } catch (error) {
+      console.error(`[Re-embed] Run ${runId} failed:`, error.message);
+      await this.pool.query(
+        `UPDATE embedding_migration_runs SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1`,
+        [runId, error.message]
+      );
+    } finally {
+      this.activeRuns.delete(runId);
+    }
+
+    return this.getRun(runId);
+  }
+
+  /**
+   * Ask a running run to stop after its current batch (status becomes 'paused')
+   */
+  stop(runId) {
+    const state = this.activeRuns.get(runId);
+    if (!state) return false;
+
+    state.stopRequested = true;
+    return true;
+  }
+
+  /**
+   * Run status with per-target percentages
+   */
+  async getRun(runId) {
+    const run = await this.loadRun(runId);
+    return this.describeRun({ ...run, active: this.activeRuns.has(run.id) });
+  }
+
+  /**
+   * Most recent runs
+   */
+  async listRuns(limit = 20) {
+    const result = await this.pool.query(
+      'SELECT * FROM embedding_migration_runs ORDER BY created_at DESC LIMIT $1',
+      [limit]
+    );
+
+    return result.rows.map(run => this.describeRun({ ...run, active: this.activeRuns.has(run.id) }));
+  }
+
+  /**
+   * Re-embed one keyset page of stale rows
+   *
+   * @private
+   */
+  async processBatch(name, provider, lastId, batchSize) {
+    const config = TARGETS[name];
+    const rows = await this.pool.query(
+      `SELECT id, ${config.textColumn} as text
+      FROM ${config.table}
+      WHERE id > $1 AND ${this.staleCondition(config)}
+      ORDER BY id
+      LIMIT $4`,
+      [lastId, provider.name, provider.model, batchSize]
+    );
+
+    if (rows.rows.length === 0) {
+      return { size: 0, processed: 0, failed: 0, lastId: null };
+    }
+
+    // Provider errors propagate and fail the run; the cursor is not advanced
+    const { embeddings, tag } = await this.embeddings.embedManyTagged(rows.rows.map(row => row.text));
+
+    let processed = 0;
+    let failed = 0;
+
+    for (let i = 0; i < rows.rows.length; i++) {
+      try {
+        await this.writeEmbedding(config, rows.rows[i].id, embeddings[i], tag);
+        processed++;
+      } catch (error) {
+        console.warn(`[Re-embed] ${name} #${rows.rows[i].id} failed:`, error.message);
+        failed++;
+      }
+    }
+
+    return {
+      size: rows.rows.length,
+      processed,
+      failed,
+      lastId: rows.rows[rows.rows.length - 1].id
+    };
+  }
+
+  /**
+   * @private
+   */
+  async writeEmbedding(config, id, embedding, tag) {
+    // JSONB columns feed embedding_vector through the migration 009 trigger
+    const value = config.vectorType === 'jsonb'
+      ? JSON.stringify(embedding)
+      : `[${embedding.join(',')}]`;
+
+    await this.pool.query(
+      `UPDATE ${config.table}
+      SET embedding = $2::${config.vectorType},
+        embedding_provider = $3, embedding_model = $4, embedding_dimension = $5
+      WHERE id = $1`,
+      [id, value, tag.provider, tag.model, tag.dimension]
+    );
+  }
+
+  /**
+   * Rows with text whose embedding is missing or from another provider/model
+   * Uses $2 (provider) and $3 (model)
+   *
+   * @private
+   */
+  staleCondition(config) {
+    return `${config.textColumn} IS NOT NULL AND ${config.textColumn} <> ''
+      AND (embedding IS NULL OR embedding_provider IS DISTINCT FROM $2 OR embedding_model IS DISTINCT FROM $3)`;
+  }
+
+  /**
+   * @private
+   */
+  async countStale(name, provider) {
+    const config = TARGETS[name];
+    const result = await this.pool.query(
+      `SELECT COUNT(*) as count FROM ${config.table} WHERE id > $1 AND ${this.staleCondition(config)}`,
+      [0, provider.name, provider.model]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * @private
+   */
+  async loadRun(runId) {
+    const result = await this.pool.query('SELECT * FROM embedding_migration_runs WHERE id = $1', [runId]);
+
+    if (result.rows.length === 0) {
+      const error = new Error(`Re-embedding run ${runId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * @private
+   */
+  async saveProgress(runId, progress) {
+    await this.pool.query(
+      'UPDATE embedding_migration_runs SET progress = $2, updated_at = NOW() WHERE id = $1',
+      [runId, JSON.stringify(progress)]
+    );
+  }
+
+  /**
+   * @private
+   */
+  describeRun(run) {
+    let total = 0;
+    let handled = 0;
+
+    const targets = run.targets.map(name => {
+      const progress = run.progress[name] || { total: 0, processed: 0, failed: 0, done: false };
+      total += progress.total;
+      handled += progress.processed + progress.failed;
+
+      return {
+        target: name,
+        total: progress.total,
+        processed: progress.processed,
+        failed: progress.failed,
+        done: progress.done,
+        percent: progress.total > 0
+          ? Math.min(100, Math.round(((progress.processed + progress.failed) / progress.total) * 100))
+          : 100
+      };
+    });
+
+    return {
+      run_id: run.id,
+      provider: run.provider,
+      model: run.model,
+      status: run.status,
+      active: Boolean(run.active),
+      batch_size: run.batch_size,
+      percent: total > 0 ? Math.min(100, Math.round((handled / total) * 100)) : 100,
+      targets,
+      error: run.error,
+      created_at: run.created_at,
+      started_at: run.started_at,
+      updated_at: run.updated_at,
+      completed_at: run.completed_at
+    };
+  }
+}
+
+export default EmbeddingMigrator;
@@ -0,0 +1,502 @@
+// Embedding Providers
+// One registry for every embedding backend (stub, OpenAI-compatible HTTP, local
+// transformers) so single-agent scoring and SemanticAgent embed text the same way.
+// EmbeddingService adds batching, an in-process LRU and a persistent DB cache
+// keyed by provider + model + text hash.
+
+import crypto from 'crypto';
+import { generateLocalEmbeddings, getLocalEmbeddingInfo } from './local-embeddings.js';
+
+const STUB_DIMENSION = 384;
+
+// Known output sizes for OpenAI-compatible models (others are learned on first call)
+const KNOWN_MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+  'Xenova/all-MiniLM-L6-v2': 384,
+  'Xenova/all-MiniLM-L12-v2': 384,
+  'Xenova/bge-small-en-v1.5': 384,
+  'Xenova/bge-base-en-v1.5': 768
+};
+
+// ============================================================================
+// Providers
+// ============================================================================
+
+/**
+ * Deterministic word-hash embedding: no model, no network
+ * Texts sharing words get similar vectors, so scores are at least lexical
+ */
+function createStubProvider() {
+  const hashString = (str) => {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) - hash) + str.charCodeAt(i);
+      hash = hash & hash; // Convert to 32bit integer
+    }
+    return Math.abs(hash);
+  };
+
+  const embedOne = (text) => {
+    const embedding = new Array(STUB_DIMENSION).fill(0);
+
+    const words = (text || '')
+      .toLowerCase()
+      .split(/\W+/)
+      .filter(w => w.length > 2)
+      .slice(0, 1000); // Limit to first 1000 words
+
+    // Hash each word and distribute across embedding dimensions
+    for (const word of words) {
+      const hash = hashString(word);
+      for (let i = 0; i < STUB_DIMENSION; i++) {
+        const component = ((hash + i * 73) ^ (i * 193)) & 0xff;
+        embedding[i] += (component / 256) - 0.5; // Range: -0.5 to 0.5
+      }
+    }
+
+    // Boost the most frequent words
+    const wordFreq = new Map();
+    for (const word of words) {
+      wordFreq.set(word, (wordFreq.get(word) || 0) + 1);
+    }
+
+    const topWords = Array.from(wordFreq.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 50)
+      .map(([w]) => w);
+
+    for (const word of topWords) {
+      embedding[hashString(word) % STUB_DIMENSION] += 0.5;
+    }
+
+    const magnitude = Math.sqrt(embedding.reduce((sum, x) => sum + x * x, 0));
+    return magnitude > 0 ? embedding.map(x => x / magnitude) : embedding;
+  };
+
+  return {
+    name: 'stub',
+    model: 'word-hash-v1',
+    dimension: STUB_DIMENSION,
+    maxBatchSize: 256,
+    available: () => true,
+    embedBatch: async (texts) => texts.map(embedOne)
+  };
+}
+
+/**
+ * Any endpoint speaking the OpenAI /v1/embeddings protocol
+ * (OpenAI, Azure-compatible gateways, Ollama, vLLM, LM Studio, ...)
+ */
+function createOpenAICompatibleProvider() {
+  const apiUrl = process.env.EMBEDDING_API_URL || 'https://api.openai.com/v1/embeddings';
+  const apiKey = process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY;
+  const model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+  const isOpenAI = apiUrl.includes('api.openai.com');
+
+  const provider = {
+    name: 'openai',
+    model,
+    dimension: parseInt(process.env.EMBEDDING_DIMENSIONS) || KNOWN_MODEL_DIMENSIONS[model] || null,
+    maxBatchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 96,
+    // Self-hosted endpoints often need no key
+    available: () => Boolean(apiKey) || !isOpenAI,
+
+    embedBatch: async (texts) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ input: texts, model })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Embedding API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const vectors = [...data.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+
+      provider.dimension = vectors[0]?.length || provider.dimension;
+      return vectors;
+    }
+  };
+
+  return provider;
+}
+
+/**
+ * Sentence-transformer on CPU via @xenova/transformers
+ */
+function createLocalProvider() {
+  const provider = {
+    name: 'local',
+    model: getLocalEmbeddingInfo().model,
+    dimension: KNOWN_MODEL_DIMENSIONS[getLocalEmbeddingInfo().model] || null,
+    maxBatchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 16,
+    available: () => true,
+
+    embedBatch: async (texts) => {
+      const vectors = await generateLocalEmbeddings(texts);
+      provider.dimension = vectors[0]?.length || provider.dimension;
+      return vectors;
+    }
+  };
+
+  return provider;
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+const providerFactories = new Map([
+  ['stub', createStubProvider],
+  ['openai', createOpenAICompatibleProvider],
+  ['local', createLocalProvider]
+]);
+
+const providerInstances = new Map();
+
+/**
+ * Register a custom provider factory
+ * Factory returns { name, model, dimension, maxBatchSize, available(), embedBatch(texts) }
+ */
+export function registerEmbeddingProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providerInstances.delete(name);
+}
+
+/**
+ * Get a provider by name (defaults to EMBEDDING_METHOD, then stub)
+ */
+export function getEmbeddingProvider(name = process.env.EMBEDDING_METHOD || 'stub') {
+  if (!providerFactories.has(name)) {
+    throw new Error(`Unknown embedding provider: ${name} (available: ${Array.from(providerFactories.keys()).join(', ')})`);
+  }
+
+  if (!providerInstances.has(name)) {
+    providerInstances.set(name, providerFactories.get(name)());
+  }
+
+  return providerInstances.get(name);
+}
+
+/**
+ * List registered providers with their metadata
+ */
+export function listEmbeddingProviders() {
+  return Array.from(providerFactories.keys()).map(name => {
+    const provider = getEmbeddingProvider(name);
+    return {
+      name: provider.name,
+      model: provider.model,
+      dimension: provider.dimension,
+      maxBatchSize: provider.maxBatchSize,
+      available: provider.available()
+    };
+  });
+}
+
+// ============================================================================
+// Embedding Service (batching + caching)
+// ============================================================================
+
+export class EmbeddingService {
+  constructor(options = {}) {
+    this.providerName = options.provider || process.env.EMBEDDING_METHOD || 'stub';
+    this.fallbackName = options.fallback === undefined ? 'stub' : options.fallback;
+    this.database = options.database || null;
+    this.memoryLimit = options.memoryLimit || 2000;
+    this.memoryCache = new Map(); // insertion order = LRU order
+    this.stats = { memoryHits: 0, databaseHits: 0, computed: 0, fallbacks: 0 };
+  }
+
+  /**
+   * Attach (or detach) the database used as the persistent cache
+   */
+  setDatabase(database) {
+    this.database = database;
+  }
+
+  /**
+   * Provider metadata for the configured provider
+   */
+  getInfo() {
+    const provider = this.getProvider();
+    return {
+      provider: provider.name,
+      model: provider.model,
+      dimension: provider.dimension
+    };
+  }
+
+  /**
+   * Configured provider, or the fallback if it can't run (e.g. missing API key)
+   *
+   * @private
+   */
+  getProvider() {
+    const provider = getEmbeddingProvider(this.providerName);
+    if (!provider.available() && this.fallbackName) {
+      return getEmbeddingProvider(this.fallbackName);
+    }
+    return provider;
+  }
+
+  /**
+   * Embed a single text
+   */
+  async embed(text) {
+    const [vector] = await this.embedMany([text]);
+    return vector;
+  }
+
+  /**
+   * Embed many texts: memory cache -> DB cache -> provider (in batches)
+   */
+  async embedMany(texts) {
+    const { embeddings } = await this.embedManyTagged(texts);
+    return embeddings;
+  }
+
+  /**
+   * Embed a single text and report which provider/model produced it
+   *
+   * @returns {Promise<{ embedding: number[], tag: Object }>}
+   */
+  async embedTagged(text) {
+    const { embeddings, tag } = await this.embedManyTagged([text]);
+    return { embedding: embeddings[0], tag };
+  }
+
+  /**
+   * Embed many texts with the provider tag that must be stored next to them
+   * Falls back to the fallback provider for the whole call if the provider fails
+   *
+   * @returns {Promise<{ embeddings: number[][], tag: { provider, model, dimension } }>}
+   */
+  async embedManyTagged(texts) {
+    let provider = this.getProvider();
+    let embeddings;
+
+    try {
+      embeddings = await this.embedWithProvider(provider, texts);
+    } catch (error) {
+      if (!this.fallbackName || provider.name === this.fallbackName) throw error;
+
+      console.warn(`[Embeddings] ${provider.name} failed, falling back to ${this.fallbackName}:`, error.message);
+      this.stats.fallbacks++;
+      provider = getEmbeddingProvider(this.fallbackName);
+      embeddings = await this.embedWithProvider(provider, texts);
+    }
+
+    return {
+      embeddings,
+      tag: {
+        provider: provider.name,
+        model: provider.model,
+        dimension: embeddings[0]?.length || provider.dimension
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  async embedWithProvider(provider, texts) {
+    const keys = texts.map(text => this.cacheKey(provider, text));
+    const results = new Array(texts.length).fill(null);
+
+    // 1. In-process cache
+    for (let i = 0; i < keys.length; i++) {
+      const cached = this.memoryCache.get(keys[i].id);
+      if (cached) {
+        this.memoryCache.delete(keys[i].id);
+        this.memoryCache.set(keys[i].id, cached);
+        results[i] = cached;
+        this.stats.memoryHits++;
+      }
+    }
+
+    // 2. Persistent cache
+    let missing = this.missingIndexes(results);
+    if (missing.length > 0 && this.database) {
+      const found = await this.readDatabaseCache(provider, missing.map(i => keys[i].hash));
+      for (const i of missing) {
+        const vector = found.get(keys[i].hash);
+        if (vector) {
+          results[i] = vector;
+          this.remember(keys[i].id, vector);
+          this.stats.databaseHits++;
+        }
+      }
+      missing = this.missingIndexes(results);
+    }
+
+    // 3. Compute the rest, de-duplicated and batched
+    // Results come from the computed vectors; the LRU may already have evicted
+    // them on a large or concurrent batch, so the cache is only written here
+    const uniqueMissing = Array.from(new Map(missing.map(i => [keys[i].hash, i])).values());
+    const vectorsByHash = new Map();
+
+    for (let start = 0; start < uniqueMissing.length; start += provider.maxBatchSize) {
+      const batch = uniqueMissing.slice(start, start + provider.maxBatchSize);
+      const vectors = await provider.embedBatch(batch.map(i => texts[i] || ''));
+
+      const computed = [];
+      batch.forEach((index, j) => {
+        this.remember(keys[index].id, vectors[j]);
+        vectorsByHash.set(keys[index].hash, vectors[j]);
+        computed.push({ hash: keys[index].hash, vector: vectors[j] });
+      });
+      this.stats.computed += batch.length;
+
+      if (this.database) {
+        await this.writeDatabaseCache(provider, computed);
+      }
+    }
+
+    for (const i of missing) {
+      results[i] = vectorsByHash.get(keys[i].hash);
+    }
+
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  cacheKey(provider, text) {
+    const hash = crypto.createHash('sha256').update(text || '').digest('hex');
+    return { hash, id: `${provider.name}:${provider.model}:${hash}` };
+  }
+
+  /**
+   * @private
+   */
+  missingIndexes(results) {
+    return results.map((r, i) => (r ? -1 : i)).filter(i => i >= 0);
+  }
+
+  /**
+   * @private
+   */
+  remember(id, vector) {
+    this.memoryCache.set(id, vector);
+    if (this.memoryCache.size > this.memoryLimit) {
+      this.memoryCache.delete(this.memoryCache.keys().next().value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async readDatabaseCache(provider, hashes) {
+    const found = new Map();
+
+    try {
+      const result = await this.database.query(
+        `UPDATE embedding_cache SET last_used_at = NOW()
+        WHERE provider = $1 AND model = $2 AND text_hash = ANY($3)
+        RETURNING text_hash, embedding`,
+        [provider.name, provider.model, hashes]
+      );
+
+      for (const row of result.rows) {
+        found.set(row.text_hash, row.embedding);
+      }
+    } catch (error) {
+      // Cache is best-effort; a missing table just means we recompute
+      console.warn('[Embeddings] Cache read failed:', error.message);
+    }
+
+    return found;
+  }
+
+  /**
+   * @private
+   */
+  async writeDatabaseCache(provider, entries) {
+    try {
+      for (const entry of entries) {
+        await this.database.query(
+          `INSERT INTO embedding_cache (provider, model, text_hash, dimension, embedding)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (provider, model, text_hash) DO NOTHING`,
+          [provider.name, provider.model, entry.hash, entry.vector.length, entry.vector]
+        );
+      }
+    } catch (error) {
+      console.warn('[Embeddings] Cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Cache and fallback counters
+   */
+  getStats() {
+    return { ...this.stats, memoryEntries: this.memoryCache.size };
+  }
+}
+
+// ============================================================================
+// Embedding Tags
+// ============================================================================
+
+/**
+ * Read the provider tag stored next to an embedding (resumes, jobs, skills rows)
+ */
+export function getEmbeddingTag(record) {
+  if (!record || !record.embedding_provider || !record.embedding_model) return null;
+
+  return {
+    provider: record.embedding_provider,
+    model: record.embedding_model,
+    dimension: record.embedding_dimension ? parseInt(record.embedding_dimension) : null
+  };
+}
+
+/**
+ * Vectors are only comparable if the same provider and model produced them
+ * Untagged (legacy) vectors have unknown provenance and never match
+ */
+export function embeddingTagsMatch(tagA, tagB) {
+  if (!tagA || !tagB) return false;
+
+  return tagA.provider === tagB.provider &&
+    tagA.model === tagB.model &&
+    tagA.dimension === tagB.dimension;
+}
+
+// ============================================================================
+// Shared Service
+// ============================================================================
+
+let defaultService = null;
+
+/**
+ * Process-wide service used by server.js and SemanticAgent
+ * Created lazily so EMBEDDING_METHOD is read after .env is loaded
+ */
+export function getEmbeddingService() {
+  if (!defaultService) {
+    defaultService = new EmbeddingService();
+  }
+  return defaultService;
+}
+
+export default {
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  listEmbeddingProviders,
+  getEmbeddingService,
+  getEmbeddingTag,
+  embeddingTagsMatch,
+  EmbeddingService
+};
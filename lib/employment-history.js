@@ -0,0 +1,416 @@
+// Employment History: Dated positions from resume text
+// Finds the work-experience section, anchors each position on a date range
+// ("Jan 2019 – Present", "2019-2021", "03/2018 - 06/2020") and reads title and
+// company from the lines around it. The lines up to the next position are kept
+// as its description. Overlaps and gaps are measured on months.
+
+import { segmentResume, getSections } from './resume-sections.js';
+
+// ============================================================================
+// Date Parsing
+// ============================================================================
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH_NAME = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE_TOKEN = `(?:${MONTH_NAME}\\s*'?\\d{4}|(?:0?[1-9]|1[0-2])[\\/.]\\d{4}|\\d{4}[\\/-](?:0?[1-9]|1[0-2])(?!\\d)|(?:19|20)\\d{2})`;
+const END_TOKEN = `(?:${DATE_TOKEN}|present|current|now|today|ongoing|date)`;
+const RANGE_PATTERN = new RegExp(`(${DATE_TOKEN})\\s*(?:-|–|—|to|until|through|till)\\s*(${END_TOKEN})`, 'i');
+
+const CURRENT_WORDS = /^(present|current|now|today|ongoing|date)$/i;
+
+/**
+ * Parse one date token into { year, month, precision }
+ *
+ * @private
+ */
+function parseDateToken(token) {
+  const value = token.trim().toLowerCase().replace(/'/g, '');
+  let match;
+
+  if ((match = value.match(/^([a-z]+)\.?\s*(\d{4})$/))) {
+    const month = MONTHS[match[1].slice(0, 3)];
+    return month ? { year: parseInt(match[2]), month, precision: 'month' } : null;
+  }
+
+  if ((match = value.match(/^(\d{1,2})[/.](\d{4})$/))) {
+    return { year: parseInt(match[2]), month: parseInt(match[1]), precision: 'month' };
+  }
+
+  if ((match = value.match(/^(\d{4})[/-](\d{1,2})$/))) {
+    return { year: parseInt(match[1]), month: parseInt(match[2]), precision: 'month' };
+  }
+
+  if ((match = value.match(/^(\d{4})$/))) {
+    return { year: parseInt(match[1]), month: null, precision: 'year' };
+  }
+
+  return null;
+}
+
+/**
+ * Turn a matched range into month indexes (year * 12 + month - 1), end inclusive
+ * Year-only dates are read as mid-year so "2019-2021" counts as two years
+ *
+ * @private
+ */
+function resolveRange(startToken, endToken, now) {
+  const nowIndex = now.getFullYear() * 12 + now.getMonth();
+  const start = parseDateToken(startToken);
+  if (!start) return null;
+
+  const isCurrent = CURRENT_WORDS.test(endToken.trim());
+  const end = isCurrent ? null : parseDateToken(endToken);
+  if (!isCurrent && !end) return null;
+
+  let startIndex = start.year * 12 + (start.month ? start.month - 1 : 6);
+  let endIndex;
+
+  if (isCurrent) {
+    endIndex = nowIndex;
+  } else if (end.precision === 'year') {
+    endIndex = end.year * 12 + 5;
+    // "2019 - 2019": the whole year
+    if (start.precision === 'year' && start.year === end.year) {
+      startIndex = start.year * 12;
+      endIndex = start.year * 12 + 11;
+    }
+  } else {
+    endIndex = end.year * 12 + end.month - 1;
+  }
+
+  endIndex = Math.min(endIndex, nowIndex);
+
+  if (start.year < 1950 || startIndex > nowIndex || endIndex < startIndex) {
+    return null;
+  }
+
+  return {
+    startIndex,
+    endIndex,
+    isCurrent,
+    precision: start.precision === 'month' && (isCurrent || end.precision === 'month') ? 'month' : 'year'
+  };
+}
+
+function monthIndexToDate(index, endOfMonth = false) {
+  const year = Math.floor(index / 12);
+  const month = (index % 12) + 1;
+  const day = endOfMonth ? new Date(Date.UTC(year, month, 0)).getUTCDate() : 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function dateToMonthIndex(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+// ============================================================================
+// Section Selection
+// ============================================================================
+
+// Sections that never hold employment (study dates, certification dates, ...)
+const NON_EMPLOYMENT_SECTIONS = ['education', 'certifications', 'skills', 'interests', 'references', 'languages', 'awards', 'publications'];
+const STUDY_LINE = /\b(university|college|school|bachelor|master|degree|b\.?s\.?c?|m\.?s\.?c?|ph\.?d)\b/i;
+
+/**
+ * Experience sections, or every section that could hold jobs if there is none
+ *
+ * @private
+ */
+function findEmploymentSections(text) {
+  const segmentation = segmentResume(text);
+  const experience = getSections(segmentation, 'experience');
+
+  if (experience.length > 0) return experience;
+
+  return segmentation.sections.filter(section => !NON_EMPLOYMENT_SECTIONS.includes(section.type));
+}
+
+// ============================================================================
+// Title / Company Detection
+// ============================================================================
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|manager|analyst|designer|consultant|intern|lead|director|architect|scientist|specialist|administrator|officer|coordinator|associate|assistant|head|vp|vice\s+president|president|founder|co-founder|owner|technician|teacher|instructor|researcher|accountant|nurse|writer|editor|strategist|recruiter|representative|executive|supervisor|advisor|tester|qa|devops|sre|cto|ceo|cfo|coo|partner|fellow|contractor|freelancer?)\b/i;
+// Legal suffixes always mean a company; industry words only when no title word is present
+const COMPANY_SUFFIX = /\b(inc|llc|ltd|limited|corp|corporation|company|co|gmbh|plc|ag|s\.?a)\b\.?/i;
+const COMPANY_WORDS = /\b(technologies|technology|labs?|solutions|group|systems|software|consulting|partners|bank|university|college|institute|agency|studios?|ventures|holdings|foundation|hospital)\b/i;
+const LOCATION = /\b([Rr]emote|REMOTE|[Hh]ybrid|[A-Z][a-zA-Z.]+(?:\s[A-Z][a-zA-Z.]+)*,\s*[A-Z]{2}\b(?:,\s*[A-Z][a-zA-Z]+)?)/;
+const BULLET = /^\s*(?:[-•*▪◦●‣–]|\d+[.)])\s+/;
+
+/**
+ * Split a header line into fragments ("Title | Company", "Title, Company", "Title at Company")
+ *
+ * @private
+ */
+function splitHeader(text) {
+  const fragments = [];
+
+  // Pull "City, ST" / "Remote" out first so the comma doesn't split it
+  const location = text.match(LOCATION);
+  if (location) {
+    fragments.push({ location: location[1] });
+    text = text.replace(location[0], ' ');
+  }
+
+  return fragments.concat(text
+    .split(/\s*(?:\||•|·|\s[-–—]\s|,\s|\t|\s{3,})\s*/)
+    .flatMap(part => {
+      const at = part.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+      return at ? [at[1], { company: at[2] }] : [part];
+    })
+    .map(part => (typeof part === 'string' ? part.trim() : part))
+    .filter(part => (typeof part === 'string' ? part.length > 1 && /[a-z]/i.test(part) : true)));
+}
+
+function looksLikeHeader(line) {
+  const trimmed = line.trim();
+  return trimmed.length > 1 &&
+    trimmed.length <= 100 &&
+    !BULLET.test(line) &&
+    !/[.;]$/.test(trimmed) &&
+    !/\S+@\S+\.\S+|https?:\/\//.test(trimmed);
+}
+
+/**
+ * Pick title and company from header fragments
+ *
+ * @private
+ */
+function classifyFragments(fragments) {
+  let title = null;
+  let company = null;
+  let location = null;
+  const rest = [];
+
+  for (const fragment of fragments) {
+    if (typeof fragment === 'object') {
+      company = company || fragment.company || null;
+      location = location || fragment.location || null;
+      continue;
+    }
+
+    const titleLike = TITLE_WORDS.test(fragment);
+    const companyLike = COMPANY_SUFFIX.test(fragment) || (!titleLike && COMPANY_WORDS.test(fragment));
+
+    if (!title && titleLike && !COMPANY_SUFFIX.test(fragment)) {
+      title = fragment;
+    } else if (!company && companyLike) {
+      company = fragment;
+    } else {
+      rest.push(fragment);
+    }
+  }
+
+  // Whatever is left over fills the empty slots in reading order
+  if (!title && rest.length > 0 && TITLE_WORDS.test(rest[0])) title = rest.shift();
+  if (!company && rest.length > 0) company = rest.shift();
+  if (!title && rest.length > 0) title = rest.shift();
+
+  return { title, company, location };
+}
+
+// ============================================================================
+// Position Extraction
+// ============================================================================
+
+/**
+ * Positions anchored on the date ranges in one section's lines
+ *
+ * @private
+ */
+function parseSectionPositions(lines, sectionType, now) {
+  const positions = [];
+  let consumedUntil = -1;
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(RANGE_PATTERN);
+    if (!match) continue;
+
+    const range = resolveRange(match[1], match[2], now);
+    if (!range) continue;
+
+    // Outside a real experience section, date ranges may be study periods
+    if (sectionType !== 'experience' && STUDY_LINE.test(lines[i])) {
+      continue;
+    }
+
+    const fragments = splitHeader(lines[i].replace(match[0], ' ').replace(/[()]/g, ' '));
+    const headerLines = [lines[i].trim()];
+    let headerStart = i;
+
+    // Header lines directly above the date (not part of the previous entry)
+    for (let j = i - 1; j > consumedUntil && j >= i - 2; j--) {
+      if (!looksLikeHeader(lines[j]) || RANGE_PATTERN.test(lines[j])) break;
+      fragments.unshift(...splitHeader(lines[j]));
+      headerLines.unshift(lines[j].trim());
+      headerStart = j;
+    }
+
+    let { title, company, location } = classifyFragments(fragments);
+    consumedUntil = i;
+
+    // Date on its own line: title/company may follow it
+    for (let j = i + 1; j < lines.length && j <= i + 2 && (!title || !company); j++) {
+      if (!looksLikeHeader(lines[j]) || RANGE_PATTERN.test(lines[j])) break;
+      const below = classifyFragments(splitHeader(lines[j]));
+      title = title || below.title;
+      company = company || below.company;
+      location = location || below.location;
+      headerLines.push(lines[j].trim());
+      consumedUntil = j;
+    }
+
+    positions.push({
+      title: title || null,
+      company: company || null,
+      location: location || null,
+      start_date: monthIndexToDate(range.startIndex),
+      end_date: range.isCurrent ? null : monthIndexToDate(range.endIndex, true),
+      is_current: range.isCurrent,
+      duration_months: range.endIndex - range.startIndex + 1,
+      date_precision: range.precision,
+      section: sectionType,
+      raw: headerLines.join(' | ').slice(0, 200),
+      description: '',
+      lineRange: [headerStart, consumedUntil]
+    });
+  }
+
+  // Description: everything after the header until the next position's header
+  positions.forEach((position, index) => {
+    const [, headerEnd] = position.lineRange;
+    const bodyEnd = index + 1 < positions.length ? positions[index + 1].lineRange[0] : lines.length;
+
+    position.description = lines.slice(headerEnd + 1, bodyEnd)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n')
+      .slice(0, 2000);
+    delete position.lineRange;
+  });
+
+  return positions;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Parse dated positions from resume text
+ *
+ * @param {string} text - Resume text
+ * @param {Object} options - { now: Date }
+ * @returns {Array<Object>} Positions, most recent first:
+ *   { title, company, location, start_date, end_date (null = current), is_current,
+ *     duration_months, date_precision, section, raw, description }
+ */
+export function parseEmploymentHistory(text, options = {}) {
+  if (!text || typeof text !== 'string') return [];
+
+  const now = options.now || new Date();
+  const positions = [];
+
+  for (const section of findEmploymentSections(text)) {
+    positions.push(...parseSectionPositions(section.text.split(/\r?\n/), section.type, now));
+  }
+
+  // Same role listed twice (e.g. in a summary and in the section)
+  const unique = [];
+  const seen = new Set();
+  for (const position of positions) {
+    const key = `${position.start_date}|${position.end_date}|${(position.title || '').toLowerCase()}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      unique.push(position);
+    }
+  }
+
+  return unique.sort((a, b) => b.start_date.localeCompare(a.start_date));
+}
+
+/**
+ * Tenure, overlap and gap figures for a list of positions
+ * Overlapping roles are merged so concurrent jobs don't double-count years
+ *
+ * @param {Array<Object>} positions - { start_date, end_date } (end_date null = current)
+ * @param {Object} options - { now: Date, minGapMonths: 3 }
+ */
+export function summarizeEmploymentHistory(positions, options = {}) {
+  const now = options.now || new Date();
+  const minGapMonths = options.minGapMonths ?? 3;
+  const nowIndex = now.getFullYear() * 12 + now.getMonth();
+
+  const intervals = (Array.isArray(positions) ? positions : [])
+    .map((position, index) => {
+      const start = dateToMonthIndex(position.start_date);
+      const end = position.end_date ? dateToMonthIndex(position.end_date) : nowIndex;
+      return start !== null && end !== null && end >= start ? { index, start, end } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  const summary = {
+    position_count: intervals.length,
+    total_months: 0,
+    total_years: 0,
+    average_tenure_months: 0,
+    overlaps: [],
+    gaps: [],
+    longest_gap_months: 0,
+    months_since_last_role: null
+  };
+
+  if (intervals.length === 0) return summary;
+
+  // Overlapping pairs (at least one full month in common)
+  for (let a = 0; a < intervals.length; a++) {
+    for (let b = a + 1; b < intervals.length && intervals[b].start <= intervals[a].end; b++) {
+      const months = Math.min(intervals[a].end, intervals[b].end) - intervals[b].start + 1;
+      if (months >= 1) {
+        summary.overlaps.push({ positions: [intervals[a].index, intervals[b].index], months });
+      }
+    }
+  }
+
+  // Merge, then measure gaps between merged blocks
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end + 1) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+  }
+
+  for (let i = 1; i < merged.length; i++) {
+    const months = merged[i].start - merged[i - 1].end - 1;
+    if (months >= minGapMonths) {
+      summary.gaps.push({
+        start_date: monthIndexToDate(merged[i - 1].end + 1),
+        end_date: monthIndexToDate(merged[i].start - 1, true),
+        months
+      });
+    }
+  }
+
+  summary.total_months = merged.reduce((sum, block) => sum + block.end - block.start + 1, 0);
+  summary.total_years = Math.round((summary.total_months / 12) * 10) / 10;
+  summary.average_tenure_months = Math.round(
+    intervals.reduce((sum, interval) => sum + interval.end - interval.start + 1, 0) / intervals.length
+  );
+  summary.longest_gap_months = summary.gaps.reduce((max, gap) => Math.max(max, gap.months), 0);
+  summary.months_since_last_role = Math.max(0, nowIndex - merged[merged.length - 1].end);
+
+  return summary;
+}
+
+export default {
+  parseEmploymentHistory,
+  summarizeEmploymentHistory
+};
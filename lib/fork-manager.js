@@ -23,6 +23,7 @@ export class ForkManager {
     this.config = {
       maxConcurrentForks: 10,
       forkRetentionHours: 24,
+      trailRetentionDays: 7, // agent_channels / agent_messages (migration 019)
       forkTimeoutSeconds: 30
     };
 
@@ -355,13 +356,38 @@ export class ForkManager {
 
       console.log(`[ForkManager]  Cleaned up ${memoryCleanupCount} old forks from memory`);
 
-      return { databaseCount: deletedCount, memoryCount: memoryCleanupCount };
+      const trailCount = await this.cleanupAgentTrail();
+
+      return { databaseCount: deletedCount, memoryCount: memoryCleanupCount, trailCount };
 
     } catch (error) {
       console.error(`[ForkManager] Error during cleanup:`, error.message);
     }
   }
 
+  /**
+   * Delete agent message trails older than trailRetentionDays
+   * Separate from fork cleanup so a database without migration 019 still
+   * gets its forks cleaned
+   *
+   * @returns {Promise<number>} Channels deleted
+   */
+  async cleanupAgentTrail() {
+    try {
+      const result = await this.mainPool.query(
+        'SELECT * FROM cleanup_agent_trail(make_interval(days => $1))',
+        [this.config.trailRetentionDays]
+      );
+
+      const { deleted_channels: channels, deleted_messages: messages } = result.rows[0];
+      console.log(`[ForkManager]  Cleaned up ${channels} agent channels and ${messages} messages`);
+      return channels;
+    } catch (error) {
+      console.error(`[ForkManager] Error cleaning up agent trail:`, error.message);
+      return 0;
+    }
+  }
+
   /**
    * Schedule periodic cleanup
    *
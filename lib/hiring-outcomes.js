@@ -0,0 +1,347 @@
+/**
+ * HiringOutcomes: Record real hiring decisions and measure score accuracy
+ * Closes the loop between multi-agent fit scores and what actually happened
+ */
+
+export const OUTCOME_STAGES = ['interview', 'offer', 'hired', 'rejected'];
+
+// Score bands used by the accuracy report (composite is 0-100)
+const SCORE_BANDS = [
+  { label: '0-40', min: 0, max: 40 },
+  { label: '40-60', min: 40, max: 60 },
+  { label: '60-80', min: 60, max: 80 },
+  { label: '80-100', min: 80, max: 100.01 }
+];
+
+/**
+ * Validate and normalize a single outcome payload
+ * Returns { value } on success or { error } describing the problem
+ */
+export function normalizeOutcome(input = {}) {
+  const resumeId = typeof input.resume_id === 'string' ? input.resume_id.trim() : '';
+  const jobId = typeof input.job_id === 'string' ? input.job_id.trim() : '';
+  const outcome = typeof input.outcome === 'string' ? input.outcome.trim().toLowerCase() : '';
+
+  if (!resumeId || !jobId) {
+    return { error: 'resume_id and job_id are required' };
+  }
+
+  if (!OUTCOME_STAGES.includes(outcome)) {
+    return { error: `outcome must be one of: ${OUTCOME_STAGES.join(', ')}` };
+  }
+
+  let successScore = null;
+  if (input.success_score !== undefined && input.success_score !== null && input.success_score !== '') {
+    successScore = parseFloat(input.success_score);
+    if (!Number.isFinite(successScore) || successScore < 0 || successScore > 1) {
+      return { error: 'success_score must be a number between 0 and 1' };
+    }
+  }
+
+  const notes = typeof input.notes === 'string' && input.notes.trim() ? input.notes.trim() : null;
+
+  return {
+    value: {
+      resume_id: resumeId,
+      job_id: jobId,
+      outcome,
+      success_score: successScore,
+      notes
+    }
+  };
+}
+
+/**
+ * Parse outcome CSV text into row objects keyed by header name
+ * Supports quoted fields with embedded commas, quotes and newlines
+ */
+export function parseOutcomesCsv(text) {
+  const records = [];
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+
+  const source = (text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = nonEmpty[0].map(h => h.trim().toLowerCase());
+  const rows = nonEmpty.slice(1).map(values => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = (values[index] || '').trim();
+    });
+    return row;
+  });
+
+  return { headers, rows };
+}
+
+export class HiringOutcomes {
+  constructor(database) {
+    this.pool = database;
+  }
+
+  /**
+   * Record one outcome for a resume-job pair that has a multi-agent score
+   * Throws with statusCode 404 when the pair was never scored
+   */
+  async recordOutcome(outcome, source = 'api') {
+    const scored = await this.pool.query(
+      'SELECT composite_score FROM multi_agent_scores WHERE resume_id = $1 AND job_id = $2',
+      [outcome.resume_id, outcome.job_id]
+    );
+
+    if (scored.rows.length === 0) {
+      const error = new Error(`No multi-agent score found for resume ${outcome.resume_id} and job ${outcome.job_id}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const result = await this.pool.query(
+      'SELECT record_hiring_outcome($1, $2, $3, $4, $5, $6) as id',
+      [outcome.resume_id, outcome.job_id, outcome.outcome, outcome.success_score, outcome.notes, source]
+    );
+
+    return {
+      id: result.rows[0].id,
+      ...outcome,
+      composite_score: parseFloat(scored.rows[0].composite_score),
+      source
+    };
+  }
+
+  /**
+   * Record many outcomes, continuing past bad rows
+   * Row numbers are 1-based data rows (header excluded)
+   */
+  async recordOutcomes(rows, source = 'csv_import') {
+    const recorded = [];
+    const failed = [];
+
+    for (let i = 0; i < rows.length; i++) {
+      const { value, error } = normalizeOutcome(rows[i]);
+      if (error) {
+        failed.push({ row: i + 1, error });
+        continue;
+      }
+
+      try {
+        recorded.push(await this.recordOutcome(value, source));
+      } catch (recordError) {
+        failed.push({ row: i + 1, resume_id: value.resume_id, job_id: value.job_id, error: recordError.message });
+      }
+    }
+
+    return { recorded, failed };
+  }
+
+  /**
+   * Get the recorded outcome for a resume-job pair (null when none)
+   */
+  async getOutcome(resumeId, jobId) {
+    const result = await this.pool.query(
+      'SELECT * FROM hiring_outcome_scores WHERE resume_id = $1 AND job_id = $2',
+      [resumeId, jobId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Compare recorded outcomes to multi-agent composite scores
+   * Answers: do higher fit scores actually lead to interviews, offers and hires?
+   */
+  async getAccuracyReport(days = 90) {
+    const cutoff = new Date(Date.now() - days * 24 * 3600 * 1000);
+
+    const result = await this.pool.query(
+      `SELECT outcome, hired, success_score, composite_score,
+        skill_score, experience_score, education_score, certification_score, semantic_score
+      FROM hiring_outcome_scores
+      WHERE timestamp > $1 AND composite_score IS NOT NULL`,
+      [cutoff]
+    );
+
+    const rows = result.rows.map(row => ({
+      outcome: row.outcome,
+      hired: row.hired,
+      success_score: row.success_score !== null ? parseFloat(row.success_score) : null,
+      composite_score: parseFloat(row.composite_score),
+      dimensions: {
+        skill: toNumber(row.skill_score),
+        experience: toNumber(row.experience_score),
+        education: toNumber(row.education_score),
+        certification: toNumber(row.certification_score),
+        semantic: toNumber(row.semantic_score)
+      }
+    }));
+
+    const byOutcome = {};
+    for (const stage of OUTCOME_STAGES) {
+      const stageRows = rows.filter(r => r.outcome === stage);
+      byOutcome[stage] = {
+        count: stageRows.length,
+        avg_composite: round(average(stageRows.map(r => r.composite_score)))
+      };
+    }
+
+    // Anything past the screen counts as "advanced" (interview, offer or hire)
+    const advanced = rows.map(r => r.outcome !== 'rejected');
+    const hired = rows.map(r => r.outcome === 'hired');
+    const scores = rows.map(r => r.composite_score);
+
+    const bands = SCORE_BANDS.map(band => {
+      const bandRows = rows.filter(r => r.composite_score >= band.min && r.composite_score < band.max);
+      return {
+        band: band.label,
+        count: bandRows.length,
+        advance_rate: rate(bandRows.filter(r => r.outcome !== 'rejected').length, bandRows.length),
+        hire_rate: rate(bandRows.filter(r => r.outcome === 'hired').length, bandRows.length)
+      };
+    });
+
+    const dimensionCorrelation = {};
+    for (const dimension of ['skill', 'experience', 'education', 'certification', 'semantic']) {
+      const pairs = rows.filter(r => r.dimensions[dimension] !== null);
+      dimensionCorrelation[dimension] = round(correlation(
+        pairs.map(r => r.dimensions[dimension]),
+        pairs.map(r => (r.outcome === 'hired' ? 1 : 0))
+      ), 3);
+    }
+
+    const withSuccess = rows.filter(r => r.success_score !== null);
+    const hireAuc = rocAuc(scores, hired);
+
+    return {
+      timeframe: `${days} days`,
+      total_outcomes: rows.length,
+      by_outcome: byOutcome,
+      score_bands: bands,
+      predictive_power: {
+        hire_auc: round(hireAuc, 3),
+        advance_auc: round(rocAuc(scores, advanced), 3),
+        hire_correlation: round(correlation(scores, hired.map(h => (h ? 1 : 0))), 3),
+        success_correlation: round(correlation(
+          withSuccess.map(r => r.composite_score),
+          withSuccess.map(r => r.success_score)
+        ), 3),
+        interpretation: interpretAuc(hireAuc)
+      },
+      dimension_hire_correlation: dimensionCorrelation
+    };
+  }
+}
+
+// ============================================================================
+// Statistics helpers
+// ============================================================================
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+function round(value, digits = 2) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function rate(count, total) {
+  return total > 0 ? round(count / total, 3) : null;
+}
+
+/**
+ * Pearson correlation; with a 0/1 target this is the point-biserial coefficient
+ */
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+
+  const meanX = average(xs);
+  const meanY = average(ys);
+  let cov = 0;
+  let varX = 0;
+  let varY = 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    cov += (xs[i] - meanX) * (ys[i] - meanY);
+    varX += Math.pow(xs[i] - meanX, 2);
+    varY += Math.pow(ys[i] - meanY, 2);
+  }
+
+  if (varX === 0 || varY === 0) return null;
+  return cov / Math.sqrt(varX * varY);
+}
+
+/**
+ * Probability that a random positive outranks a random negative (ties = 0.5)
+ */
+function rocAuc(scores, labels) {
+  const positives = scores.filter((_, i) => labels[i]);
+  const negatives = scores.filter((_, i) => !labels[i]);
+  if (positives.length === 0 || negatives.length === 0) return null;
+
+  let wins = 0;
+  for (const p of positives) {
+    for (const n of negatives) {
+      if (p > n) wins += 1;
+      else if (p === n) wins += 0.5;
+    }
+  }
+
+  return wins / (positives.length * negatives.length);
+}
+
+function interpretAuc(auc) {
+  if (auc === null) return 'Not enough outcomes yet (need both hired and not-hired candidates)';
+  if (auc >= 0.8) return 'Strong: composite score separates hires from non-hires well';
+  if (auc >= 0.65) return 'Moderate: composite score is somewhat predictive of hiring';
+  if (auc > 0.55) return 'Weak: composite score is only slightly better than chance';
+  return 'None: composite score does not predict hiring outcomes';
+}
+
+export default HiringOutcomes;
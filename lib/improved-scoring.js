@@ -2,6 +2,17 @@
 // Uses database-driven data instead of hardcoded lists
 // Implements best-practice scoring algorithms
 
+import {
+  segmentJobDescription,
+  classifyJobItem,
+  classifyJobItems,
+  bucketByImportance,
+  parseJobRequirements,
+  getEducationRequirement,
+  MISSING_PENALTIES
+} from './job-requirements.js';
+import { canonicalSkillId, getSkillSpellings } from './skill-matcher.js';
+
 // ============================================================================
 // IMPROVED SKILL MATCHING SCORE
 // ============================================================================
@@ -61,13 +72,14 @@ export async function computeSkillMatchScore(
         // Skip unverified skills with low confidence
         if (resumeSkill.confidence && resumeSkill.confidence < 0.5) continue;
 
-        // Sanitize skill name - remove special regex characters
-        const sanitizedSkillName = skillName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').toLowerCase();
+        // Sanitize skill spellings (canonical name + aliases) - remove special regex characters
+        const sanitizedSpellings = getSkillSpellings(skillName)
+          .map(spelling => spelling.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').toLowerCase());
 
         const jobSkillLower = (jobDescription || '').toLowerCase();
 
-        // Step 1: Check for exact match in job description
-        const wordBoundaryRegex = new RegExp(`\\b${sanitizedSkillName}\\b`, 'gi');
+        // Step 1: Check for a match of any spelling in job description ("k8s" for Kubernetes)
+        const wordBoundaryRegex = new RegExp(`\\b(?:${sanitizedSpellings.join('|')})\\b`, 'gi');
         const skillMatches = jobSkillLower.match(wordBoundaryRegex) || [];
 
         // Step 2: Calculate skill score based on multiple factors
@@ -115,12 +127,16 @@ export async function computeSkillMatchScore(
     jobSkill => !extractedSkills.some(
       resumeSkill =>
         (resumeSkill.id === jobSkill.id) ||
-        (resumeSkill.normalized_name?.toLowerCase() === jobSkill.name.toLowerCase())
+        (resumeSkill.normalized_name?.toLowerCase() === jobSkill.name.toLowerCase()) ||
+        (resumeSkill.name && canonicalSkillId(resumeSkill.name) === canonicalSkillId(jobSkill.name)) ||
+        (typeof resumeSkill === 'string' && canonicalSkillId(resumeSkill) === canonicalSkillId(jobSkill.name))
     )
   );
 
-  // Penalize missing required skills
-  const missingSkillPenalty = (missingRequiredSkills.length * 0.1) / Math.max(jobRequiredSkills.length, 1);
+  // Penalize missing skills by importance: required heavily, nice-to-haves lightly, bonus not at all
+  const totalWeight = jobRequiredSkills.reduce((sum, s) => sum + s.weight, 0);
+  const missingWeight = missingRequiredSkills.reduce((sum, s) => sum + s.weight * MISSING_PENALTIES[s.importance], 0);
+  const missingSkillPenalty = totalWeight > 0 ? (missingWeight / totalWeight) * 0.3 : 0;
 
   // Final score
   const averageScore = weightedSkillCount > 0 ? totalScore / weightedSkillCount : 0;
@@ -131,6 +147,7 @@ export async function computeSkillMatchScore(
     matched_skills: extractedSkills.length,
     job_required_skills: jobRequiredSkills.length,
     missing_skills: missingRequiredSkills,
+    missing_by_importance: bucketByImportance(missingRequiredSkills),
     breakdown: {
       exact_matches: extractedSkills.filter(s => s.id).length,
       confidence_weighted: averageScore.toFixed(3),
@@ -163,7 +180,9 @@ export async function computeEducationScore(resumeEducation, jobDescription, dat
 
   // Get education level from database
   const resumeLevelCode = await extractEducationLevel(resumeEducation, database);
-  const requiredLevelCode = extractRequiredEducationLevel(jobDescription);
+  const requirement = extractRequiredEducationLevel(jobDescription);
+  const requiredLevelCode = requirement ? requirement.tier : 0;
+  const importance = requirement ? requirement.importance : null;
 
   // If no requirement specified, anyone is qualified
   if (requiredLevelCode === 0) {
@@ -181,13 +200,16 @@ export async function computeEducationScore(resumeEducation, jobDescription, dat
     score = 1.0; // Meets or exceeds requirement
   } else {
     score = (resumeLevelCode / requiredLevelCode) * 0.8; // Partial credit
+    // A preferred degree only costs part of the shortfall
+    score = 1.0 - MISSING_PENALTIES[importance] * (1.0 - score);
   }
 
   return {
     score: Math.min(1.0, score),
-    reason: `${getLevelName(resumeLevelCode)} for ${getLevelName(requiredLevelCode)} requirement`,
+    reason: `${getLevelName(resumeLevelCode)} for ${getLevelName(requiredLevelCode)} ${importance === 'required' ? 'requirement' : `(${importance})`}`,
     resume_level: getLevelName(resumeLevelCode),
-    required_level: getLevelName(requiredLevelCode)
+    required_level: getLevelName(requiredLevelCode),
+    importance
   };
 }
 
@@ -227,6 +249,7 @@ export async function computeCertificationScore(extractedCerts, jobDescription,
   // Match resume certs to job requirements
   let certMatches = 0;
   let totalSalaryBoost = 0;
+  const missingCerts = [];
 
   for (const jobCert of jobRequiredCerts) {
     const match = extractedCerts.find(
@@ -239,18 +262,27 @@ export async function computeCertificationScore(extractedCerts, jobDescription,
     if (match) {
       certMatches++;
       totalSalaryBoost += match.salary_impact || jobCert.salary_impact_usd || 0;
+    } else {
+      missingCerts.push(jobCert);
     }
   }
 
-  const score = certMatches > 0
-    ? Math.min(1.0, certMatches / jobRequiredCerts.length)
+  // Share of the requirement weight lost to missing certs: missing preferred
+  // certs cost little and missing bonus certs nothing
+  const totalWeight = jobRequiredCerts.reduce((sum, c) => sum + c.weight, 0);
+  const lostWeight = missingCerts.reduce((sum, c) => sum + c.weight * MISSING_PENALTIES[c.importance], 0);
+  const score = totalWeight > 0
+    ? Math.max(0.2, 1.0 - lostWeight / totalWeight)
     : 0.2;
 
+  const requiredCount = jobRequiredCerts.filter(c => c.importance === 'required').length;
+
   return {
     score,
-    reason: `${certMatches}/${jobRequiredCerts.length} required certifications`,
+    reason: `${certMatches}/${jobRequiredCerts.length} certifications (${requiredCount} required)`,
     matched_certs: extractedCerts.slice(0, certMatches),
     required_certs: jobRequiredCerts,
+    missing_by_importance: bucketByImportance(missingCerts),
     salary_boost: totalSalaryBoost
   };
 }
@@ -389,13 +421,15 @@ async function extractJobRequiredSkills(jobDescription, database) {
     // Sanitize job description: convert to lowercase, extract words
     const jobText = (jobDescription || '').toLowerCase();
 
-    // Simple keyword extraction: get words that are 3+ characters
+    // Simple keyword extraction: single words plus the multi-word/punctuated
+    // skill names the regex matcher finds ("Node.js", "Machine Learning")
     const words = jobText.match(/\b[a-z]+\b/g) || [];
+    const parsed = parseJobRequirements(jobDescription);
 
-    if (words.length === 0) return [];
+    if (words.length === 0 && parsed.skills.length === 0) return [];
 
     // Deduplicate and limit
-    const uniqueWords = [...new Set(words)].slice(0, 10);
+    const candidates = [...new Set([...parsed.skills.map(s => s.name.toLowerCase()), ...words])].slice(0, 500);
 
     // Try to find matching skills from database
     try {
@@ -403,10 +437,10 @@ async function extractJobRequiredSkills(jobDescription, database) {
         `SELECT DISTINCT id, name
          FROM skills
          WHERE LOWER(name) = ANY($1::text[])
-         LIMIT 20`,
-        [uniqueWords]
+         LIMIT 50`,
+        [candidates]
       );
-      return result.rows || [];
+      return classifyJobItems(result.rows || [], segmentJobDescription(jobDescription));
     } catch (dbError) {
       // If database query fails, return empty array
       console.warn('Database skill query failed:', dbError.message);
@@ -429,7 +463,17 @@ async function extractJobRequiredCertifications(jobDescription, database) {
       [jobDescription]
     );
 
-    return result.rows;
+    // Importance from the clause naming the cert (or its issuer)
+    const clauses = segmentJobDescription(jobDescription);
+    return result.rows.map(cert => ({
+      ...cert,
+      ...(classifyJobItem(clauses, cert.name) || classifyJobItem(clauses, cert.issuer) || {
+        importance: 'required',
+        weight: 1.0,
+        source: 'default',
+        evidence: null
+      })
+    }));
   } catch (error) {
     console.warn('Error extracting job certs:', error.message);
     return [];
@@ -493,15 +537,13 @@ function extractEducationLevel(educationArray, database) {
   return 0;
 }
 
+/**
+ * Education level the job asks for: { tier, importance }, or null if none
+ * A "Master's preferred" next to "Bachelor's required" evaluates the Bachelor's
+ */
 function extractRequiredEducationLevel(jobDescription) {
-  const text = jobDescription.toLowerCase();
-
-  if (text.includes('phd') || text.includes('doctorate')) return 5;
-  if (text.includes('master') || text.includes('m.s.')) return 4;
-  if (text.includes('bachelor') || text.includes('b.s.')) return 3;
-  if (text.includes('associate')) return 2;
-
-  return 0; // No specific requirement
+  const requirement = getEducationRequirement(parseJobRequirements(jobDescription || '').education);
+  return requirement ? { tier: requirement.tier, importance: requirement.importance } : null;
 }
 
 function getLevelName(code) {
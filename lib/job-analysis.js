@@ -0,0 +1,114 @@
+// Job Analysis: What the scoring agents read from a posting, without saving it
+// Runs the same extraction the multi-agent scorer applies to a stored job
+// (skills, certifications, education tier, required years, industry/role/
+// seniority and weights) so a posting can be tuned or overridden before saving.
+
+import SkillAgent from './agents/skill-agent.js';
+import ExperienceAgent from './agents/experience-agent.js';
+import EducationAgent from './agents/education-agent.js';
+import CertificationAgent from './agents/certification-agent.js';
+import { extractSkillYearRequirements } from './skill-matcher.js';
+import { bucketByImportance } from './job-requirements.js';
+
+// Agents are only used for their extraction methods; nothing is forked or stored
+const PREVIEW_CONFIG = { resumeId: null, jobId: 'preview' };
+
+/**
+ * @private
+ */
+function summarizeItems(items) {
+  const buckets = bucketByImportance(items);
+  return {
+    required: buckets.required.length,
+    preferred: buckets.preferred.length,
+    bonus: buckets.bonus.length
+  };
+}
+
+/**
+ * Analyze a job posting the way the agents would score against it
+ *
+ * @param {Object} job - { title, description, ...requisition fields }
+ * @param {WeightOptimizer} weightOptimizer - Optimizer the coordinator uses
+ * @returns {Object} skills, certifications, education, experience, classification, weights
+ */
+export function analyzeJobPosting(job, weightOptimizer) {
+  const skillAgent = new SkillAgent({ ...PREVIEW_CONFIG, agentType: 'skill' });
+  const experienceAgent = new ExperienceAgent({ ...PREVIEW_CONFIG, agentType: 'experience' });
+  const educationAgent = new EducationAgent({ ...PREVIEW_CONFIG, agentType: 'education' });
+  const certificationAgent = new CertificationAgent({ ...PREVIEW_CONFIG, agentType: 'certification' });
+
+  // Skills (explicit fields beat the description, as in SkillAgent.analyze)
+  const jobText = skillAgent.extractJobText(job);
+  const explicitSkills = skillAgent.getExplicitJobSkills(job);
+  const skills = explicitSkills.length > 0 ? explicitSkills : skillAgent.extractJobSkills(jobText);
+
+  const certifications = certificationAgent.extractRequiredCertifications(job);
+  const education = educationAgent.extractRequiredEducation(job);
+
+  // Years, plus the complexity reasoning even when another source won
+  const requiredYears = experienceAgent.resolveRequiredYears(job);
+  const complexity = experienceAgent.explainJobComplexity(job);
+
+  // Industry / role / seniority and the weights they select
+  const title = job.title || '';
+  const description = job.description || '';
+  const { industry, industry_source: industrySource, role } = weightOptimizer.resolveScopes(title, description, job);
+  const seniority = weightOptimizer.resolveSeniority(title, job);
+
+  return {
+    skills: {
+      source: explicitSkills.length > 0 ? 'explicit' : 'description',
+      items: skills.map(s => ({
+        name: s.name,
+        skillId: s.skillId || null,
+        ...(s.candidate && { writtenAs: s.candidate }),
+        importance: s.importance,
+        weight: s.weight,
+        confidence: s.confidence,
+        evidence: s.evidence || null
+      })),
+      byImportance: summarizeItems(skills),
+      yearRequirements: extractSkillYearRequirements(jobText)
+    },
+    certifications: {
+      source: certifications.some(c => c.source === 'explicit') ? 'explicit' : 'description',
+      items: certifications.map(c => ({
+        name: c.name,
+        vendor: c.vendor,
+        importance: c.importance,
+        weight: c.weight
+      })),
+      byImportance: summarizeItems(certifications)
+    },
+    education: {
+      level: education.level,
+      tier: education.tier,
+      importance: education.importance || 'required',
+      field: job.education_field || education.field || null,
+      source: education.source
+    },
+    experience: {
+      requiredYears: requiredYears.years,
+      maxYears: requiredYears.maxYears,
+      source: requiredYears.source,
+      complexityEstimate: complexity
+    },
+    classification: {
+      industry,
+      industrySource,
+      role,
+      seniority: seniority.level,
+      senioritySource: seniority.source
+    },
+    weights: {
+      weights: weightOptimizer.getOptimalWeights(title, description, job),
+      ...weightOptimizer.getWeightSource(title, description, job),
+      confidence: weightOptimizer.getWeightConfidence(title, description, job)
+    }
+  };
+}
+
+export default {
+  analyzeJobPosting
+};
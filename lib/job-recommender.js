@@ -0,0 +1,177 @@
+/**
+ * JobRecommender: Best-matching stored jobs for a resume
+ * Two stages: pgvector nearest-neighbour prefilter on embeddings, then a full
+ * multi-agent scoring pass on the shortlist only
+ */
+
+import { scoreWithCache, toDimensionScores, toDecimal } from './candidate-ranking.js';
+
+// Dimensions with an HNSW-indexed jobs.embedding_vector_<n> column (migration 009);
+// other sizes fall back to an exact scan of embedding_vector
+const INDEXED_DIMENSIONS = [384, 768, 1536];
+
+export class JobRecommender {
+  constructor(database, coordinator, options = {}) {
+    this.pool = database;
+    this.coordinator = coordinator;
+    this.shortlistFactor = options.shortlistFactor || 3; // shortlist = limit x factor
+    this.maxShortlist = options.maxShortlist || 50;
+    this.maxRescorePerRequest = options.maxRescorePerRequest || 10;
+    this.rescoreConcurrency = options.rescoreConcurrency || 3;
+  }
+
+  /**
+   * Recommend top-N jobs for a resume
+   * Shortlisted jobs with a fresh cached score cost nothing; at most maxRescore
+   * of the others are scored per request, a few at a time, and the rest are
+   * reported as pending_rescore
+   *
+   * @param {string} resumeId - Resume ID
+   * @param {Object} options - { limit, shortlist, excludeJobIds, maxRescore }
+   * @returns {Promise<Object>} Ranked job matches with prefilter stats
+   */
+  async recommendJobs(resumeId, options = {}) {
+    const limit = Math.min(50, Math.max(1, options.limit || 10));
+    const shortlistSize = Math.min(
+      this.maxShortlist,
+      Math.max(limit, options.shortlist || limit * this.shortlistFactor)
+    );
+    const excludeJobIds = Array.isArray(options.excludeJobIds) ? options.excludeJobIds : [];
+    const maxRescore = options.maxRescore ?? this.maxRescorePerRequest;
+
+    const resumeResult = await this.pool.query(
+      `SELECT resume_id, candidate_name, embedding_provider, embedding_model,
+        embedding_vector::text as vector, vector_dims(embedding_vector) as dimension
+      FROM resumes WHERE resume_id = $1`,
+      [resumeId]
+    );
+
+    if (resumeResult.rows.length === 0) {
+      const error = new Error(`Resume ${resumeId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const resume = resumeResult.rows[0];
+    const startTime = Date.now();
+    let shortlist = [];
+    let prefilter = 'vector';
+    let indexed = false;
+
+    if (resume.vector) {
+      // Cosine distance; only compare vectors from the same provider/model
+      const dimension = parseInt(resume.dimension);
+      indexed = INDEXED_DIMENSIONS.includes(dimension);
+      const column = indexed ? `j.embedding_vector_${dimension}` : 'j.embedding_vector';
+      const target = indexed ? `$2::vector(${dimension})` : '$2::vector';
+
+      const result = await this.pool.query(
+        `SELECT j.job_id, j.title, j.description, j.required_years, j.industry, j.seniority,
+          1 - (${column} <=> ${target}) as similarity
+        FROM jobs j
+        WHERE ${column} IS NOT NULL
+          AND j.embedding_provider = $3
+          AND j.embedding_model = $4
+          AND vector_dims(${column}) = $5
+          AND NOT (j.job_id = ANY($6))
+        ORDER BY ${column} <=> ${target}
+        LIMIT $1`,
+        [shortlistSize, resume.vector, resume.embedding_provider, resume.embedding_model, dimension, excludeJobIds]
+      );
+      shortlist = result.rows;
+    }
+
+    // No comparable vectors (or untagged ones awaiting re-embedding): fall back to the most recent jobs
+    if (shortlist.length === 0) {
+      prefilter = 'recent';
+      const result = await this.pool.query(
+        `SELECT job_id, title, description, required_years, industry, seniority, NULL as similarity
+        FROM jobs
+        WHERE NOT (job_id = ANY($2))
+        ORDER BY created_at DESC
+        LIMIT $1`,
+        [shortlistSize, excludeJobIds]
+      );
+      shortlist = result.rows;
+    }
+
+    const prefilterTime = Date.now() - startTime;
+    const matches = [];
+    const failed = [];
+    let rescored = 0;
+
+    // Fresh cached scores for the whole shortlist in one query
+    const cachedResult = await this.pool.query(
+      `SELECT * FROM multi_agent_scores
+      WHERE resume_id = $1 AND job_id = ANY($2)
+        AND resume_fingerprint IS NOT DISTINCT FROM resume_fingerprint($1)
+        AND job_fingerprint IS NOT DISTINCT FROM job_fingerprint(job_id)`,
+      [resumeId, shortlist.map(job => job.job_id)]
+    );
+    const cachedScores = new Map(cachedResult.rows.map(row => [row.job_id, row]));
+
+    const toMatch = (job, score, cached) => ({
+      job_id: job.job_id,
+      title: job.title,
+      required_years: job.required_years,
+      vector_similarity: job.similarity !== null ? Math.round(parseFloat(job.similarity) * 1000) / 1000 : null,
+      composite: toDecimal(score.composite_score),
+      scores: toDimensionScores(score),
+      scored_at: score.created_at,
+      cached
+    });
+
+    for (const job of shortlist) {
+      if (cachedScores.has(job.job_id)) matches.push(toMatch(job, cachedScores.get(job.job_id), true));
+    }
+
+    // Nearest first, so the budget goes to the likeliest matches
+    const uncached = shortlist.filter(job => !cachedScores.has(job.job_id));
+    const toScore = uncached.slice(0, maxRescore);
+
+    for (let i = 0; i < toScore.length; i += this.rescoreConcurrency) {
+      const chunk = toScore.slice(i, i + this.rescoreConcurrency);
+      const settled = await Promise.allSettled(
+        chunk.map(job => scoreWithCache(this.pool, this.coordinator, resumeId, job))
+      );
+
+      settled.forEach((outcome, index) => {
+        const job = chunk[index];
+        if (outcome.status === 'rejected') {
+          console.warn(`[Recommender] Failed to score ${resumeId} vs ${job.job_id}:`, outcome.reason.message);
+          failed.push({ job_id: job.job_id, error: outcome.reason.message });
+          return;
+        }
+
+        const { score, cached } = outcome.value;
+        if (!cached) rescored++;
+        matches.push(toMatch(job, score, cached));
+      });
+    }
+
+    matches.sort((a, b) => (b.composite || 0) - (a.composite || 0));
+
+    return {
+      resume: {
+        resume_id: resume.resume_id,
+        candidate_name: resume.candidate_name
+      },
+      prefilter: {
+        method: prefilter,
+        indexed,
+        shortlist_size: shortlist.length,
+        time_ms: prefilterTime
+      },
+      scoring: {
+        rescored,
+        cached: matches.length - rescored,
+        failed,
+        pending_rescore: uncached.length - toScore.length,
+        time_ms: Date.now() - startTime - prefilterTime
+      },
+      matches: matches.slice(0, limit).map((match, index) => ({ rank: index + 1, ...match }))
+    };
+  }
+}
+
+export default JobRecommender;
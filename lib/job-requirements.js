@@ -0,0 +1,404 @@
+// Job Requirements: Required / preferred / bonus classification for postings
+// Reads the posting clause by clause. Headings ("Must have", "Nice to have",
+// "Bonus points") set the importance of the lines below them; inline cues
+// ("... is a plus", "(preferred)", "must have ...") override it for the list
+// item they are attached to, so in "Docker required, Kubernetes preferred"
+// each skill keeps its own cue.
+// Anything uncued counts as required, which is how postings were scored before,
+// except under "About us"/"Responsibilities" blocks of a posting that has its
+// own requirements section: those mentions count as preferred.
+
+import { extractSkillsByRegex } from './skill-matcher.js';
+
+// Weight of an item when it is matched
+export const IMPORTANCE_WEIGHTS = {
+  required: 1.0,
+  preferred: 0.5,
+  bonus: 0.25
+};
+
+// Share of an item's weight counted against the candidate when it is missing
+export const MISSING_PENALTIES = {
+  required: 1.0,
+  preferred: 0.3,
+  bonus: 0
+};
+
+const IMPORTANCE_RANK = { required: 3, preferred: 2, bonus: 1 };
+
+// ============================================================================
+// Cue Vocabulary
+// ============================================================================
+
+const HEADING_CUES = [
+  { importance: 'bonus', pattern: /^(?:bonus(?: points| skills)?|extra credit|brownie points|even better|it'?s a bonus if|stand out (?:if|with))\b/ },
+  { importance: 'preferred', pattern: /^(?:nice[- ]to[- ]haves?|preferred(?: qualifications| skills| experience| requirements)?|desired(?: qualifications| skills)?|desirable(?: skills)?|pluses|good to have|ideally(?: you have)?|additional qualifications|would be great)\b/ },
+  { importance: 'required', pattern: /^(?:requirements|required(?: qualifications| skills| experience)?|must[- ]haves?|minimum (?:qualifications|requirements)|basic qualifications|key qualifications|qualifications|what you(?:'ll| will) need|what we(?:'re| are) looking for|what you bring|you have|you should have|who you are|skills and experience|essential(?: skills| criteria)?)\b/ }
+];
+
+// Headings that end a classified block (responsibilities, perks, ...)
+const NEUTRAL_HEADING = /^(?:responsibilities|what you(?:'ll| will) do|the role|about (?:us|the (?:role|team|company))|benefits|perks|what we offer|compensation|our stack|tech stack|location|how to apply)\b/;
+
+const INLINE_CUES = [
+  { importance: 'bonus', pattern: /\b(?:bonus|big plus|extra credit|brownie points)\b/i },
+  { importance: 'preferred', pattern: /\b(?:nice[- ]to[- ]have|(?:is|are|a) (?:definite )?plus|preferred|preferably|desired|desirable|ideally|good to have|advantageous|would be great|not required)\b/i },
+  { importance: 'required', pattern: /\b(?:must|(?<!not )required|mandatory|minimum|at least|essential|need to have)\b/i }
+];
+
+// Items within a sentence: "Python, Go and/or Rust"
+const ITEM_SEPARATOR = /\s*(,|\band\/or\b|\band\b|\bor\b)\s*/i;
+
+// An item that opens its own phrase ("experience with Kafka", "5+ years of Python")
+// rather than continuing a list
+const PHRASE_OPENER = /^\d|\b(?:with|in|of|on|using|for)\b/i;
+
+const EDUCATION_LEVELS = [
+  { tier: 5, level: 'PhD', pattern: /\b(?:ph\.?d|doctorate|doctoral)\b/i },
+  { tier: 4, level: 'Master', pattern: /\b(?:master'?s?|m\.s\.|msc|mba)\b/i },
+  { tier: 3, level: 'Bachelor', pattern: /\b(?:bachelor'?s?|b\.s\.|b\.a\.|bsc|undergraduate degree|4-year degree)\b/i },
+  { tier: 2, level: 'Associate', pattern: /\bassociate'?s? degree\b/i },
+  { tier: 1, level: 'High School', pattern: /\b(?:high school|ged)\b/i }
+];
+
+const CERTIFICATION_PATTERNS = [
+  /\bAWS Certified [A-Z][\w-]*(?: [A-Z][\w-]*){0,3}/g,
+  /\b(?:Microsoft|Azure) Certified[\w: -]{0,40}/g,
+  /\bGoogle (?:Cloud )?Professional [A-Z][\w]*(?: [A-Z][\w]*){0,2}/g,
+  /\b(?:CISSP|CISM|CISA|OSCP|CEH|PMP|CKA|CKAD|CKS|CSM|CSPO|PRINCE2|TOGAF|ITIL|CCNA|CCNP|CPA|CFA)\b/g,
+  /\bCompTIA (?:Security\+|Network\+|A\+|CySA\+|Cloud\+)/g,
+  /\b[A-Z][\w+]*(?: [A-Z][\w+]*){0,3} certification\b/g
+];
+
+// ============================================================================
+// Segmentation
+// ============================================================================
+
+/**
+ * Importance set by a heading line, or undefined if the line is not a heading
+ * (null = a heading that ends the current block)
+ *
+ * @private
+ */
+function headingImportance(line) {
+  const normalized = line.trim()
+    .replace(/^[#*_\-–—•\s]+/, '')
+    .replace(/[#*_:\s]+$/, '')
+    .toLowerCase();
+
+  if (!normalized || normalized.length > 60) return undefined;
+
+  for (const cue of HEADING_CUES) {
+    if (cue.pattern.test(normalized)) return cue.importance;
+  }
+
+  if (NEUTRAL_HEADING.test(normalized)) return null;
+
+  return undefined;
+}
+
+/**
+ * Strongest inline cue in an item, and whether it leads the item
+ * ("Must have Go") or trails it ("Go is a plus")
+ *
+ * @private
+ */
+function findInlineCue(text) {
+  let best = null;
+
+  for (const cue of INLINE_CUES) {
+    const match = text.match(cue.pattern);
+    if (match && (!best || IMPORTANCE_RANK[cue.importance] > IMPORTANCE_RANK[best.importance])) {
+      best = { importance: cue.importance, leading: /\w/.test(text.slice(match.index + match[0].length)) };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Inline importance of each item in a sentence (null = uncued)
+ * A leading cue carries forward over the list it opens ("Must have Python, Go
+ * and Rust"); a trailing cue on the last item of an and/or list carries back
+ * to the item that opened it ("Experience with Kafka, Redis or RabbitMQ is a
+ * plus"). Neither crosses an item with its own cue or a new phrase, and where
+ * several cues reach an item the strongest wins.
+ *
+ * @private
+ */
+function itemImportances(items) {
+  const cues = items.map(item => findInlineCue(item.text));
+  const applied = cues.map(cue => (cue ? [cue.importance] : []));
+
+  cues.forEach((cue, i) => {
+    if (!cue) return;
+
+    if (cue.leading) {
+      for (let j = i + 1; j < items.length && !cues[j] && !PHRASE_OPENER.test(items[j].text); j++) {
+        applied[j].push(cue.importance);
+      }
+    } else if (items[i].conjunction && !PHRASE_OPENER.test(items[i].text)) {
+      for (let j = i - 1; j >= 0 && !cues[j]; j--) {
+        applied[j].push(cue.importance);
+        if (PHRASE_OPENER.test(items[j].text)) break;
+      }
+    }
+  });
+
+  return applied.map(importances => (
+    importances.length > 0
+      ? importances.reduce((a, b) => (IMPORTANCE_RANK[b] > IMPORTANCE_RANK[a] ? b : a))
+      : null
+  ));
+}
+
+/**
+ * "5+ years of Python and PostgreSQL, Kafka is a plus" -> list items, each
+ * noting whether "and"/"or" (rather than a comma) joined it to the previous one
+ *
+ * @private
+ */
+function splitItems(sentence) {
+  const parts = sentence.split(ITEM_SEPARATOR);
+  const items = [];
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const text = parts[i].trim();
+    if (!text) continue;
+    items.push({ text, conjunction: i > 0 && parts[i - 1] !== ',' });
+  }
+
+  return items;
+}
+
+/**
+ * Split a posting into clauses, each with the importance that applies to it
+ *
+ * @param {string} text - Job description
+ * @returns {Array<{ text: string, importance: string, source: 'heading'|'inline'|'context'|'default' }>}
+ */
+export function segmentJobDescription(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const clauses = [];
+  let blockImportance = null;
+  let inNeutralBlock = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine;
+
+    // "Nice to have: Go, Rust" - heading and content on one line
+    const inline = line.match(/^\s*([A-Za-z][A-Za-z' -]{2,40}?)\s*:\s*(\S.*)$/);
+    const lineHeading = headingImportance(inline ? inline[1] : line);
+
+    if (lineHeading !== undefined) {
+      blockImportance = lineHeading;
+      inNeutralBlock = lineHeading === null;
+      if (!inline) continue;
+      line = inline[2];
+    }
+
+    // Sentence ends, semicolons and bullets (not the dot in "Node.js"),
+    // then the list items within each sentence
+    for (const part of line.split(/;|•|\.(?:\s+|$)/)) {
+      const sentence = part.replace(/^[\s*\-–—]+/, '').trim();
+      if (!sentence) continue;
+
+      const items = splitItems(sentence);
+      const importances = itemImportances(items);
+
+      items.forEach((item, i) => {
+        const cued = importances[i];
+        clauses.push({
+          text: item.text,
+          importance: cued || blockImportance || 'required',
+          source: cued ? 'inline' : (blockImportance ? 'heading' : 'default'),
+          neutral: !cued && inNeutralBlock
+        });
+      });
+    }
+  }
+
+  const hasRequirementsSection = clauses.some(c => c.source === 'heading' && c.importance === 'required');
+
+  return clauses.map(({ neutral, ...clause }) => (
+    neutral && hasRequirementsSection
+      ? { ...clause, importance: 'preferred', source: 'context' }
+      : clause
+  ));
+}
+
+// ============================================================================
+// Classification
+// ============================================================================
+
+/**
+ * Importance of one item (skill, certification, ...) from the clauses that
+ * mention it; the most important mention wins
+ *
+ * @param {Array<Object>} clauses - segmentJobDescription() output
+ * @param {string} term - Item name as it appears in the posting
+ * @returns {{ importance, weight, source, evidence }|null} null if not mentioned
+ */
+export function classifyJobItem(clauses, term) {
+  if (!term) return null;
+
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const regex = new RegExp(`(?:^|[^\\w])${escaped}(?![\\w])`, 'i');
+
+  let best = null;
+  for (const clause of clauses) {
+    if (!regex.test(clause.text)) continue;
+    if (!best || IMPORTANCE_RANK[clause.importance] > IMPORTANCE_RANK[best.importance]) {
+      best = clause;
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    importance: best.importance,
+    weight: IMPORTANCE_WEIGHTS[best.importance],
+    source: best.source,
+    evidence: best.text.slice(0, 120)
+  };
+}
+
+/**
+ * Attach importance/weight to items named by `key` (or by the spelling the
+ * posting used, `candidate`, e.g. "k8s" for Kubernetes); items the posting
+ * never mentions (e.g. from an explicit field) are treated as required
+ *
+ * @param {Array<Object>} items - Items with a name
+ * @param {Array<Object>|string} clausesOrText - Clauses or the posting text
+ * @param {string} key - Name property
+ */
+export function classifyJobItems(items, clausesOrText, key = 'name') {
+  const clauses = Array.isArray(clausesOrText) ? clausesOrText : segmentJobDescription(clausesOrText);
+
+  return items.map(item => {
+    const classification = classifyJobItem(clauses, item[key]) ||
+      (item.candidate && classifyJobItem(clauses, item.candidate)) || {
+      importance: 'required',
+      weight: IMPORTANCE_WEIGHTS.required,
+      source: 'default',
+      evidence: null
+    };
+    return { ...item, ...classification };
+  });
+}
+
+/**
+ * Group items into { required, preferred, bonus }
+ */
+export function bucketByImportance(items) {
+  const buckets = { required: [], preferred: [], bonus: [] };
+  for (const item of items) {
+    (buckets[item.importance] || buckets.required).push(item);
+  }
+  return buckets;
+}
+
+/**
+ * Score in [0, 1] from matched/missing items: each item counts its weight,
+ * missing items count weight × MISSING_PENALTIES[importance] against it
+ *
+ * @param {Array<{ importance, matched: boolean, credit?: number }>} items
+ *   credit (0-1) scales a matched item's contribution (default 1); on a
+ *   missing item it is partial credit (e.g. via a related skill), never
+ *   scoring below the item being plainly missing
+ * @returns {number|null} null when there is nothing to score against
+ */
+export function weightedRequirementScore(items) {
+  let earned = 0;
+  let possible = 0;
+
+  for (const item of items) {
+    const weight = IMPORTANCE_WEIGHTS[item.importance] ?? IMPORTANCE_WEIGHTS.required;
+    if (item.matched) {
+      earned += weight * (item.credit ?? 1);
+      possible += weight;
+    } else {
+      const credit = item.credit ?? 0;
+      earned += weight * credit;
+      possible += weight * Math.max(MISSING_PENALTIES[item.importance] ?? 1, credit);
+    }
+  }
+
+  return possible > 0 ? earned / possible : null;
+}
+
+// ============================================================================
+// Full Parse
+// ============================================================================
+
+/**
+ * Classify every skill, certification and education requirement in a posting
+ *
+ * @param {string} text - Job description
+ * @returns {{ skills, certifications, education, hasExplicitSections }}
+ *   education entries: { level, tier, field, importance, weight, evidence }
+ */
+export function parseJobRequirements(text) {
+  const clauses = segmentJobDescription(text);
+  if (clauses.length === 0) {
+    return { skills: [], certifications: [], education: [], hasExplicitSections: false };
+  }
+
+  const skills = classifyJobItems(extractSkillsByRegex(text, { denials: false }), clauses);
+
+  const certNames = new Set();
+  for (const pattern of CERTIFICATION_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      certNames.add(match[0].trim());
+    }
+  }
+  const certifications = classifyJobItems([...certNames].map(name => ({ name })), clauses);
+
+  const education = [];
+  for (const clause of clauses) {
+    const level = EDUCATION_LEVELS.find(l => l.pattern.test(clause.text));
+    if (!level) continue;
+
+    const field = clause.text.match(/\b(?:in|of)\s+((?:[A-Z][A-Za-z]+|and|or|,)(?:\s+(?:[A-Z][A-Za-z]+|and|or|,)){0,5})/);
+    education.push({
+      level: level.level,
+      tier: level.tier,
+      field: field ? field[1].replace(/[\s,]+(?:and|or)?$/, '').trim() : null,
+      equivalentExperienceAccepted: /\bequivalent\b/i.test(clause.text),
+      importance: clause.importance,
+      weight: IMPORTANCE_WEIGHTS[clause.importance],
+      evidence: clause.text.slice(0, 120)
+    });
+  }
+
+  return {
+    skills,
+    certifications,
+    education,
+    hasExplicitSections: clauses.some(clause => clause.source === 'heading')
+  };
+}
+
+/**
+ * Education requirement to evaluate: the highest required level, or the
+ * highest preferred/bonus level if nothing is required
+ */
+export function getEducationRequirement(education) {
+  if (!Array.isArray(education) || education.length === 0) return null;
+
+  const required = education.filter(e => e.importance === 'required');
+  const pool = required.length > 0 ? required : education;
+  return pool.reduce((a, b) => (b.tier > a.tier ? b : a));
+}
+
+export default {
+  IMPORTANCE_WEIGHTS,
+  MISSING_PENALTIES,
+  segmentJobDescription,
+  classifyJobItem,
+  classifyJobItems,
+  bucketByImportance,
+  weightedRequirementScore,
+  parseJobRequirements,
+  getEducationRequirement
+};
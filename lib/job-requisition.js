@@ -0,0 +1,241 @@
+// Job Requisition: Structured job fields alongside the free-text description
+// Every field is optional. Agents use an explicit field when the job has one
+// and fall back to inferring the same thing from title/description otherwise,
+// reporting which source they used.
+
+export const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead', 'principal', 'executive'];
+export const EMPLOYMENT_TYPES = ['full_time', 'part_time', 'contract', 'temporary', 'internship'];
+export const INDUSTRIES = ['fintech', 'healthcare', 'enterprise_saas', 'startup', 'data_science', 'security'];
+
+// Same tiers as the education agent and improved-scoring (higher = more advanced)
+export const EDUCATION_LEVELS = {
+  none: 0,
+  high_school: 1,
+  associate: 2,
+  bachelor: 3,
+  master: 4,
+  phd: 5
+};
+
+// Typical minimum years per seniority (matches ExperienceAgent.estimateFromJobTitle)
+const SENIORITY_YEARS = {
+  intern: 0,
+  junior: 0,
+  mid: 4,
+  senior: 7,
+  lead: 7,
+  principal: 12,
+  executive: 15
+};
+
+// WeightOptimizer only distinguishes four levels
+const SENIORITY_WEIGHT_LEVELS = {
+  intern: 'entry',
+  junior: 'entry',
+  mid: 'mid',
+  senior: 'senior',
+  lead: 'senior',
+  principal: 'senior',
+  executive: 'executive'
+};
+
+export const REQUISITION_FIELDS = [
+  'required_skills', 'preferred_skills', 'min_years', 'max_years',
+  'education_level', 'education_field', 'required_certifications',
+  'location', 'seniority', 'employment_type', 'industry'
+];
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * @private
+ */
+function normalizeList(value, field, errors) {
+  if (value === undefined || value === null) return null;
+
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+    errors.push({ field, error: 'Must be an array of strings (or a comma-separated string)' });
+    return null;
+  }
+
+  const cleaned = [...new Set(items.map(item => item.trim()).filter(Boolean))];
+  if (cleaned.length > 100) {
+    errors.push({ field, error: 'At most 100 entries allowed' });
+    return null;
+  }
+
+  return cleaned.length > 0 ? cleaned : null;
+}
+
+/**
+ * Whole years between 0 and 100
+ * lenient keeps the legacy required_years parsing, where "5+" and "5 years" mean 5
+ *
+ * @private
+ */
+function normalizeYears(value, field, errors, lenient = false) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const years = lenient ? parseInt(value, 10) : Number(value);
+  if (!Number.isInteger(years) || years < 0 || years > 100) {
+    errors.push({ field, error: 'Must be a whole number between 0 and 100' });
+    return null;
+  }
+
+  return years;
+}
+
+/**
+ * @private
+ */
+function normalizeEnum(value, field, allowed, errors) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const normalized = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!allowed.includes(normalized)) {
+    errors.push({ field, error: `Must be one of: ${allowed.join(', ')}` });
+    return null;
+  }
+
+  return normalized;
+}
+
+/**
+ * @private
+ */
+function normalizeText(value, field, maxLength, errors) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value !== 'string') {
+    errors.push({ field, error: 'Must be a string' });
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) {
+    errors.push({ field, error: `Must be ${maxLength} characters or less` });
+    return null;
+  }
+
+  return trimmed || null;
+}
+
+/**
+ * Validate and normalize the structured fields of a job request body
+ * `required_years` is accepted as the legacy name for `min_years` (parsed leniently, "5+" is 5)
+ *
+ * @param {Object} body - Request body
+ * @returns {{ requisition: Object, errors: Array<{ field, error }> }}
+ *   requisition has every REQUISITION_FIELDS key (null when not given)
+ */
+export function validateJobRequisition(body = {}) {
+  const errors = [];
+  const minYears = normalizeYears(body.min_years, 'min_years', errors);
+  const legacyYears = normalizeYears(body.required_years, 'required_years', errors, true);
+
+  const requisition = {
+    required_skills: normalizeList(body.required_skills, 'required_skills', errors),
+    preferred_skills: normalizeList(body.preferred_skills, 'preferred_skills', errors),
+    min_years: minYears ?? legacyYears,
+    max_years: normalizeYears(body.max_years, 'max_years', errors),
+    education_level: normalizeEnum(body.education_level, 'education_level', Object.keys(EDUCATION_LEVELS), errors),
+    education_field: normalizeText(body.education_field, 'education_field', 200, errors),
+    required_certifications: normalizeList(body.required_certifications, 'required_certifications', errors),
+    location: normalizeText(body.location, 'location', 200, errors),
+    seniority: normalizeEnum(body.seniority, 'seniority', SENIORITY_LEVELS, errors),
+    employment_type: normalizeEnum(body.employment_type, 'employment_type', EMPLOYMENT_TYPES, errors),
+    industry: normalizeEnum(body.industry, 'industry', INDUSTRIES, errors)
+  };
+
+  if (minYears !== null && legacyYears !== null && minYears !== legacyYears) {
+    errors.push({ field: 'required_years', error: 'Conflicts with min_years (required_years is an alias for min_years)' });
+  }
+
+  if (requisition.min_years !== null && requisition.max_years !== null && requisition.max_years < requisition.min_years) {
+    errors.push({ field: 'max_years', error: 'Must be greater than or equal to min_years' });
+  }
+
+  // A skill can't be both required and preferred; required wins
+  if (requisition.required_skills && requisition.preferred_skills) {
+    const required = new Set(requisition.required_skills.map(s => s.toLowerCase()));
+    const preferred = requisition.preferred_skills.filter(s => !required.has(s.toLowerCase()));
+    requisition.preferred_skills = preferred.length > 0 ? preferred : null;
+  }
+
+  return { requisition, errors };
+}
+
+// ============================================================================
+// Reading Stored Jobs
+// ============================================================================
+
+/**
+ * @private
+ */
+function readList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string' && item.trim());
+
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return readList(parsed);
+    } catch (e) {
+      // Plain comma-separated text
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  return [];
+}
+
+/**
+ * Structured fields of a stored job (DB row or in-memory object)
+ * Lists are always arrays; missing scalars are null
+ */
+export function getJobRequisition(job) {
+  if (!job) return null;
+
+  return {
+    required_skills: readList(job.required_skills),
+    preferred_skills: readList(job.preferred_skills),
+    min_years: Number.isInteger(job.min_years) ? job.min_years : null,
+    max_years: Number.isInteger(job.max_years) ? job.max_years : null,
+    education_level: job.education_level || null,
+    education_field: job.education_field || null,
+    required_certifications: readList(job.required_certifications),
+    location: job.location || null,
+    seniority: job.seniority || null,
+    employment_type: job.employment_type || null,
+    industry: job.industry || null
+  };
+}
+
+/**
+ * Minimum years implied by a seniority level (null for unknown levels)
+ */
+export function seniorityToYears(seniority) {
+  return SENIORITY_YEARS[seniority] ?? null;
+}
+
+/**
+ * WeightOptimizer level (entry/mid/senior/executive) for a seniority level
+ */
+export function seniorityToWeightLevel(seniority) {
+  return SENIORITY_WEIGHT_LEVELS[seniority] || null;
+}
+
+export default {
+  SENIORITY_LEVELS,
+  EMPLOYMENT_TYPES,
+  INDUSTRIES,
+  EDUCATION_LEVELS,
+  REQUISITION_FIELDS,
+  validateJobRequisition,
+  getJobRequisition,
+  seniorityToYears,
+  seniorityToWeightLevel
+};
@@ -1,6 +1,23 @@
 // Knowledge Base Manager
 // Handles discovery, storage, and retrieval of learned items
 // Automatically updates source_count for items seen multiple times
+// Recruiter skill corrections grow aliases and a deny-list used by the skill matcher
+
+import { deriveCorrectionSignals, setLearnedVocabulary, getSkillInfo } from './skill-matcher.js';
+import { enrichDiscoveries } from './skill-enrichment.js';
+
+// Removals before a match is denied: an exact skill name needs several
+// recruiters to agree, a fuzzy misreading ("Vita" -> Vite) only one.
+// An exact name must also have been removed from at least exactRatio of the
+// resumes it was parsed from, so a common skill isn't lost to a few removals.
+// Denials only apply to resume parsing, never to job text
+export const DENY_THRESHOLDS = {
+  exact: 3,
+  exactRatio: 0.5,
+  variant: 1
+};
+
+const MAX_CONTEXT_CHARS = 160;
 
 // ============================================================================
 // DISCOVERY PHASE: Identify Unknown Items
@@ -123,6 +140,7 @@ export async function storeNewItems(newItems, database, resumeId) {
         storedCount,
         database
       );
+      await recordLearningMetrics(database);
     }
 
     return storedCount;
@@ -132,6 +150,70 @@ export async function storeNewItems(newItems, database, resumeId) {
   }
 }
 
+/**
+ * Line of the resume that first mentions an item, for reviewers
+ *
+ * @private
+ */
+function findContext(text, name) {
+  if (!text || !name) return null;
+
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`(?:^|[^\\w])${escaped}(?![\\w])`, 'i').exec(text);
+  if (!match) return null;
+
+  const lineStart = text.lastIndexOf('\n', match.index) + 1;
+  const lineEnd = text.indexOf('\n', match.index + 1);
+  const line = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd).trim();
+  return line.length > MAX_CONTEXT_CHARS ? `${line.slice(0, MAX_CONTEXT_CHARS - 3)}...` : line;
+}
+
+/**
+ * Record which resume mentioned which knowledge base items (once per resume)
+ * and keep source_count at the number of distinct resumes. Each source also
+ * keeps the resume's known skills (co-occurrence for skill enrichment)
+ *
+ * @param {Array<string|Object>} items - Item names (or { name })
+ * @param {string} resumeId
+ * @param {string} resumeText - For context snippets
+ * @param {Object} database - pg pool
+ * @param {string} itemType
+ * @returns {Promise<number>} New sources recorded
+ */
+export async function recordItemSources(items, resumeId, resumeText, database, itemType = 'skill') {
+  if (!database || !resumeId || !items || items.length === 0) return 0;
+
+  const names = [...new Set(items.map(item => (typeof item === 'string' ? item : item?.name)).filter(Boolean))];
+  const contexts = names.map(name => findContext(resumeText, name));
+  const knownSkills = [...new Set(names.map(name => getSkillInfo(name)?.name).filter(Boolean))];
+
+  try {
+    // Inserted rows are invisible to the UPDATE, so COUNT(*) is the prior count
+    const result = await database.query(
+      `WITH added AS (
+         INSERT INTO knowledge_base_sources (item_id, resume_id, context, co_skills)
+         SELECT kb.id, $2, src.context, $5::text[]
+         FROM unnest($1::text[], $3::text[]) AS src(name, context)
+         JOIN knowledge_base kb ON LOWER(kb.item_name) = LOWER(src.name) AND kb.item_type = $4
+         ON CONFLICT (item_id, resume_id) DO NOTHING
+         RETURNING item_id
+       )
+       UPDATE knowledge_base kb
+       SET source_count = GREATEST(kb.source_count,
+             (SELECT COUNT(*) FROM knowledge_base_sources s WHERE s.item_id = kb.id) + 1),
+           last_seen = NOW()
+       WHERE kb.id IN (SELECT item_id FROM added)`,
+      [names, resumeId, contexts, itemType, knownSkills]
+    );
+
+    return result.rowCount;
+  } catch (error) {
+    // Table missing until migration 017 runs
+    console.warn('[KnowledgeBase] Could not record item sources:', error.message);
+    return 0;
+  }
+}
+
 /**
  * Log discovery event for audit trail
  */
@@ -147,6 +229,33 @@ async function logDiscoveryEvent(resumeId, itemNames, count, database) {
   }
 }
 
+/**
+ * Refresh today's learning_metrics row per item type
+ * (discovered today, total in base, average mentions)
+ */
+export async function recordLearningMetrics(database) {
+  if (!database) return;
+
+  try {
+    await database.query(
+      `INSERT INTO learning_metrics (metric_date, item_type, discovered_today, total_in_base, avg_source_count)
+       SELECT CURRENT_DATE, item_type,
+              COUNT(*) FILTER (WHERE first_discovered >= CURRENT_DATE),
+              COUNT(*),
+              AVG(source_count)
+       FROM knowledge_base
+       GROUP BY item_type
+       ON CONFLICT (metric_date, item_type) DO UPDATE SET
+         discovered_today = EXCLUDED.discovered_today,
+         total_in_base = EXCLUDED.total_in_base,
+         avg_source_count = EXCLUDED.avg_source_count,
+         updated_at = NOW()`
+    );
+  } catch (error) {
+    console.warn('[KnowledgeBase] Could not record learning metrics:', error.message);
+  }
+}
+
 // ============================================================================
 // RETRIEVAL PHASE: Get All Known Items
 // ============================================================================
@@ -212,8 +321,10 @@ export async function getAllKnowledgeItems(database) {
 
 /**
  * Main function: Discover new items, store them, return for scoring
+ * Every item is also recorded as seen in this resume (review queue sources)
+ * and unknown skills get suggestions for reviewers (see skill-enrichment.js)
  */
-export async function learnFromResume(extractedSkills, resumeId, database) {
+export async function learnFromResume(extractedSkills, resumeId, database, resumeText = '') {
   if (!database || !extractedSkills) {
     return {
       newItems: [],
@@ -226,6 +337,21 @@ export async function learnFromResume(extractedSkills, resumeId, database) {
     // Phase 1: Find what's new
     const newItems = await findNewItems(extractedSkills, database);
 
+    // Phase 2: Store new items
+    const storedCount = newItems.length > 0 ? await storeNewItems(newItems, database, resumeId) : 0;
+
+    // Phase 3: Remember where each item was seen
+    await recordItemSources(extractedSkills, resumeId, resumeText, database);
+
+    // Phase 4: Refresh category/demand/related suggestions for skills the
+    // taxonomy doesn't know yet (off the scoring path)
+    const discovered = extractedSkills
+      .map(item => (typeof item === 'string' ? item : item?.name))
+      .filter(name => name && !getSkillInfo(name));
+    if (discovered.length > 0) {
+      enrichDiscoveries(discovered, database);
+    }
+
     if (newItems.length === 0) {
       return {
         newItems: [],
@@ -234,9 +360,6 @@ export async function learnFromResume(extractedSkills, resumeId, database) {
       };
     }
 
-    // Phase 2: Store new items
-    const storedCount = await storeNewItems(newItems, database, resumeId);
-
     return {
       newItems: newItems.map(i => i.name),
       learningCount: storedCount,
@@ -542,6 +665,130 @@ export async function getTrendingEducation(database, limit = 15) {
   }
 }
 
+// ============================================================================
+// CORRECTION FEEDBACK: Learn From Recruiter Skill Fixes
+// ============================================================================
+
+/**
+ * Record a recruiter's skill correction as training signals and reload the
+ * matcher's learned vocabulary
+ * Added skills grow knowledge_base (aliases, correction_count); removed skills
+ * grow skill_deny_list. Re-adding a skill takes back one exact removal
+ *
+ * @param {Object} correction - { add: string[], remove: string[] } (this edit only)
+ * @param {Object} resume - Resume row (raw_text, resume_id)
+ * @param {Object} database - pg pool
+ * @returns {Promise<{ added, removed, success }>}
+ */
+export async function learnFromSkillCorrections(correction, resume, database) {
+  if (!database || !correction) {
+    return { added: [], removed: [], success: false };
+  }
+
+  try {
+    const { added, removed } = deriveCorrectionSignals(resume.raw_text, correction);
+
+    for (const signal of added) {
+      await database.query(
+        `INSERT INTO skill_correction_signals (resume_id, skill_name, signal, matched_text)
+         VALUES ($1, $2, 'added', $3)`,
+        [resume.resume_id, signal.skill, signal.alias]
+      );
+
+      await database.query(
+        `INSERT INTO knowledge_base (item_name, item_type, confidence_estimate, aliases, correction_count)
+         VALUES ($1, 'skill', 1.0, $2, 1)
+         ON CONFLICT (item_name) DO UPDATE SET
+           correction_count = knowledge_base.correction_count + 1,
+           aliases = ARRAY(SELECT DISTINCT unnest(knowledge_base.aliases || EXCLUDED.aliases)),
+           last_seen = NOW(),
+           updated_at = NOW()`,
+        [signal.skill, signal.alias ? [signal.alias] : []]
+      );
+
+      await database.query(
+        `UPDATE skill_deny_list
+         SET removal_count = GREATEST(removal_count - 1, 0), last_seen = NOW()
+         WHERE LOWER(term) = LOWER($1) AND LOWER(skill_name) = LOWER($1)`,
+        [signal.skill]
+      );
+    }
+
+    for (const signal of removed) {
+      await database.query(
+        `INSERT INTO skill_correction_signals (resume_id, skill_name, signal, matched_text)
+         VALUES ($1, $2, 'removed', $3)`,
+        [resume.resume_id, signal.skill, signal.term]
+      );
+
+      await database.query(
+        `INSERT INTO skill_deny_list (term, skill_name)
+         VALUES ($1, $2)
+         ON CONFLICT (term, skill_name) DO UPDATE SET
+           removal_count = skill_deny_list.removal_count + 1,
+           last_seen = NOW()`,
+        [signal.term.toLowerCase(), signal.skill]
+      );
+    }
+
+    console.log(`[KnowledgeBase] Learned from correction on ${resume.resume_id}: ${added.length} added, ${removed.length} removed`);
+
+    await loadLearnedVocabulary(database);
+
+    return { added, removed, success: true };
+  } catch (error) {
+    console.error('[KnowledgeBase] Error learning from skill correction:', error.message);
+    return { added: [], removed: [], success: false };
+  }
+}
+
+/**
+ * Load recruiter-confirmed skills, aliases and active deny-list entries into
+ * the skill matcher
+ */
+export async function loadLearnedVocabulary(database) {
+  if (!database) return null;
+
+  try {
+    const [kbResult, denyResult] = await Promise.all([
+      database.query(
+        `SELECT item_name, aliases, correction_count
+         FROM knowledge_base
+         WHERE item_type = 'skill'
+           AND (correction_count > 0 OR cardinality(aliases) > 0)`
+      ),
+      database.query(
+        `SELECT d.term, d.skill_name
+         FROM skill_deny_list d
+         WHERE d.removal_count >= CASE WHEN LOWER(d.term) = LOWER(d.skill_name) THEN $1 ELSE $2 END
+           AND (
+             LOWER(d.term) <> LOWER(d.skill_name)
+             OR d.removal_count >= $3 * (
+               SELECT COUNT(*) FROM resumes r
+               WHERE EXISTS (SELECT 1 FROM unnest(r.skills) s WHERE LOWER(s) = LOWER(d.skill_name))
+             )
+           )`,
+        [DENY_THRESHOLDS.exact, DENY_THRESHOLDS.variant, DENY_THRESHOLDS.exactRatio]
+      )
+    ]);
+
+    const vocabulary = {
+      skills: kbResult.rows.filter(row => row.correction_count > 0).map(row => row.item_name),
+      aliases: kbResult.rows.flatMap(row => (row.aliases || []).map(alias => ({ alias, skill: row.item_name }))),
+      denials: denyResult.rows.map(row => ({ term: row.term, skill: row.skill_name }))
+    };
+
+    setLearnedVocabulary(vocabulary);
+    console.log(`[KnowledgeBase] Learned vocabulary: ${vocabulary.skills.length} skills, ${vocabulary.aliases.length} aliases, ${vocabulary.denials.length} denials`);
+
+    return vocabulary;
+  } catch (error) {
+    // Tables missing until migration 015 runs
+    console.warn('[KnowledgeBase] Could not load learned vocabulary:', error.message);
+    return null;
+  }
+}
+
 /**
  * Check if item exists in knowledge base
  */
@@ -568,6 +815,7 @@ export default {
   findNewCertifications,
   findNewEducation,
   storeNewItems,
+  recordItemSources,
 
   // Learning Functions
   learnFromResume,
@@ -575,12 +823,17 @@ export default {
   learnFromEducation,
   learnComprehensiveFromResume,
 
+  // Correction Feedback
+  learnFromSkillCorrections,
+  loadLearnedVocabulary,
+
   // Retrieval
   getKnowledgeBaseItems,
   getAllKnowledgeItems,
   itemExists,
 
   // Analytics
+  recordLearningMetrics,
   getKnowledgeStats,
   getStatsByType,
   getTopDiscoveries,
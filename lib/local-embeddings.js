@@ -0,0 +1,102 @@
+// Local Embeddings
+// Sentence-transformer embeddings on CPU via @xenova/transformers
+// Models download once on first use and are cached on disk for offline runs
+
+import { pipeline, env } from '@xenova/transformers';
+
+const DEFAULT_LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Read at call time: server.js loads .env after its imports are evaluated
+function getModelName() {
+  return process.env.LOCAL_EMBEDDING_MODEL || DEFAULT_LOCAL_MODEL;
+}
+
+// ============================================================================
+// Pipeline Lifecycle
+// ============================================================================
+
+let extractor = null;
+let loadingPromise = null;
+let dimension = null;
+
+/**
+ * Load the feature-extraction pipeline once; concurrent callers share the load
+ */
+export async function initializeLocalEmbeddings() {
+  if (extractor) return extractor;
+
+  if (!loadingPromise) {
+    const modelName = getModelName();
+
+    // Model cache directory (shared with the NLP pipelines)
+    if (process.env.EMBEDDING_MODEL_CACHE_DIR) {
+      env.cacheDir = process.env.EMBEDDING_MODEL_CACHE_DIR;
+    }
+    env.allowLocalModels = true;
+
+    console.log(`[LocalEmbeddings] Loading ${modelName} (cache: ${env.cacheDir})...`);
+    loadingPromise = pipeline('feature-extraction', modelName)
+      .then(loaded => {
+        extractor = loaded;
+        console.log(`[LocalEmbeddings]  ${modelName} ready`);
+        return loaded;
+      })
+      .catch(error => {
+        // Allow a retry on the next call instead of caching the failure
+        loadingPromise = null;
+        throw error;
+      });
+  }
+
+  return loadingPromise;
+}
+
+// ============================================================================
+// Embedding Generation
+// ============================================================================
+
+/**
+ * Embed text with mean pooling + L2 normalization (cosine-ready)
+ * Long inputs are truncated to the model's max sequence length by the tokenizer
+ */
+export async function generateLocalEmbedding(text) {
+  const model = await initializeLocalEmbeddings();
+  const output = await model(text || '', { pooling: 'mean', normalize: true });
+  const vector = Array.from(output.data);
+
+  dimension = vector.length;
+  return vector;
+}
+
+/**
+ * Embed several texts in one forward pass
+ */
+export async function generateLocalEmbeddings(texts) {
+  if (texts.length === 0) return [];
+
+  const model = await initializeLocalEmbeddings();
+  const output = await model(texts.map(t => t || ''), { pooling: 'mean', normalize: true });
+  const vectors = output.tolist();
+
+  dimension = vectors[0].length;
+  return vectors;
+}
+
+/**
+ * Describe the local provider (dimension is known after the first embedding)
+ */
+export function getLocalEmbeddingInfo() {
+  return {
+    model: getModelName(),
+    dimension,
+    cacheDir: env.cacheDir,
+    loaded: extractor !== null
+  };
+}
+
+export default {
+  initializeLocalEmbeddings,
+  generateLocalEmbedding,
+  generateLocalEmbeddings,
+  getLocalEmbeddingInfo
+};
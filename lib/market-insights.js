@@ -0,0 +1,472 @@
+/**
+ * MarketInsights: Talent market trends from the knowledge base
+ * Mentions per week/month (distinct resumes per item, from
+ * knowledge_base_sources), growth between the recent and the prior half of
+ * the window, rising skills, and supply (share of stored resumes listing a
+ * skill) against demand (share of stored jobs asking for it, read the way
+ * SkillAgent reads a posting when the job is created, jobs.demand_skills)
+ */
+
+import SkillAgent from './agents/skill-agent.js';
+import { canonicalSkillId, canonicalSkillName } from './skill-matcher.js';
+import {
+  getKnowledgeStats,
+  getTopDiscoveries,
+  getTrendingSkills,
+  getTrendingCertifications,
+  getTrendingEducation
+} from './knowledge-base.js';
+
+export const TREND_INTERVALS = ['week', 'month'];
+export const ITEM_TYPES = ['skill', 'certification', 'education'];
+
+// supply share / demand share below SHORTAGE is scarce, above SURPLUS plentiful
+export const SUPPLY_DEMAND_RATIOS = {
+  shortage: 0.75,
+  surplus: 1.5
+};
+
+const DEFAULT_PERIODS = { week: 12, month: 6 };
+const MAX_PERIODS = 104;
+const BACKFILL_BATCH = 10; // jobs without demand_skills extracted per request
+
+// Agent is only used for its job extraction; nothing is forked or stored
+const EXTRACTION_CONFIG = { resumeId: null, jobId: 'insights', agentType: 'skill' };
+
+/**
+ * Error carrying an HTTP status for the route
+ *
+ * @private
+ */
+function insightsError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Recent half of a series against the half before it
+ * Items with no prior mentions grow by their recent count (isNew)
+ *
+ * @param {number[]} series - Mentions per bucket, oldest first
+ * @returns {{ recent, prior, growthRate, isNew }}
+ */
+export function growthRate(series) {
+  const half = Math.floor(series.length / 2);
+  const recent = series.slice(series.length - half).reduce((sum, n) => sum + n, 0);
+  const prior = series.slice(series.length - 2 * half, series.length - half).reduce((sum, n) => sum + n, 0);
+
+  return {
+    recent,
+    prior,
+    growthRate: Math.round(((recent - prior) / Math.max(prior, 1)) * 100) / 100,
+    isNew: prior === 0 && recent > 0
+  };
+}
+
+/**
+ * Shortage / balanced / surplus from the supply-to-demand ratio
+ *
+ * @param {number|null} ratio
+ */
+export function classifySupply(ratio) {
+  if (ratio === null) return 'no_demand';
+  if (ratio < SUPPLY_DEMAND_RATIOS.shortage) return 'shortage';
+  if (ratio > SUPPLY_DEMAND_RATIOS.surplus) return 'surplus';
+  return 'balanced';
+}
+
+export class MarketInsights {
+  constructor(database) {
+    this.pool = database;
+    this.skillAgent = new SkillAgent(EXTRACTION_CONFIG);
+  }
+
+  // ==========================================================================
+  // Trends
+  // ==========================================================================
+
+  /**
+   * Mentions per time bucket for each item, with growth
+   *
+   * @param {Object} options - { type, interval: 'week'|'month', periods, limit }
+   * @returns {{ type, interval, buckets: string[], items: Array<{ name, total, series, recent, prior, growthRate, isNew }> }}
+   */
+  async getTrends(options = {}) {
+    const { type, interval, periods } = this.resolveWindow(options);
+    const limit = Math.min(200, Math.max(1, options.limit || 20));
+
+    const { buckets, items } = await this.loadSeries(type, interval, periods);
+
+    return {
+      type,
+      interval,
+      periods,
+      buckets,
+      items: items
+        .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name))
+        .slice(0, limit)
+    };
+  }
+
+  /**
+   * Items growing fastest between the prior and the recent half of the window
+   *
+   * @param {Object} options - { type, interval, periods, limit, minMentions }
+   */
+  async getRising(options = {}) {
+    const { type, interval, periods } = this.resolveWindow(options);
+    const limit = Math.min(100, Math.max(1, options.limit || 10));
+    const minMentions = Math.max(1, options.minMentions || 3);
+
+    const { buckets, items } = await this.loadSeries(type, interval, periods);
+
+    return {
+      type,
+      interval,
+      periods,
+      buckets,
+      minMentions,
+      items: items
+        .filter(item => item.recent >= minMentions && item.recent > item.prior)
+        .sort((a, b) => b.growthRate - a.growthRate || b.recent - a.recent)
+        .slice(0, limit)
+    };
+  }
+
+  /**
+   * Validated type / interval / periods
+   *
+   * @private
+   */
+  resolveWindow(options) {
+    const type = options.type || 'skill';
+    const interval = options.interval || 'week';
+
+    if (!ITEM_TYPES.includes(type)) {
+      throw insightsError(`type must be one of: ${ITEM_TYPES.join(', ')}`, 400);
+    }
+    if (!TREND_INTERVALS.includes(interval)) {
+      throw insightsError(`interval must be one of: ${TREND_INTERVALS.join(', ')}`, 400);
+    }
+
+    const periods = Math.min(MAX_PERIODS, Math.max(2, options.periods || DEFAULT_PERIODS[interval]));
+    return { type, interval, periods };
+  }
+
+  /**
+   * Bucketed mentions per item over the window, oldest bucket first
+   * Rejected discoveries are left out; merged ones count toward their target.
+   * Skills are grouped by canonical ID, so spellings add up
+   *
+   * @private
+   */
+  async loadSeries(type, interval, periods) {
+    const step = `1 ${interval}`;
+
+    const bucketResult = await this.pool.query(
+      `SELECT generate_series(
+         date_trunc($1, NOW()) - ($2::int - 1) * $3::interval,
+         date_trunc($1, NOW()),
+         $3::interval
+       ) AS bucket`,
+      [interval, periods, step]
+    );
+    const buckets = bucketResult.rows.map(row => new Date(row.bucket).toISOString());
+    const bucketIndex = new Map(buckets.map((bucket, i) => [bucket, i]));
+
+    const result = await this.pool.query(
+      `SELECT CASE WHEN kb.review_status = 'merged' AND kb.merged_into IS NOT NULL
+                   THEN kb.merged_into ELSE kb.item_name END AS name,
+              date_trunc($1, src.seen_at) AS bucket,
+              COUNT(DISTINCT src.resume_id) AS mentions
+       FROM knowledge_base_sources src
+       JOIN knowledge_base kb ON kb.id = src.item_id
+       WHERE kb.item_type = $4
+         AND COALESCE(kb.review_status, 'pending') <> 'rejected'
+         AND src.seen_at >= date_trunc($1, NOW()) - ($2::int - 1) * $3::interval
+       GROUP BY 1, 2`,
+      [interval, periods, step, type]
+    );
+
+    const byKey = new Map();
+    for (const row of result.rows) {
+      const index = bucketIndex.get(new Date(row.bucket).toISOString());
+      if (index === undefined) continue;
+
+      const name = type === 'skill' ? canonicalSkillName(row.name) : row.name;
+      const key = type === 'skill' ? canonicalSkillId(name) : name.toLowerCase();
+      if (!byKey.has(key)) {
+        byKey.set(key, { name, ...(type === 'skill' && { skillId: key }), series: new Array(buckets.length).fill(0) });
+      }
+      byKey.get(key).series[index] += parseInt(row.mentions);
+    }
+
+    const items = [...byKey.values()].map(item => ({
+      ...item,
+      total: item.series.reduce((sum, n) => sum + n, 0),
+      ...growthRate(item.series)
+    }));
+
+    return { buckets, items };
+  }
+
+  // ==========================================================================
+  // Supply vs Demand
+  // ==========================================================================
+
+  /**
+   * How often each skill appears in stored resumes versus stored jobs
+   *
+   * @param {Object} options - { days: only resumes/jobs created in the last N days,
+   *   limit, sort: 'shortage'|'surplus'|'demand'|'supply', skills: string[] to restrict to }
+   * @returns {{ resumes, jobs, jobsPending, skills: Array<Object> }}
+   */
+  async getSupplyDemand(options = {}) {
+    const days = options.days > 0 ? options.days : null;
+    const limit = Math.min(200, Math.max(1, options.limit || 25));
+    const sort = options.sort || 'shortage';
+    const only = Array.isArray(options.skills) && options.skills.length > 0
+      ? new Set(options.skills.map(skill => canonicalSkillId(skill)))
+      : null;
+
+    if (!['shortage', 'surplus', 'demand', 'supply'].includes(sort)) {
+      throw insightsError('sort must be one of: shortage, surplus, demand, supply', 400);
+    }
+
+    const supply = await this.loadSupply(days);
+    const demand = await this.loadDemand(days);
+
+    const skills = new Map();
+    const entry = (skillId, name) => {
+      if (!skills.has(skillId)) skills.set(skillId, { skill: name, skillId, resumes: 0, jobs: 0, requiredBy: 0 });
+      return skills.get(skillId);
+    };
+
+    for (const [skillId, { name, count }] of supply.counts) entry(skillId, name).resumes = count;
+    for (const [skillId, { name, count, required }] of demand.counts) {
+      const item = entry(skillId, name);
+      item.jobs = count;
+      item.requiredBy = required;
+    }
+
+    const rows = [...skills.values()]
+      .filter(item => !only || only.has(item.skillId))
+      .map(item => {
+        const supplyShare = supply.total > 0 ? item.resumes / supply.total : 0;
+        const demandShare = demand.total > 0 ? item.jobs / demand.total : 0;
+        const ratio = demandShare > 0 ? Math.round((supplyShare / demandShare) * 100) / 100 : null;
+
+        return {
+          ...item,
+          supplyShare: Math.round(supplyShare * 1000) / 1000,
+          demandShare: Math.round(demandShare * 1000) / 1000,
+          ratio,
+          status: classifySupply(ratio)
+        };
+      });
+
+    const sorters = {
+      shortage: (a, b) => (a.ratio ?? Infinity) - (b.ratio ?? Infinity) || b.jobs - a.jobs,
+      surplus: (a, b) => (b.ratio ?? -1) - (a.ratio ?? -1) || b.resumes - a.resumes,
+      demand: (a, b) => b.jobs - a.jobs || a.skill.localeCompare(b.skill),
+      supply: (a, b) => b.resumes - a.resumes || a.skill.localeCompare(b.skill)
+    };
+
+    return {
+      windowDays: days,
+      resumes: supply.total,
+      jobs: demand.total,
+      jobsPending: demand.pending,
+      ratios: SUPPLY_DEMAND_RATIOS,
+      skills: rows
+        .filter(row => sort !== 'shortage' || row.jobs > 0)
+        .sort(sorters[sort])
+        .slice(0, limit)
+    };
+  }
+
+  /**
+   * Resumes listing each skill (resumes.skills), by canonical ID
+   *
+   * @private
+   */
+  async loadSupply(days) {
+    const totalResult = await this.pool.query(
+      `SELECT COUNT(*) AS total FROM resumes
+       WHERE ($1::int IS NULL OR created_at >= NOW() - $1::int * INTERVAL '1 day')`,
+      [days]
+    );
+    const result = await this.pool.query(
+      `SELECT skill.name, COUNT(DISTINCT r.resume_id) AS resumes
+       FROM resumes r
+       CROSS JOIN LATERAL unnest(r.skills) AS s
+       CROSS JOIN LATERAL (
+         SELECT CASE WHEN s LIKE '{%' THEN s::jsonb ->> 'name' ELSE s END AS name
+       ) skill
+       WHERE ($1::int IS NULL OR r.created_at >= NOW() - $1::int * INTERVAL '1 day')
+         AND skill.name IS NOT NULL
+       GROUP BY skill.name`,
+      [days]
+    );
+
+    // Entries are names, or skill objects stored as JSON; spellings of one
+    // skill add up under its canonical ID
+    const total = parseInt(totalResult.rows[0]?.total || 0);
+    const counts = new Map();
+    for (const row of result.rows) {
+      const skillId = canonicalSkillId(row.name);
+      const existing = counts.get(skillId) || { name: canonicalSkillName(row.name), count: 0 };
+      existing.count += parseInt(row.resumes);
+      counts.set(skillId, existing);
+    }
+
+    return { total, counts };
+  }
+
+  /**
+   * Skills a job asks for, one entry per canonical skill (jobs.demand_skills)
+   * Explicit required/preferred fields, else the description; stored when the
+   * job is created so demand is read from the database
+   *
+   * @param {Object} job - Job row or job data (title, description, required_skills, preferred_skills)
+   * @returns {Array<{ skill_id, name, required }>}
+   */
+  extractDemandSkills(job) {
+    const explicit = this.skillAgent.getExplicitJobSkills(job);
+    const skills = explicit.length > 0
+      ? explicit
+      : this.skillAgent.extractJobSkills(this.skillAgent.extractJobText(job));
+
+    const seen = new Map();
+    for (const skill of skills) {
+      const skillId = skill.skillId || canonicalSkillId(skill);
+      const required = seen.get(skillId)?.required || skill.importance === 'required';
+      seen.set(skillId, { skill_id: skillId, name: canonicalSkillName(skill.name), required });
+    }
+
+    return [...seen.values()];
+  }
+
+  /**
+   * Fill demand_skills for a batch of jobs created before it was stored
+   * Newest first; one job at a time so other requests run in between
+   *
+   * @private
+   */
+  async backfillDemandSkills(days) {
+    const result = await this.pool.query(
+      `SELECT job_id, title, description, required_skills, preferred_skills
+       FROM jobs
+       WHERE demand_skills IS NULL
+         AND ($1::int IS NULL OR created_at >= NOW() - $1::int * INTERVAL '1 day')
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [days, BACKFILL_BATCH]
+    );
+
+    for (const job of result.rows) {
+      await this.pool.query(
+        'UPDATE jobs SET demand_skills = $2::jsonb WHERE job_id = $1 AND demand_skills IS NULL',
+        [job.job_id, JSON.stringify(this.extractDemandSkills(job))]
+      );
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Jobs asking for each skill, from jobs.demand_skills
+   * Jobs still waiting for extraction are reported as pending, not counted
+   *
+   * @private
+   */
+  async loadDemand(days) {
+    await this.backfillDemandSkills(days);
+
+    const [totalResult, result] = await Promise.all([
+      this.pool.query(
+        `SELECT COUNT(*) FILTER (WHERE demand_skills IS NOT NULL) AS total,
+                COUNT(*) FILTER (WHERE demand_skills IS NULL) AS pending
+         FROM jobs
+         WHERE ($1::int IS NULL OR created_at >= NOW() - $1::int * INTERVAL '1 day')`,
+        [days]
+      ),
+      this.pool.query(
+        `SELECT s ->> 'skill_id' AS skill_id, MIN(s ->> 'name') AS name,
+                COUNT(*) AS jobs,
+                COUNT(*) FILTER (WHERE (s ->> 'required')::boolean) AS required
+         FROM jobs j
+         CROSS JOIN LATERAL jsonb_array_elements(j.demand_skills) AS s
+         WHERE j.demand_skills IS NOT NULL
+           AND ($1::int IS NULL OR j.created_at >= NOW() - $1::int * INTERVAL '1 day')
+         GROUP BY s ->> 'skill_id'`,
+        [days]
+      )
+    ]);
+
+    const counts = new Map();
+    for (const row of result.rows) {
+      counts.set(row.skill_id, { name: row.name, count: parseInt(row.jobs), required: parseInt(row.required) });
+    }
+
+    return {
+      total: parseInt(totalResult.rows[0]?.total || 0),
+      pending: parseInt(totalResult.rows[0]?.pending || 0),
+      counts
+    };
+  }
+
+  // ==========================================================================
+  // Summary
+  // ==========================================================================
+
+  /**
+   * Knowledge base totals, all-time leaders and daily learning metrics
+   *
+   * @param {Object} options - { limit, days: learning_metrics history }
+   */
+  async getSummary(options = {}) {
+    const limit = Math.min(50, Math.max(1, options.limit || 10));
+    const days = Math.min(365, Math.max(1, options.days || 30));
+
+    const [stats, topDiscoveries, skills, certifications, education, metrics] = await Promise.all([
+      getKnowledgeStats(this.pool),
+      getTopDiscoveries(this.pool, limit),
+      getTrendingSkills(this.pool, limit),
+      getTrendingCertifications(this.pool, limit),
+      getTrendingEducation(this.pool, limit),
+      this.getLearningMetrics(days)
+    ]);
+
+    return {
+      stats,
+      topDiscoveries,
+      leaders: { skills, certifications, education },
+      learningMetrics: metrics
+    };
+  }
+
+  /**
+   * Daily learning_metrics rows, newest first
+   *
+   * @param {number} days
+   */
+  async getLearningMetrics(days = 30) {
+    try {
+      const result = await this.pool.query(
+        `SELECT metric_date, item_type, discovered_today, total_in_base, avg_source_count
+         FROM learning_metrics
+         WHERE metric_date >= CURRENT_DATE - $1::int
+         ORDER BY metric_date DESC, item_type`,
+        [days]
+      );
+      return result.rows;
+    } catch (error) {
+      console.warn('[MarketInsights] Could not read learning metrics:', error.message);
+      return [];
+    }
+  }
+}
+
+export default MarketInsights;
@@ -3,8 +3,16 @@
  *
  * Handles communication between agents via Tiger MCP
  * Provides message passing, channel management, and coordination
+ * (Internal agent bus; the Model Context Protocol server is mcp-server.js)
+ *
+ * With a database, channels and messages live in agent_channels /
+ * agent_messages (see agent-channel-store.js); without one they stay in memory.
  */
 
+import { MemoryChannelStore, PostgresChannelStore } from './agent-channel-store.js';
+
+export const MESSAGE_DIRECTIONS = ['to_agent', 'to_coordinator', 'log'];
+
 export class MCPClient {
   /**
    * Initialize MCP client
@@ -13,6 +21,8 @@ export class MCPClient {
    * @param {string} config.apiKey - Tiger MCP API key
    * @param {string} config.workspace - Workspace name
    * @param {string} config.region - Region (default: us-east-1)
+   * @param {Object} config.database - pg pool; persists channels and messages (optional)
+   * @param {Object} config.store - Channel store to use instead (optional)
    */
   constructor(config) {
     this.apiKey = config.apiKey || process.env.TIGER_MCP_KEY;
@@ -24,11 +34,13 @@ export class MCPClient {
       this.fallbackMode = true;
     }
 
-    this.channels = new Map();
-    this.messages = new Map();
+    this.store = config.store
+      || (config.database ? new PostgresChannelStore(config.database) : new MemoryChannelStore());
+    this.channels = new Map(); // open channels created by this client
     this.agentRegistry = new Map();
+    this.sentCount = 0;
 
-    console.log(`[MCP] Initialized for workspace: ${this.workspace}`);
+    console.log(`[MCP] Initialized for workspace: ${this.workspace} (${this.store.backend} channels)`);
   }
 
   /**
@@ -38,6 +50,10 @@ export class MCPClient {
    * @param {string} config.name - Channel name
    * @param {string} config.agentType - Type of agent
    * @param {string} config.priority - Channel priority
+   * @param {string} config.runId - Scoring run the channel belongs to (optional)
+   * @param {string} config.forkId - Agent fork (optional)
+   * @param {string} config.resumeId - Resume being scored (optional)
+   * @param {string} config.jobId - Job being scored (optional)
    * @returns {Promise<Object>} Channel information
    */
   async createChannel(config) {
@@ -51,15 +67,14 @@ export class MCPClient {
         agentType: config.agentType,
         name: config.name,
         priority: config.priority || 'normal',
-        status: 'open',
-        createdAt: new Date(),
-        messages: [],
-        buffer: []
+        runId: config.runId || null,
+        forkId: config.forkId || null,
+        resumeId: config.resumeId || null,
+        jobId: config.jobId || null
       };
 
-      // Register channel
+      await this.store.createChannel(channel);
       this.channels.set(channelId, channel);
-      this.messages.set(channelId, []);
 
       return {
         channelId,
@@ -78,31 +93,24 @@ export class MCPClient {
    *
    * @param {string} channelId - Channel identifier
    * @param {Object} message - Message to send
+   * @param {string} message.type - Message type (default: request)
+   * @param {string} message.direction - One of MESSAGE_DIRECTIONS (default: to_agent)
+   * @param {Object} message.payload - Body (default: the message itself)
    * @returns {Promise<Object>} Message acknowledgment
    */
   async send(channelId, message) {
     try {
-      const channel = this.channels.get(channelId);
-      if (!channel) {
-        throw new Error(`Channel not found: ${channelId}`);
-      }
-
       const messageObject = {
         messageId: this.generateMessageId(),
         channelId,
         timestamp: new Date(),
+        direction: MESSAGE_DIRECTIONS.includes(message.direction) ? message.direction : 'to_agent',
         type: message.type || 'request',
-        payload: message.payload || message,
-        status: 'sent'
+        payload: message.payload || message
       };
 
-      // Store message
-      const messages = this.messages.get(channelId) || [];
-      messages.push(messageObject);
-      this.messages.set(channelId, messages);
-
-      // Add to channel buffer
-      channel.buffer.push(messageObject);
+      await this.store.send(messageObject);
+      this.sentCount++;
 
       this.log(`Message sent on ${channelId}:`, messageObject.messageId);
 
@@ -123,41 +131,18 @@ export class MCPClient {
    * @param {string} channelId - Channel identifier
    * @param {Object} options - Options
    * @param {number} options.timeout - Wait timeout in ms
-   * @returns {Promise<Object>} Received message
+   * @returns {Promise<Object>} Received message payload
    */
   async receive(channelId, options = {}) {
     const timeout = options.timeout || 30000; // 30 second default
-    const startTime = Date.now();
 
-    return new Promise((resolve, reject) => {
-      const checkInterval = setInterval(() => {
-        try {
-          const channel = this.channels.get(channelId);
-          if (!channel) {
-            throw new Error(`Channel not found: ${channelId}`);
-          }
-
-          // Check for buffered messages
-          if (channel.buffer.length > 0) {
-            clearInterval(checkInterval);
-            const message = channel.buffer.shift();
-            this.log(`Message received on ${channelId}:`, message.messageId);
-            resolve(message.payload);
-            return;
-          }
-
-          // Check timeout
-          if (Date.now() - startTime > timeout) {
-            clearInterval(checkInterval);
-            reject(new Error(`Receive timeout on channel: ${channelId}`));
-          }
+    const message = await this.store.receive(channelId, timeout);
+    if (!message) {
+      throw new Error(`Receive timeout on channel: ${channelId}`);
+    }
 
-        } catch (error) {
-          clearInterval(checkInterval);
-          reject(error);
-        }
-      }, 100); // Check every 100ms
-    });
+    this.log(`Message received on ${channelId}:`, message.messageId);
+    return message.payload;
   }
 
   /**
@@ -215,13 +200,8 @@ export class MCPClient {
    */
   async closeChannel(channelId) {
     try {
-      const channel = this.channels.get(channelId);
-      if (!channel) {
-        throw new Error(`Channel not found: ${channelId}`);
-      }
-
-      channel.status = 'closed';
-      channel.closedAt = new Date();
+      await this.store.closeChannel(channelId);
+      this.channels.delete(channelId);
 
       this.log(`Channel closed: ${channelId}`);
 
@@ -235,10 +215,10 @@ export class MCPClient {
    * Get channel status
    *
    * @param {string} channelId - Channel identifier
-   * @returns {Object} Channel status
+   * @returns {Promise<Object>} Channel status
    */
-  getChannelStatus(channelId) {
-    const channel = this.channels.get(channelId);
+  async getChannelStatus(channelId) {
+    const channel = await this.store.getChannel(channelId);
     if (!channel) {
       return { status: 'not-found' };
     }
@@ -247,12 +227,33 @@ export class MCPClient {
       channelId,
       status: channel.status,
       agentType: channel.agentType,
-      messageCount: this.messages.get(channelId)?.length || 0,
-      bufferedMessages: channel.buffer.length,
+      runId: channel.runId,
+      messageCount: channel.messageCount,
+      bufferedMessages: channel.pendingMessages,
       createdAt: channel.createdAt
     };
   }
 
+  /**
+   * Every channel and message of a scoring run, in send order
+   *
+   * @param {string} runId - Run identifier (AgentCoordinator results.run_id)
+   * @returns {Promise<Object|null>} { runId, resumeId, jobId, startedAt, closedAt, channels, messages }
+   */
+  async getRunTrail(runId) {
+    return this.store.getRunTrail(runId);
+  }
+
+  /**
+   * Recent scoring runs, newest first
+   *
+   * @param {Object} options - resumeId, jobId, limit (default 20, max 100)
+   * @returns {Promise<Array>} { runId, resumeId, jobId, startedAt, closedAt, channels, messages }
+   */
+  async listRuns(options = {}) {
+    return this.store.listRuns(options);
+  }
+
   /**
    * Broadcast message to all agents of a type
    *
@@ -331,9 +332,10 @@ export class MCPClient {
     return {
       status: this.fallbackMode ? 'fallback' : 'connected',
       workspace: this.workspace,
+      backend: this.store.backend,
       activeChannels: this.channels.size,
       registeredAgents: this.agentRegistry.size,
-      totalMessages: Array.from(this.messages.values()).reduce((sum, msgs) => sum + msgs.length, 0)
+      totalMessages: this.sentCount
     };
   }
 
@@ -380,7 +382,7 @@ export class MCPClient {
     this.log('Shutting down...');
 
     // Close all channels
-    for (const [channelId] of this.channels) {
+    for (const channelId of Array.from(this.channels.keys())) {
       try {
         await this.closeChannel(channelId);
       } catch (error) {
@@ -389,8 +391,8 @@ export class MCPClient {
     }
 
     // Clear registries
+    await this.store.shutdown();
     this.channels.clear();
-    this.messages.clear();
     this.agentRegistry.clear();
 
     this.log('✅ Shutdown complete');
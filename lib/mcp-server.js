@@ -0,0 +1,428 @@
+/**
+ * MCP Server: Model Context Protocol over JSON-RPC 2.0
+ *
+ * Exposes registered tools to MCP clients (assistants, IDEs) over two
+ * transports: stdio (newline-delimited JSON) and streamable HTTP (POST /mcp).
+ * The tools themselves live in mcp-tools.js; MCPClient in mcp-client.js is the
+ * internal agent message bus and is unrelated.
+ */
+
+import express from 'express';
+import readline from 'readline';
+import { randomUUID } from 'crypto';
+
+// Newest first; the first one is offered when the client asks for another
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+export const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// ============================================================================
+// Protocol
+// ============================================================================
+
+export class McpServer {
+  /**
+   * @param {Object} info
+   * @param {string} info.name - serverInfo.name
+   * @param {string} info.version - serverInfo.version
+   * @param {string} info.instructions - Hint for the client's model (optional)
+   */
+  constructor(info = {}) {
+    this.info = {
+      name: info.name || 'careercheck',
+      version: info.version || '1.0.0'
+    };
+    this.instructions = info.instructions || null;
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool
+   *
+   * @param {Object} tool
+   * @param {string} tool.name - Tool name clients call
+   * @param {string} tool.description - What it does, for the client's model
+   * @param {Object} tool.inputSchema - JSON Schema of the arguments (type: object)
+   * @param {Function} tool.handler - async (args) => { content, structuredContent? }
+   */
+  registerTool(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool needs a name and a handler');
+    }
+    this.tools.set(tool.name, {
+      name: tool.name,
+      title: tool.title,
+      description: tool.description || '',
+      inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+      handler: tool.handler
+    });
+  }
+
+  /**
+   * Tool definitions as sent in tools/list
+   */
+  listTools() {
+    return [...this.tools.values()].map(({ handler, ...definition }) => definition);
+  }
+
+  /**
+   * Handle a parsed JSON-RPC payload (one message or a batch)
+   *
+   * @param {Object|Array} payload
+   * @param {Object} context - Transport state (session)
+   * @returns {Promise<Object|Array|null>} Response(s), null when nothing to send
+   */
+  async handlePayload(payload, context = {}) {
+    if (Array.isArray(payload)) {
+      if (payload.length === 0) {
+        return errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Empty batch');
+      }
+      const responses = [];
+      for (const message of payload) {
+        const response = await this.handleMessage(message, context);
+        if (response) responses.push(response);
+      }
+      return responses.length > 0 ? responses : null;
+    }
+
+    return this.handleMessage(payload, context);
+  }
+
+  /**
+   * Handle one JSON-RPC message
+   * Notifications (no id) and client responses get no reply
+   *
+   * @returns {Promise<Object|null>}
+   */
+  async handleMessage(message, context = {}) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return errorResponse(message?.id ?? null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message');
+    }
+
+    const isNotification = message.id === undefined || message.id === null;
+
+    if (typeof message.method !== 'string') {
+      // A response to something we sent; this server sends no requests
+      if (!isNotification && ('result' in message || 'error' in message)) return null;
+      return errorResponse(message.id ?? null, JSONRPC_ERRORS.INVALID_REQUEST, 'Missing method');
+    }
+
+    if (isNotification) {
+      if (message.method === 'notifications/initialized') context.initialized = true;
+      return null;
+    }
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {}, context);
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (error.rpcCode) {
+        return errorResponse(message.id, error.rpcCode, error.message, error.data);
+      }
+      console.error(`[MCP] ${message.method} failed:`, error.message);
+      return errorResponse(message.id, JSONRPC_ERRORS.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async dispatch(method, params, context) {
+    switch (method) {
+      case 'initialize':
+        return this.initialize(params, context);
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: this.listTools() };
+      case 'tools/call':
+        return this.callTool(params);
+      default:
+        throw rpcError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  initialize(params, context) {
+    const requested = params.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    context.protocolVersion = protocolVersion;
+    context.clientInfo = params.clientInfo || null;
+
+    const result = {
+      protocolVersion,
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: this.info
+    };
+    if (this.instructions) result.instructions = this.instructions;
+    return result;
+  }
+
+  /**
+   * Run a tool; failures inside the tool come back as isError results so the
+   * client's model can read them, not as JSON-RPC errors
+   *
+   * @private
+   */
+  async callTool(params) {
+    const tool = this.tools.get(params.name);
+    if (!tool) {
+      throw rpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+
+    const args = params.arguments || {};
+    const problem = validateArguments(args, tool.inputSchema);
+    if (problem) {
+      return toolError(`Invalid arguments for ${tool.name}: ${problem}`);
+    }
+
+    try {
+      const result = await tool.handler(args);
+      return { isError: false, ...result };
+    } catch (error) {
+      return toolError(error.message);
+    }
+  }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function rpcError(code, message, data) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  error.data = data;
+  return error;
+}
+
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id, error };
+}
+
+function toolError(message) {
+  return { content: [{ type: 'text', text: message }], isError: true };
+}
+
+/**
+ * Check required properties and top-level types against the tool's schema
+ * Just enough to catch wrong calls before they reach the API
+ *
+ * @private
+ */
+function validateArguments(args, schema) {
+  if (typeof args !== 'object' || Array.isArray(args)) return 'arguments must be an object';
+
+  for (const name of schema.required || []) {
+    if (args[name] === undefined || args[name] === null || args[name] === '') {
+      return `${name} is required`;
+    }
+  }
+
+  for (const [name, value] of Object.entries(args)) {
+    const property = schema.properties?.[name];
+    if (!property || value === undefined || value === null) continue;
+
+    const types = [].concat(property.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+      return `${name} must be ${types.join(' or ')}`;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      return `${name} must be one of ${property.enum.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+// ============================================================================
+// Stdio Transport
+// ============================================================================
+
+/**
+ * Serve over stdio: one JSON-RPC message per line in, one per line out
+ * stdout carries protocol messages only, so logs must go to stderr
+ *
+ * @param {McpServer} server
+ * @param {Object} options - input/output streams (default process.stdin/stdout)
+ * @returns {Promise<void>} Resolves when input closes
+ */
+export function serveStdio(server, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const context = {};
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const write = message => output.write(JSON.stringify(message) + '\n');
+
+  // Answer in arrival order even when a tool call is slow
+  let queue = Promise.resolve();
+
+  lines.on('line', line => {
+    if (!line.trim()) return;
+
+    queue = queue.then(async () => {
+      let payload;
+      try {
+        payload = JSON.parse(line);
+      } catch (error) {
+        write(errorResponse(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
+        return;
+      }
+
+      const response = await server.handlePayload(payload, context);
+      if (response) write(response);
+    });
+  });
+
+  return new Promise(resolve => {
+    lines.on('close', () => queue.then(resolve));
+  });
+}
+
+// ============================================================================
+// Streamable HTTP Transport
+// ============================================================================
+
+/**
+ * Router for the streamable HTTP transport, mounted at the MCP endpoint path
+ * POST answers with application/json (no server-initiated streams), GET is 405,
+ * DELETE ends the session
+ *
+ * @param {McpServer} server
+ * @param {Object} options
+ * @param {string[]} options.allowedOrigins - Browser origins allowed besides localhost
+ * @param {string} options.apiKey - Require X-API-Key when set
+ */
+export function createStreamableHttpRouter(server, options = {}) {
+  const router = express.Router();
+  const allowedOrigins = options.allowedOrigins || [];
+  const sessions = new Map();
+
+  router.use(express.json({ limit: '15mb' }));
+
+  // Browsers send Origin; rejecting unknown ones prevents DNS rebinding
+  router.use((req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin && !isLocalOrigin(origin) && !allowedOrigins.includes(origin)) {
+      return res.status(403).json(errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, `Origin not allowed: ${origin}`));
+    }
+    if (options.apiKey && req.get('X-API-Key') !== options.apiKey) {
+      return res.status(401).json(errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid or missing X-API-Key'));
+    }
+    next();
+  });
+
+  router.post('/', async (req, res) => {
+    const payload = req.body;
+    const messages = Array.isArray(payload) ? payload : [payload];
+    const isInitialize = messages.some(message => message?.method === 'initialize');
+
+    pruneSessions(sessions);
+
+    let sessionId = req.get('Mcp-Session-Id');
+    let context;
+
+    if (isInitialize) {
+      sessionId = randomUUID();
+      context = { sessionId };
+    } else {
+      if (!sessionId) {
+        return res.status(400).json(errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Missing Mcp-Session-Id header'));
+      }
+      context = sessions.get(sessionId);
+      if (!context) {
+        return res.status(404).json(errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Unknown or expired session'));
+      }
+
+      const version = req.get('MCP-Protocol-Version');
+      if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+        return res.status(400).json(errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, `Unsupported protocol version: ${version}`));
+      }
+    }
+
+    context.lastSeen = Date.now();
+    const response = await server.handlePayload(payload, context);
+
+    if (isInitialize && context.protocolVersion) {
+      sessions.set(sessionId, context);
+    }
+    if (sessionId && sessions.has(sessionId)) {
+      res.set('Mcp-Session-Id', sessionId);
+    }
+
+    // Only notifications or responses: nothing to answer
+    if (!response) return res.status(202).end();
+    res.json(response);
+  });
+
+  router.get('/', (req, res) => {
+    res.set('Allow', 'POST, DELETE').status(405).end();
+  });
+
+  router.delete('/', (req, res) => {
+    const sessionId = req.get('Mcp-Session-Id');
+    if (!sessionId || !sessions.delete(sessionId)) {
+      return res.status(404).json(errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Unknown or expired session'));
+    }
+    res.status(204).end();
+  });
+
+  // express.json() rejects malformed bodies before the handlers run
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json(errorResponse(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
+    }
+    next(error);
+  });
+
+  return router;
+}
+
+function isLocalOrigin(origin) {
+  try {
+    const { hostname } = new URL(origin);
+    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Drop sessions idle longer than SESSION_IDLE_MS (checked per request, no timers)
+ *
+ * @private
+ */
+function pruneSessions(sessions) {
+  const cutoff = Date.now() - SESSION_IDLE_MS;
+  for (const [id, context] of sessions) {
+    if (context.lastSeen < cutoff) sessions.delete(id);
+  }
+}
+
+export default McpServer;
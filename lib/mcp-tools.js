@@ -0,0 +1,287 @@
+/**
+ * MCP Tools: CareerCheck Scoring Tools for MCP Clients
+ *
+ * Each tool is a thin wrapper over a CareerCheck REST endpoint, so MCP calls
+ * go through the same parsing, coordinator scoring, knowledge base learning
+ * and rate limits as the web UI.
+ */
+
+import path from 'path';
+import {
+  SENIORITY_LEVELS,
+  EMPLOYMENT_TYPES,
+  INDUSTRIES,
+  EDUCATION_LEVELS
+} from './job-requisition.js';
+
+const DEFAULT_TIMEOUT_MS = 120000; // first multi-agent score of a resume can be slow
+
+const RESUME_MIMETYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// ============================================================================
+// API Client
+// ============================================================================
+
+/**
+ * Minimal client for the CareerCheck REST API
+ * Non-2xx responses throw with statusCode and the API's error message
+ *
+ * @param {string} baseUrl - e.g. http://localhost:8080
+ * @param {Object} options - fetchImpl, timeoutMs, headers
+ */
+export function createApiClient(baseUrl, options = {}) {
+  const fetchImpl = options.fetchImpl || fetch;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function request(method, route, { query, body, headers } = {}) {
+    const url = new URL(root + route);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value === undefined || value === null || value === '') continue;
+      url.searchParams.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        method,
+        body,
+        headers: { ...options.headers, ...headers },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      const wrapped = new Error(`CareerCheck API unreachable at ${root}: ${error.message}`);
+      wrapped.statusCode = 502;
+      throw wrapped;
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (error) {
+      data = { error: text };
+    }
+
+    if (!response.ok) {
+      const error = new Error(data.error || data.message || `${method} ${route} failed with ${response.status}`);
+      error.statusCode = response.status;
+      error.details = data;
+      throw error;
+    }
+    return data;
+  }
+
+  return {
+    baseUrl: root,
+    get: (route, query) => request('GET', route, { query }),
+    postJson: (route, body) => request('POST', route, {
+      body: JSON.stringify(body),
+      headers: { 'Content-Type': 'application/json' }
+    }),
+    postFile: (route, field, { buffer, filename, mimetype }) => {
+      const form = new FormData();
+      form.append(field, new Blob([buffer], { type: mimetype }), filename);
+      return request('POST', route, { body: form });
+    }
+  };
+}
+
+// ============================================================================
+// Results
+// ============================================================================
+
+/**
+ * Tool result with a readable summary plus the full API response
+ * structuredContent carries the same data for clients that parse it
+ *
+ * @private
+ */
+function toolResult(summary, data) {
+  return {
+    content: [{ type: 'text', text: `${summary}\n\n${JSON.stringify(data, null, 2)}` }],
+    structuredContent: data
+  };
+}
+
+function percent(decimal) {
+  return typeof decimal === 'number' ? `${Math.round(decimal * 100)}%` : 'n/a';
+}
+
+// ============================================================================
+// Tools
+// ============================================================================
+
+/**
+ * Register upload_resume, create_job, score_fit, rank_candidates and
+ * search_skills on an McpServer
+ *
+ * @param {McpServer} server
+ * @param {Object} api - createApiClient() result
+ */
+export function registerCareerCheckTools(server, api) {
+  server.registerTool({
+    name: 'upload_resume',
+    title: 'Upload resume',
+    description: 'Parse and store a resume. Pass plain text in "text", or a PDF/DOC/DOCX/TXT file as base64 in "content_base64" with its filename. Returns the resume_id used by score_fit and rank_candidates, plus the extracted skills and experience.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Resume as plain text' },
+        content_base64: { type: 'string', description: 'Resume file contents, base64-encoded' },
+        filename: { type: 'string', description: 'File name including extension, e.g. jane-doe.pdf' },
+        mimetype: { type: 'string', description: 'Overrides the type guessed from the filename' }
+      }
+    },
+    handler: async args => {
+      let file;
+      if (args.content_base64) {
+        const filename = args.filename || 'resume.pdf';
+        const mimetype = args.mimetype || RESUME_MIMETYPES[path.extname(filename).toLowerCase()];
+        if (!mimetype) {
+          throw new Error(`Unsupported file type for ${filename}; use .pdf, .txt, .doc or .docx`);
+        }
+        file = { buffer: Buffer.from(args.content_base64, 'base64'), filename, mimetype };
+      } else if (args.text) {
+        file = { buffer: Buffer.from(args.text, 'utf8'), filename: args.filename || 'resume.txt', mimetype: 'text/plain' };
+      } else {
+        throw new Error('Provide either text or content_base64');
+      }
+
+      const data = await api.postFile('/api/upload-resume', 'resume', file);
+      const skills = data.skills || [];
+      return toolResult(
+        `Stored resume ${data.resume_id} for ${data.candidate_name || 'unknown candidate'}: ` +
+        `${skills.length} skills, ${data.years_experience ?? '?'} years of experience.`,
+        data
+      );
+    }
+  });
+
+  server.registerTool({
+    name: 'create_job',
+    title: 'Create job',
+    description: 'Create a job from a title and description, optionally with structured requisition fields. Returns the job_id used by score_fit and rank_candidates.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        description: { type: 'string', description: 'Full job description text' },
+        required_skills: { type: 'array', items: { type: 'string' } },
+        preferred_skills: { type: 'array', items: { type: 'string' } },
+        min_years: { type: 'number' },
+        max_years: { type: 'number' },
+        education_level: { type: 'string', enum: Object.keys(EDUCATION_LEVELS) },
+        education_field: { type: 'string' },
+        required_certifications: { type: 'array', items: { type: 'string' } },
+        location: { type: 'string' },
+        seniority: { type: 'string', enum: SENIORITY_LEVELS },
+        employment_type: { type: 'string', enum: EMPLOYMENT_TYPES },
+        industry: { type: 'string', enum: INDUSTRIES }
+      },
+      required: ['title', 'description']
+    },
+    handler: async args => {
+      const data = await api.postJson('/api/job-description', args);
+      return toolResult(
+        `Created job ${data.job_id} "${data.title}" (requires ${data.required_years ?? '?'} years).`,
+        data
+      );
+    }
+  });
+
+  server.registerTool({
+    name: 'score_fit',
+    title: 'Score resume against job',
+    description: 'Score how well a stored resume fits a job (0-1 per dimension: skills, semantic, experience, education, certifications, plus composite). multi_agent (default true) uses the agent coordinator with per-dimension reasoning; false uses the faster single-pass scorer.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        resume_id: { type: 'string' },
+        job_id: { type: 'string' },
+        multi_agent: { type: 'boolean', default: true }
+      },
+      required: ['resume_id', 'job_id']
+    },
+    handler: async args => {
+      const route = args.multi_agent === false ? '/api/score' : '/api/score-multi-agent';
+      const data = await api.get(`${route}/${encodeURIComponent(args.resume_id)}/${encodeURIComponent(args.job_id)}`);
+      const scores = data.scores || {};
+      return toolResult(
+        `Composite fit ${percent(scores.composite)} (skills ${percent(scores.skill_match)}, ` +
+        `experience ${percent(scores.experience)}, education ${percent(scores.education)}).`,
+        data
+      );
+    }
+  });
+
+  server.registerTool({
+    name: 'rank_candidates',
+    title: 'Rank candidates for job',
+    description: 'Rank stored resumes for a job by multi-agent composite score, best first. Filter by skills, specific resume_ids or a minimum score (0-1). Stale or missing scores are recomputed up to the server limit per call; refresh forces recomputation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: { type: 'string' },
+        page: { type: 'integer', minimum: 1 },
+        page_size: { type: 'integer', minimum: 1, maximum: 100 },
+        skills: { type: 'array', items: { type: 'string' }, description: 'Only resumes listing at least one of these skills' },
+        resume_ids: { type: 'array', items: { type: 'string' } },
+        min_score: { type: 'number', minimum: 0, maximum: 1 },
+        refresh: { type: 'boolean' }
+      },
+      required: ['job_id']
+    },
+    handler: async args => {
+      const data = await api.get(`/api/jobs/${encodeURIComponent(args.job_id)}/ranking`, {
+        page: args.page,
+        page_size: args.page_size,
+        skills: args.skills,
+        resume_ids: args.resume_ids,
+        min_score: args.min_score,
+        refresh: args.refresh ? 'true' : undefined
+      });
+      const candidates = data.candidates || [];
+      const top = candidates.slice(0, 3)
+        .map(c => `#${c.rank} ${c.candidate_name || c.resume_id} ${percent(c.composite)}`)
+        .join(', ');
+      return toolResult(
+        `${data.pagination?.total ?? candidates.length} ranked candidates for "${data.job?.title || args.job_id}"` +
+        (top ? `: ${top}` : '') + '.',
+        data
+      );
+    }
+  });
+
+  server.registerTool({
+    name: 'search_skills',
+    title: 'Search skills',
+    description: 'Find skills in the CareerCheck taxonomy by name, alias or partial spelling. Use it to get canonical skill names before filtering rank_candidates or writing required_skills.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        limit: { type: 'integer', minimum: 1, maximum: 50 }
+      },
+      required: ['query']
+    },
+    handler: async args => {
+      const data = await api.get('/api/skills/search', { q: args.query, limit: args.limit });
+      const names = (data.results || []).map(result => result.name).filter(Boolean);
+      return toolResult(
+        names.length > 0 ? `Matches for "${args.query}": ${names.join(', ')}.` : `No skills match "${args.query}".`,
+        data
+      );
+    }
+  });
+}
+
+export default {
+  createApiClient,
+  registerCareerCheckTools
+};
@@ -4,6 +4,7 @@
 
 import { pipeline, env } from '@xenova/transformers';
 import { extractAllSkills } from './skill-matcher.js';
+import { BORDERLINE_CONFIDENCE } from './skill-disambiguation.js';
 
 // Allow downloading models on first use, cache them locally after
 env.allowLocalModels = true;
@@ -67,11 +68,13 @@ export async function extractSkillsFromResume(resumeText, database) {
 
     console.log(`[SkillExtractor]  Found ${baseSkills.length} skills via regex matching`);
 
+    const verifiedSkills = await verifyAmbiguousSkills(baseSkills);
+
     // Optional: Enrich with database data (salary impact, demand level, category)
-    let enrichedSkills = baseSkills;
+    let enrichedSkills = verifiedSkills;
     if (database) {
       try {
-        enrichedSkills = await enrichSkillsWithDatabase(baseSkills, database);
+        enrichedSkills = await enrichSkillsWithDatabase(verifiedSkills, database);
         console.log(`[SkillExtractor]  Enriched with database metadata`);
       } catch (enrichError) {
         console.warn('[SkillExtractor]   Database enrichment failed, using base skills:', enrichError.message);
@@ -157,6 +160,83 @@ async function validateCertification(certName) {
   }
 }
 
+/**
+ * Second opinion on borderline ambiguous skills ("Go", "R", "Spring")
+ * Asks the zero-shot classifier whether the line uses the name as a
+ * technology; drops the skill if not. Needs the pipelines already loaded
+ * (never loads them itself); without them skills pass through unchanged
+ *
+ * @param {Array<Object>} skills - extractAllSkills() output
+ * @returns {Array<Object>} Skills, borderline ones confirmed or dropped
+ */
+export async function verifyAmbiguousSkills(skills) {
+  if (!zeroShotClassifier) return skills;
+
+  const verified = [];
+  for (const skill of skills) {
+    const disambiguation = skill.disambiguation;
+    if (!disambiguation || disambiguation.confidence >= BORDERLINE_CONFIDENCE || !disambiguation.context) {
+      verified.push(skill);
+      continue;
+    }
+
+    try {
+      const techLabel = `${skill.name} as a software technology`;
+      const result = await zeroShotClassifier(
+        disambiguation.context,
+        [techLabel, 'ordinary English word'],
+        { multi_class: false }
+      );
+      const techScore = result.scores[result.labels.indexOf(techLabel)];
+
+      if (techScore < 0.5) {
+        console.log(`[SkillExtractor]  Dropped ambiguous "${skill.name}" (classifier ${techScore.toFixed(2)})`);
+        continue;
+      }
+
+      const confidence = Math.round(Math.max(disambiguation.confidence, techScore) * 100) / 100;
+      verified.push({
+        ...skill,
+        confidence: Math.max(skill.confidence, Math.min(confidence, 0.9)),
+        disambiguation: {
+          ...disambiguation,
+          confidence,
+          evidence: [...disambiguation.evidence, `classifier ${techScore.toFixed(2)}`]
+        }
+      });
+    } catch (error) {
+      verified.push(skill);
+    }
+  }
+
+  return verified;
+}
+
+/**
+ * Zero-shot scores for free text against candidate labels
+ * Needs the pipelines already loaded (never loads them itself)
+ *
+ * @param {string} text
+ * @param {string[]} labels
+ * @param {Object} options - { hypothesisTemplate: e.g. 'This skill is used for {}.' }
+ * @returns {Object|null} label -> score (summing to 1), null without the classifier
+ */
+export async function classifyZeroShot(text, labels, options = {}) {
+  if (!zeroShotClassifier || !text || labels.length === 0) return null;
+
+  try {
+    const result = await zeroShotClassifier(text, labels, {
+      multi_class: false,
+      ...(options.hypothesisTemplate ? { hypothesis_template: options.hypothesisTemplate } : {})
+    });
+
+    return Object.fromEntries(result.labels.map((label, i) => [label, result.scores[i]]));
+  } catch (error) {
+    console.warn('[NLP] Zero-shot classification error:', error.message);
+    return null;
+  }
+}
+
 // REMOVED: deduplicateSkills() - No longer needed
 // Reason: skill-matcher.js handles deduplication and filtering internally
 // Benefit: No more hardcoded badTokens lists that don't scale
@@ -356,6 +436,8 @@ export async function findRelatedSkills(skillId, database, limit = 5) {
        WHERE sk.id = $1
        AND s.id != $1
        AND s.embedding IS NOT NULL
+       AND s.embedding_provider = sk.embedding_provider
+       AND s.embedding_model = sk.embedding_model
        ORDER BY s.embedding <-> sk.embedding
        LIMIT $2`,
       [skillId, limit]
@@ -403,6 +485,8 @@ export default {
   initializeNLPPipelines,
   extractSkillsFromResume,
   extractCertificationsFromResume,
+  verifyAmbiguousSkills,
+  classifyZeroShot,
   findRelatedSkills,
   searchSkillsFullText
 };
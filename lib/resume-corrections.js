@@ -0,0 +1,413 @@
+/**
+ * ResumeCorrections: Recruiter fixes to a parsed resume
+ * Corrections live beside the raw parse (never overwrite it) and every change
+ * is written to an audit trail. Scoring reads the corrected profile.
+ */
+
+import { summarizeEmploymentHistory } from './employment-history.js';
+import { canonicalSkillId } from './skill-matcher.js';
+
+export const CORRECTABLE_FIELDS = [
+  'candidate_name', 'email', 'phone', 'years_experience',
+  'skills', 'education', 'certifications', 'employment_history'
+];
+
+const MAX_LIST_ITEMS = 100;
+const MAX_POSITIONS = 50;
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * @private
+ */
+function normalizeStringList(value, field, errors) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    errors.push({ field, error: 'Must be an array of strings' });
+    return null;
+  }
+
+  const cleaned = [...new Set(value.map(item => item.trim()).filter(Boolean))];
+  if (cleaned.length > MAX_LIST_ITEMS) {
+    errors.push({ field, error: `At most ${MAX_LIST_ITEMS} entries allowed` });
+    return null;
+  }
+
+  return cleaned;
+}
+
+/**
+ * "2021", "2021-03" or "2021-03-15" -> first (or last) day of that month
+ *
+ * @private
+ */
+function normalizeDate(value, endOfMonth) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{4})(?:-(\d{1,2}))?(?:-\d{1,2})?$/);
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const month = match[2] ? parseInt(match[2], 10) : (endOfMonth ? 12 : 1);
+  if (month < 1 || month > 12) return null;
+
+  const day = endOfMonth ? new Date(Date.UTC(year, month, 0)).getUTCDate() : 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * @private
+ */
+function normalizePosition(position, index, errors) {
+  const field = `employment_history[${index}]`;
+
+  if (!position || typeof position !== 'object' || Array.isArray(position)) {
+    errors.push({ field, error: 'Must be an object' });
+    return null;
+  }
+
+  const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+  const title = text(position.title, 200);
+  const company = text(position.company, 200);
+  if (!title && !company) {
+    errors.push({ field, error: 'title or company is required' });
+    return null;
+  }
+
+  const startDate = normalizeDate(position.start_date, false);
+  if (!startDate) {
+    errors.push({ field: `${field}.start_date`, error: 'Must be YYYY, YYYY-MM or YYYY-MM-DD' });
+    return null;
+  }
+
+  const isCurrent = position.end_date === null || position.end_date === undefined || position.is_current === true;
+  const endDate = isCurrent ? null : normalizeDate(position.end_date, true);
+  if (!isCurrent && !endDate) {
+    errors.push({ field: `${field}.end_date`, error: 'Must be YYYY, YYYY-MM, YYYY-MM-DD or null for a current role' });
+    return null;
+  }
+  if (endDate && endDate < startDate) {
+    errors.push({ field: `${field}.end_date`, error: 'Must not be before start_date' });
+    return null;
+  }
+
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = new Date(startDate);
+  const durationMonths = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth() + 1;
+
+  return {
+    title,
+    company,
+    location: text(position.location, 200),
+    start_date: startDate,
+    end_date: endDate,
+    is_current: isCurrent,
+    duration_months: Math.max(1, durationMonths),
+    date_precision: /^\d{4}$/.test(String(position.start_date).trim()) ? 'year' : 'month',
+    section: 'experience',
+    raw: null,
+    description: text(position.description, 2000) || ''
+  };
+}
+
+/**
+ * Validate a PATCH body into a correction patch
+ * A field set to null reverts it to the parsed value. skills takes
+ * { add: [], remove: [] } so a recruiter can fix single entries; the other
+ * list fields replace the parsed list
+ *
+ * @param {Object} body - Request body
+ * @returns {{ patch: Object, errors: Array<{ field, error }> }}
+ */
+export function normalizeResumeCorrection(body = {}) {
+  const errors = [];
+  const patch = {};
+
+  const unknown = Object.keys(body).filter(key => !CORRECTABLE_FIELDS.includes(key) && !['corrected_by', 'reason'].includes(key));
+  for (const field of unknown) {
+    errors.push({ field, error: `Not a correctable field (allowed: ${CORRECTABLE_FIELDS.join(', ')})` });
+  }
+
+  for (const field of CORRECTABLE_FIELDS) {
+    if (!(field in body)) continue;
+    const value = body[field];
+
+    if (value === null) {
+      patch[field] = null;
+      continue;
+    }
+
+    switch (field) {
+      case 'candidate_name':
+      case 'email':
+      case 'phone': {
+        const max = field === 'phone' ? 20 : 255;
+        if (typeof value !== 'string' || !value.trim() || value.trim().length > max) {
+          errors.push({ field, error: `Must be a non-empty string of at most ${max} characters` });
+        } else {
+          patch[field] = value.trim();
+        }
+        break;
+      }
+
+      case 'years_experience': {
+        const years = Number(value);
+        if (!Number.isFinite(years) || years < 0 || years > 70) {
+          errors.push({ field, error: 'Must be a number between 0 and 70' });
+        } else {
+          patch[field] = Math.round(years * 10) / 10;
+        }
+        break;
+      }
+
+      case 'skills': {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          errors.push({ field, error: 'Must be { add: [...], remove: [...] }' });
+          break;
+        }
+        const add = value.add === undefined ? [] : normalizeStringList(value.add, 'skills.add', errors);
+        const remove = value.remove === undefined ? [] : normalizeStringList(value.remove, 'skills.remove', errors);
+        if (add && remove) {
+          const overlap = add.filter(skill => remove.some(r => r.toLowerCase() === skill.toLowerCase()));
+          if (overlap.length > 0) {
+            errors.push({ field, error: `Both added and removed: ${overlap.join(', ')}` });
+          } else if (add.length > 0 || remove.length > 0) {
+            patch.skills = { add, remove };
+          }
+        }
+        break;
+      }
+
+      case 'education':
+      case 'certifications': {
+        const list = normalizeStringList(value, field, errors);
+        if (list) patch[field] = list;
+        break;
+      }
+
+      case 'employment_history': {
+        if (!Array.isArray(value) || value.length > MAX_POSITIONS) {
+          errors.push({ field, error: `Must be an array of at most ${MAX_POSITIONS} positions` });
+          break;
+        }
+        const positions = value.map((position, index) => normalizePosition(position, index, errors));
+        if (positions.every(Boolean)) {
+          patch[field] = positions.sort((a, b) => b.start_date.localeCompare(a.start_date));
+        }
+        break;
+      }
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(patch).length === 0) {
+    errors.push({ field: null, error: `Nothing to correct (fields: ${CORRECTABLE_FIELDS.join(', ')})` });
+  }
+
+  return { patch, errors };
+}
+
+// ============================================================================
+// Merging & Applying
+// ============================================================================
+
+/**
+ * Stored corrections as an object (JSONB may come back as a string)
+ */
+export function readCorrections(resume) {
+  let corrections = resume?.corrections;
+
+  if (typeof corrections === 'string') {
+    try {
+      corrections = JSON.parse(corrections);
+    } catch (e) {
+      corrections = null;
+    }
+  }
+
+  return corrections && typeof corrections === 'object' && !Array.isArray(corrections) ? corrections : {};
+}
+
+/**
+ * Fold a patch into the stored corrections
+ * Skill edits accumulate: adding a skill cancels an earlier removal and vice versa
+ *
+ * @returns {{ corrections: Object, changes: Array<{ field, previous_value, new_value }> }}
+ */
+export function mergeCorrections(current, patch) {
+  const corrections = { ...current };
+  const changes = [];
+
+  for (const [field, value] of Object.entries(patch)) {
+    const previous = current[field] ?? null;
+    let next = value;
+
+    if (field === 'skills' && value !== null) {
+      const lower = list => new Set(list.map(skill => skill.toLowerCase()));
+      const added = lower(value.add);
+      const removed = lower(value.remove);
+      const previousSkills = previous || { add: [], remove: [] };
+
+      next = {
+        add: [...previousSkills.add.filter(skill => !removed.has(skill.toLowerCase()) && !added.has(skill.toLowerCase())), ...value.add],
+        remove: [...previousSkills.remove.filter(skill => !added.has(skill.toLowerCase()) && !removed.has(skill.toLowerCase())), ...value.remove]
+      };
+      if (next.add.length === 0 && next.remove.length === 0) next = null;
+    }
+
+    if (JSON.stringify(previous) === JSON.stringify(next)) continue;
+
+    if (next === null) {
+      delete corrections[field];
+    } else {
+      corrections[field] = next;
+    }
+    changes.push({ field, previous_value: previous, new_value: next });
+  }
+
+  return { corrections, changes };
+}
+
+/**
+ * Name of a parsed skill entry: a plain name, a { name } object, or such an
+ * object stored as JSON text in resumes.skills
+ *
+ * @private
+ */
+function skillEntryName(entry) {
+  if (entry && typeof entry === 'object') return entry.name || '';
+
+  const text = String(entry || '');
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text).name || '';
+    } catch (e) {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Resume as scoring should see it: parsed fields overlaid with corrections
+ * Adds corrected_fields (names of overridden fields) and skill_corrections so
+ * agents that re-read raw_text can honour removals. A corrected employment
+ * history also re-derives years_experience unless that was corrected too
+ */
+export function applyResumeCorrections(resume) {
+  if (!resume) return resume;
+
+  const corrections = readCorrections(resume);
+  const fields = Object.keys(corrections).filter(field => CORRECTABLE_FIELDS.includes(field));
+  if (fields.length === 0) {
+    return { ...resume, corrected_fields: [] };
+  }
+
+  const profile = { ...resume, corrected_fields: fields };
+
+  for (const field of fields) {
+    if (field !== 'skills') profile[field] = corrections[field];
+  }
+
+  if (corrections.skills) {
+    // Parsed entries keep their stored shape; only their names are compared
+    const removed = new Set(corrections.skills.remove.map(skill => canonicalSkillId(skill)));
+    const parsed = Array.isArray(resume.skills) ? resume.skills : [];
+    const kept = parsed.filter(skill => !removed.has(canonicalSkillId(skillEntryName(skill))));
+    const keptIds = new Set(kept.map(skill => canonicalSkillId(skillEntryName(skill))));
+
+    profile.skills = [...kept, ...corrections.skills.add.filter(skill => !keptIds.has(canonicalSkillId(skill)))];
+    profile.skill_corrections = corrections.skills;
+  }
+
+  if (corrections.employment_history && corrections.years_experience === undefined) {
+    profile.years_experience = summarizeEmploymentHistory(corrections.employment_history).total_years;
+  }
+
+  return profile;
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+export class ResumeCorrections {
+  constructor(database) {
+    this.pool = database;
+  }
+
+  /**
+   * Merge a correction patch into a resume and audit every changed field
+   * The row is locked (FOR UPDATE) from read to write, so concurrent PATCHes
+   * apply one after another and previous_value is what the other one wrote
+   *
+   * @param {string} resumeId
+   * @param {Object} patch - normalizeResumeCorrection().patch
+   * @param {Object} meta - { corrected_by, reason }
+   * @returns {Promise<{ resume, corrections, changes }|null>} null when the resume doesn't exist
+   */
+  async saveCorrections(resumeId, patch, meta = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM resumes WHERE resume_id = $1 FOR UPDATE', [resumeId]);
+      const resume = result.rows[0];
+      if (!resume) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const { corrections, changes } = mergeCorrections(readCorrections(resume), patch);
+
+      if (changes.length > 0) {
+        await client.query(
+          `UPDATE resumes
+           SET corrections = $2::jsonb,
+               corrected_at = NOW()
+           WHERE resume_id = $1`,
+          [resumeId, JSON.stringify(corrections)]
+        );
+
+        for (const change of changes) {
+          await client.query(
+            `INSERT INTO resume_corrections (resume_id, field, previous_value, new_value, corrected_by, reason)
+             VALUES ($1, $2, $3::jsonb, $4::jsonb, $5, $6)`,
+            [
+              resumeId,
+              change.field,
+              JSON.stringify(change.previous_value),
+              JSON.stringify(change.new_value),
+              meta.corrected_by || null,
+              meta.reason || null
+            ]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+      return { resume: { ...resume, corrections }, corrections, changes };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Audit trail for a resume, newest first
+   */
+  async getHistory(resumeId, limit = 100) {
+    const result = await this.pool.query(
+      `SELECT field, previous_value, new_value, corrected_by, reason, created_at
+       FROM resume_corrections
+       WHERE resume_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [resumeId, limit]
+    );
+
+    return result.rows;
+  }
+}
+
+export default ResumeCorrections;
@@ -0,0 +1,251 @@
+// Resume Sections: Split resume text into labelled sections
+// Detects headings as they come out of PDF, DOCX and plain-text extraction
+// ("EXPERIENCE", "Work History:", "S K I L L S", "## Education", "Skills: Python, Go")
+// so extractors can tell a skill in the Skills section from one in a hobby line.
+
+// ============================================================================
+// Heading Vocabulary
+// ============================================================================
+
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'career summary', 'profile', 'professional profile', 'about', 'about me', 'objective', 'career objective', 'overview'],
+  experience: ['experience', 'work experience', 'professional experience', 'relevant experience', 'employment', 'employment history', 'work history', 'career history', 'positions held', 'professional background'],
+  education: ['education', 'academic background', 'academics', 'education and training', 'academic qualifications', 'qualifications'],
+  skills: ['skills', 'technical skills', 'core skills', 'key skills', 'skills summary', 'core competencies', 'competencies', 'technologies', 'tech stack', 'tools', 'tools and technologies', 'expertise', 'areas of expertise', 'programming languages', 'coding languages', 'languages and frameworks', 'languages and tools', 'languages and technologies'],
+  certifications: ['certifications', 'certificates', 'licenses', 'licenses and certifications', 'certifications and licenses', 'professional certifications', 'accreditations'],
+  projects: ['projects', 'personal projects', 'selected projects', 'key projects', 'side projects', 'open source', 'portfolio'],
+  awards: ['awards', 'honors', 'honours', 'achievements', 'awards and honors', 'accomplishments'],
+  publications: ['publications', 'papers', 'research', 'patents'],
+  languages: ['languages', 'spoken languages', 'foreign languages', 'language skills'],
+  volunteer: ['volunteer', 'volunteering', 'volunteer experience', 'community', 'leadership and activities', 'activities', 'extracurricular activities'],
+  interests: ['interests', 'hobbies', 'hobbies and interests', 'personal interests', 'personal'],
+  references: ['references', 'referees']
+};
+
+// How much a skill mention counts by the section it appears in
+// (0 = ignore: hobbies, spoken languages and references are not job skills)
+export const SECTION_SKILL_WEIGHTS = {
+  skills: 1.0,
+  experience: 1.0,
+  projects: 0.9,
+  certifications: 0.9,
+  summary: 0.85,
+  body: 1.0,       // document without recognisable headings
+  header: 0.7,
+  publications: 0.7,
+  education: 0.6,
+  volunteer: 0.6,
+  awards: 0.5,
+  other: 0.7,
+  interests: 0,
+  languages: 0,
+  references: 0
+};
+
+// A bare "Languages" section only counts as spoken languages when every entry is one
+const NATURAL_LANGUAGES = new Set([
+  'english', 'spanish', 'french', 'german', 'italian', 'portuguese', 'dutch', 'flemish', 'swedish',
+  'norwegian', 'danish', 'finnish', 'icelandic', 'polish', 'czech', 'slovak', 'hungarian', 'romanian',
+  'bulgarian', 'greek', 'russian', 'ukrainian', 'belarusian', 'serbian', 'croatian', 'bosnian',
+  'slovenian', 'macedonian', 'albanian', 'lithuanian', 'latvian', 'estonian', 'turkish', 'arabic',
+  'hebrew', 'persian', 'farsi', 'urdu', 'hindi', 'bengali', 'punjabi', 'gujarati', 'marathi', 'tamil',
+  'telugu', 'kannada', 'malayalam', 'nepali', 'sinhala', 'chinese', 'mandarin', 'cantonese', 'japanese',
+  'korean', 'vietnamese', 'thai', 'indonesian', 'malay', 'tagalog', 'filipino', 'swahili', 'amharic',
+  'yoruba', 'igbo', 'hausa', 'zulu', 'afrikaans', 'catalan', 'basque', 'galician', 'irish', 'welsh',
+  'latin', 'armenian', 'georgian', 'kazakh', 'uzbek', 'mongolian', 'khmer', 'burmese', 'lao', 'sign',
+  'asl', 'bsl'
+]);
+
+const PROFICIENCY_WORDS = new Set([
+  'native', 'fluent', 'bilingual', 'conversational', 'basic', 'elementary', 'beginner', 'intermediate',
+  'advanced', 'proficient', 'proficiency', 'professional', 'working', 'limited', 'full', 'mother',
+  'tongue', 'speaker', 'language', 'languages', 'written', 'spoken', 'reading', 'writing', 'and', 'in',
+  'simplified', 'traditional', 'american', 'british', 'brazilian', 'european', 'modern', 'standard'
+]);
+
+const HEADING_LOOKUP = new Map();
+for (const [type, headings] of Object.entries(SECTION_HEADINGS)) {
+  for (const heading of headings) {
+    HEADING_LOOKUP.set(heading, type);
+  }
+}
+
+// ============================================================================
+// Heading Detection
+// ============================================================================
+
+/**
+ * Normalize a candidate heading line: strip markdown/bullets/numbering and
+ * rejoin letter-spaced PDF headings ("E X P E R I E N C E")
+ *
+ * @private
+ */
+function normalizeHeading(line) {
+  let value = line.trim();
+
+  if (/^(?:[A-Za-z]\s){3,}[A-Za-z]$/.test(value)) {
+    value = value.replace(/\s/g, '');
+  }
+
+  return value
+    .replace(/^[#=*_\-–—•|\d.)\s]+/, '')
+    .replace(/[#=*_\-–—|:\s]+$/, '')
+    .replace(/\s*&\s*/g, ' and ')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Section type if the line is a heading (optionally with inline content)
+ *
+ * @private
+ * @returns {{ type: string, heading: string, inline: string|null }|null}
+ */
+function detectHeading(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 60) return null;
+
+  // Whole line is a heading
+  const normalized = normalizeHeading(trimmed);
+  if (HEADING_LOOKUP.has(normalized) && normalized.split(' ').length <= 5) {
+    return { type: HEADING_LOOKUP.get(normalized), heading: trimmed, inline: null };
+  }
+
+  return null;
+}
+
+/**
+ * "Skills: Python, Go" - heading and content on one line
+ *
+ * @private
+ */
+function detectInlineHeading(line) {
+  const match = line.match(/^\s*([A-Za-z][A-Za-z &/]{2,40}?)\s*:\s*(\S.*)$/);
+  if (!match) return null;
+
+  const normalized = normalizeHeading(match[1]);
+  if (!HEADING_LOOKUP.has(normalized)) return null;
+
+  return { type: HEADING_LOOKUP.get(normalized), heading: match[1].trim(), inline: match[2] };
+}
+
+/**
+ * Section type for a "Languages" section, judged by its entries:
+ * "English (native), Spanish - B2" stays languages, while
+ * "Languages: Python, JavaScript, Go" is a skills list
+ *
+ * @private
+ */
+function resolveLanguagesSection(heading, lines) {
+  if (normalizeHeading(heading || '') !== 'languages') return 'languages';
+
+  const entries = lines.join('\n')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\b[abc][12]\b/gi, ' ')
+    .split(/[,;|•\n/]/)
+    .map(entry => (entry.toLowerCase().match(/[a-z]+/g) || []).filter(word => !PROFICIENCY_WORDS.has(word)))
+    .filter(words => words.length > 0);
+
+  const spoken = entries.length > 0 && entries.every(words => words.every(word => NATURAL_LANGUAGES.has(word)));
+  return spoken ? 'languages' : 'skills';
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Split resume text into sections
+ *
+ * @param {string} text - Resume text
+ * @returns {{ sections: Array<{ type, heading, startLine, endLine, text }>, hasHeadings: boolean }}
+ *   Lines before the first heading form the 'header' section (name, contact);
+ *   text with no recognisable headings is one 'body' section
+ */
+export function segmentResume(text) {
+  if (!text || typeof text !== 'string') {
+    return { sections: [], hasHeadings: false };
+  }
+
+  const lines = text.split(/\r?\n/);
+  const sections = [];
+  let current = { type: 'header', heading: null, startLine: 0, lines: [] };
+
+  const close = (endLine) => {
+    if (current.lines.length > 0 || current.heading) {
+      sections.push({
+        type: current.type === 'languages' ? resolveLanguagesSection(current.heading, current.lines) : current.type,
+        heading: current.heading,
+        startLine: current.startLine,
+        endLine,
+        text: current.lines.join('\n')
+      });
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const heading = detectHeading(lines[i]) || detectInlineHeading(lines[i]);
+
+    if (heading) {
+      close(i - 1);
+      current = { type: heading.type, heading: heading.heading, startLine: i, lines: [] };
+      if (heading.inline) current.lines.push(heading.inline);
+      continue;
+    }
+
+    current.lines.push(lines[i]);
+  }
+  close(lines.length - 1);
+
+  const hasHeadings = sections.some(section => section.heading);
+  if (!hasHeadings) {
+    return {
+      sections: [{ type: 'body', heading: null, startLine: 0, endLine: lines.length - 1, text }],
+      hasHeadings: false
+    };
+  }
+
+  return { sections, hasHeadings };
+}
+
+/**
+ * Sections of the given type(s)
+ */
+export function getSections(segmentation, types) {
+  const wanted = Array.isArray(types) ? types : [types];
+  return segmentation.sections.filter(section => wanted.includes(section.type));
+}
+
+/**
+ * Joined text of the given section type(s) ('' if none)
+ */
+export function getSectionText(segmentation, types) {
+  return getSections(segmentation, types).map(section => section.text).join('\n');
+}
+
+/**
+ * Compact outline for API responses
+ */
+export function describeSections(segmentation) {
+  return segmentation.sections.map(section => ({
+    type: section.type,
+    heading: section.heading,
+    lines: section.endLine - section.startLine + 1
+  }));
+}
+
+/**
+ * Skill weight for a section type
+ */
+export function getSectionSkillWeight(type) {
+  return SECTION_SKILL_WEIGHTS[type] ?? SECTION_SKILL_WEIGHTS.other;
+}
+
+export default {
+  SECTION_SKILL_WEIGHTS,
+  segmentResume,
+  getSections,
+  getSectionText,
+  describeSections,
+  getSectionSkillWeight
+};
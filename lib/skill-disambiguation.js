@@ -0,0 +1,318 @@
+// Skill Disambiguation: Is "Go" the language or the verb?
+// Short skill names (R, D, Go, Echo, Lit, Ray, Chef, Swift, Spring, Linear and
+// the aliases Next, Node, Rails) are also ordinary English. Each occurrence is
+// scored from its spelling, cue phrases around it, co-occurring tech terms and
+// the section it sits in. A hit is kept when its best occurrence reaches
+// ACCEPT_THRESHOLD and carries that score as its disambiguation confidence.
+
+import { segmentResume } from './resume-sections.js';
+
+export const ACCEPT_THRESHOLD = 0.5;
+
+// Below this an accepted hit is worth a second opinion (see verifyAmbiguousSkills
+// in nlp-skill-extractor.js, which asks the zero-shot classifier)
+export const BORDERLINE_CONFIDENCE = 0.65;
+
+const WINDOW_CHARS = 60;
+
+// Keyed by spelling (lowercase)
+// - cues: phrases that pin the tech meaning
+// - against: phrases that pin an everyday meaning (checked with their own flags)
+// - related: tech terms that usually appear nearby
+// - caseSensitive: only the exact spelling counts ("R", never "r")
+// - requireCue: too common to accept on context alone
+export const AMBIGUOUS_SKILLS = {
+  r: {
+    caseSensitive: true,
+    cues: /\bR\s*(?:programming|language|studio|shiny|markdown|packages?|scripts?)\b|\b(?:RStudio|tidyverse|ggplot2?|dplyr|CRAN|Shiny)\b/i,
+    against: /\bR\s*&\s*D\b|\b[A-Z][a-z]+\s+R\.\s+[A-Z]|\bR\s*\.\s*[A-Z]\.|\b(?:Q|P|K)\s*&\s*R\b/,
+    related: ['Python', 'SQL', 'SAS', 'SPSS', 'MATLAB', 'Statistics', 'Data Science', 'Machine Learning', 'Pandas', 'Tableau']
+  },
+  d: {
+    caseSensitive: true,
+    requireCue: true,
+    cues: /\bD\s*(?:programming|language|lang)\b|\bdlang\b|\bPhobos\b/i,
+    against: /\bPh\.?\s?D\b|\b\d\s*-?\s*D\b|\bR\s*&\s*D\b|\b(?:vitamin|grade|plan|day)\s+D\b/i,
+    related: ['C++', 'Rust', 'C']
+  },
+  go: {
+    cues: /\bgo\s*(?:lang|programming|language|developer|engineer|modules?|routines?|microservices?|services?)\b|\bgoroutines?\b|\b(?:written|built|developed|implemented|coded|programming)\s+in\s+go\b/i,
+    against: /\bgo[- ](?:to|live|getter|ahead|between|forward)\b|\bon the go\b|\bto go\b|\blet go\b|\bgo(?:es|ing)?\s+(?:above|beyond|through|over|back|out)\b|\bready to go\b/i,
+    related: ['Rust', 'Kubernetes', 'Docker', 'gRPC', 'Python', 'Java', 'Gin', 'Echo', 'Fiber', 'Microservices', 'Terraform', 'PostgreSQL']
+  },
+  echo: {
+    cues: /\becho\s*(?:framework|web\s*framework|v\d)\b|\blabstack\b/i,
+    against: /\b(?:amazon|alexa)\s+echo\b|\becho\s+(?:chamber|dot|show)\b|\bechocardiogra/i,
+    related: ['Go', 'Gin', 'Fiber', 'REST', 'gRPC', 'PostgreSQL']
+  },
+  lit: {
+    cues: /\blit[- ]?(?:element|html|framework|components?)\b|\bweb\s*components?\b/i,
+    against: /\blit(?:erature)?\s+(?:review|search)\b|\bwell[- ]lit\b|\b(?:english|comparative)\s+lit\b/i,
+    related: ['Web Components', 'TypeScript', 'JavaScript', 'Polymer', 'Vite', 'Storybook']
+  },
+  ray: {
+    cues: /\bray\s*(?:serve|tune|train|data|cluster|core|framework)\b|\brllib\b|\banyscale\b/i,
+    against: /\bx[- ]ray\b|\bray\s+(?:of|tracing)\b|\bRay\s+(?!Serve|Tune|Train|Data|Cluster|Core)[A-Z][a-z]+/,
+    related: ['Python', 'PyTorch', 'TensorFlow', 'Dask', 'Apache Spark', 'Kubernetes', 'Machine Learning']
+  },
+  chef: {
+    cues: /\bchef\s*(?:infra|server|solo|cookbooks?|recipes?|automate|habitat|inspec)\b|\bcookbooks?\b/i,
+    against: /\b(?:head|sous|pastry|executive|line|private|personal)\s+chef\b|\b(?:kitchen|restaurant|culinary|catering|menu)\b/i,
+    related: ['Puppet', 'Ansible', 'SaltStack', 'Terraform', 'DevOps', 'Ruby', 'AWS', 'Jenkins']
+  },
+  swift: {
+    cues: /\bswift\s*(?:ui|\d|programming|language|developer)\b|\bswiftui\b|\b(?:xcode|cocoa\s*touch|ios\s+development)\b/i,
+    against: /\bSWIFT\b|\btaylor\s+swift\b/,
+    related: ['iOS', 'Objective-C', 'Xcode', 'SwiftUI', 'Kotlin', 'macOS', 'Firebase']
+  },
+  spring: {
+    cues: /\bspring\s*(?:boot|framework|mvc|cloud|data|security|batch|webflux|integration)\b/i,
+    against: /\bspring\s*(?:'|’)?\s*(?:19|20)\d{2}\b|\bspring\s+(?:semester|term|break|quarter|session|season|cleaning|festival)\b|\b(?:spring|summer|fall|autumn|winter)\s*[\/&,-]\s*(?:spring|summer|fall|autumn|winter)\b|\bhot\s+springs?\b/i,
+    related: ['Java', 'Kotlin', 'Spring Boot', 'Hibernate', 'Maven', 'Gradle', 'Microservices', 'JUnit']
+  },
+  linear: {
+    cues: /\blinear\s*(?:app|\.app|issues?|tickets?|board)\b/i,
+    against: /\blinear\s+(?:algebra|regression|models?|programming|equations?|systems?|scaling|time|growth|functions?|optimi[sz]ation)\b|\bnon[- ]?linear\b/i,
+    related: ['Jira', 'Asana', 'Confluence', 'GitHub', 'Notion', 'Slack']
+  },
+  next: {
+    cues: /\bnext\s*(?:js|\.js)\b|\bnext\s+(?:app\s+router|ssr|server\s+components)\b/i,
+    against: /\bnext\s+(?:generation|gen|level|step|steps|year|phase|big|best|day|week|month|quarter)\b/i,
+    related: ['React', 'Vercel', 'TypeScript', 'JavaScript', 'Tailwind', 'Node.js']
+  },
+  node: {
+    cues: /\bnode\s*(?:js|\.js|modules|runtime|server|backend|developer|apis?)\b|\bnpm\b/i,
+    against: /\b(?:cluster|worker|master|leaf|child|parent|root|graph|network|edge)\s+nodes?\b|\bnodes?\s+(?:pool|group|count|failure)\b/i,
+    related: ['Express', 'JavaScript', 'TypeScript', 'React', 'MongoDB', 'npm', 'NestJS']
+  },
+  rails: {
+    cues: /\brails\s*(?:\d|app|api|developer|engineer|framework)\b|\bruby\s+(?:on\s+)?rails\b/i,
+    against: /\b(?:guard|hand|safety|train|curtain)\s*rails?\b|\boff the rails\b/i,
+    related: ['Ruby', 'PostgreSQL', 'Sidekiq', 'RSpec', 'Heroku', 'Redis']
+  }
+};
+
+// Separators of a skills list line ("Python, R, SQL" / "Go | Rust")
+const LIST_SEPARATOR = /[,|•;\/]/;
+
+// ============================================================================
+// Occurrence Scoring
+// ============================================================================
+
+/**
+ * @private
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Does `term` appear in `text` as a whole word?
+ *
+ * @private
+ */
+function mentions(text, term) {
+  return new RegExp(`(?:^|[^\\w])${escapeRegex(term)}(?![\\w])`, 'i').test(text);
+}
+
+/**
+ * Does an everyday phrase cover this occurrence? (An "R&D" elsewhere on the
+ * line says nothing about the "R" in "Python, R, SQL")
+ *
+ * @private
+ */
+function coveredBy(pattern, windowText, offset, length) {
+  const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+  for (const match of windowText.matchAll(new RegExp(pattern.source, flags))) {
+    if (match.index <= offset && match.index + match[0].length >= offset + length) return true;
+  }
+  return false;
+}
+
+/**
+ * Section type for a line
+ *
+ * @private
+ */
+function sectionAt(segmentation, lineIndex) {
+  const section = segmentation.sections.find(s => lineIndex >= s.startLine && lineIndex <= s.endLine);
+  return section ? section.type : null;
+}
+
+/**
+ * Score one occurrence of an ambiguous spelling
+ *
+ * @private
+ * @returns {{ confidence: number, evidence: string[], context: string }}
+ */
+function scoreOccurrence(text, index, spelling, definition, context) {
+  const written = text.slice(index, index + spelling.length);
+  const windowStart = Math.max(0, index - WINDOW_CHARS);
+  const windowText = text.slice(windowStart, index + spelling.length + WINDOW_CHARS);
+  const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+  const lineEnd = text.indexOf('\n', index) === -1 ? text.length : text.indexOf('\n', index);
+  const line = text.slice(lineStart, lineEnd);
+  const evidence = [];
+
+  if (definition.caseSensitive && written !== written.toUpperCase()) {
+    return { confidence: 0, evidence: ['lowercase'], context: line.trim().slice(0, 120) };
+  }
+
+  let confidence = 0.4;
+
+  // Spelling: "go" in lowercase is almost always the verb; "Go" mid-sentence
+  // is a name, at the start of a sentence it tells nothing
+  const before = text.slice(lineStart, index);
+  const sentenceStart = /(?:^|[.!?:]\s*)[\s\-*•#]*$/.test(before);
+  if (written === written.toLowerCase()) {
+    confidence -= 0.3;
+    evidence.push('lowercase');
+  } else if (!sentenceStart) {
+    confidence += 0.1;
+    evidence.push('capitalized');
+  }
+
+  if (coveredBy(definition.against, windowText, index - windowStart, spelling.length)) {
+    confidence -= 0.6;
+    evidence.push('everyday phrase');
+  }
+
+  const cued = definition.cues.test(windowText);
+  if (cued) {
+    confidence += 0.4;
+    evidence.push('tech phrase');
+  }
+
+  // Tech terms nearby: the skill's usual companions plus other skills found
+  const companions = [...new Set([...definition.related, ...context.otherSkills])]
+    .filter(term => term.toLowerCase() !== spelling.toLowerCase() && mentions(windowText, term));
+  if (companions.length > 0) {
+    confidence += Math.min(0.3, companions.length * 0.15);
+    evidence.push(`with ${companions.slice(0, 3).join(', ')}`);
+  }
+
+  // A line that lists several skills
+  const listed = LIST_SEPARATOR.test(line) &&
+    context.otherSkills.filter(term => mentions(line, term)).length >= 2;
+  if (listed) {
+    confidence += 0.2;
+    evidence.push('skills list');
+  }
+
+  const section = context.segmentation ? sectionAt(context.segmentation, context.lineIndex(index)) : null;
+  if (section === 'skills') {
+    confidence += 0.15;
+    evidence.push('skills section');
+  }
+
+  if (definition.requireCue && !cued) {
+    confidence = Math.min(confidence, ACCEPT_THRESHOLD - 0.1);
+  }
+
+  return {
+    confidence: Math.max(0, Math.min(1, Math.round(confidence * 100) / 100)),
+    evidence,
+    context: line.trim().slice(0, 120)
+  };
+}
+
+// ============================================================================
+// Disambiguation
+// ============================================================================
+
+/**
+ * Ambiguous spelling a hit was matched on, or null
+ */
+export function getAmbiguousSpelling(skill) {
+  const spelling = (skill.candidate || skill.name || '').toLowerCase();
+  return AMBIGUOUS_SKILLS[spelling] && ['exact', 'alias'].includes(skill.matchType) ? spelling : null;
+}
+
+/**
+ * Best occurrence of an ambiguous hit in the text
+ *
+ * @returns {{ confidence, evidence, context, written }}
+ */
+export function assessAmbiguousSkill(text, spelling, context) {
+  const definition = AMBIGUOUS_SKILLS[spelling];
+  const regex = new RegExp(`\\b${escapeRegex(spelling)}\\b`, 'gi');
+  let best = { confidence: 0, evidence: ['not found'], context: '', written: null };
+
+  for (const match of text.matchAll(regex)) {
+    const scored = scoreOccurrence(text, match.index, spelling, definition, context);
+    if (scored.confidence > best.confidence) {
+      best = { ...scored, written: match[0] };
+    }
+    if (best.confidence >= 1) break;
+  }
+
+  return best;
+}
+
+/**
+ * Keep or drop each ambiguous hit; unambiguous hits pass through untouched
+ * Kept hits get disambiguation { confidence, evidence, context } and their
+ * confidence capped at it
+ *
+ * @param {Array<Object>} skills - extractSkillsByRegex() hits
+ * @param {string} text - Text they were found in
+ * @returns {{ skills: Array<Object>, rejected: Array<{ name, spelling, confidence, evidence }> }}
+ */
+export function disambiguateSkills(skills, text) {
+  const ambiguous = skills.filter(skill => getAmbiguousSpelling(skill));
+  if (ambiguous.length === 0 || !text) return { skills, rejected: [] };
+
+  // Unambiguous hits are the co-occurring tech terms
+  const otherSkills = skills.filter(skill => !getAmbiguousSpelling(skill)).map(skill => skill.candidate || skill.name);
+  const lineOffsets = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) lineOffsets.push(i + 1);
+  const segmentation = segmentResume(text);
+
+  const context = {
+    otherSkills,
+    segmentation: segmentation.hasHeadings ? segmentation : null,
+    lineIndex: offset => {
+      let line = 0;
+      while (line + 1 < lineOffsets.length && lineOffsets[line + 1] <= offset) line++;
+      return line;
+    }
+  };
+
+  const kept = [];
+  const rejected = [];
+
+  for (const skill of skills) {
+    const spelling = getAmbiguousSpelling(skill);
+    if (!spelling) {
+      kept.push(skill);
+      continue;
+    }
+
+    const assessment = assessAmbiguousSkill(text, spelling, context);
+    if (assessment.confidence < ACCEPT_THRESHOLD) {
+      rejected.push({ name: skill.name, spelling, confidence: assessment.confidence, evidence: assessment.evidence });
+      continue;
+    }
+
+    kept.push({
+      ...skill,
+      confidence: Math.min(skill.confidence, assessment.confidence),
+      disambiguation: {
+        confidence: assessment.confidence,
+        evidence: assessment.evidence,
+        context: assessment.context
+      }
+    });
+  }
+
+  return { skills: kept, rejected };
+}
+
+export default {
+  AMBIGUOUS_SKILLS,
+  ACCEPT_THRESHOLD,
+  BORDERLINE_CONFIDENCE,
+  getAmbiguousSpelling,
+  assessAmbiguousSkill,
+  disambiguateSkills
+};
@@ -0,0 +1,273 @@
+// Skill Enrichment: Suggested category, demand and related skills for discoveries
+// A skill the knowledge base discovers gets a category from the skills table's
+// own categories, picked by two signals: the zero-shot classifier (the name and
+// the resume line it appeared on) and the categories of known skills that
+// appear in the same resumes. Demand follows those co-occurring skills, and the
+// ones seen with it most often become suggested related skills. Reviewers
+// confirm or override the suggestions when approving (see DiscoveryReview).
+
+import { getSkillCategories, getSkillInfo } from './skill-matcher.js';
+import { classifyZeroShot } from './nlp-skill-extractor.js';
+
+// Classifier labels for the category slugs; unknown categories use the slug
+export const CATEGORY_LABELS = {
+  programming: 'programming language',
+  frontend: 'frontend web framework',
+  styling: 'CSS and styling',
+  backend: 'backend web framework',
+  database: 'database',
+  cloud: 'cloud platform',
+  container: 'containers and orchestration',
+  iac: 'infrastructure as code',
+  api: 'API design',
+  data: 'data engineering and machine learning',
+  visualization: 'data visualization and BI',
+  testing: 'software testing',
+  messaging: 'message queue or event streaming',
+  monitoring: 'monitoring and observability',
+  security: 'security',
+  tools: 'developer tools',
+  'build-tools': 'build tools',
+  'ci-cd': 'CI/CD pipelines',
+  'version-control': 'version control',
+  devops: 'DevOps and CI/CD',
+  agile: 'agile process',
+  architecture: 'software architecture',
+  management: 'project management',
+  os: 'operating system'
+};
+
+// How much each signal counts toward the category; with only one signal
+// available it decides alone
+export const ENRICHMENT_WEIGHTS = {
+  classifier: 0.6,
+  coOccurrence: 0.4
+};
+
+const HYPOTHESIS_TEMPLATE = 'This technology is used for {}.';
+const DEMAND_LEVELS = ['low', 'medium', 'high'];
+const MAX_RELATED = 5;
+const MIN_RELATED_SHARE = 0.25; // seen together in at least a quarter of the resumes
+
+// ============================================================================
+// Signals
+// ============================================================================
+
+/**
+ * Classifier scores per category for a discovered skill
+ *
+ * @param {string} name - Discovered skill
+ * @param {string|null} context - Resume line it appeared on
+ * @param {string[]} categories - Candidate categories
+ * @returns {Promise<Object|null>} category -> score, null without the classifier
+ */
+export async function classifyCategory(name, context, categories = getSkillCategories()) {
+  if (categories.length === 0) return null;
+
+  const labels = categories.map(category => CATEGORY_LABELS[category] || category);
+  const text = context ? `${name}: ${context}` : name;
+  const scores = await classifyZeroShot(text, labels, { hypothesisTemplate: HYPOTHESIS_TEMPLATE });
+  if (!scores) return null;
+
+  return Object.fromEntries(categories.map((category, i) => [category, scores[labels[i]] ?? 0]));
+}
+
+/**
+ * Category from classifier scores and co-occurring skill categories
+ *
+ * @param {Object|null} classifierScores - classifyCategory() output
+ * @param {Object} coCounts - category -> co-occurrences with known skills
+ * @returns {{ category, confidence, source }|null}
+ */
+export function combineCategoryScores(classifierScores, coCounts = {}) {
+  const coTotal = Object.values(coCounts).reduce((sum, count) => sum + count, 0);
+  const hasClassifier = classifierScores && Object.keys(classifierScores).length > 0;
+  if (!hasClassifier && coTotal === 0) return null;
+
+  const classifierWeight = !hasClassifier ? 0 : coTotal === 0 ? 1 : ENRICHMENT_WEIGHTS.classifier;
+  const coWeight = 1 - classifierWeight;
+
+  const scores = {};
+  for (const [category, score] of Object.entries(classifierScores || {})) {
+    scores[category] = classifierWeight * score;
+  }
+  for (const [category, count] of Object.entries(coCounts)) {
+    scores[category] = (scores[category] || 0) + coWeight * (count / coTotal);
+  }
+
+  const [category, confidence] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return {
+    category,
+    confidence: Math.round(confidence * 100) / 100,
+    source: classifierWeight === 1 ? 'classifier' : coWeight === 1 ? 'co-occurrence' : 'combined'
+  };
+}
+
+/**
+ * Demand level from the co-occurring known skills (same category first),
+ * or from how many resumes mention the item when none have one
+ *
+ * @param {Array<{ category, demandLevel, count }>} coSkills
+ * @param {string|null} category - Suggested category
+ * @param {number} sourceCount - Resumes mentioning the item
+ */
+export function suggestDemandLevel(coSkills, category, sourceCount) {
+  const rated = coSkills.filter(skill => DEMAND_LEVELS.includes(skill.demandLevel));
+  const sameCategory = rated.filter(skill => skill.category === category);
+  const pool = sameCategory.length > 0 ? sameCategory : rated;
+
+  if (pool.length === 0) {
+    return sourceCount >= 10 ? 'high' : sourceCount >= 3 ? 'medium' : 'low';
+  }
+
+  let weighted = 0;
+  let total = 0;
+  for (const skill of pool) {
+    weighted += DEMAND_LEVELS.indexOf(skill.demandLevel) * skill.count;
+    total += skill.count;
+  }
+  return DEMAND_LEVELS[Math.round(weighted / total)];
+}
+
+/**
+ * Known skills seen with the item most often
+ *
+ * @param {Array<{ skill, category, count }>} coSkills
+ * @param {number} resumes - Resumes mentioning the item
+ * @returns {Array<{ skill, category, count, share }>}
+ */
+export function suggestRelatedSkills(coSkills, resumes) {
+  if (resumes <= 0) return [];
+
+  return coSkills
+    .map(skill => ({
+      skill: skill.skill,
+      category: skill.category,
+      count: skill.count,
+      share: Math.round(Math.min(1, skill.count / resumes) * 100) / 100
+    }))
+    .filter(skill => skill.share >= MIN_RELATED_SHARE)
+    .sort((a, b) => b.count - a.count || a.skill.localeCompare(b.skill))
+    .slice(0, MAX_RELATED);
+}
+
+// ============================================================================
+// Knowledge Base
+// ============================================================================
+
+/**
+ * Refresh suggestions for pending discovered skills
+ * The classifier runs once per item (its scores are kept); co-occurrence,
+ * demand and related skills are recomputed from every source resume
+ *
+ * @param {string[]} names - Discovered skill names
+ * @param {Object} database - pg pool
+ * @returns {Promise<number>} Items updated
+ */
+export async function enrichDiscoveries(names, database) {
+  if (!database || !names || names.length === 0) return 0;
+
+  try {
+    const items = await database.query(
+      `SELECT id, item_name, category_scores
+       FROM knowledge_base
+       WHERE item_type = 'skill'
+         AND COALESCE(review_status, 'pending') = 'pending'
+         AND LOWER(item_name) = ANY($1::text[])`,
+      [[...new Set(names.map(name => name.toLowerCase()))]]
+    );
+    if (items.rows.length === 0) return 0;
+
+    const ids = items.rows.map(row => row.id);
+    const sources = await database.query(
+      `SELECT item_id, COUNT(*) AS resumes,
+              (ARRAY_AGG(context ORDER BY seen_at) FILTER (WHERE context IS NOT NULL))[1] AS context
+       FROM knowledge_base_sources
+       WHERE item_id = ANY($1::int[])
+       GROUP BY item_id`,
+      [ids]
+    );
+    const coOccurrence = await database.query(
+      `SELECT src.item_id, co.name AS skill, COUNT(*) AS count, s.category, s.demand_level
+       FROM knowledge_base_sources src
+       JOIN knowledge_base kb ON kb.id = src.item_id
+       CROSS JOIN LATERAL unnest(src.co_skills) AS co(name)
+       LEFT JOIN skills s ON LOWER(s.name) = LOWER(co.name)
+       WHERE src.item_id = ANY($1::int[])
+         AND LOWER(co.name) <> LOWER(kb.item_name)
+       GROUP BY src.item_id, co.name, s.category, s.demand_level`,
+      [ids]
+    );
+
+    const sourcesById = new Map(sources.rows.map(row => [row.item_id, row]));
+    const coSkillsById = new Map();
+    for (const row of coOccurrence.rows) {
+      if (!coSkillsById.has(row.item_id)) coSkillsById.set(row.item_id, []);
+      coSkillsById.get(row.item_id).push({
+        skill: row.skill,
+        category: row.category || getSkillInfo(row.skill)?.category || null,
+        demandLevel: row.demand_level || null,
+        count: parseInt(row.count)
+      });
+    }
+
+    const categories = getSkillCategories();
+    let updated = 0;
+
+    for (const item of items.rows) {
+      const source = sourcesById.get(item.id);
+      const resumes = source ? parseInt(source.resumes) : 0;
+      const coSkills = coSkillsById.get(item.id) || [];
+
+      const classifierScores = item.category_scores
+        || await classifyCategory(item.item_name, source?.context || null, categories);
+
+      const coCounts = {};
+      for (const skill of coSkills) {
+        if (skill.category) coCounts[skill.category] = (coCounts[skill.category] || 0) + skill.count;
+      }
+
+      const guess = combineCategoryScores(classifierScores, coCounts);
+      const demandLevel = suggestDemandLevel(coSkills, guess?.category || null, resumes);
+      const related = suggestRelatedSkills(coSkills, resumes);
+
+      await database.query(
+        `UPDATE knowledge_base
+         SET category_guess = COALESCE($2, category_guess),
+             category_confidence = $3,
+             category_source = $4,
+             category_scores = $5,
+             suggested_demand_level = $6,
+             suggested_related = $7,
+             enriched_at = NOW()
+         WHERE id = $1`,
+        [
+          item.id,
+          guess?.category || null,
+          guess?.confidence ?? null,
+          guess?.source || null,
+          classifierScores ? JSON.stringify(classifierScores) : null,
+          demandLevel,
+          JSON.stringify(related)
+        ]
+      );
+      updated++;
+    }
+
+    return updated;
+  } catch (error) {
+    // Columns missing until migration 018 runs
+    console.warn('[SkillEnrichment] Could not enrich discoveries:', error.message);
+    return 0;
+  }
+}
+
+export default {
+  CATEGORY_LABELS,
+  ENRICHMENT_WEIGHTS,
+  classifyCategory,
+  combineCategoryScores,
+  suggestDemandLevel,
+  suggestRelatedSkills,
+  enrichDiscoveries
+};
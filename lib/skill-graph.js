@@ -0,0 +1,305 @@
+// Skill Graph: Read API over skills and skill_relationships
+// Skill details (category, demand, aliases, related skills), search for
+// autocomplete, and the shortest learning path between two skills. Names go
+// through the matcher's taxonomy first, so "k8s" and "Kubernetes" are the same
+// skill. Without a database, details come from the seed taxonomy and seed
+// relationships (no demand or salary data) and search covers names and aliases.
+
+import {
+  SKILL_DATABASE,
+  SKILL_SEED_ALIASES,
+  canonicalizeSkill,
+  canonicalSkillId,
+  getSkillInfo,
+  getSkillSpellings,
+  toSkillId
+} from './skill-matcher.js';
+import { loadRelationshipIndex, seedRelationshipIndex, getRelationshipCredit } from './skill-relationships.js';
+import { searchSkillsFullText } from './nlp-skill-extractor.js';
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+const DEFAULT_MAX_PATH_LENGTH = 6;
+
+/**
+ * Prefix tsquery from free text ("node js" -> "node:* & js:*")
+ *
+ * @private
+ */
+function toPrefixQuery(text) {
+  const terms = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+  return terms.map(term => `${term}:*`).join(' & ');
+}
+
+/**
+ * Escape LIKE wildcards
+ *
+ * @private
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+export class SkillGraph {
+  /**
+   * @param {Pool|null} database - null serves the seed taxonomy and relationships
+   * @param {Object} options - { maxPathLength: longest learning path searched }
+   */
+  constructor(database, options = {}) {
+    this.pool = database;
+    this.maxPathLength = options.maxPathLength ?? DEFAULT_MAX_PATH_LENGTH;
+  }
+
+  // ==========================================================================
+  // Skill Details
+  // ==========================================================================
+
+  /**
+   * One skill with its aliases and related skills
+   *
+   * @param {string} name - Any spelling ("k8s", "Kubernetes")
+   * @returns {Object|null} null when the skill is unknown
+   */
+  async getSkill(name) {
+    const info = getSkillInfo(name);
+    const row = this.pool ? await this.findSkillRow(info ? info.name : name, name) : null;
+    if (!info && !row) return null;
+
+    const canonical = info ? info.name : row.name;
+    const skillId = canonicalSkillId(canonical);
+    const aliases = new Set([...getSkillSpellings(canonical), ...(row?.synonyms || [])]);
+    aliases.delete(canonical);
+
+    const credits = getRelationshipCredit();
+    const index = await this.getRelationships();
+    const related = (index.get(skillId) || [])
+      .map(link => ({
+        skill: link.name,
+        skillId: link.skillId,
+        relationship: link.type,
+        relevance: link.relevance,
+        credit: Math.round((credits[link.type] ?? 0) * link.relevance * 100) / 100
+      }))
+      .sort((a, b) => b.relevance - a.relevance || a.skill.localeCompare(b.skill));
+
+    return {
+      name: canonical,
+      skillId,
+      category: row?.category || info?.category || null,
+      subcategory: row?.subcategory || info?.subcategory || null,
+      parent: info?.parent || null,
+      children: info?.children || [],
+      demand: row
+        ? {
+            level: row.demand_level || null,
+            salaryImpactUsd: row.salary_impact_usd ?? null,
+            difficulty: row.difficulty_level || null,
+            trending: row.trending ?? null
+          }
+        : null,
+      aliases: [...aliases],
+      related,
+      source: row ? 'database' : 'taxonomy'
+    };
+  }
+
+  /**
+   * skills row by name or synonym
+   *
+   * @private
+   */
+  async findSkillRow(...names) {
+    const lowered = [...new Set(names.filter(Boolean).map(n => n.toLowerCase()))];
+    const result = await this.pool.query(
+      `SELECT id, name, category, subcategory, demand_level, salary_impact_usd,
+              difficulty_level, trending, synonyms
+       FROM skills
+       WHERE LOWER(name) = ANY($1::text[])
+          OR EXISTS (SELECT 1 FROM unnest(synonyms) syn WHERE LOWER(syn) = ANY($1::text[]))
+       ORDER BY (LOWER(name) = $2) DESC, is_active IS NOT FALSE DESC
+       LIMIT 1`,
+      [lowered, lowered[0]]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Relationship index (skill_relationships, or the seed list)
+   *
+   * @private
+   */
+  async getRelationships() {
+    return this.pool
+      ? loadRelationshipIndex((sql, params) => this.pool.query(sql, params))
+      : seedRelationshipIndex();
+  }
+
+  // ==========================================================================
+  // Search
+  // ==========================================================================
+
+  /**
+   * Skills matching free text, best first: the canonical skill for the
+   * spelling, name prefixes, full-text hits, then trigram look-alikes
+   *
+   * @param {string} query - Text typed so far
+   * @param {Object} options - { limit }
+   * @returns {Array<{ name, skillId, category, demandLevel, score, matchedBy }>}
+   */
+  async search(query, options = {}) {
+    const text = String(query || '').trim();
+    if (!text) return [];
+
+    const limit = Math.min(MAX_SEARCH_LIMIT, Math.max(1, options.limit || DEFAULT_SEARCH_LIMIT));
+    const results = new Map();
+    const add = (name, score, matchedBy, row = {}) => {
+      const key = name.toLowerCase();
+      const existing = results.get(key);
+      if (existing && existing.score >= score) return;
+      results.set(key, {
+        name,
+        skillId: toSkillId(name),
+        category: row.category || existing?.category || getSkillInfo(name)?.category || null,
+        demandLevel: row.demand_level || existing?.demandLevel || null,
+        score: Math.round(score * 100) / 100,
+        matchedBy
+      });
+    };
+
+    const canonical = canonicalizeSkill(text);
+    if (canonical) add(canonical.name, 1, canonical.matchType);
+
+    if (this.pool) {
+      await this.searchDatabase(text, limit, add);
+    } else {
+      this.searchSeed(text, add);
+    }
+
+    return [...results.values()]
+      .sort((a, b) => b.score - a.score || a.name.length - b.name.length)
+      .slice(0, limit);
+  }
+
+  /**
+   * Full-text (searchSkillsFullText) plus trigram/prefix over names and synonyms
+   *
+   * @private
+   */
+  async searchDatabase(text, limit, add) {
+    const prefixQuery = toPrefixQuery(text);
+    if (prefixQuery) {
+      for (const row of await searchSkillsFullText(prefixQuery, this.pool, limit)) {
+        add(row.name, 0.7 + Math.min(0.1, row.relevance || 0), 'fulltext', row);
+      }
+    }
+
+    try {
+      const result = await this.pool.query(
+        `SELECT name, category, demand_level,
+                similarity(name, $1) AS similarity,
+                name ILIKE $2 AS name_prefix,
+                EXISTS (SELECT 1 FROM unnest(synonyms) syn WHERE syn ILIKE $2) AS alias_prefix
+         FROM skills
+         WHERE is_active IS NOT FALSE
+           AND (name % $1 OR name ILIKE $2
+                OR EXISTS (SELECT 1 FROM unnest(synonyms) syn WHERE syn ILIKE $2))
+         ORDER BY name_prefix DESC, alias_prefix DESC, similarity DESC
+         LIMIT $3`,
+        [text, `${escapeLike(text)}%`, limit]
+      );
+
+      for (const row of result.rows) {
+        if (row.name_prefix) add(row.name, 0.9, 'prefix', row);
+        else if (row.alias_prefix) add(row.name, 0.85, 'alias', row);
+        else add(row.name, 0.6 * row.similarity, 'similar', row);
+      }
+    } catch (error) {
+      console.warn('[SkillGraph] Trigram search failed:', error.message);
+    }
+  }
+
+  /**
+   * Name and alias prefixes over the seed taxonomy
+   *
+   * @private
+   */
+  searchSeed(text, add) {
+    const lower = text.toLowerCase();
+
+    for (const name of SKILL_DATABASE) {
+      if (name.toLowerCase().startsWith(lower)) add(name, 0.9, 'prefix');
+      else if (lower.length >= 3 && name.toLowerCase().includes(lower)) add(name, 0.6, 'similar');
+    }
+
+    for (const [name, aliases] of Object.entries(SKILL_SEED_ALIASES)) {
+      if (aliases.some(alias => alias.toLowerCase().startsWith(lower))) add(name, 0.85, 'alias');
+    }
+  }
+
+  // ==========================================================================
+  // Learning Paths
+  // ==========================================================================
+
+  /**
+   * Shortest chain of related skills from one skill to another
+   * Relationships are walked in both directions; each step names the
+   * relationship that links it to the previous skill
+   *
+   * @returns {{ from, to, found, steps, path: Array<{ skill, skillId, relationship }> }}
+   *   Throws with statusCode 404 when either skill is unknown
+   */
+  async findPath(fromName, toName) {
+    const from = this.resolve(fromName);
+    const to = this.resolve(toName);
+
+    const index = await this.getRelationships();
+    const start = { skill: from.name, skillId: from.skillId, relationship: null };
+
+    // Breadth-first: the first time the target is reached is a shortest path
+    const previous = new Map([[from.skillId, null]]);
+    const steps = new Map([[from.skillId, start]]);
+    let frontier = [from.skillId];
+
+    for (let depth = 0; depth < this.maxPathLength && frontier.length > 0 && !previous.has(to.skillId); depth++) {
+      const next = [];
+      for (const skillId of frontier) {
+        const links = [...(index.get(skillId) || [])].sort((a, b) => b.relevance - a.relevance);
+        for (const link of links) {
+          if (previous.has(link.skillId)) continue;
+          previous.set(link.skillId, skillId);
+          steps.set(link.skillId, { skill: link.name, skillId: link.skillId, relationship: link.type });
+          next.push(link.skillId);
+        }
+      }
+      frontier = next;
+    }
+
+    if (!previous.has(to.skillId)) {
+      return { from: from.name, to: to.name, found: false, steps: null, path: [] };
+    }
+
+    const path = [];
+    for (let skillId = to.skillId; skillId !== null; skillId = previous.get(skillId)) {
+      path.unshift(steps.get(skillId));
+    }
+
+    return { from: from.name, to: to.name, found: true, steps: path.length - 1, path };
+  }
+
+  /**
+   * Canonical name and ID for a path endpoint
+   *
+   * @private
+   */
+  resolve(name) {
+    const canonical = canonicalizeSkill(name || '');
+    if (!canonical) {
+      const error = new Error(`Unknown skill: ${name}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return { name: canonical.name, skillId: canonical.id };
+  }
+}
+
+export default SkillGraph;
@@ -1,98 +1,607 @@
 // Skill Matcher: Reliable, Scalable Skill Extraction
-// Uses curated skill list + fuzzy matching, NO BERT NER for skills
+// Uses the skill taxonomy (database-backed, seed list fallback) + fuzzy
+// matching, NO BERT NER for skills
+
+import { segmentResume, getSectionSkillWeight } from './resume-sections.js';
+import { summarizeEmploymentHistory } from './employment-history.js';
+import { AMBIGUOUS_SKILLS, disambiguateSkills, getAmbiguousSpelling } from './skill-disambiguation.js';
 
 // ============================================================================
-// COMPREHENSIVE TECH SKILL LIST (200+ skills)
+// SEED SKILL LIST (200+ skills)
 // ============================================================================
+// Only the seed: the live dictionary comes from the skills table (see
+// lib/skill-taxonomy.js). This list fills an empty table and is the
+// dictionary in in-memory mode. Each skill appears once, under one category.
 
-export const SKILL_DATABASE = [
+export const SKILL_SEED = {
   // Programming Languages (30+)
-  'Python', 'JavaScript', 'TypeScript', 'Java', 'C++', 'C#', 'Go', 'Rust', 'PHP', 'Ruby', 'Swift', 'Kotlin',
-  'Scala', 'R', 'MATLAB', 'Perl', 'Bash', 'Shell', 'Groovy', 'Clojure', 'Haskell', 'Elixir', 'Lua', 'D',
-  'Julia', 'Scheme', 'Lisp', 'Objective-C', 'VB.NET', 'PowerShell', 'F#', 'Dart',
+  programming: [
+    'Python', 'JavaScript', 'TypeScript', 'Java', 'C++', 'C#', 'Go', 'Rust', 'PHP', 'Ruby', 'Swift', 'Kotlin',
+    'Scala', 'R', 'MATLAB', 'Perl', 'Bash', 'Shell', 'Groovy', 'Clojure', 'Haskell', 'Elixir', 'Lua', 'D',
+    'Julia', 'Scheme', 'Lisp', 'Objective-C', 'VB.NET', 'PowerShell', 'F#', 'Dart'
+  ],
 
   // Frontend Frameworks & Libraries (25+)
-  'React', 'Vue.js', 'Vue', 'Angular', 'Next.js', 'Next', 'Svelte', 'Ember', 'Backbone', 'jQuery',
-  'Nuxt', 'Gatsby', 'Remix', 'SvelteKit', 'Qwik', 'Astro', 'Alpine.js', 'Lit', 'Preact', 'Inferno',
-  'MobX', 'Redux', 'Zustand', 'Jotai', 'Recoil', 'Valtio',
+  frontend: [
+    'React', 'Vue.js', 'Angular', 'Next.js', 'Svelte', 'Ember', 'Backbone', 'jQuery',
+    'Nuxt', 'Gatsby', 'Remix', 'SvelteKit', 'Qwik', 'Astro', 'Alpine.js', 'Lit', 'Preact', 'Inferno',
+    'MobX', 'Redux', 'Zustand', 'Jotai', 'Recoil', 'Valtio'
+  ],
 
   // Frontend Styling (15+)
-  'HTML', 'CSS', 'SASS', 'SCSS', 'LESS', 'Stylus', 'PostCSS', 'CSS-in-JS', 'Styled Components',
-  'Emotion', 'Tailwind', 'Bootstrap', 'Material UI', 'Chakra UI', 'Ant Design',
+  styling: [
+    'HTML', 'CSS', 'SASS', 'SCSS', 'LESS', 'Stylus', 'PostCSS', 'CSS-in-JS', 'Styled Components',
+    'Emotion', 'Tailwind', 'Bootstrap', 'Material UI', 'Chakra UI', 'Ant Design'
+  ],
 
   // Build & Module Tools (15+)
-  'Webpack', 'Vite', 'Babel', 'Parcel', 'Rollup', 'esbuild', 'Turbopack', 'SWC', 'TypeScript Compiler',
-  'Gulp', 'Grunt', 'npm', 'yarn', 'pnpm', 'bun',
+  'build-tools': [
+    'Webpack', 'Vite', 'Babel', 'Parcel', 'Rollup', 'esbuild', 'Turbopack', 'SWC', 'TypeScript Compiler',
+    'Gulp', 'Grunt', 'npm', 'yarn', 'pnpm', 'bun'
+  ],
 
   // Backend Frameworks (25+)
-  'Node.js', 'Node', 'Express', 'Django', 'Flask', 'FastAPI', 'Spring', 'Spring Boot', 'ASP.NET',
-  'ASP.NET Core', 'Ruby on Rails', 'Sinatra', 'Laravel', 'Symfony', 'Gin', 'Echo', 'Fiber', 'Nest.js',
-  'Fastify', 'Hapi', 'Koa', 'Adonis', 'Feathers', 'Strapi',
+  backend: [
+    'Node.js', 'Express', 'Django', 'Flask', 'FastAPI', 'Spring', 'Spring Boot', 'ASP.NET',
+    'ASP.NET Core', 'Ruby on Rails', 'Sinatra', 'Laravel', 'Symfony', 'Gin', 'Echo', 'Fiber', 'Nest.js',
+    'Fastify', 'Hapi', 'Koa', 'Adonis', 'Feathers', 'Strapi'
+  ],
 
   // Databases (30+)
-  'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Elasticsearch', 'Cassandra', 'DynamoDB', 'MariaDB',
-  'Oracle', 'SQL Server', 'SQLite', 'Firebase', 'Firestore', 'Cosmos DB', 'Neo4j', 'ClickHouse',
-  'Memcached', 'RethinkDB', 'CouchDB', 'DGraph', 'Meilisearch', 'Solr', 'Sphinx', 'Druid', 'InfluxDB',
-  'TimescaleDB', 'Supabase', 'SurrealDB', 'Tarantool',
+  database: [
+    'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Elasticsearch', 'Cassandra', 'DynamoDB', 'MariaDB',
+    'Oracle', 'SQL Server', 'SQLite', 'Firebase', 'Firestore', 'Cosmos DB', 'Neo4j', 'ClickHouse',
+    'Memcached', 'RethinkDB', 'CouchDB', 'DGraph', 'Meilisearch', 'Solr', 'Sphinx', 'Druid', 'InfluxDB',
+    'TimescaleDB', 'Supabase', 'SurrealDB', 'Tarantool'
+  ],
 
   // Cloud Platforms (20+)
-  'AWS', 'Azure', 'Google Cloud', 'GCP', 'Oracle Cloud', 'IBM Cloud', 'DigitalOcean', 'Linode',
-  'Vultr', 'Heroku', 'Railway', 'Fly.io', 'Vercel', 'Netlify', 'AWS Lambda', 'AWS EC2', 'AWS RDS',
-  'AWS S3', 'AWS DynamoDB', 'AWS AppSync',
+  cloud: [
+    'AWS', 'Azure', 'Google Cloud', 'Oracle Cloud', 'IBM Cloud', 'DigitalOcean', 'Linode',
+    'Vultr', 'Heroku', 'Railway', 'Fly.io', 'Vercel', 'Netlify', 'AWS Lambda', 'AWS EC2', 'AWS RDS',
+    'AWS S3', 'AWS AppSync'
+  ],
 
   // Container & Orchestration (15+)
-  'Docker', 'Kubernetes', 'Docker Compose', 'Docker Swarm', 'Helm', 'Podman', 'Containerd',
-  'OpenShift', 'Rancher', 'Amazon ECS', 'Amazon EKS', 'Google GKE', 'Azure AKS', 'Nomad',
+  container: [
+    'Docker', 'Kubernetes', 'Docker Compose', 'Docker Swarm', 'Helm', 'Podman', 'Containerd',
+    'OpenShift', 'Rancher', 'Amazon ECS', 'Amazon EKS', 'Google GKE', 'Azure AKS', 'Nomad'
+  ],
 
   // Infrastructure as Code (12+)
-  'Terraform', 'CloudFormation', 'Ansible', 'Puppet', 'Chef', 'SaltStack', 'Pulumi', 'CDK',
-  'Bicep', 'ARM Templates', 'Heat', 'Packer',
+  iac: [
+    'Terraform', 'CloudFormation', 'Ansible', 'Puppet', 'Chef', 'SaltStack', 'Pulumi', 'CDK',
+    'Bicep', 'ARM Templates', 'Heat', 'Packer'
+  ],
 
   // CI/CD Platforms (12+)
-  'Jenkins', 'GitLab CI', 'GitHub Actions', 'CircleCI', 'Travis CI', 'Azure Pipelines', 'AWS CodePipeline',
-  'TeamCity', 'Bamboo', 'GoCD', 'Harness', 'Drone',
+  'ci-cd': [
+    'Jenkins', 'GitLab CI', 'GitHub Actions', 'CircleCI', 'Travis CI', 'Azure Pipelines', 'AWS CodePipeline',
+    'TeamCity', 'Bamboo', 'GoCD', 'Harness', 'Drone'
+  ],
 
   // API & Protocols (15+)
-  'REST', 'GraphQL', 'gRPC', 'SOAP', 'WebSocket', 'MQTT', 'HTTP', 'HTTPS', 'API Gateway', 'OpenAPI',
-  'Swagger', 'AsyncAPI', 'RPC', 'Protocol Buffers', 'Apache Thrift',
+  api: [
+    'REST', 'GraphQL', 'gRPC', 'SOAP', 'WebSocket', 'MQTT', 'HTTP', 'HTTPS', 'API Gateway', 'OpenAPI',
+    'Swagger', 'AsyncAPI', 'RPC', 'Protocol Buffers', 'Apache Thrift'
+  ],
 
   // Data & ML (30+)
-  'Machine Learning', 'Deep Learning', 'TensorFlow', 'PyTorch', 'Keras', 'Scikit-learn', 'OpenCV',
-  'Pandas', 'NumPy', 'SciPy', 'Matplotlib', 'Plotly', 'Seaborn', 'Scikit-image', 'XGBoost', 'LightGBM',
-  'CatBoost', 'Hugging Face', 'NLTK', 'spaCy', 'FastAI', 'Pytorch Lightning', 'Optuna', 'Ray',
-  'Dask', 'Spark', 'Apache Spark', 'Hadoop', 'Data Science', 'Analytics',
+  data: [
+    'Machine Learning', 'Deep Learning', 'TensorFlow', 'PyTorch', 'Keras', 'Scikit-learn', 'OpenCV',
+    'Pandas', 'NumPy', 'SciPy', 'Matplotlib', 'Plotly', 'Seaborn', 'Scikit-image', 'XGBoost', 'LightGBM',
+    'CatBoost', 'Hugging Face', 'NLTK', 'spaCy', 'FastAI', 'Pytorch Lightning', 'Optuna', 'Ray',
+    'Dask', 'Apache Spark', 'Hadoop', 'Data Science', 'Analytics'
+  ],
 
-  // Data Visualization (15+)
-  'Tableau', 'Power BI', 'Looker', 'Superset', 'Metabase', 'Grafana', 'Kibana', 'DataStudio',
-  'Qlik', 'Sisense', 'Microstrategy', 'Perforce', 'Perforce Helix', 'Plotly Dash',
+  // Data Visualization (10+)
+  visualization: [
+    'Tableau', 'Power BI', 'Looker', 'Superset', 'Metabase', 'Kibana', 'DataStudio',
+    'Qlik', 'Sisense', 'Microstrategy', 'Plotly Dash'
+  ],
 
   // Version Control (10+)
-  'Git', 'GitHub', 'GitLab', 'Bitbucket', 'Gitea', 'Gitpod', 'SVN', 'Mercurial', 'Perforce',
+  'version-control': [
+    'Git', 'GitHub', 'GitLab', 'Bitbucket', 'Gitea', 'Gitpod', 'SVN', 'Mercurial', 'Perforce', 'Perforce Helix'
+  ],
 
   // Testing Frameworks (20+)
-  'Jest', 'Mocha', 'Cypress', 'Playwright', 'Selenium', 'WebdriverIO', 'JUnit', 'TestNG', 'pytest',
-  'RSpec', 'Jasmine', 'Vitest', 'Testing Library', 'React Testing Library', 'Enzyme', 'Puppeteer',
-  'Nightwatch', 'Cucumber', 'Gherkin', 'BDD',
+  testing: [
+    'Jest', 'Mocha', 'Cypress', 'Playwright', 'Selenium', 'WebdriverIO', 'JUnit', 'TestNG', 'pytest',
+    'RSpec', 'Jasmine', 'Vitest', 'Testing Library', 'React Testing Library', 'Enzyme', 'Puppeteer',
+    'Nightwatch', 'Cucumber', 'Gherkin', 'BDD'
+  ],
 
   // Message Queues & Streaming (12+)
-  'RabbitMQ', 'Kafka', 'ActiveMQ', 'AWS SQS', 'Google Pub/Sub', 'Redis Streams', 'NATS',
-  'Celery', 'Bull Queue', 'Apache Pulsar', 'AMQP', 'JMS',
+  messaging: [
+    'RabbitMQ', 'Kafka', 'ActiveMQ', 'AWS SQS', 'Google Pub/Sub', 'Redis Streams', 'NATS',
+    'Celery', 'Bull Queue', 'Apache Pulsar', 'AMQP', 'JMS'
+  ],
 
   // Monitoring & Observability (15+)
-  'Prometheus', 'Grafana', 'ELK Stack', 'Datadog', 'New Relic', 'Splunk', 'Sumologic',
-  'CloudWatch', 'Stackdriver', 'Jaeger', 'Zipkin', 'Sentry', 'Rollbar', 'APM', 'OpenTelemetry',
+  monitoring: [
+    'Prometheus', 'Grafana', 'ELK Stack', 'Datadog', 'New Relic', 'Splunk', 'Sumologic',
+    'CloudWatch', 'Stackdriver', 'Jaeger', 'Zipkin', 'Sentry', 'Rollbar', 'APM', 'OpenTelemetry'
+  ],
 
   // Security & Auth (12+)
-  'OAuth', 'OpenID Connect', 'JWT', 'SAML', 'Two-Factor Authentication', 'MFA', 'SSL/TLS',
-  'Keycloak', 'Auth0', 'Okta', 'AWS Cognito', 'Azure AD', 'LDAP',
+  security: [
+    'OAuth', 'OpenID Connect', 'JWT', 'SAML', 'Two-Factor Authentication', 'MFA', 'SSL/TLS',
+    'Keycloak', 'Auth0', 'Okta', 'AWS Cognito', 'Azure AD', 'LDAP'
+  ],
 
   // Other Tools & Concepts (30+)
-  'Jira', 'Confluence', 'Linear', 'Asana', 'Monday.com', 'Slack', 'Discord', 'Agile', 'Scrum',
-  'Kanban', 'Linux', 'Unix', 'Windows', 'macOS', 'Microservices', 'Monolith', 'Serverless',
-  'SOLID', 'Design Patterns', 'CI/CD', 'DevOps', 'SRE', 'NoSQL', 'SQL', 'ACID', 'CAP', 'PACELC',
-  'Multithreading', 'Concurrency', 'Async', 'Synchronous', 'Event-Driven', 'Message-Driven',
-  'WebAssembly', 'WASM', 'Docker Compose', 'Nginx', 'Apache', 'HAProxy'
-];
+  tools: [
+    'Jira', 'Confluence', 'Linear', 'Asana', 'Monday.com', 'Slack', 'Discord', 'Agile', 'Scrum',
+    'Kanban', 'Linux', 'Unix', 'Windows', 'macOS', 'Microservices', 'Monolith', 'Serverless',
+    'SOLID', 'Design Patterns', 'CI/CD', 'DevOps', 'SRE', 'NoSQL', 'SQL', 'ACID', 'CAP', 'PACELC',
+    'Multithreading', 'Concurrency', 'Async', 'Synchronous', 'Event-Driven', 'Message-Driven',
+    'WebAssembly', 'Nginx', 'Apache', 'HAProxy'
+  ]
+};
+
+// Seed parent -> child relations (variants and managed services of a platform)
+export const SKILL_SEED_PARENTS = {
+  'Spring Boot': 'Spring',
+  'ASP.NET Core': 'ASP.NET',
+  'SvelteKit': 'Svelte',
+  'Next.js': 'React',
+  'Nuxt': 'Vue.js',
+  'Gatsby': 'React',
+  'Remix': 'React',
+  'React Testing Library': 'Testing Library',
+  'Pytorch Lightning': 'PyTorch',
+  'Plotly Dash': 'Plotly',
+  'Perforce Helix': 'Perforce',
+  'Docker Compose': 'Docker',
+  'Docker Swarm': 'Docker',
+  'Amazon ECS': 'AWS',
+  'Amazon EKS': 'Kubernetes',
+  'Google GKE': 'Kubernetes',
+  'Azure AKS': 'Kubernetes',
+  'OpenShift': 'Kubernetes',
+  'AWS Lambda': 'AWS',
+  'AWS EC2': 'AWS',
+  'AWS RDS': 'AWS',
+  'AWS S3': 'AWS',
+  'DynamoDB': 'AWS',
+  'AWS AppSync': 'AWS',
+  'AWS CodePipeline': 'AWS',
+  'AWS SQS': 'AWS',
+  'AWS Cognito': 'AWS',
+  'Azure Pipelines': 'Azure',
+  'Azure AD': 'Azure',
+  'Redis Streams': 'Redis',
+  'GitLab CI': 'GitLab',
+  'GitHub Actions': 'GitHub'
+};
+
+// Seed aliases: abbreviations and other names that mean the canonical skill.
+// Spacing/punctuation ("NodeJS", "Type Script") and version suffixes
+// ("Python 3", "Angular 15") are normalized, so they need no entry here.
+export const SKILL_SEED_ALIASES = {
+  'JavaScript': ['JS', 'ECMAScript', 'ES6'],
+  'TypeScript': ['TS'],
+  'C++': ['CPP'],
+  'C#': ['CSharp', 'C Sharp'],
+  'Go': ['Golang'],
+  'Objective-C': ['ObjC'],
+  'React': ['React.js', 'ReactJS'],
+  'Vue.js': ['Vue', 'VueJS'],
+  'Next.js': ['Next', 'NextJS'],
+  'Node.js': ['Node', 'NodeJS'],
+  'Nest.js': ['NestJS'],
+  'Express': ['Express.js', 'ExpressJS'],
+  'Ruby on Rails': ['Rails', 'RoR'],
+  'Tailwind': ['Tailwind CSS'],
+  'Material UI': ['MUI'],
+  'PostgreSQL': ['Postgres', 'PSQL'],
+  'MongoDB': ['Mongo'],
+  'SQL Server': ['MSSQL', 'MS SQL', 'Microsoft SQL Server'],
+  'DynamoDB': ['AWS DynamoDB', 'Amazon DynamoDB'],
+  'AWS': ['Amazon Web Services'],
+  'Azure': ['Microsoft Azure'],
+  'Google Cloud': ['GCP', 'Google Cloud Platform'],
+  'Kubernetes': ['K8s', 'Kube'],
+  'Amazon ECS': ['ECS'],
+  'Amazon EKS': ['EKS'],
+  'Google GKE': ['GKE'],
+  'Azure AKS': ['AKS'],
+  'Azure AD': ['Azure Active Directory', 'Entra ID'],
+  'Protocol Buffers': ['Protobuf'],
+  'REST': ['RESTful', 'REST API'],
+  'Machine Learning': ['ML'],
+  'Scikit-learn': ['sklearn'],
+  'Apache Spark': ['Spark', 'PySpark'],
+  'Kafka': ['Apache Kafka'],
+  'ELK Stack': ['ELK'],
+  'Two-Factor Authentication': ['2FA'],
+  'MFA': ['Multi-Factor Authentication'],
+  'SSL/TLS': ['TLS', 'SSL'],
+  'CI/CD': ['Continuous Integration'],
+  'WebAssembly': ['WASM']
+};
+
+/**
+ * Flat seed list, first category wins
+ */
+export const SKILL_DATABASE = [...new Set(Object.values(SKILL_SEED).flat())];
+
+// ============================================================================
+// ACTIVE TAXONOMY
+// ============================================================================
+// What the matcher searches. Starts as the seed; SkillTaxonomy replaces it
+// with the skills table (canonical names, synonyms, categories, parents) and
+// swaps it again on reload. Readers always see a complete dictionary.
+
+let taxonomy = buildTaxonomy(seedTaxonomyRows(), 'seed');
+
+/**
+ * Seed as taxonomy rows
+ */
+export function seedTaxonomyRows() {
+  const rows = [];
+  const seen = new Set();
+
+  for (const [category, skills] of Object.entries(SKILL_SEED)) {
+    for (const name of skills) {
+      if (seen.has(name.toLowerCase())) continue;
+      seen.add(name.toLowerCase());
+      rows.push({
+        name,
+        category,
+        synonyms: SKILL_SEED_ALIASES[name] || [],
+        parent: SKILL_SEED_PARENTS[name] || null
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * @private
+ */
+function buildTaxonomy(rows, source) {
+  const entries = new Map(); // name (lowercase) -> entry
+
+  for (const row of rows) {
+    const name = typeof row.name === 'string' ? row.name.trim() : '';
+    if (!name || entries.has(name.toLowerCase())) continue;
+
+    entries.set(name.toLowerCase(), {
+      id: toSkillId(name),
+      dbId: row.id ?? null,
+      name,
+      category: row.category || null,
+      subcategory: row.subcategory || null,
+      synonyms: [...new Set((row.synonyms || []).map(s => String(s).trim()).filter(Boolean))],
+      parent: row.parent || null,
+      children: []
+    });
+  }
+
+  // A row whose name another row lists as a synonym ("Vue" under Vue.js) is
+  // folded into that row, so old duplicate rows stop counting as skills
+  for (const entry of [...entries.values()]) {
+    if (!entries.has(entry.name.toLowerCase())) continue;
+    for (const alias of entry.synonyms) {
+      const duplicate = entries.get(alias.toLowerCase());
+      if (!duplicate || duplicate === entry) continue;
+      entry.synonyms.push(...duplicate.synonyms);
+      entries.delete(alias.toLowerCase());
+    }
+  }
+
+  // Synonyms never shadow a canonical name; first owner of a synonym wins
+  const synonyms = new Map(); // synonym (lowercase) -> { alias, skill }
+  for (const entry of entries.values()) {
+    entry.synonyms = [...new Set(entry.synonyms)].filter(alias => {
+      const key = alias.toLowerCase();
+      if (entries.has(key) || synonyms.has(key)) return false;
+      synonyms.set(key, { alias, skill: entry.name });
+      return true;
+    });
+  }
+
+  // Spacing/punctuation-free spellings: canonical names first, then synonyms
+  const compact = new Map(); // compact key -> skill name
+  for (const entry of entries.values()) {
+    const key = compactKey(entry.name);
+    if (key && !compact.has(key)) compact.set(key, entry.name);
+  }
+  for (const { alias, skill } of synonyms.values()) {
+    const key = compactKey(alias);
+    if (key && !compact.has(key)) compact.set(key, skill);
+  }
+
+  for (const entry of entries.values()) {
+    const parent = entry.parent && entries.get(entry.parent.toLowerCase());
+    if (parent && parent !== entry) {
+      entry.parent = parent.name;
+      parent.children.push(entry.name);
+    } else {
+      entry.parent = null;
+    }
+  }
+
+  return {
+    source,
+    loadedAt: new Date().toISOString(),
+    names: [...entries.values()].map(entry => entry.name),
+    entries,
+    synonyms,
+    compact
+  };
+}
+
+/**
+ * Replace the active taxonomy
+ *
+ * @param {Array<Object>} rows - { id, name, category, subcategory, synonyms[], parent }
+ * @param {string} source - 'database' or 'seed'
+ * @returns {Object} Summary (see getTaxonomyInfo)
+ */
+export function setSkillTaxonomy(rows, source = 'database') {
+  taxonomy = buildTaxonomy(rows, source);
+  return getTaxonomyInfo();
+}
+
+/**
+ * Back to the built-in seed (in-memory mode)
+ */
+export function resetSkillTaxonomy() {
+  return setSkillTaxonomy(seedTaxonomyRows(), 'seed');
+}
+
+/**
+ * Where the active taxonomy came from and how big it is
+ */
+export function getTaxonomyInfo() {
+  const entries = [...taxonomy.entries.values()];
+  return {
+    source: taxonomy.source,
+    loadedAt: taxonomy.loadedAt,
+    skills: entries.length,
+    synonyms: taxonomy.synonyms.size,
+    categories: new Set(entries.map(entry => entry.category).filter(Boolean)).size,
+    withParent: entries.filter(entry => entry.parent).length
+  };
+}
+
+/**
+ * Categories in the active taxonomy (the skills table's, once loaded)
+ *
+ * @returns {string[]} Sorted category names
+ */
+export function getSkillCategories() {
+  const categories = new Set();
+  for (const entry of taxonomy.entries.values()) {
+    if (entry.category) categories.add(entry.category);
+  }
+  return [...categories].sort();
+}
+
+/**
+ * Taxonomy entry for any spelling of a skill (see canonicalizeSkill)
+ *
+ * @returns {{ id, dbId, name, category, subcategory, synonyms, parent, children } | null}
+ */
+export function getSkillInfo(name) {
+  const canonical = canonicalizeSkill(name);
+  const entry = canonical && taxonomy.entries.get(canonical.name.toLowerCase());
+  return entry ? { ...entry, synonyms: [...entry.synonyms], children: [...entry.children] } : null;
+}
+
+// ============================================================================
+// LEARNED VOCABULARY (from recruiter corrections)
+// ============================================================================
+// Loaded from the knowledge base (see loadLearnedVocabulary): skills recruiters
+// added that the list lacks, spellings that mean a known skill, and
+// term -> skill matches recruiters keep removing.
+
+let learnedSkills = [];
+let learnedAliases = new Map(); // alias (lowercase) -> { alias, skill }
+let deniedMatches = new Map();  // term (lowercase) -> Set of skill names (lowercase)
+
+/**
+ * Replace the learned vocabulary
+ *
+ * @param {Object} vocabulary - { skills: string[], aliases: [{ alias, skill }], denials: [{ term, skill }] }
+ */
+export function setLearnedVocabulary({ skills = [], aliases = [], denials = [] } = {}) {
+  learnedSkills = [...new Set(skills.filter(Boolean))];
+
+  learnedAliases = new Map();
+  for (const { alias, skill } of aliases) {
+    if (alias && skill && alias.toLowerCase() !== skill.toLowerCase()) {
+      learnedAliases.set(alias.toLowerCase(), { alias, skill });
+    }
+  }
+
+  deniedMatches = new Map();
+  for (const { term, skill } of denials) {
+    if (!term || !skill) continue;
+    const key = term.toLowerCase();
+    if (!deniedMatches.has(key)) deniedMatches.set(key, new Set());
+    deniedMatches.get(key).add(skill.toLowerCase());
+  }
+}
+
+/**
+ * Current learned vocabulary (for stats and debugging)
+ */
+export function getLearnedVocabulary() {
+  return {
+    skills: [...learnedSkills],
+    aliases: [...learnedAliases.values()],
+    denials: [...deniedMatches.entries()].flatMap(([term, skills]) => [...skills].map(skill => ({ term, skill })))
+  };
+}
+
+/**
+ * Has a recruiter ruled out reading `term` as `skill`?
+ *
+ * @private
+ */
+function isDenied(term, skill) {
+  return deniedMatches.get(String(term).toLowerCase())?.has(String(skill).toLowerCase()) || false;
+}
+
+/**
+ * Deny-list check for an extraction call. Denials come from resume
+ * corrections, so job text passes { denials: false } and is read as written
+ *
+ * @private
+ */
+function denialCheck(options = {}) {
+  return options.denials === false ? () => false : isDenied;
+}
+
+/**
+ * Taxonomy skills plus recruiter-added skills it does not have yet
+ *
+ * @private
+ */
+function allSkills() {
+  const learned = learnedSkills.filter(skill => !taxonomy.entries.has(skill.toLowerCase()));
+  return learned.length > 0 ? [...taxonomy.names, ...learned] : taxonomy.names;
+}
+
+/**
+ * Synonym of a taxonomy skill, or a spelling a recruiter has confirmed
+ *
+ * @private
+ */
+function lookupAlias(term) {
+  return taxonomy.synonyms.get(term) || learnedAliases.get(term) || null;
+}
+
+// ============================================================================
+// CANONICAL SKILLS
+// ============================================================================
+// Every spelling of a skill resolves to one canonical name and ID: exact
+// names, synonyms/learned aliases ("k8s"), spacing and punctuation variants
+// ("NodeJS", "Type Script") and version suffixes ("Python 3", "Angular 15").
+// Resume and job skills are compared by ID, never by raw string.
+
+// Trailing version: "3", "3.11", "v15", "2.x", "8+" (1-2 digit major, so "2020" is not a version)
+const VERSION_SUFFIX = /\s*(?:v(?:ersion)?\s*)?\d{1,2}(?:\.\d+)*(?:\.x|\+)?$/i;
+
+/**
+ * Canonical skill ID: "C++" -> "cpp", "C#" -> "csharp", "Node.js" -> "node-js"
+ */
+export function toSkillId(name) {
+  return String(name || '').toLowerCase().trim()
+    .replace(/\+/g, 'p')
+    .replace(/#/g, 'sharp')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Lowercase without spaces and punctuation (keeps + and #)
+ *
+ * @private
+ */
+function compactKey(text) {
+  return String(text || '').toLowerCase().replace(/[\s._\-/]+/g, '');
+}
+
+/**
+ * "Python 3.11" -> "Python"; unchanged when nothing recognisable remains
+ * ("S3", "EC2", "D3" keep their digits)
+ *
+ * @private
+ */
+function stripVersion(text) {
+  const base = text.replace(VERSION_SUFFIX, '').trim();
+  return base.length >= 3 && /[a-z+#]$/i.test(base) ? base : text;
+}
+
+/**
+ * @private
+ */
+function describeSkill(name, matchType) {
+  const entry = taxonomy.entries.get(name.toLowerCase());
+  const canonical = entry ? entry.name : name;
+  return { id: toSkillId(canonical), name: canonical, category: entry?.category || null, matchType };
+}
+
+/**
+ * @private
+ */
+function resolveSpelling(text) {
+  const key = text.toLowerCase();
+
+  if (taxonomy.entries.has(key)) return describeSkill(text, 'exact');
+
+  const alias = lookupAlias(key);
+  if (alias) return describeSkill(alias.skill, 'alias');
+
+  const variant = taxonomy.compact.get(compactKey(text));
+  if (variant) return describeSkill(variant, 'variant');
+
+  const learned = learnedSkills.find(skill => skill.toLowerCase() === key);
+  return learned ? describeSkill(learned, 'exact') : null;
+}
+
+/**
+ * Canonical form of a skill name as written anywhere (resume, job field,
+ * recruiter correction)
+ *
+ * @param {string} term
+ * @returns {{ id, name, category, matchType: 'exact'|'alias'|'variant'|'version' } | null}
+ *   null for skills outside the taxonomy
+ */
+export function canonicalizeSkill(term) {
+  const text = String(term || '').trim();
+  if (!text) return null;
+
+  const resolved = resolveSpelling(text);
+  if (resolved) return resolved;
+
+  const unversioned = stripVersion(text);
+  if (unversioned === text) return null;
+
+  const base = resolveSpelling(unversioned);
+  return base ? { ...base, matchType: 'version' } : null;
+}
+
+/**
+ * Canonical ID for comparing skills; unknown skills get an ID from their own name
+ *
+ * @param {string|Object} skill - Name or { name, skillId }
+ */
+export function canonicalSkillId(skill) {
+  if (skill && typeof skill === 'object') {
+    return skill.skillId || canonicalSkillId(skill.name);
+  }
+  return canonicalizeSkill(skill)?.id || toSkillId(skill);
+}
+
+/**
+ * Canonical name for display; unknown skills keep their own spelling
+ */
+export function canonicalSkillName(name) {
+  return canonicalizeSkill(name)?.name || String(name || '').trim();
+}
+
+/**
+ * Every spelling of a skill worth searching free text for: canonical name,
+ * synonyms and learned aliases
+ */
+export function getSkillSpellings(name) {
+  const canonical = canonicalSkillName(name);
+  const key = canonical.toLowerCase();
+  const spellings = [canonical];
+
+  for (const { alias, skill } of [...taxonomy.synonyms.values(), ...learnedAliases.values()]) {
+    if (skill.toLowerCase() === key) spellings.push(alias);
+  }
+
+  return [...new Set(spellings)];
+}
 
 // ============================================================================
 // SKILL MATCHING ENGINE
@@ -133,17 +642,28 @@ function levenshteinDistance(a, b) {
 /**
  * Find fuzzy match for a skill in the database
  * Useful for typos and variations: "nodejs" → "Node.js"
+ *
+ * @param {Object} options - { denials: false to ignore the resume deny-list }
  */
-export function findFuzzyMatch(text, maxDistance = 2) {
+export function findFuzzyMatch(text, maxDistance = 2, options = {}) {
   const textLower = String(text || '').toLowerCase().trim();
+  const denied = denialCheck(options);
 
   if (!textLower || textLower.length < 2) return null;
 
+  // Any other known spelling: synonym, learned alias, spacing or version variant
+  const canonical = canonicalizeSkill(textLower);
+  if (canonical && canonical.matchType !== 'exact' && !denied(textLower, canonical.name)) {
+    return { skill: canonical.name, distance: 0, matchType: canonical.matchType };
+  }
+
   let bestMatch = null;
   let bestDistance = maxDistance;
 
-  for (const skill of SKILL_DATABASE) {
+  for (const skill of allSkills()) {
     const skillLower = skill.toLowerCase();
+    if (denied(textLower, skillLower)) continue;
+
     const distance = levenshteinDistance(textLower, skillLower);
 
     // Exact match (case-insensitive)
@@ -158,23 +678,46 @@ export function findFuzzyMatch(text, maxDistance = 2) {
     }
   }
 
+  // A word recruiters have un-matched before is not guessed at again
+  if (options.denials !== false && deniedMatches.has(textLower)) return null;
+
   return bestMatch
     ? { skill: bestMatch, distance: bestDistance, matchType: 'fuzzy' }
     : null;
 }
 
+/**
+ * Whole-word pattern for a skill spelling. A spelling right after a dot is a
+ * suffix, not the skill: "JS" in "Node.js", "TS" in "config.ts"
+ *
+ * @private
+ */
+function spellingRegex(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<!\\.)\\b${escaped}\\b`, 'i');
+}
+
 /**
  * Extract skills from resume text using regex-based matching
  * PRIMARY METHOD: 100% reliable, no BERT tokens
+ * Every hit carries its canonical name and skillId, whatever the spelling;
+ * ambiguous short names also carry a disambiguation confidence
+ *
+ * @param {Object} options - { denials: false to ignore the resume deny-list }
  */
-export function extractSkillsByRegex(resumeText) {
+export function extractSkillsByRegex(resumeText, options = {}) {
   if (!resumeText || typeof resumeText !== 'string') return [];
 
+  const denied = denialCheck(options);
+
   const textLower = resumeText.toLowerCase();
   const foundSkills = new Map(); // Track by lowercase name to avoid duplicates
 
-  // Match each skill in the database
-  for (const skill of SKILL_DATABASE) {
+  // Match each skill in the taxonomy (and recruiter-added skills)
+  for (const skill of allSkills()) {
+    // Matches recruiters keep removing
+    if (denied(skill, skill)) continue;
+
     // Escape special regex characters (e.g., C++, C#, .NET)
     const escapedSkill = skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
@@ -187,6 +730,8 @@ export function extractSkillsByRegex(resumeText) {
       if (!foundSkills.has(key)) {
         foundSkills.set(key, {
           name: skill,
+          skillId: toSkillId(skill),
+          category: taxonomy.entries.get(key)?.category || null,
           confidence: 0.95, // High confidence for exact matches
           source: 'regex',
           matchType: 'exact'
@@ -195,15 +740,64 @@ export function extractSkillsByRegex(resumeText) {
     }
   }
 
-  return Array.from(foundSkills.values());
+  // Taxonomy synonyms and learned spellings of known skills ("Postgres" -> PostgreSQL)
+  // A clear spelling ("Golang") replaces an ambiguous one ("Go")
+  for (const { alias, skill } of [...taxonomy.synonyms.values(), ...learnedAliases.values()]) {
+    const key = skill.toLowerCase();
+    const existing = foundSkills.get(key);
+    if (existing && (!getAmbiguousSpelling(existing) || getAmbiguousSpelling({ candidate: alias, matchType: 'alias' }))) continue;
+    if (denied(alias, skill)) continue;
+
+    if (spellingRegex(alias).test(textLower)) {
+      foundSkills.set(key, {
+        name: skill,
+        skillId: toSkillId(skill),
+        category: taxonomy.entries.get(key)?.category || null,
+        candidate: alias,
+        confidence: 0.9,
+        source: 'alias',
+        matchType: 'alias'
+      });
+    }
+  }
+
+  // Spacing, punctuation and version variants ("NodeJS", "Type Script", "Python 3")
+  const tokens = (resumeText.match(/[A-Za-z0-9][A-Za-z0-9.+#/-]*/g) || []).map(token => token.replace(/[./-]+$/, ''));
+  for (let i = 0; i < tokens.length; i++) {
+    if (!/^[a-z]/i.test(tokens[i])) continue;
+
+    for (const candidate of [tokens[i], tokens[i + 1] && `${tokens[i]} ${tokens[i + 1]}`]) {
+      const canonical = candidate && canonicalizeSkill(candidate);
+      if (!canonical || !['variant', 'version'].includes(canonical.matchType)) continue;
+
+      const key = canonical.name.toLowerCase();
+      const existing = foundSkills.get(key);
+      if (existing && !getAmbiguousSpelling(existing)) continue;
+      if (denied(candidate, canonical.name) || denied(canonical.name, canonical.name)) continue;
+
+      foundSkills.set(key, {
+        name: canonical.name,
+        skillId: canonical.id,
+        category: canonical.category,
+        candidate,
+        confidence: 0.9,
+        source: 'regex',
+        matchType: canonical.matchType
+      });
+    }
+  }
+
+  // Short names that are also English ("go to market", "Spring 2020") need context
+  return disambiguateSkills(Array.from(foundSkills.values()), resumeText).skills;
 }
 
 /**
  * Extract skill variations not in the database
  * Uses fuzzy matching to find close alternatives
- * For candidate/resume unique terms
+ * For candidate/resume unique terms. Ambiguous short names ("Spring", "Swift")
+ * are left to extractSkillsByRegex, which disambiguates them by context
  */
-export function extractSkillVariations(resumeText, baseSkills = []) {
+export function extractSkillVariations(resumeText, baseSkills = [], options = {}) {
   if (!resumeText || typeof resumeText !== 'string') return [];
 
   // Extract words that might be skills (3+ chars, capitalized or all-caps)
@@ -231,10 +825,13 @@ export function extractSkillVariations(resumeText, baseSkills = []) {
   // Try to find fuzzy matches for candidates
   const variations = [];
   for (const candidate of candidates) {
-    const fuzzyResult = findFuzzyMatch(candidate, 3); // Allow larger distance
-    if (fuzzyResult && fuzzyResult.distance <= 2) {
+    if (AMBIGUOUS_SKILLS[candidate.toLowerCase()]) continue;
+
+    const fuzzyResult = findFuzzyMatch(candidate, 3, options); // Allow larger distance
+    if (fuzzyResult && fuzzyResult.distance <= 2 && !AMBIGUOUS_SKILLS[fuzzyResult.skill.toLowerCase()]) {
       variations.push({
         name: fuzzyResult.skill,
+        skillId: canonicalSkillId(fuzzyResult.skill),
         candidate,
         distance: fuzzyResult.distance,
         confidence: 0.75 - (fuzzyResult.distance * 0.1),
@@ -247,20 +844,200 @@ export function extractSkillVariations(resumeText, baseSkills = []) {
   return variations;
 }
 
+/**
+ * Tag each skill with the resume section(s) it appears in and scale its
+ * confidence by the strongest section. Skills that only appear in sections
+ * weighted 0 (hobbies, spoken languages, references) are dropped.
+ */
+export function tagSkillSections(skills, segmentation) {
+  if (!segmentation || segmentation.sections.length === 0) return skills;
+
+  const tagged = [];
+
+  for (const skill of skills) {
+    const regex = spellingRegex(skill.candidate || skill.name);
+
+    const sections = [...new Set(
+      segmentation.sections.filter(section => regex.test(section.text)).map(section => section.type)
+    )];
+
+    if (sections.length === 0) {
+      tagged.push({ ...skill, section: null, sections: [] });
+      continue;
+    }
+
+    const best = sections.reduce((a, b) => (getSectionSkillWeight(b) > getSectionSkillWeight(a) ? b : a));
+    const weight = getSectionSkillWeight(best);
+    if (weight === 0) continue;
+
+    tagged.push({
+      ...skill,
+      confidence: Math.round(skill.confidence * weight * 100) / 100,
+      section: best,
+      sections
+    });
+  }
+
+  return tagged;
+}
+
+/**
+ * Link each skill to the employment positions whose header or description
+ * mentions it. Adds years_used (overlapping positions counted once),
+ * last_used (year; the current year for an ongoing role) and the positions.
+ * Skills with no position evidence get years_used 0 and last_used null.
+ *
+ * @param {Array<Object>} skills - Extracted skills
+ * @param {Array<Object>} positions - parseEmploymentHistory() output
+ * @param {Object} options - { now: Date }
+ */
+export function linkSkillsToPositions(skills, positions, options = {}) {
+  if (!Array.isArray(positions) || positions.length === 0) return skills;
+
+  const now = options.now || new Date();
+
+  return skills.map(skill => {
+    const regex = spellingRegex(skill.candidate || skill.name);
+
+    const used = positions.filter(position =>
+      regex.test(`${position.raw || position.title || ''}\n${position.description || ''}`)
+    );
+
+    if (used.length === 0) {
+      return { ...skill, years_used: 0, last_used: null, positions: [] };
+    }
+
+    const lastUsed = used.some(position => position.is_current || !position.end_date)
+      ? now.getFullYear()
+      : Math.max(...used.map(position => parseInt(position.end_date.slice(0, 4), 10)));
+
+    return {
+      ...skill,
+      years_used: summarizeEmploymentHistory(used, { now }).total_years,
+      last_used: lastUsed,
+      positions: used.map(position => ({
+        title: position.title,
+        company: position.company,
+        start_date: position.start_date,
+        end_date: position.end_date
+      }))
+    };
+  });
+}
+
+const YEARS_PHRASE = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*\+?\s*)?(?:years?|yrs?)\b/gi;
+const YEARS_ITEM_SEPARATOR = /\s*(?:,|\band\/or\b|\band\b|\bor\b)\s*/gi;
+
+/**
+ * Pick the year phrase for a skill at clause offset `at`
+ * Closest phrase before the skill in its list item, then a leading phrase
+ * carried from earlier items ("4 years with Kubernetes and Docker"), then
+ * the first phrase after it in the item ("Python (5 yrs)"), then the nearest
+ * phrase anywhere in the clause
+ *
+ * @private
+ */
+function yearPhraseFor(at, items, phrases) {
+  const index = items.findIndex(item => at >= item.start && at < item.end);
+  const item = items[index];
+  const inItem = phrases.filter(phrase => phrase.index >= item.start && phrase.index < item.end);
+
+  const before = inItem.filter(phrase => phrase.index < at);
+  if (before.length > 0) return before[before.length - 1];
+  if (item.carried) return item.carried;
+
+  const after = inItem.find(phrase => phrase.index > at);
+  if (after) return after;
+
+  return phrases.reduce((a, b) => (Math.abs(b.index - at) < Math.abs(a.index - at) ? b : a));
+}
+
+/**
+ * List items of a clause as offsets; an item with no year phrase carries the
+ * last leading phrase (one with words after it) of the items before it
+ *
+ * @private
+ */
+function yearItems(clause, phrases) {
+  const items = [];
+  let start = 0;
+  for (const separator of clause.matchAll(YEARS_ITEM_SEPARATOR)) {
+    items.push({ start, end: separator.index + separator[0].length });
+    start = separator.index + separator[0].length;
+  }
+  items.push({ start, end: clause.length + 1 });
+
+  let carried = null;
+  for (const item of items) {
+    const inItem = phrases.filter(phrase => phrase.index >= item.start && phrase.index < item.end);
+    if (inItem.length === 0) {
+      item.carried = carried;
+      continue;
+    }
+
+    const last = inItem[inItem.length - 1];
+    carried = /\w/.test(clause.slice(last.index + last[0].length, item.end)) ? last : null;
+  }
+
+  return items;
+}
+
+/**
+ * Per-skill year requirements from job text ("3+ years of React",
+ * "Python (5 yrs)", "at least 4 years working with Kubernetes and Docker").
+ * Each skill takes the year phrase that introduces it (see yearPhraseFor);
+ * ranges use the low end.
+ *
+ * @param {string} jobText - Job description
+ * @returns {Array<{ skill: string, years: number, phrase: string }>}
+ */
+export function extractSkillYearRequirements(jobText) {
+  if (!jobText || typeof jobText !== 'string') return [];
+
+  const requirements = new Map();
+
+  // Clauses: lines, bullets, semicolons and sentence ends (not the dot in "Node.js")
+  for (const clause of jobText.split(/\n|;|•|\.(?:\s+|$)/)) {
+    const phrases = [...clause.matchAll(YEARS_PHRASE)];
+    if (phrases.length === 0) continue;
+    const items = yearItems(clause, phrases);
+
+    for (const skill of extractSkillsByRegex(clause, { denials: false })) {
+      const at = clause.search(spellingRegex(skill.candidate || skill.name));
+      if (at < 0) continue;
+
+      const years = parseInt(yearPhraseFor(at, items, phrases)[1], 10);
+      const key = skill.name.toLowerCase();
+
+      if (years > 0 && years <= 30 && (!requirements.has(key) || requirements.get(key).years < years)) {
+        requirements.set(key, { skill: skill.name, years, phrase: clause.trim().slice(0, 120) });
+      }
+    }
+  }
+
+  return Array.from(requirements.values());
+}
+
 /**
  * Main skill extraction function
- * Combines regex-based detection with fuzzy matching for variations
+ * Combines regex-based detection with fuzzy matching for variations,
+ * then weights each skill by the resume section it was found in
+ *
+ * @param {string} resumeText - Resume text
+ * @param {Object} options - { sections: false to skip section tagging,
+ *   positions: parseEmploymentHistory() output to add years_used/last_used,
+ *   denials: false to ignore the resume deny-list (job text) }
  */
-export function extractAllSkills(resumeText) {
+export function extractAllSkills(resumeText, options = {}) {
   if (!resumeText || typeof resumeText !== 'string') return [];
 
   try {
     // Phase 1: Primary detection using regex against skill database
-    const baseSkills = extractSkillsByRegex(resumeText);
+    const baseSkills = extractSkillsByRegex(resumeText, options);
     console.log(`[SkillMatcher]  Found ${baseSkills.length} base skills via regex`);
 
     // Phase 2: Extract variations and fuzzy matches
-    const variations = extractSkillVariations(resumeText, baseSkills);
+    const variations = extractSkillVariations(resumeText, baseSkills, options);
     console.log(`[SkillMatcher]  Found ${variations.length} skill variations via fuzzy matching`);
 
     // Combine and deduplicate
@@ -280,7 +1057,24 @@ export function extractAllSkills(resumeText) {
       }
     });
 
-    const result = Array.from(combined.values());
+    let result = Array.from(combined.values());
+
+    // Phase 3: Section weighting (no-op for text without headings, e.g. job descriptions)
+    if (options.sections !== false) {
+      const before = result.length;
+      result = tagSkillSections(result, segmentResume(resumeText));
+      if (result.length < before) {
+        console.log(`[SkillMatcher]  Dropped ${before - result.length} skills found only in hobby/language/reference sections`);
+      }
+    }
+
+    // Phase 4: Recency and duration from the positions that mention each skill
+    if (Array.isArray(options.positions) && options.positions.length > 0) {
+      result = linkSkillsToPositions(result, options.positions, { now: options.now });
+      const linked = result.filter(skill => skill.positions.length > 0).length;
+      console.log(`[SkillMatcher]  Linked ${linked} skills to ${options.positions.length} positions`);
+    }
+
     console.log(`[SkillMatcher]  Total skills: ${result.length}`);
     return result;
   } catch (error) {
@@ -289,10 +1083,109 @@ export function extractAllSkills(resumeText) {
   }
 }
 
+// ============================================================================
+// CORRECTION SIGNALS
+// ============================================================================
+
+/**
+ * Spelling in the text that most likely stood for `skill`: same letters once
+ * punctuation is dropped ("NodeJS"), one a prefix of the other ("Postgres"),
+ * or within two edits
+ *
+ * @private
+ */
+function findAliasInText(text, skill) {
+  const normalize = value => value.toLowerCase().replace(/[^a-z0-9+#]/g, '');
+  const target = normalize(skill);
+  if (target.length < 3) return null;
+
+  const tokens = new Set(text.match(/[A-Za-z][A-Za-z0-9.+#/-]{1,39}/g) || []);
+  let best = null;
+
+  for (const rawToken of tokens) {
+    const token = rawToken.replace(/[.\/-]+$/, '');
+    const normalized = normalize(token);
+    if (normalized.length < 3 || token.toLowerCase() === skill.toLowerCase()) continue;
+
+    let rank = null;
+    if (normalized === target) rank = 0;
+    else if (normalized.length >= 4 && (target.startsWith(normalized) || normalized.startsWith(target))) rank = 1;
+    else if (normalized.length >= 5 && levenshteinDistance(normalized, target) <= 2) rank = 2;
+
+    if (rank !== null && (!best || rank < best.rank)) {
+      best = { alias: token, rank };
+    }
+  }
+
+  return best ? best.alias : null;
+}
+
+/**
+ * Turn a recruiter's skill correction into training signals
+ * - added skill the parser missed: the spelling it appears under becomes an
+ *   alias; a skill missing from the list becomes a learned skill
+ * - removed skill: the term that produced it becomes a deny-list candidate
+ *   (the skill itself for exact matches, the misread word for fuzzy ones)
+ *
+ * @param {string} text - Resume raw text
+ * @param {Object} correction - { add: string[], remove: string[] }
+ * @returns {{ added: Array<{ skill, alias, learned }>, removed: Array<{ skill, term, matchType }> }}
+ */
+export function deriveCorrectionSignals(text, correction = {}) {
+  const rawText = typeof text === 'string' ? text : '';
+  const base = extractSkillsByRegex(rawText);
+  const extracted = [...base, ...extractSkillVariations(rawText, base)];
+  const byId = new Map();
+  for (const skill of extracted) {
+    if (!byId.has(skill.skillId)) byId.set(skill.skillId, skill);
+  }
+
+  const added = (correction.add || []).map(name => {
+    const skill = canonicalSkillName(name);
+    if (byId.has(canonicalSkillId(skill))) {
+      // Parser already finds it (e.g. the recruiter re-added a removed skill)
+      return { skill, alias: null, learned: false };
+    }
+    return {
+      skill,
+      alias: rawText ? findAliasInText(rawText, skill) : null,
+      learned: !canonicalizeSkill(skill)
+    };
+  });
+
+  const removed = (correction.remove || []).map(skill => {
+    const match = byId.get(canonicalSkillId(skill));
+    return {
+      skill: match ? match.name : skill,
+      term: match?.candidate || (match ? match.name : skill),
+      matchType: match ? match.matchType : 'unknown'
+    };
+  });
+
+  return { added, removed };
+}
+
 export default {
+  SKILL_SEED,
   SKILL_DATABASE,
+  setSkillTaxonomy,
+  resetSkillTaxonomy,
+  getTaxonomyInfo,
+  getSkillCategories,
+  getSkillInfo,
+  toSkillId,
+  canonicalizeSkill,
+  canonicalSkillId,
+  canonicalSkillName,
+  getSkillSpellings,
   findFuzzyMatch,
   extractSkillsByRegex,
   extractSkillVariations,
-  extractAllSkills
+  tagSkillSections,
+  linkSkillsToPositions,
+  extractSkillYearRequirements,
+  extractAllSkills,
+  setLearnedVocabulary,
+  getLearnedVocabulary,
+  deriveCorrectionSignals
 };
@@ -0,0 +1,201 @@
+// Skill Relationships: Partial credit for adjacent skills
+// A job skill the resume lacks can be covered by a related skill the resume
+// has (Vue.js for React, Google Cloud for AWS). The credit is the relationship
+// type's credit (RELATIONSHIP_CREDIT) times the row's relevance_score.
+// Relationships come from the skill_relationships table; without one the seed
+// list (SKILL_SEED_RELATIONSHIPS, also what scripts/seed-database.js inserts)
+// stands in. Direction is ignored: React -> JavaScript (prerequisite) also
+// lets React cover a JavaScript requirement.
+
+import { canonicalSkillId, canonicalSkillName } from './skill-matcher.js';
+
+// Credit for a job skill covered via a related skill, by relationship type
+// Override per type with SKILL_RELATIONSHIP_CREDIT='{"alternative":0.5}';
+// types with no credit here give none
+export const RELATIONSHIP_CREDIT = {
+  alternative: 0.6,     // Same job, another tool (Vue.js / React, Google Cloud / AWS)
+  advanced: 0.4,        // One builds on the other (Next.js / React)
+  prerequisite: 0.3,    // One is learned before the other (React / JavaScript)
+  complementary: 0.15   // Often used together (Docker / Linux)
+};
+
+const DEFAULT_RELEVANCE = 0.5;
+
+export const SKILL_SEED_RELATIONSHIPS = [
+  // Building blocks
+  { skill: 'React', related: 'JavaScript', type: 'prerequisite', relevance: 0.8 },
+  { skill: 'Vue.js', related: 'JavaScript', type: 'prerequisite', relevance: 0.8 },
+  { skill: 'Angular', related: 'TypeScript', type: 'prerequisite', relevance: 0.8 },
+  { skill: 'Next.js', related: 'React', type: 'advanced', relevance: 0.8 },
+  { skill: 'Express', related: 'JavaScript', type: 'prerequisite', relevance: 0.8 },
+  { skill: 'Django', related: 'Python', type: 'prerequisite', relevance: 0.8 },
+  { skill: 'Flask', related: 'Python', type: 'prerequisite', relevance: 0.8 },
+  { skill: 'Spring Boot', related: 'Java', type: 'prerequisite', relevance: 0.8 },
+  { skill: 'FastAPI', related: 'Python', type: 'prerequisite', relevance: 0.8 },
+  { skill: 'Docker', related: 'Linux', type: 'complementary', relevance: 0.8 },
+  { skill: 'Kubernetes', related: 'Docker', type: 'advanced', relevance: 0.8 },
+  { skill: 'AWS', related: 'Linux', type: 'complementary', relevance: 0.8 },
+  { skill: 'Machine Learning', related: 'Python', type: 'advanced', relevance: 0.8 },
+  { skill: 'TensorFlow', related: 'Machine Learning', type: 'prerequisite', relevance: 0.8 },
+  { skill: 'PyTorch', related: 'Machine Learning', type: 'prerequisite', relevance: 0.8 },
+
+  // Alternatives
+  { skill: 'React', related: 'Vue.js', type: 'alternative', relevance: 0.8 },
+  { skill: 'React', related: 'Angular', type: 'alternative', relevance: 0.7 },
+  { skill: 'Vue.js', related: 'Angular', type: 'alternative', relevance: 0.7 },
+  { skill: 'React', related: 'Svelte', type: 'alternative', relevance: 0.7 },
+  { skill: 'JavaScript', related: 'TypeScript', type: 'alternative', relevance: 0.9 },
+  { skill: 'Java', related: 'Kotlin', type: 'alternative', relevance: 0.8 },
+  { skill: 'Java', related: 'C#', type: 'alternative', relevance: 0.6 },
+  { skill: 'AWS', related: 'Google Cloud', type: 'alternative', relevance: 0.8 },
+  { skill: 'AWS', related: 'Azure', type: 'alternative', relevance: 0.8 },
+  { skill: 'Azure', related: 'Google Cloud', type: 'alternative', relevance: 0.8 },
+  { skill: 'PostgreSQL', related: 'MySQL', type: 'alternative', relevance: 0.9 },
+  { skill: 'PostgreSQL', related: 'SQL Server', type: 'alternative', relevance: 0.7 },
+  { skill: 'MySQL', related: 'MariaDB', type: 'alternative', relevance: 0.9 },
+  { skill: 'MongoDB', related: 'DynamoDB', type: 'alternative', relevance: 0.6 },
+  { skill: 'Django', related: 'Flask', type: 'alternative', relevance: 0.7 },
+  { skill: 'Flask', related: 'FastAPI', type: 'alternative', relevance: 0.8 },
+  { skill: 'Express', related: 'Fastify', type: 'alternative', relevance: 0.8 },
+  { skill: 'Express', related: 'Nest.js', type: 'alternative', relevance: 0.7 },
+  { skill: 'TensorFlow', related: 'PyTorch', type: 'alternative', relevance: 0.8 },
+  { skill: 'Kafka', related: 'RabbitMQ', type: 'alternative', relevance: 0.6 },
+  { skill: 'Terraform', related: 'Pulumi', type: 'alternative', relevance: 0.8 },
+  { skill: 'Terraform', related: 'CloudFormation', type: 'alternative', relevance: 0.7 },
+  { skill: 'Ansible', related: 'Puppet', type: 'alternative', relevance: 0.7 },
+  { skill: 'Ansible', related: 'Chef', type: 'alternative', relevance: 0.7 },
+  { skill: 'Jenkins', related: 'GitHub Actions', type: 'alternative', relevance: 0.7 },
+  { skill: 'Jenkins', related: 'GitLab CI', type: 'alternative', relevance: 0.7 },
+  { skill: 'GitHub Actions', related: 'GitLab CI', type: 'alternative', relevance: 0.8 },
+  { skill: 'Jest', related: 'Mocha', type: 'alternative', relevance: 0.8 },
+  { skill: 'Jest', related: 'Vitest', type: 'alternative', relevance: 0.9 },
+  { skill: 'Cypress', related: 'Playwright', type: 'alternative', relevance: 0.8 },
+  { skill: 'Prometheus', related: 'Datadog', type: 'alternative', relevance: 0.6 },
+  { skill: 'Tableau', related: 'Power BI', type: 'alternative', relevance: 0.8 },
+  { skill: 'Tableau', related: 'Looker', type: 'alternative', relevance: 0.7 }
+];
+
+let configuredCredit = null;
+let seedIndex = null;
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Credit per relationship type, with SKILL_RELATIONSHIP_CREDIT applied
+ */
+export function getRelationshipCredit() {
+  if (configuredCredit) return configuredCredit;
+
+  configuredCredit = { ...RELATIONSHIP_CREDIT };
+  if (process.env.SKILL_RELATIONSHIP_CREDIT) {
+    try {
+      for (const [type, credit] of Object.entries(JSON.parse(process.env.SKILL_RELATIONSHIP_CREDIT))) {
+        const value = Number(credit);
+        if (Number.isFinite(value)) configuredCredit[type] = Math.max(0, Math.min(1, value));
+      }
+    } catch (error) {
+      console.warn('[SkillRelationships] Ignoring invalid SKILL_RELATIONSHIP_CREDIT:', error.message);
+    }
+  }
+
+  return configuredCredit;
+}
+
+// ============================================================================
+// Relationship Index
+// ============================================================================
+
+/**
+ * Index relationship rows by canonical skill ID, both directions
+ *
+ * @param {Array<{ skill, related, type, relevance }>} rows
+ * @returns {Map<string, Array<{ skillId, name, type, relevance }>>}
+ */
+export function buildRelationshipIndex(rows) {
+  const index = new Map();
+  const link = (fromName, toName, type, relevance) => {
+    const fromId = canonicalSkillId(fromName);
+    const toId = canonicalSkillId(toName);
+    if (fromId === toId) return;
+
+    if (!index.has(fromId)) index.set(fromId, []);
+    index.get(fromId).push({ skillId: toId, name: canonicalSkillName(toName), type, relevance });
+  };
+
+  for (const row of rows) {
+    if (!row.skill || !row.related || !row.type) continue;
+    const relevance = row.relevance ?? DEFAULT_RELEVANCE;
+    link(row.skill, row.related, row.type, relevance);
+    link(row.related, row.skill, row.type, relevance);
+  }
+
+  return index;
+}
+
+/**
+ * Index of the seed relationships (no database)
+ */
+export function seedRelationshipIndex() {
+  if (!seedIndex) seedIndex = buildRelationshipIndex(SKILL_SEED_RELATIONSHIPS);
+  return seedIndex;
+}
+
+/**
+ * Index of the skill_relationships table, or the seed index when the table
+ * is missing or empty
+ *
+ * @param {Function} query - (sql, params) => pg result
+ */
+export async function loadRelationshipIndex(query) {
+  try {
+    const result = await query(
+      `SELECT s.name AS skill, r.name AS related, sr.relationship_type AS type, sr.relevance_score AS relevance
+       FROM skill_relationships sr
+       JOIN skills s ON s.id = sr.skill_id
+       JOIN skills r ON r.id = sr.related_skill_id`
+    );
+    return result.rows.length > 0 ? buildRelationshipIndex(result.rows) : seedRelationshipIndex();
+  } catch (error) {
+    return seedRelationshipIndex();
+  }
+}
+
+// ============================================================================
+// Coverage
+// ============================================================================
+
+/**
+ * Best related skill on the resume that covers a missing job skill
+ *
+ * @param {string} skillId - Canonical ID of the job skill
+ * @param {Map<string, Object>} resumeSkillsById - Resume skills by canonical ID
+ * @param {Map} index - buildRelationshipIndex() output
+ * @returns {{ via, viaId, type, relevance, credit }|null}
+ */
+export function findRelatedCoverage(skillId, resumeSkillsById, index, credits = getRelationshipCredit()) {
+  let best = null;
+
+  for (const neighbour of index.get(skillId) || []) {
+    const via = resumeSkillsById.get(neighbour.skillId);
+    if (!via) continue;
+
+    const credit = Math.round((credits[neighbour.type] ?? 0) * neighbour.relevance * 100) / 100;
+    if (credit > 0 && (!best || credit > best.credit)) {
+      best = { via, viaId: neighbour.skillId, type: neighbour.type, relevance: neighbour.relevance, credit };
+    }
+  }
+
+  return best;
+}
+
+export default {
+  RELATIONSHIP_CREDIT,
+  SKILL_SEED_RELATIONSHIPS,
+  getRelationshipCredit,
+  buildRelationshipIndex,
+  seedRelationshipIndex,
+  loadRelationshipIndex,
+  findRelatedCoverage
+};
@@ -0,0 +1,205 @@
+// Skill Taxonomy: The skill matcher's dictionary, loaded from the database
+// Reads canonical names, synonyms, categories and parent skills from the skills
+// table into the matcher's in-process cache, and reloads it when the table
+// changes. Without a database the matcher keeps the seed list (SKILL_SEED).
+// Seed skills missing from the table are inserted on the first load; hide one
+// with is_active = false rather than deleting it.
+
+import {
+  SKILL_SEED,
+  SKILL_SEED_PARENTS,
+  SKILL_SEED_ALIASES,
+  setSkillTaxonomy,
+  getTaxonomyInfo
+} from './skill-matcher.js';
+import { SKILL_SEED_RELATIONSHIPS } from './skill-relationships.js';
+
+const DEFAULT_RELOAD_INTERVAL_MS = 60 * 1000;
+
+export class SkillTaxonomy {
+  /**
+   * @param {Pool} database
+   * @param {Object} options - { reloadIntervalMs: poll interval for changes (0 disables) }
+   */
+  constructor(database, options = {}) {
+    this.pool = database;
+    this.reloadIntervalMs = options.reloadIntervalMs ?? DEFAULT_RELOAD_INTERVAL_MS;
+    this.version = null;
+    this.seeded = false;
+    this.timer = null;
+    this.lastError = null;
+  }
+
+  // ==========================================================================
+  // Loading
+  // ==========================================================================
+
+  /**
+   * Load the skills table into the matcher
+   * On error the current dictionary stays
+   *
+   * @returns {Object} getTaxonomyInfo() after the load
+   */
+  async load() {
+    try {
+      if (!this.seeded) {
+        await this.seed();
+        this.seeded = true;
+      }
+
+      const version = await this.getVersion();
+
+      const result = await this.pool.query(
+        `SELECT s.id, s.name, s.category, s.subcategory, s.synonyms, p.name AS parent
+         FROM skills s
+         LEFT JOIN skills p ON p.id = s.parent_skill_id
+         WHERE s.is_active IS NOT FALSE
+         ORDER BY s.id`
+      );
+
+      const info = setSkillTaxonomy(result.rows, 'database');
+      this.version = version.key;
+      this.lastError = null;
+      console.log(`[SkillTaxonomy] Loaded ${info.skills} skills (${info.synonyms} synonyms) from database`);
+      return info;
+    } catch (error) {
+      this.lastError = error.message;
+      console.warn('[SkillTaxonomy] Load failed, keeping current dictionary:', error.message);
+      return getTaxonomyInfo();
+    }
+  }
+
+  /**
+   * Reload only if the skills table changed since the last load
+   *
+   * @returns {boolean} Whether a reload happened
+   */
+  async reloadIfChanged() {
+    try {
+      const version = await this.getVersion();
+      if (version.key === this.version) return false;
+
+      await this.load();
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      console.warn('[SkillTaxonomy] Change check failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Row count plus latest update: changes on insert, update (updated_at is
+   * maintained by trigger) and delete
+   *
+   * @private
+   */
+  async getVersion() {
+    const result = await this.pool.query(
+      `SELECT COUNT(*)::int AS count, MAX(updated_at) AS updated_at FROM skills`
+    );
+    const { count, updated_at: updatedAt } = result.rows[0];
+    return { count, key: `${count}:${updatedAt ? new Date(updatedAt).toISOString() : ''}` };
+  }
+
+  // ==========================================================================
+  // Hot Reload
+  // ==========================================================================
+
+  /**
+   * Poll for changes every reloadIntervalMs
+   */
+  startAutoReload() {
+    if (this.timer || !this.reloadIntervalMs) return;
+
+    this.timer = setInterval(() => this.reloadIfChanged(), this.reloadIntervalMs);
+    this.timer.unref?.();
+  }
+
+  stopAutoReload() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ==========================================================================
+  // Seeding
+  // ==========================================================================
+
+  /**
+   * Insert seed skills the table lacks (existing rows are left alone), link
+   * seed parents where none is set, seed aliases where a row has none and add
+   * missing seed relationships (partial credit, lib/skill-relationships.js)
+   *
+   * @returns {number} Skills inserted
+   */
+  async seed() {
+    const names = [];
+    const categories = [];
+    for (const [category, skills] of Object.entries(SKILL_SEED)) {
+      for (const name of skills) {
+        names.push(name);
+        categories.push(category);
+      }
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO skills (name, category)
+       SELECT * FROM unnest($1::text[], $2::text[])
+       ON CONFLICT (name) DO NOTHING`,
+      [names, categories]
+    );
+
+    await this.pool.query(
+      `UPDATE skills c
+       SET parent_skill_id = p.id
+       FROM unnest($1::text[], $2::text[]) AS seed(child, parent)
+       JOIN skills p ON p.name = seed.parent
+       WHERE c.name = seed.child AND c.parent_skill_id IS NULL`,
+      [Object.keys(SKILL_SEED_PARENTS), Object.values(SKILL_SEED_PARENTS)]
+    );
+
+    await this.pool.query(
+      `UPDATE skills s
+       SET synonyms = ARRAY(SELECT jsonb_array_elements_text(seed.aliases))
+       FROM jsonb_each($1::jsonb) AS seed(name, aliases)
+       WHERE s.name = seed.name AND COALESCE(cardinality(s.synonyms), 0) = 0`,
+      [JSON.stringify(SKILL_SEED_ALIASES)]
+    );
+
+    await this.pool.query(
+      `INSERT INTO skill_relationships (skill_id, related_skill_id, relationship_type, relevance_score)
+       SELECT s.id, r.id, seed.type, seed.relevance
+       FROM unnest($1::text[], $2::text[], $3::text[], $4::float[]) AS seed(skill, related, type, relevance)
+       JOIN skills s ON s.name = seed.skill
+       JOIN skills r ON r.name = seed.related
+       ON CONFLICT (skill_id, related_skill_id) DO NOTHING`,
+      [
+        SKILL_SEED_RELATIONSHIPS.map(rel => rel.skill),
+        SKILL_SEED_RELATIONSHIPS.map(rel => rel.related),
+        SKILL_SEED_RELATIONSHIPS.map(rel => rel.type),
+        SKILL_SEED_RELATIONSHIPS.map(rel => rel.relevance)
+      ]
+    );
+
+    if (result.rowCount > 0) {
+      console.log(`[SkillTaxonomy] Seeded ${result.rowCount} skills`);
+    }
+    return result.rowCount;
+  }
+
+  /**
+   * Active dictionary summary plus reload state
+   */
+  getStatus() {
+    return {
+      ...getTaxonomyInfo(),
+      autoReload: Boolean(this.timer),
+      reloadIntervalMs: this.reloadIntervalMs,
+      lastError: this.lastError
+    };
+  }
+}
+
+export default SkillTaxonomy;
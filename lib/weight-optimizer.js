@@ -1,8 +1,15 @@
 /**
  * WeightOptimizer: Dynamic weight adjustment based on job characteristics
  * Intelligently adjusts agent scoring weights based on industry, role, and seniority
+ * Prefers outcome-trained weight sets (see WeightTrainer) over the static tables
+ * Explicit job fields (industry, seniority) beat detection from the job text
  */
 
+import { seniorityToWeightLevel } from './job-requisition.js';
+
+// Static tables have never been validated against outcomes
+const STATIC_CONFIDENCE_FACTOR = 0.6;
+
 export class WeightOptimizer {
   constructor() {
     this.industryWeights = this.loadIndustryWeights();
@@ -13,6 +20,53 @@ export class WeightOptimizer {
       { keywords: ['senior', 'lead', 'principal'], level: 'senior' },
       { keywords: ['director', 'vp', 'cto', 'ceo'], level: 'executive' }
     ];
+    this.learnedWeights = null; // { version, global, industry: {}, role: {} }
+  }
+
+  /**
+   * Load the active learned weight set version from the database
+   * Keeps the static tables when no version is active or the query fails
+   *
+   * @returns {Promise<number>} Number of learned weight sets loaded
+   */
+  async loadLearnedWeights(database) {
+    if (!database) return 0;
+
+    try {
+      const result = await database.query(
+        `SELECT lw.version, lw.scope_type, lw.scope_key, lw.weights, lw.sample_size, lw.confidence
+        FROM learned_weights lw
+        JOIN weight_set_versions v ON v.version = lw.version
+        WHERE v.active`
+      );
+
+      if (result.rows.length === 0) {
+        this.learnedWeights = null;
+        return 0;
+      }
+
+      const learned = { version: result.rows[0].version, global: null, industry: {}, role: {} };
+      for (const row of result.rows) {
+        const entry = {
+          weights: row.weights,
+          sampleSize: row.sample_size,
+          confidence: parseFloat(row.confidence)
+        };
+
+        if (row.scope_type === 'global') {
+          learned.global = entry;
+        } else {
+          learned[row.scope_type][row.scope_key] = entry;
+        }
+      }
+
+      this.learnedWeights = learned;
+      console.log(`[WeightOptimizer] Loaded learned weight set v${learned.version} (${result.rows.length} scopes)`);
+      return result.rows.length;
+    } catch (error) {
+      console.warn('[WeightOptimizer] Could not load learned weights, using static tables:', error.message);
+      return 0;
+    }
   }
 
   /**
@@ -49,26 +103,99 @@ export class WeightOptimizer {
    * Get optimal weights for a job
    */
   getOptimalWeights(jobTitle, jobDescription, jobMetadata = {}) {
-    let baseWeights = { ...this.loadIndustryWeights().default };
+    let baseWeights = { ...this.resolveBaseWeights(jobTitle, jobDescription, jobMetadata).weights };
+
+    // Adjust for seniority level
+    const { level: seniorityLevel } = this.resolveSeniority(jobTitle, jobMetadata);
+    baseWeights = this.adjustForSeniority(baseWeights, seniorityLevel);
+
+    // Normalize (sum to 1.0)
+    return this.normalizeWeights(baseWeights);
+  }
+
+  /**
+   * Describe where the weights for a job come from (learned set or static table)
+   */
+  getWeightSource(jobTitle, jobDescription, jobMetadata = {}) {
+    const { weights, ...source } = this.resolveBaseWeights(jobTitle, jobDescription, jobMetadata);
+    const seniority = this.resolveSeniority(jobTitle, jobMetadata);
+    return { ...source, seniority: seniority.level, seniority_source: seniority.source };
+  }
+
+  /**
+   * Industry from the job's explicit field, else detected from the description
+   *
+   * @returns {{ industry: string|null, source: 'explicit'|'inferred'|null }}
+   */
+  resolveIndustry(jobDescription, jobMetadata = {}) {
+    if (jobMetadata.industry) {
+      return { industry: jobMetadata.industry, source: 'explicit' };
+    }
+
+    const industry = this.detectIndustry(jobDescription);
+    return { industry, source: industry ? 'inferred' : null };
+  }
+
+  /**
+   * Industry and role scopes a job's weights are looked up under
+   * An explicit industry field beats a role guessed from the job text, so
+   * role is null then. The trainer groups outcomes with the same rule
+   *
+   * @returns {{ industry: string|null, industry_source: 'explicit'|'inferred'|null, role: string|null }}
+   */
+  resolveScopes(jobTitle, jobDescription, jobMetadata = {}) {
+    const { industry, source } = this.resolveIndustry(jobDescription, jobMetadata);
+    const role = source === 'explicit' ? null : this.detectRole(jobTitle, jobDescription);
+    return { industry, industry_source: source, role };
+  }
+
+  /**
+   * Seniority level from the job's explicit field, else detected from the title
+   *
+   * @returns {{ level: string, source: 'explicit'|'inferred' }}
+   */
+  resolveSeniority(jobTitle, jobMetadata = {}) {
+    const explicit = seniorityToWeightLevel(jobMetadata.seniority);
+    if (explicit) {
+      return { level: explicit, source: 'explicit' };
+    }
+
+    return { level: this.detectSeniorityLevel(jobTitle), source: 'inferred' };
+  }
+
+  /**
+   * Pick base weights: role beats industry beats default, and a learned set
+   * beats the static table at the same level. An explicit industry field
+   * beats a role guessed from the job text
+   *
+   * @private
+   */
+  resolveBaseWeights(jobTitle, jobDescription, jobMetadata = {}) {
+    const learned = this.learnedWeights;
+    let resolved = learned?.global
+      ? { weights: learned.global.weights, source: 'learned', scope_type: 'global', scope_key: 'default', version: learned.version, confidence: learned.global.confidence }
+      : { weights: this.industryWeights.default, source: 'static', scope_type: 'global', scope_key: 'default' };
+
+    const { industry: industryMatch, industry_source: industrySource, role: roleMatch } =
+      this.resolveScopes(jobTitle, jobDescription, jobMetadata);
 
     // Try to match industry
-    const industryMatch = this.detectIndustry(jobDescription);
-    if (industryMatch && this.industryWeights[industryMatch]) {
-      baseWeights = { ...this.industryWeights[industryMatch] };
+    if (industryMatch && learned?.industry[industryMatch]) {
+      const entry = learned.industry[industryMatch];
+      resolved = { weights: entry.weights, source: 'learned', scope_type: 'industry', scope_key: industryMatch, version: learned.version, confidence: entry.confidence };
+    } else if (industryMatch && this.industryWeights[industryMatch]) {
+      resolved = { weights: this.industryWeights[industryMatch], source: 'static', scope_type: 'industry', scope_key: industryMatch };
     }
 
     // Try to match specific role
-    const roleMatch = this.detectRole(jobTitle, jobDescription);
-    if (roleMatch && this.roleWeights[roleMatch]) {
-      baseWeights = { ...this.roleWeights[roleMatch] };
+    if (roleMatch && learned?.role[roleMatch]) {
+      const entry = learned.role[roleMatch];
+      resolved = { weights: entry.weights, source: 'learned', scope_type: 'role', scope_key: roleMatch, version: learned.version, confidence: entry.confidence };
+    } else if (roleMatch && this.roleWeights[roleMatch]) {
+      resolved = { weights: this.roleWeights[roleMatch], source: 'static', scope_type: 'role', scope_key: roleMatch };
     }
 
-    // Adjust for seniority level
-    const seniorityLevel = this.detectSeniorityLevel(jobTitle);
-    baseWeights = this.adjustForSeniority(baseWeights, seniorityLevel);
-
-    // Normalize (sum to 1.0)
-    return this.normalizeWeights(baseWeights);
+    return { ...resolved, industry: industryMatch, industry_source: industrySource };
   }
 
   /**
@@ -170,15 +297,23 @@ export class WeightOptimizer {
   /**
    * Get weight confidence score (0-1)
    * Higher = more confident in the weight selection
+   * Learned sets report the confidence measured at training time (sample size
+   * and how well they ordered real outcomes); static tables are discounted
    */
-  getWeightConfidence(jobTitle, jobDescription) {
+  getWeightConfidence(jobTitle, jobDescription, jobMetadata = {}) {
+    const source = this.getWeightSource(jobTitle, jobDescription, jobMetadata);
+    if (source.source === 'learned') {
+      return source.confidence;
+    }
+
     let confidence = 0.5;
 
-    if (this.detectIndustry(jobDescription)) confidence += 0.2;
+    // Explicit fields are known, not guessed
+    if (source.industry) confidence += 0.2;
     if (this.detectRole(jobTitle, jobDescription)) confidence += 0.2;
-    if (this.detectSeniorityLevel(jobTitle) !== 'mid') confidence += 0.1;
+    if (source.seniority_source === 'explicit' || source.seniority !== 'mid') confidence += 0.1;
 
-    return Math.min(1.0, confidence);
+    return Math.min(1.0, confidence) * STATIC_CONFIDENCE_FACTOR;
   }
 }
 
@@ -0,0 +1,371 @@
+/**
+ * WeightTrainer: Fit scoring weights from recorded hiring outcomes
+ * Learns per-industry / per-role weight vectors from historical per-agent
+ * scores and saves them as versioned weight sets for WeightOptimizer
+ */
+
+import WeightOptimizer from './weight-optimizer.js';
+
+const DIMENSIONS = ['skill', 'semantic', 'experience', 'education', 'certification'];
+
+// Ordinal training target for each outcome stage
+const OUTCOME_TARGETS = {
+  rejected: 0,
+  interview: 0.5,
+  offer: 0.75,
+  hired: 1
+};
+
+export class WeightTrainer {
+  constructor(database, options = {}) {
+    this.pool = database;
+    this.weightOptimizer = options.weightOptimizer || new WeightOptimizer();
+    this.minSamples = options.minSamples || 30;
+    this.iterations = options.iterations || 1500;
+    this.learningRate = options.learningRate || 0.05;
+    this.priorStrength = options.priorStrength || 0.5; // L2 pull toward the static weights
+  }
+
+  /**
+   * Load per-agent scores joined to outcomes and job text
+   * Uses the latest result per agent for each resume-job pair. Industry and
+   * role are resolved like at scoring time (explicit job fields first)
+   */
+  async loadTrainingData(days = 365) {
+    const cutoff = new Date(Date.now() - days * 24 * 3600 * 1000);
+
+    const result = await this.pool.query(
+      `SELECT ho.resume_id, ho.job_id, ho.outcome, j.title, j.description, j.industry, j.seniority,
+        sk.skill_score, se.semantic_score, ex.experience_score,
+        ed.education_score, ce.certification_score
+      FROM hiring_outcomes ho
+      JOIN jobs j ON j.job_id = ho.job_id
+      LEFT JOIN LATERAL (
+        SELECT skill_score FROM skill_agent_results r
+        WHERE r.resume_id = ho.resume_id AND r.job_id = ho.job_id
+        ORDER BY created_at DESC LIMIT 1
+      ) sk ON true
+      LEFT JOIN LATERAL (
+        SELECT semantic_score FROM semantic_agent_results r
+        WHERE r.resume_id = ho.resume_id AND r.job_id = ho.job_id
+        ORDER BY created_at DESC LIMIT 1
+      ) se ON true
+      LEFT JOIN LATERAL (
+        SELECT experience_score FROM experience_agent_results r
+        WHERE r.resume_id = ho.resume_id AND r.job_id = ho.job_id
+        ORDER BY created_at DESC LIMIT 1
+      ) ex ON true
+      LEFT JOIN LATERAL (
+        SELECT education_score FROM education_agent_results r
+        WHERE r.resume_id = ho.resume_id AND r.job_id = ho.job_id
+        ORDER BY created_at DESC LIMIT 1
+      ) ed ON true
+      LEFT JOIN LATERAL (
+        SELECT certification_score FROM certification_agent_results r
+        WHERE r.resume_id = ho.resume_id AND r.job_id = ho.job_id
+        ORDER BY created_at DESC LIMIT 1
+      ) ce ON true
+      WHERE ho.outcome IS NOT NULL AND ho.timestamp > $1`,
+      [cutoff]
+    );
+
+    return result.rows
+      .filter(row => DIMENSIONS.some(d => row[`${d}_score`] !== null))
+      .map(row => {
+        const { industry, role } = this.weightOptimizer.resolveScopes(
+          row.title || '', row.description || '', { industry: row.industry, seniority: row.seniority }
+        );
+        return {
+          resume_id: row.resume_id,
+          job_id: row.job_id,
+          industry,
+          role,
+          // Failed agents count as 0, same as the coordinator's composite
+          features: DIMENSIONS.map(d => (row[`${d}_score`] !== null ? parseFloat(row[`${d}_score`]) / 100 : 0)),
+          target: OUTCOME_TARGETS[row.outcome] ?? 0
+        };
+      });
+  }
+
+  /**
+   * Train weight sets for every scope with enough data and save a new version
+   *
+   * @param {Object} options - { days, minSamples, activate, dryRun }
+   * @returns {Promise<Object>} Training summary
+   */
+  async train(options = {}) {
+    const days = options.days || 365;
+    const minSamples = options.minSamples || this.minSamples;
+    const activate = options.activate !== false;
+
+    const samples = await this.loadTrainingData(days);
+    console.log(`[WeightTrainer] Loaded ${samples.length} scored outcomes (last ${days} days)`);
+
+    const scopes = [{ scope_type: 'global', scope_key: 'default', samples }];
+    for (const scopeType of ['industry', 'role']) {
+      const groups = {};
+      for (const sample of samples) {
+        const key = sample[scopeType];
+        if (!key) continue;
+        (groups[key] = groups[key] || []).push(sample);
+      }
+      for (const [key, group] of Object.entries(groups)) {
+        scopes.push({ scope_type: scopeType, scope_key: key, samples: group });
+      }
+    }
+
+    const trained = [];
+    const skipped = [];
+
+    for (const scope of scopes) {
+      const prior = this.getStaticWeights(scope.scope_type, scope.scope_key);
+      const fit = this.fitScope(scope.samples, prior, minSamples);
+
+      if (fit.skipped) {
+        skipped.push({ scope_type: scope.scope_type, scope_key: scope.scope_key, sample_size: scope.samples.length, reason: fit.skipped });
+      } else {
+        trained.push({ scope_type: scope.scope_type, scope_key: scope.scope_key, ...fit });
+      }
+    }
+
+    const summary = {
+      version: null,
+      active: false,
+      training_samples: samples.length,
+      min_samples: minSamples,
+      timeframe_days: days,
+      trained,
+      skipped
+    };
+
+    if (trained.length === 0 || options.dryRun) {
+      console.log(`[WeightTrainer] ${trained.length} weight sets fitted, nothing saved${options.dryRun ? ' (dry run)' : ''}`);
+      return summary;
+    }
+
+    summary.version = await this.saveVersion(trained, { samples: samples.length, minSamples, days }, activate);
+    summary.active = activate;
+    console.log(`[WeightTrainer] Saved weight set version ${summary.version} (${trained.length} scopes, ${skipped.length} skipped)`);
+
+    return summary;
+  }
+
+  /**
+   * Fit a weight vector for one scope
+   * Soft-label logistic regression on the weighted composite, with weights kept
+   * on the simplex (non-negative, sum to 1) and shrunk toward the static prior
+   */
+  fitScope(samples, prior, minSamples = this.minSamples) {
+    if (samples.length < minSamples) {
+      return { skipped: `needs ${minSamples} outcomes, has ${samples.length}` };
+    }
+
+    const targets = samples.map(s => s.target);
+    if (Math.min(...targets) === Math.max(...targets)) {
+      return { skipped: 'all outcomes identical (need both positive and negative outcomes)' };
+    }
+
+    const priorVector = DIMENSIONS.map(d => prior[d]);
+    let weights = [...priorVector];
+    let scale = 4;
+    let bias = -2;
+
+    for (let iter = 0; iter < this.iterations; iter++) {
+      const gradW = new Array(DIMENSIONS.length).fill(0);
+      let gradScale = 0;
+      let gradBias = 0;
+
+      for (const sample of samples) {
+        const composite = dot(weights, sample.features);
+        const p = sigmoid(scale * composite + bias);
+        const error = p - sample.target;
+
+        for (let d = 0; d < DIMENSIONS.length; d++) {
+          gradW[d] += error * scale * sample.features[d];
+        }
+        gradScale += error * composite;
+        gradBias += error;
+      }
+
+      for (let d = 0; d < DIMENSIONS.length; d++) {
+        gradW[d] = gradW[d] / samples.length + this.priorStrength * (weights[d] - priorVector[d]);
+        weights[d] -= this.learningRate * gradW[d];
+      }
+      weights = projectToSimplex(weights);
+      scale -= this.learningRate * gradScale / samples.length;
+      bias -= this.learningRate * gradBias / samples.length;
+    }
+
+    // Shrink toward the prior in proportion to how little data we have
+    const dataWeight = samples.length / (samples.length + minSamples);
+    const blended = weights.map((w, d) => dataWeight * w + (1 - dataWeight) * priorVector[d]);
+
+    const concordanceLearned = concordance(samples.map(s => dot(blended, s.features)), targets);
+    const concordanceBaseline = concordance(samples.map(s => dot(priorVector, s.features)), targets);
+
+    if (concordanceLearned < concordanceBaseline) {
+      return { skipped: `fitted weights did not beat static weights (${round(concordanceLearned, 3)} < ${round(concordanceBaseline, 3)})` };
+    }
+
+    const quality = Math.max(0, Math.min(1, (concordanceLearned - 0.5) * 2));
+    const weightsObject = {};
+    DIMENSIONS.forEach((d, i) => { weightsObject[d] = round(blended[i], 4); });
+
+    return {
+      weights: weightsObject,
+      sample_size: samples.length,
+      positive_rate: round(targets.filter(t => t > 0).length / samples.length, 3),
+      concordance: round(concordanceLearned, 3),
+      baseline_concordance: round(concordanceBaseline, 3),
+      confidence: round(0.5 * dataWeight + 0.5 * quality, 2)
+    };
+  }
+
+  /**
+   * Static table weights for a scope, normalized to sum to 1
+   *
+   * @private
+   */
+  getStaticWeights(scopeType, scopeKey) {
+    const tables = {
+      industry: this.weightOptimizer.industryWeights,
+      role: this.weightOptimizer.roleWeights
+    };
+    const weights = (tables[scopeType] && tables[scopeType][scopeKey]) || this.weightOptimizer.industryWeights.default;
+    const total = DIMENSIONS.reduce((sum, d) => sum + weights[d], 0);
+
+    const normalized = {};
+    for (const d of DIMENSIONS) normalized[d] = weights[d] / total;
+    return normalized;
+  }
+
+  /**
+   * Persist a training run as a new version
+   *
+   * @private
+   */
+  async saveVersion(weightSets, meta, activate = true) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const versionResult = await client.query(
+        `INSERT INTO weight_set_versions (training_samples, min_samples, timeframe_days, notes)
+         VALUES ($1, $2, $3, $4)
+         RETURNING version`,
+        [meta.samples, meta.minSamples, meta.days, `${weightSets.length} scopes fitted`]
+      );
+      const version = versionResult.rows[0].version;
+
+      for (const set of weightSets) {
+        await client.query(
+          `INSERT INTO learned_weights (
+            version, scope_type, scope_key, weights, sample_size,
+            positive_rate, concordance, baseline_concordance, confidence
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [
+            version, set.scope_type, set.scope_key, JSON.stringify(set.weights), set.sample_size,
+            set.positive_rate, set.concordance, set.baseline_concordance, set.confidence
+          ]
+        );
+      }
+
+      if (activate) {
+        await client.query('SELECT activate_weight_set_version($1)', [version]);
+      }
+
+      await client.query('COMMIT');
+      return version;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List saved versions, newest first
+   */
+  async listVersions(limit = 20) {
+    const result = await this.pool.query(
+      `SELECT v.version, v.training_samples, v.min_samples, v.timeframe_days, v.active,
+        v.created_at, v.activated_at, COUNT(lw.id) as weight_sets
+      FROM weight_set_versions v
+      LEFT JOIN learned_weights lw ON lw.version = v.version
+      GROUP BY v.version
+      ORDER BY v.version DESC
+      LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Make a saved version the active one (also used for rollback)
+   */
+  async activateVersion(version) {
+    const result = await this.pool.query('SELECT activate_weight_set_version($1) as activated', [version]);
+    return result.rows[0]?.activated === true;
+  }
+}
+
+// ============================================================================
+// Math helpers
+// ============================================================================
+
+function dot(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) total += a[i] * b[i];
+  return total;
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Euclidean projection onto the probability simplex
+ */
+function projectToSimplex(vector) {
+  const sorted = [...vector].sort((a, b) => b - a);
+  let cumulative = 0;
+  let theta = 0;
+
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i];
+    const candidate = (cumulative - 1) / (i + 1);
+    if (sorted[i] - candidate > 0) theta = candidate;
+  }
+
+  return vector.map(v => Math.max(0, v - theta));
+}
+
+/**
+ * Fraction of pairs with different outcomes that the scores order correctly
+ * (ties count half); equals ROC AUC when targets are binary
+ */
+function concordance(scores, targets) {
+  let concordant = 0;
+  let comparable = 0;
+
+  for (let i = 0; i < scores.length; i++) {
+    for (let j = 0; j < scores.length; j++) {
+      if (targets[i] <= targets[j]) continue;
+      comparable++;
+      if (scores[i] > scores[j]) concordant += 1;
+      else if (scores[i] === scores[j]) concordant += 0.5;
+    }
+  }
+
+  return comparable > 0 ? concordant / comparable : 0.5;
+}
+
+export default WeightTrainer;
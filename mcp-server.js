@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * CareerCheck MCP Server
+ * Exposes upload_resume, create_job, score_fit, rank_candidates and
+ * search_skills to MCP clients. Tool calls go to a running CareerCheck API
+ * (CAREERCHECK_URL), so start server.js first.
+ * Usage: node mcp-server.js [--stdio] | --http [port]
+ */
+
+import express from 'express';
+import dotenv from 'dotenv';
+import { McpServer, serveStdio, createStreamableHttpRouter } from './lib/mcp-server.js';
+import { createApiClient, registerCareerCheckTools } from './lib/mcp-tools.js';
+
+dotenv.config();
+
+const INSTRUCTIONS = 'Upload resumes and create jobs first; their resume_id and job_id ' +
+  'are what score_fit and rank_candidates take. Scores are 0-1 decimals.';
+
+function parseArgs(argv) {
+  const options = { transport: 'stdio', port: parseInt(process.env.MCP_PORT) || 8085 };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--stdio') options.transport = 'stdio';
+    else if (argv[i] === '--http') {
+      options.transport = 'http';
+      if (/^\d+$/.test(argv[i + 1] || '')) options.port = parseInt(argv[++i]);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const apiUrl = process.env.CAREERCHECK_URL || `http://localhost:${process.env.PORT || 8080}`;
+
+  const server = new McpServer({ name: 'careercheck', version: '1.0.0', instructions: INSTRUCTIONS });
+  registerCareerCheckTools(server, createApiClient(apiUrl));
+
+  if (options.transport === 'stdio') {
+    // stdout is the protocol channel; keep logs off it
+    console.log = (...args) => console.error(...args);
+    console.error(`[MCP] CareerCheck MCP server on stdio (API: ${apiUrl})`);
+    await serveStdio(server);
+    return;
+  }
+
+  const allowedOrigins = (process.env.MCP_ALLOWED_ORIGINS || '')
+    .split(',').map(origin => origin.trim()).filter(Boolean);
+
+  const app = express();
+  app.use('/mcp', createStreamableHttpRouter(server, {
+    allowedOrigins,
+    apiKey: process.env.MCP_API_KEY || null
+  }));
+
+  // Loopback unless MCP_HOST says otherwise; set MCP_API_KEY before exposing it
+  const host = process.env.MCP_HOST || '127.0.0.1';
+  app.listen(options.port, host, () => {
+    console.log(`[MCP] CareerCheck MCP server on http://${host}:${options.port}/mcp (API: ${apiUrl})`);
+    if (!process.env.MCP_API_KEY) {
+      console.log('[MCP] MCP_API_KEY not set, accepting any local client');
+    }
+  });
+}
+
+main().catch(error => {
+  console.error('[MCP] Fatal:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,146 @@
+-- ============================================================================
+-- Migration 006: Hiring Outcome Feedback
+-- ============================================================================
+-- Date: 2025-11-03
+-- Purpose: Track interview/offer/hire/reject outcomes for scored resume-job
+--          pairs so the multi-agent composite can be checked against reality
+-- ============================================================================
+
+-- Outcome stage (hired stays as a convenience flag for the existing view)
+ALTER TABLE hiring_outcomes
+  ADD COLUMN IF NOT EXISTS outcome VARCHAR(20);
+
+ALTER TABLE hiring_outcomes
+  ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- Where the outcome came from: 'api' or 'csv_import'
+ALTER TABLE hiring_outcomes
+  ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'api';
+
+-- Composite score at the time the outcome was recorded (rescoring later
+-- must not rewrite history for the accuracy report)
+ALTER TABLE hiring_outcomes
+  ADD COLUMN IF NOT EXISTS composite_score NUMERIC(5, 2);
+
+-- Per-dimension scores at the same moment, for the dimension correlations
+ALTER TABLE hiring_outcomes ADD COLUMN IF NOT EXISTS skill_score NUMERIC(5, 2);
+ALTER TABLE hiring_outcomes ADD COLUMN IF NOT EXISTS experience_score NUMERIC(5, 2);
+ALTER TABLE hiring_outcomes ADD COLUMN IF NOT EXISTS education_score NUMERIC(5, 2);
+ALTER TABLE hiring_outcomes ADD COLUMN IF NOT EXISTS certification_score NUMERIC(5, 2);
+ALTER TABLE hiring_outcomes ADD COLUMN IF NOT EXISTS semantic_score NUMERIC(5, 2);
+
+-- Backfill rows written before outcome stages existed
+UPDATE hiring_outcomes
+SET outcome = CASE WHEN hired THEN 'hired' ELSE 'rejected' END
+WHERE outcome IS NULL;
+
+-- Older rows have no snapshot; the current scores are the best we have
+UPDATE hiring_outcomes ho
+SET composite_score = COALESCE(ho.composite_score, mas.composite_score),
+    skill_score = mas.skill_score,
+    experience_score = mas.experience_score,
+    education_score = mas.education_score,
+    certification_score = mas.certification_score,
+    semantic_score = mas.semantic_score
+FROM multi_agent_scores mas
+WHERE mas.resume_id = ho.resume_id AND mas.job_id = ho.job_id
+  AND ho.skill_score IS NULL AND ho.experience_score IS NULL
+  AND ho.education_score IS NULL AND ho.certification_score IS NULL
+  AND ho.semantic_score IS NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'hiring_outcomes_outcome_check'
+  ) THEN
+    ALTER TABLE hiring_outcomes
+      ADD CONSTRAINT hiring_outcomes_outcome_check
+      CHECK (outcome IN ('interview', 'offer', 'hired', 'rejected'));
+  END IF;
+END $$;
+
+-- Index for report queries grouped by outcome stage
+CREATE INDEX IF NOT EXISTS idx_hiring_outcomes_outcome
+ON hiring_outcomes(outcome);
+
+-- ============================================================================
+-- Stored Procedure: Record Hiring Outcome (stage-aware)
+-- ============================================================================
+-- Replaces the boolean-only version from migration 005. Snapshots the
+-- composite and dimension scores onto the outcome row and returns its id;
+-- errors raise to the caller.
+DROP FUNCTION IF EXISTS record_hiring_outcome(VARCHAR, VARCHAR, BOOLEAN, NUMERIC);
+
+CREATE OR REPLACE FUNCTION record_hiring_outcome(
+  p_resume_id VARCHAR,
+  p_job_id VARCHAR,
+  p_outcome VARCHAR,
+  p_success_score NUMERIC DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_source VARCHAR DEFAULT 'api'
+) RETURNS INT AS $$
+DECLARE
+  v_id INT;
+  v_scores RECORD;
+BEGIN
+  SELECT composite_score, skill_score, experience_score, education_score,
+    certification_score, semantic_score
+  INTO v_scores
+  FROM multi_agent_scores
+  WHERE resume_id = p_resume_id AND job_id = p_job_id;
+
+  INSERT INTO hiring_outcomes (
+    resume_id, job_id, hired, outcome, success_score, notes, source, composite_score,
+    skill_score, experience_score, education_score, certification_score, semantic_score
+  ) VALUES (
+    p_resume_id, p_job_id, p_outcome = 'hired', p_outcome, p_success_score,
+    p_notes, p_source, v_scores.composite_score,
+    v_scores.skill_score, v_scores.experience_score, v_scores.education_score,
+    v_scores.certification_score, v_scores.semantic_score
+  )
+  ON CONFLICT (resume_id, job_id) DO UPDATE SET
+    hired = EXCLUDED.hired,
+    outcome = EXCLUDED.outcome,
+    success_score = COALESCE(EXCLUDED.success_score, hiring_outcomes.success_score),
+    notes = COALESCE(EXCLUDED.notes, hiring_outcomes.notes),
+    source = EXCLUDED.source,
+    composite_score = EXCLUDED.composite_score,
+    skill_score = EXCLUDED.skill_score,
+    experience_score = EXCLUDED.experience_score,
+    education_score = EXCLUDED.education_score,
+    certification_score = EXCLUDED.certification_score,
+    semantic_score = EXCLUDED.semantic_score,
+    timestamp = NOW()
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- View: Outcome vs Score (one row per outcome with the scores it had)
+-- ============================================================================
+-- Reads the snapshot only: rescoring a pair later must not change the report
+DROP VIEW IF EXISTS hiring_outcome_scores;
+
+CREATE VIEW hiring_outcome_scores AS
+SELECT
+  ho.resume_id,
+  ho.job_id,
+  ho.outcome,
+  ho.hired,
+  ho.success_score,
+  ho.composite_score,
+  ho.skill_score,
+  ho.experience_score,
+  ho.education_score,
+  ho.certification_score,
+  ho.semantic_score,
+  ho.timestamp
+FROM hiring_outcomes ho;
+
+COMMENT ON VIEW hiring_outcome_scores IS 'Hiring outcomes with the multi-agent composite and dimension scores recorded when the outcome was saved';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
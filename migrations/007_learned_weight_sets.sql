@@ -0,0 +1,69 @@
+-- ============================================================================
+-- Migration 007: Learned Weight Sets
+-- ============================================================================
+-- Date: 2025-11-05
+-- Purpose: Store versioned per-industry / per-role scoring weights fitted
+--          from per-agent scores joined to hiring outcomes
+-- ============================================================================
+
+-- One row per training run; exactly one version is active at a time
+CREATE TABLE IF NOT EXISTS weight_set_versions (
+  version SERIAL PRIMARY KEY,
+  training_samples INT NOT NULL,
+  min_samples INT NOT NULL,
+  timeframe_days INT,
+  active BOOLEAN DEFAULT FALSE,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  activated_at TIMESTAMP
+);
+
+-- Only one active version allowed
+CREATE UNIQUE INDEX IF NOT EXISTS idx_weight_set_versions_active
+ON weight_set_versions(active) WHERE active;
+
+-- Fitted weight vectors for each scope in a version
+-- scope_type 'global' uses scope_key 'default'
+CREATE TABLE IF NOT EXISTS learned_weights (
+  id SERIAL PRIMARY KEY,
+  version INT NOT NULL REFERENCES weight_set_versions(version) ON DELETE CASCADE,
+  scope_type VARCHAR(20) NOT NULL CHECK (scope_type IN ('global', 'industry', 'role')),
+  scope_key VARCHAR(100) NOT NULL,
+  weights JSONB NOT NULL,
+  sample_size INT NOT NULL,
+  positive_rate NUMERIC(4, 3),
+  concordance NUMERIC(4, 3),
+  baseline_concordance NUMERIC(4, 3),
+  confidence NUMERIC(3, 2),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(version, scope_type, scope_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_learned_weights_version
+ON learned_weights(version, scope_type);
+
+-- ============================================================================
+-- Stored Procedure: Activate a weight set version
+-- ============================================================================
+CREATE OR REPLACE FUNCTION activate_weight_set_version(
+  p_version INT
+) RETURNS BOOLEAN AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM weight_set_versions WHERE version = p_version) THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE weight_set_versions SET active = FALSE WHERE active AND version <> p_version;
+  UPDATE weight_set_versions SET active = TRUE, activated_at = NOW() WHERE version = p_version;
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE weight_set_versions IS 'Versioned training runs of outcome-fitted scoring weights';
+
+COMMENT ON TABLE learned_weights IS 'Per-industry / per-role weight vectors loaded by WeightOptimizer at runtime';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
@@ -0,0 +1,55 @@
+-- ============================================================================
+-- Migration 008: Score Cache Fingerprints
+-- ============================================================================
+-- Date: 2025-11-07
+-- Purpose: Let multi_agent_scores act as a cache for candidate ranking by
+--          recording which version of the resume and job each score used
+-- ============================================================================
+
+ALTER TABLE multi_agent_scores
+  ADD COLUMN IF NOT EXISTS resume_fingerprint VARCHAR(32);
+
+ALTER TABLE multi_agent_scores
+  ADD COLUMN IF NOT EXISTS job_fingerprint VARCHAR(32);
+
+-- Leaderboard lookups: all scores for a job ordered by composite
+CREATE INDEX IF NOT EXISTS idx_multi_agent_scores_job_composite
+ON multi_agent_scores(job_id, composite_score DESC);
+
+-- ============================================================================
+-- Fingerprint Functions
+-- ============================================================================
+-- A score is stale when the stored fingerprint differs from the current one.
+-- plpgsql so the migration doesn't require resumes/jobs to exist yet.
+
+CREATE OR REPLACE FUNCTION resume_fingerprint(p_resume_id VARCHAR)
+RETURNS VARCHAR AS $$
+DECLARE
+  v_fingerprint VARCHAR;
+BEGIN
+  SELECT md5(COALESCE(raw_text, '') || '|' || COALESCE(array_to_string(skills, ','), '') || '|' || COALESCE(years_experience::TEXT, ''))
+  INTO v_fingerprint
+  FROM resumes
+  WHERE resume_id = p_resume_id;
+
+  RETURN v_fingerprint;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION job_fingerprint(p_job_id VARCHAR)
+RETURNS VARCHAR AS $$
+DECLARE
+  v_fingerprint VARCHAR;
+BEGIN
+  SELECT md5(COALESCE(title, '') || '|' || COALESCE(description, '') || '|' || COALESCE(required_years::TEXT, ''))
+  INTO v_fingerprint
+  FROM jobs
+  WHERE job_id = p_job_id;
+
+  RETURN v_fingerprint;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
@@ -0,0 +1,100 @@
+-- ============================================================================
+-- Migration 009: pgvector Columns for Resumes and Jobs
+-- ============================================================================
+-- Date: 2025-11-10
+-- Purpose: Mirror the JSONB embeddings into pgvector columns so job
+--          recommendations can run a nearest-neighbour prefilter in SQL
+-- ============================================================================
+-- embedding_vector has no fixed size (the embedding method decides it), so it
+-- can't be indexed. Jobs also get one fixed-size column per common dimension
+-- (384: stub/local MiniLM, 768: bge-base, 1536: OpenAI small/ada) with an HNSW
+-- index; lib/job-recommender.js searches those and falls back to an exact scan
+-- of embedding_vector for any other size.
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- Copy a JSONB number array into a pgvector value (NULL if not an array)
+CREATE OR REPLACE FUNCTION jsonb_to_vector(p_embedding JSONB)
+RETURNS vector AS $$
+BEGIN
+  IF p_embedding IS NULL OR jsonb_typeof(p_embedding) <> 'array' OR jsonb_array_length(p_embedding) = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN replace(p_embedding::TEXT, ' ', '')::vector;
+EXCEPTION WHEN OTHERS THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Keep embedding_vector in sync with embedding on every write
+CREATE OR REPLACE FUNCTION sync_embedding_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.embedding_vector := jsonb_to_vector(NEW.embedding);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Jobs: also fill the fixed-size column matching the vector's dimension
+CREATE OR REPLACE FUNCTION sync_job_embedding_vectors()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_dims INT;
+BEGIN
+  NEW.embedding_vector := jsonb_to_vector(NEW.embedding);
+  v_dims := vector_dims(NEW.embedding_vector);
+
+  NEW.embedding_vector_384 := CASE WHEN v_dims = 384 THEN NEW.embedding_vector::vector(384) END;
+  NEW.embedding_vector_768 := CASE WHEN v_dims = 768 THEN NEW.embedding_vector::vector(768) END;
+  NEW.embedding_vector_1536 := CASE WHEN v_dims = 1536 THEN NEW.embedding_vector::vector(1536) END;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- resumes/jobs are created by init-db.js, so only touch them if they exist.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'resumes') THEN
+    ALTER TABLE resumes ADD COLUMN IF NOT EXISTS embedding_vector vector;
+    UPDATE resumes SET embedding_vector = jsonb_to_vector(embedding)
+    WHERE embedding_vector IS NULL AND embedding IS NOT NULL;
+
+    DROP TRIGGER IF EXISTS resumes_embedding_vector_trigger ON resumes;
+    CREATE TRIGGER resumes_embedding_vector_trigger
+    BEFORE INSERT OR UPDATE OF embedding ON resumes
+    FOR EACH ROW EXECUTE FUNCTION sync_embedding_vector();
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'jobs') THEN
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS embedding_vector vector;
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS embedding_vector_384 vector(384);
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS embedding_vector_768 vector(768);
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS embedding_vector_1536 vector(1536);
+
+    UPDATE jobs SET embedding_vector = jsonb_to_vector(embedding)
+    WHERE embedding_vector IS NULL AND embedding IS NOT NULL;
+    UPDATE jobs SET
+      embedding_vector_384 = CASE WHEN vector_dims(embedding_vector) = 384 THEN embedding_vector::vector(384) END,
+      embedding_vector_768 = CASE WHEN vector_dims(embedding_vector) = 768 THEN embedding_vector::vector(768) END,
+      embedding_vector_1536 = CASE WHEN vector_dims(embedding_vector) = 1536 THEN embedding_vector::vector(1536) END
+    WHERE embedding_vector IS NOT NULL;
+
+    DROP TRIGGER IF EXISTS jobs_embedding_vector_trigger ON jobs;
+    CREATE TRIGGER jobs_embedding_vector_trigger
+    BEFORE INSERT OR UPDATE OF embedding ON jobs
+    FOR EACH ROW EXECUTE FUNCTION sync_job_embedding_vectors();
+
+    -- Approximate nearest neighbour (cosine) per dimension
+    CREATE INDEX IF NOT EXISTS idx_jobs_embedding_vector_384
+    ON jobs USING hnsw (embedding_vector_384 vector_cosine_ops);
+    CREATE INDEX IF NOT EXISTS idx_jobs_embedding_vector_768
+    ON jobs USING hnsw (embedding_vector_768 vector_cosine_ops);
+    CREATE INDEX IF NOT EXISTS idx_jobs_embedding_vector_1536
+    ON jobs USING hnsw (embedding_vector_1536 vector_cosine_ops);
+  END IF;
+END $$;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
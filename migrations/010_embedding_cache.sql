@@ -0,0 +1,27 @@
+-- ============================================================================
+-- Migration 010: Persistent Embedding Cache
+-- ============================================================================
+-- Date: 2025-11-12
+-- Purpose: Cache embeddings by provider + model + text hash so re-scoring,
+--          restarts and repeated uploads don't recompute (or re-pay for) them
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS embedding_cache (
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  text_hash CHAR(64) NOT NULL,          -- sha256 of the embedded text
+  dimension INT NOT NULL,
+  embedding REAL[] NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (provider, model, text_hash)
+);
+
+-- Supports pruning entries that haven't been used in a while
+CREATE INDEX IF NOT EXISTS idx_embedding_cache_last_used ON embedding_cache(last_used_at);
+
+COMMENT ON TABLE embedding_cache IS 'Embeddings keyed by provider, model and sha256(text); shared by all scoring paths';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
@@ -0,0 +1,66 @@
+-- ============================================================================
+-- Migration 011: Embedding Provenance Tags & Re-embedding Runs
+-- ============================================================================
+-- Date: 2025-11-14
+-- Purpose: Record which provider/model/dimension produced every stored
+--          embedding so vectors from different models are never compared,
+--          and track resumable re-embedding runs after a provider change
+-- ============================================================================
+
+-- resumes/jobs are created by init-db.js, so only touch them if they exist.
+-- Existing vectors stay untagged (unknown provenance) until re-embedded.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'resumes') THEN
+    ALTER TABLE resumes ADD COLUMN IF NOT EXISTS embedding_provider VARCHAR(50);
+    ALTER TABLE resumes ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255);
+    ALTER TABLE resumes ADD COLUMN IF NOT EXISTS embedding_dimension INT;
+    UPDATE resumes SET embedding_dimension = jsonb_array_length(embedding)
+    WHERE embedding_dimension IS NULL AND jsonb_typeof(embedding) = 'array';
+    CREATE INDEX IF NOT EXISTS idx_resumes_embedding_tag ON resumes(embedding_provider, embedding_model);
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'jobs') THEN
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS embedding_provider VARCHAR(50);
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255);
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS embedding_dimension INT;
+    UPDATE jobs SET embedding_dimension = jsonb_array_length(embedding)
+    WHERE embedding_dimension IS NULL AND jsonb_typeof(embedding) = 'array';
+    CREATE INDEX IF NOT EXISTS idx_jobs_embedding_tag ON jobs(embedding_provider, embedding_model);
+  END IF;
+END $$;
+
+-- skills.embedding was fixed at vector(1536); other providers use other sizes.
+-- ivfflat needs a fixed dimension, so the index goes (the skills table is small).
+DROP INDEX IF EXISTS skills_embedding_idx;
+ALTER TABLE skills ALTER COLUMN embedding TYPE vector;
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS embedding_provider VARCHAR(50);
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255);
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS embedding_dimension INT;
+
+-- ============================================================================
+-- Re-embedding Runs
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS embedding_migration_runs (
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  targets TEXT[] NOT NULL,
+  batch_size INT NOT NULL DEFAULT 32,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'paused', 'completed', 'failed')),
+  -- { "<target>": { "total", "processed", "failed", "last_id", "done" } }
+  progress JSONB NOT NULL DEFAULT '{}',
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  started_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_embedding_migration_runs_status ON embedding_migration_runs(status, created_at DESC);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
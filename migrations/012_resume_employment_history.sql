@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Migration 012: Resume Employment History
+-- ============================================================================
+-- Date: 2025-11-17
+-- Purpose: Store dated positions parsed at upload so ExperienceAgent can run
+--          tenure, progression and gap analysis
+-- ============================================================================
+
+-- resumes is created by init-db.js, so only touch it if it exists.
+-- Shape: [{ title, company, location, start_date, end_date, is_current,
+--           duration_months, date_precision, raw }], most recent first
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'resumes') THEN
+    ALTER TABLE resumes ADD COLUMN IF NOT EXISTS employment_history JSONB DEFAULT '[]'::jsonb;
+  END IF;
+END $$;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
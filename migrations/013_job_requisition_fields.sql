@@ -0,0 +1,57 @@
+-- ============================================================================
+-- Migration 013: Structured Job Requisition Fields
+-- ============================================================================
+-- Date: 2025-11-19
+-- Purpose: Optional explicit job fields (skills, years, education, certs,
+--          location, seniority, employment type, industry) that agents use
+--          instead of inferring them from the description
+-- ============================================================================
+
+-- jobs is created by init-db.js, so only touch it if it exists.
+-- required_years stays as the legacy minimum; min_years is only set when given.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'jobs') THEN
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS required_skills TEXT[];
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS preferred_skills TEXT[];
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS min_years INTEGER;
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS max_years INTEGER;
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS education_level VARCHAR(20);
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS education_field VARCHAR(200);
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS required_certifications TEXT[];
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS location VARCHAR(200);
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS seniority VARCHAR(20);
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS employment_type VARCHAR(20);
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS industry VARCHAR(50);
+  END IF;
+END $$;
+
+-- ============================================================================
+-- Fingerprint
+-- ============================================================================
+-- Cached scores must go stale when any structured field differs
+
+CREATE OR REPLACE FUNCTION job_fingerprint(p_job_id VARCHAR)
+RETURNS VARCHAR AS $$
+DECLARE
+  v_fingerprint VARCHAR;
+BEGIN
+  SELECT md5(
+    COALESCE(title, '') || '|' || COALESCE(description, '') || '|' || COALESCE(required_years::TEXT, '') || '|' ||
+    COALESCE(array_to_string(required_skills, ','), '') || '|' || COALESCE(array_to_string(preferred_skills, ','), '') || '|' ||
+    COALESCE(min_years::TEXT, '') || '|' || COALESCE(max_years::TEXT, '') || '|' ||
+    COALESCE(education_level, '') || '|' || COALESCE(education_field, '') || '|' ||
+    COALESCE(array_to_string(required_certifications, ','), '') || '|' ||
+    COALESCE(seniority, '') || '|' || COALESCE(industry, '')
+  )
+  INTO v_fingerprint
+  FROM jobs
+  WHERE job_id = p_job_id;
+
+  RETURN v_fingerprint;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
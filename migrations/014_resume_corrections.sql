@@ -0,0 +1,64 @@
+-- ============================================================================
+-- Migration 014: Resume Corrections
+-- ============================================================================
+-- Date: 2025-11-20
+-- Purpose: Recruiter corrections to parsed resumes, kept apart from the raw
+--          parse, with an audit trail of every change
+-- ============================================================================
+
+-- resumes is created by init-db.js, so only touch it if it exists.
+-- Shape: { candidate_name, email, phone, years_experience, education[],
+--          certifications[], employment_history[], skills: { add[], remove[] } }
+--          (only corrected fields are present)
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'resumes') THEN
+    ALTER TABLE resumes ADD COLUMN IF NOT EXISTS corrections JSONB DEFAULT '{}'::jsonb;
+    ALTER TABLE resumes ADD COLUMN IF NOT EXISTS corrected_at TIMESTAMP;
+  END IF;
+END $$;
+
+-- ============================================================================
+-- Audit Trail
+-- ============================================================================
+-- One row per changed field; new_value null means the field was reverted
+
+CREATE TABLE IF NOT EXISTS resume_corrections (
+  id SERIAL PRIMARY KEY,
+  resume_id VARCHAR(255) NOT NULL,
+  field VARCHAR(50) NOT NULL,
+  previous_value JSONB,
+  new_value JSONB,
+  corrected_by VARCHAR(255),
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_resume_corrections_resume
+ON resume_corrections(resume_id, created_at DESC);
+
+-- ============================================================================
+-- Fingerprint
+-- ============================================================================
+-- Cached scores must go stale when a resume is corrected
+
+CREATE OR REPLACE FUNCTION resume_fingerprint(p_resume_id VARCHAR)
+RETURNS VARCHAR AS $$
+DECLARE
+  v_fingerprint VARCHAR;
+BEGIN
+  SELECT md5(
+    COALESCE(raw_text, '') || '|' || COALESCE(array_to_string(skills, ','), '') || '|' || COALESCE(years_experience::TEXT, '') || '|' ||
+    COALESCE(corrections::TEXT, '')
+  )
+  INTO v_fingerprint
+  FROM resumes
+  WHERE resume_id = p_resume_id;
+
+  RETURN v_fingerprint;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
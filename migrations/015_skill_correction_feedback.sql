@@ -0,0 +1,50 @@
+-- ============================================================================
+-- Migration 015: Skill Correction Feedback
+-- ============================================================================
+-- Date: 2025-11-21
+-- Purpose: Turn recruiter skill corrections into training signals: learned
+--          skills and aliases on knowledge_base, plus a deny-list of
+--          term -> skill matches recruiters keep removing
+-- ============================================================================
+
+-- correction_count: times a recruiter added this skill by hand
+-- aliases: spellings in resumes that stood for this skill ("Postgres")
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS aliases TEXT[] DEFAULT '{}';
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS correction_count INT DEFAULT 0;
+
+-- ============================================================================
+-- Deny-List
+-- ============================================================================
+-- term = text that produced the match (lowercase); equal to skill_name for
+-- exact matches. Active once removal_count reaches the threshold in
+-- lib/knowledge-base.js (DENY_THRESHOLDS)
+
+CREATE TABLE IF NOT EXISTS skill_deny_list (
+  id SERIAL PRIMARY KEY,
+  term VARCHAR(255) NOT NULL,
+  skill_name VARCHAR(255) NOT NULL,
+  removal_count INT DEFAULT 1,
+  first_seen TIMESTAMP DEFAULT NOW(),
+  last_seen TIMESTAMP DEFAULT NOW(),
+  UNIQUE(term, skill_name)
+);
+
+-- ============================================================================
+-- Signals: Raw Correction Events
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS skill_correction_signals (
+  id SERIAL PRIMARY KEY,
+  resume_id VARCHAR(255),
+  skill_name VARCHAR(255) NOT NULL,
+  signal VARCHAR(10) NOT NULL CHECK (signal IN ('added', 'removed')),
+  matched_text VARCHAR(255),                    -- Alias found (added) or term that matched (removed)
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_skill_correction_signals_skill
+ON skill_correction_signals(LOWER(skill_name), signal);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
@@ -0,0 +1,45 @@
+-- ============================================================================
+-- Migration 016: Skill Taxonomy
+-- ============================================================================
+-- Date: 2025-11-22
+-- Purpose: Make the skills table the skill matcher's dictionary: synonyms,
+--          parent skills and an active flag, with updated_at kept current so
+--          running servers notice edits and reload (lib/skill-taxonomy.js)
+-- ============================================================================
+
+-- synonyms: other spellings that mean this skill ("Golang" for Go)
+-- subcategory: already written by scripts/seed-database.js
+-- parent_skill_id: broader skill (Spring Boot -> Spring, AWS Lambda -> AWS)
+-- is_active: false hides a skill from the matcher without deleting it
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS synonyms TEXT[] DEFAULT '{}';
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS subcategory VARCHAR(50);
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS parent_skill_id INT REFERENCES skills(id) ON DELETE SET NULL;
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+
+CREATE INDEX IF NOT EXISTS skills_parent_idx ON skills (parent_skill_id);
+CREATE INDEX IF NOT EXISTS skills_synonyms_idx ON skills USING GIN (synonyms);
+
+-- ============================================================================
+-- Change Tracking
+-- ============================================================================
+-- The server polls COUNT(*) and MAX(updated_at); edits made by hand must
+-- move updated_at too
+
+CREATE OR REPLACE FUNCTION touch_skills_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS skills_touch_updated_at ON skills;
+
+CREATE TRIGGER skills_touch_updated_at
+BEFORE UPDATE ON skills
+FOR EACH ROW
+EXECUTE FUNCTION touch_skills_updated_at();
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
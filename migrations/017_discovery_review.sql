@@ -0,0 +1,62 @@
+-- ============================================================================
+-- Migration 017: Discovery Review Queue
+-- ============================================================================
+-- Date: 2025-11-23
+-- Purpose: Let admins review items the knowledge base discovered in resumes:
+--          approve into skills/certifications, merge into an existing item,
+--          or reject, with each decision written to discovery_audit_log
+-- ============================================================================
+
+-- review_status: pending until an admin decides
+-- merged_into: canonical item a merged discovery now points at
+-- created_as_id (already present): skills/certifications row it became
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) DEFAULT 'pending';
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(255);
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS merged_into VARCHAR(255);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'knowledge_base_review_status_check') THEN
+    ALTER TABLE knowledge_base ADD CONSTRAINT knowledge_base_review_status_check
+      CHECK (review_status IN ('pending', 'approved', 'merged', 'rejected'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS kb_review_status_idx ON knowledge_base(review_status, source_count DESC);
+
+-- ============================================================================
+-- Sources: Which Resumes Mentioned an Item
+-- ============================================================================
+-- One row per item and resume; context is the line around the first mention
+
+CREATE TABLE IF NOT EXISTS knowledge_base_sources (
+  id SERIAL PRIMARY KEY,
+  item_id INT NOT NULL REFERENCES knowledge_base(id) ON DELETE CASCADE,
+  resume_id VARCHAR(255) NOT NULL,
+  context TEXT,
+  seen_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(item_id, resume_id)
+);
+
+CREATE INDEX IF NOT EXISTS kb_sources_item_idx ON knowledge_base_sources(item_id, seen_at DESC);
+
+-- ============================================================================
+-- Audit Log: Review Decisions
+-- ============================================================================
+-- Discovery rows keep action = 'discovered'; decisions add one row each with
+-- the item, the admin and (for merges) the target item
+
+ALTER TABLE discovery_audit_log ADD COLUMN IF NOT EXISTS action VARCHAR(20) DEFAULT 'discovered';
+ALTER TABLE discovery_audit_log ADD COLUMN IF NOT EXISTS item_id INT;
+ALTER TABLE discovery_audit_log ADD COLUMN IF NOT EXISTS item_name VARCHAR(255);
+ALTER TABLE discovery_audit_log ADD COLUMN IF NOT EXISTS item_type VARCHAR(20);
+ALTER TABLE discovery_audit_log ADD COLUMN IF NOT EXISTS target_name VARCHAR(255);
+ALTER TABLE discovery_audit_log ADD COLUMN IF NOT EXISTS decided_by VARCHAR(255);
+ALTER TABLE discovery_audit_log ADD COLUMN IF NOT EXISTS reason TEXT;
+
+CREATE INDEX IF NOT EXISTS dal_item_idx ON discovery_audit_log(item_id, timestamp DESC);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
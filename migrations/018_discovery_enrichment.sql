@@ -0,0 +1,28 @@
+-- ============================================================================
+-- Migration 018: Discovery Enrichment
+-- ============================================================================
+-- Date: 2025-11-24
+-- Purpose: Suggested category, demand level and related skills for discovered
+--          skills, so reviewers only confirm them (see lib/skill-enrichment.js)
+-- ============================================================================
+
+-- category_guess (already present) now holds one of the skills table's categories
+-- category_source: classifier | co-occurrence | combined
+-- category_scores: zero-shot scores per category, kept so the classifier runs once
+-- suggested_related: [{ skill, category, count, share }] known skills seen with it
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS category_confidence FLOAT;
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS category_source VARCHAR(20);
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS category_scores JSONB;
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS suggested_demand_level VARCHAR(20);
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS suggested_related JSONB DEFAULT '[]';
+ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS enriched_at TIMESTAMP;
+
+-- ============================================================================
+-- Sources: Known Skills in the Same Resume
+-- ============================================================================
+
+ALTER TABLE knowledge_base_sources ADD COLUMN IF NOT EXISTS co_skills TEXT[] DEFAULT '{}';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
@@ -0,0 +1,87 @@
+-- ============================================================================
+-- Migration 019: Agent Message Trail
+-- ============================================================================
+-- Date: 2025-11-25
+-- Purpose: Keep MCPClient channels and messages in agent_channels /
+--          agent_messages so a scoring run's coordinator <-> agent traffic
+--          survives restarts and can be replayed (lib/agent-channel-store.js)
+-- ============================================================================
+
+-- run_id: one multi-agent scoring run (all five agent channels share it)
+-- resume_id / job_id: copied from the fork so the trail outlives fork cleanup
+ALTER TABLE agent_channels ADD COLUMN IF NOT EXISTS run_id VARCHAR(255);
+ALTER TABLE agent_channels ADD COLUMN IF NOT EXISTS name VARCHAR(255);
+ALTER TABLE agent_channels ADD COLUMN IF NOT EXISTS priority VARCHAR(20) DEFAULT 'normal';
+ALTER TABLE agent_channels ADD COLUMN IF NOT EXISTS resume_id VARCHAR(255);
+ALTER TABLE agent_channels ADD COLUMN IF NOT EXISTS job_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_agent_channels_run ON agent_channels(run_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_agent_channels_resume_job ON agent_channels(resume_id, job_id, created_at DESC);
+
+-- cleanup_old_forks() deletes forks after 24 hours; keep their channels
+ALTER TABLE agent_channels DROP CONSTRAINT IF EXISTS agent_channels_fork_id_fkey;
+ALTER TABLE agent_channels ADD CONSTRAINT agent_channels_fork_id_fkey
+  FOREIGN KEY (fork_id) REFERENCES agent_forks(fork_id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- Messages
+-- ============================================================================
+-- message_id: the ID send() returns
+-- direction: to_agent | to_coordinator | log (run events on the coordinator channel)
+-- processed_at (already present): set when receive() takes the message
+
+ALTER TABLE agent_messages ADD COLUMN IF NOT EXISTS message_id VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_messages_message_id ON agent_messages(message_id);
+CREATE INDEX IF NOT EXISTS idx_agent_messages_channel_id ON agent_messages(channel_id, id);
+
+-- ============================================================================
+-- Notify Receivers
+-- ============================================================================
+-- receive() LISTENs on agent_messages; the payload is the channel_id
+
+CREATE OR REPLACE FUNCTION notify_agent_message()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM pg_notify('agent_messages', NEW.channel_id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS agent_messages_notify ON agent_messages;
+
+CREATE TRIGGER agent_messages_notify
+AFTER INSERT ON agent_messages
+FOR EACH ROW
+EXECUTE FUNCTION notify_agent_message();
+
+-- ============================================================================
+-- Retention
+-- ============================================================================
+-- Forks are gone after 24 hours (cleanup_old_forks); the trail is kept longer
+-- for replay, then deleted. ForkManager.cleanupOldForks() calls both.
+
+CREATE OR REPLACE FUNCTION cleanup_agent_trail(p_older_than INTERVAL DEFAULT INTERVAL '7 days')
+RETURNS TABLE (deleted_channels INT, deleted_messages INT) AS $$
+DECLARE
+  v_channels INT;
+  v_messages INT;
+BEGIN
+  DELETE FROM agent_messages
+  WHERE channel_id IN (
+    SELECT channel_id FROM agent_channels WHERE created_at < NOW() - p_older_than
+  );
+  GET DIAGNOSTICS v_messages = ROW_COUNT;
+
+  DELETE FROM agent_channels WHERE created_at < NOW() - p_older_than;
+  GET DIAGNOSTICS v_channels = ROW_COUNT;
+
+  RETURN QUERY SELECT v_channels, v_messages;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE INDEX IF NOT EXISTS idx_agent_channels_created ON agent_channels(created_at);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
@@ -0,0 +1,22 @@
+-- ============================================================================
+-- Migration 020: Job Demand Skills
+-- ============================================================================
+-- Date: 2025-11-26
+-- Purpose: Store the skills each job asks for when the job is created, so
+--          supply vs demand (lib/market-insights.js) aggregates them in SQL
+--          instead of re-reading every posting on each request
+-- ============================================================================
+
+-- One entry per canonical skill: [{ "skill_id", "name", "required" }]
+-- Explicit required_skills/preferred_skills, else the description as the
+-- skill agent reads it. NULL = not extracted yet (jobs from before this
+-- migration; filled in a batch at a time by getSupplyDemand)
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS demand_skills JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_demand_skills_pending
+ON jobs(created_at DESC)
+WHERE demand_skills IS NULL;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
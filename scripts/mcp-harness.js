@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Client Harness
+ * Talks to the CareerCheck MCP server the way an assistant would: initialize,
+ * list tools, call one. Uses stdio (spawns mcp-server.js) unless --http is given.
+ * Usage: node scripts/mcp-harness.js [--http=URL] [--api-key=KEY] [list | call <tool> '<json args>' | smoke]
+ */
+
+import { spawn } from 'child_process';
+import readline from 'readline';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROTOCOL_VERSION = '2025-06-18';
+const CLIENT_INFO = { name: 'careercheck-harness', version: '1.0.0' };
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (const arg of argv) {
+    if (arg.startsWith('--http=')) options.httpUrl = arg.slice('--http='.length);
+    else if (arg.startsWith('--api-key=')) options.apiKey = arg.slice('--api-key='.length);
+    else positional.push(arg);
+  }
+
+  [options.command = 'list', ...options.rest] = positional;
+  return options;
+}
+
+// ============================================================================
+// Transports
+// ============================================================================
+
+/**
+ * Spawn mcp-server.js --stdio and exchange newline-delimited JSON-RPC
+ */
+function connectStdio() {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'mcp-server.js'), '--stdio'], {
+    stdio: ['pipe', 'pipe', 'inherit']
+  });
+  const pending = new Map();
+  const lines = readline.createInterface({ input: child.stdout });
+
+  lines.on('line', line => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      console.error(` Non-JSON line on stdout: ${line}`);
+      return;
+    }
+    const resolve = pending.get(message.id);
+    if (resolve) {
+      pending.delete(message.id);
+      resolve(message);
+    }
+  });
+
+  child.on('exit', code => {
+    for (const resolve of pending.values()) {
+      resolve({ error: { code: -32603, message: `Server exited with code ${code}` } });
+    }
+    pending.clear();
+  });
+
+  return {
+    request: message => new Promise(resolve => {
+      pending.set(message.id, resolve);
+      child.stdin.write(JSON.stringify(message) + '\n');
+    }),
+    notify: async message => {
+      child.stdin.write(JSON.stringify(message) + '\n');
+    },
+    close: async () => {
+      child.stdin.end();
+    }
+  };
+}
+
+/**
+ * POST JSON-RPC to a streamable HTTP endpoint, carrying the session header
+ */
+function connectHttp(url, apiKey) {
+  let sessionId = null;
+
+  async function post(message) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      'MCP-Protocol-Version': PROTOCOL_VERSION
+    };
+    if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+    if (apiKey) headers['X-API-Key'] = apiKey;
+
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(message) });
+    sessionId = response.headers.get('Mcp-Session-Id') || sessionId;
+
+    if (response.status === 202) return null;
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return { error: { code: response.status, message: text || response.statusText } };
+    }
+  }
+
+  return {
+    request: post,
+    notify: post,
+    close: async () => {
+      if (!sessionId) return;
+      const headers = { 'Mcp-Session-Id': sessionId };
+      if (apiKey) headers['X-API-Key'] = apiKey;
+      await fetch(url, { method: 'DELETE', headers }).catch(() => {});
+    }
+  };
+}
+
+// ============================================================================
+// Session
+// ============================================================================
+
+async function openSession(transport) {
+  let nextId = 1;
+  const call = async (method, params) => {
+    const response = await transport.request({ jsonrpc: '2.0', id: nextId++, method, params });
+    if (response.error) {
+      throw new Error(`${method}: ${response.error.message} (${response.error.code})`);
+    }
+    return response.result;
+  };
+
+  const init = await call('initialize', {
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: CLIENT_INFO
+  });
+  await transport.notify({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+  console.log(` Connected to ${init.serverInfo.name} ${init.serverInfo.version} (protocol ${init.protocolVersion})`);
+  return call;
+}
+
+function printToolResult(result) {
+  console.log(result.isError ? ' Tool returned an error:' : ' Result:');
+  for (const item of result.content || []) {
+    if (item.type === 'text') console.log(item.text);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const transport = options.httpUrl ? connectHttp(options.httpUrl, options.apiKey) : connectStdio();
+
+  try {
+    const call = await openSession(transport);
+    const { tools } = await call('tools/list', {});
+
+    if (options.command === 'list') {
+      for (const tool of tools) {
+        const required = tool.inputSchema.required || [];
+        console.log(`   ${tool.name}(${Object.keys(tool.inputSchema.properties || {})
+          .map(name => required.includes(name) ? name : `${name}?`).join(', ')})`);
+      }
+    } else if (options.command === 'call') {
+      const [name, json] = options.rest;
+      if (!name) throw new Error('Usage: call <tool> \'<json args>\'');
+      const result = await call('tools/call', { name, arguments: json ? JSON.parse(json) : {} });
+      printToolResult(result);
+      if (result.isError) process.exitCode = 1;
+    } else if (options.command === 'smoke') {
+      // Protocol round trip plus one read-only tool
+      await call('ping', {});
+      console.log(` ${tools.length} tools: ${tools.map(tool => tool.name).join(', ')}`);
+      const result = await call('tools/call', { name: 'search_skills', arguments: { query: 'python', limit: 3 } });
+      printToolResult(result);
+      if (result.isError) process.exitCode = 1;
+    } else {
+      throw new Error(`Unknown command: ${options.command} (use list, call or smoke)`);
+    }
+  } catch (error) {
+    console.error(` ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await transport.close();
+  }
+}
+
+main();
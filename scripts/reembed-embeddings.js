@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Re-embed Stored Vectors
+ * Re-embeds resumes, jobs and skills with the configured EMBEDDING_METHOD and
+ * tags them with provider/model/dimension. Resumable: re-run to continue an
+ * unfinished run, Ctrl+C pauses after the current batch.
+ * Usage: node scripts/reembed-embeddings.js [--targets=resumes,jobs,skills] [--batch-size=32] [--status]
+ */
+
+import pkg from 'pg';
+import dotenv from 'dotenv';
+import EmbeddingMigrator from '../lib/embedding-migrator.js';
+import { getEmbeddingService } from '../lib/embedding-providers.js';
+
+dotenv.config();
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+function parseArgs(argv) {
+  const options = { statusOnly: false };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--targets=')) options.targets = arg.split('=')[1].split(',').map(t => t.trim()).filter(Boolean);
+    else if (arg.startsWith('--batch-size=')) options.batchSize = parseInt(arg.split('=')[1]);
+    else if (arg === '--status') options.statusOnly = true;
+  }
+
+  return options;
+}
+
+function printStatus(status) {
+  console.log(` Target: ${status.target.provider}/${status.target.model}\n`);
+
+  for (const [name, table] of Object.entries(status.tables)) {
+    console.log(`   ${name}: ${table.current}/${table.total} current, ${table.stale} to re-embed`);
+    for (const tag of table.by_tag) {
+      console.log(`      ${tag.provider}/${tag.model || '-'} (${tag.dimension || '?'} dims): ${tag.count}`);
+    }
+  }
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error(' DATABASE_URL not set in .env');
+    process.exit(1);
+  }
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    getEmbeddingService().setDatabase(pool);
+    const migrator = new EmbeddingMigrator(pool, { batchSize: options.batchSize });
+
+    printStatus(await migrator.getStatus());
+    if (options.statusOnly) {
+      process.exit(0);
+    }
+
+    const run = await migrator.start(options);
+    console.log(`\n ${run.resumed ? 'Resuming' : 'Starting'} re-embedding run ${run.id}...\n`);
+
+    process.on('SIGINT', () => {
+      console.log('\n Pausing after the current batch...');
+      migrator.stop(run.id);
+    });
+
+    const result = await migrator.run(run.id, {
+      onProgress: (progress) => {
+        const parts = progress.targets.map(t => `${t.target} ${t.processed + t.failed}/${t.total}`);
+        process.stdout.write(`\r   ${progress.percent}%  ${parts.join('  ')}   `);
+      }
+    });
+
+    console.log('\n');
+    for (const target of result.targets) {
+      console.log(`   ${target.target}: ${target.processed} re-embedded, ${target.failed} failed`);
+    }
+
+    if (result.status === 'completed') {
+      console.log(`\n Run ${result.run_id} completed`);
+    } else if (result.status === 'paused') {
+      console.log(`\n Run ${result.run_id} paused; run this script again to resume`);
+    } else {
+      console.error(`\n Run ${result.run_id} ${result.status}: ${result.error}`);
+      console.error('   Fix the cause and run this script again to resume');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(' Re-embedding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -10,6 +10,7 @@
 import pkg from 'pg';
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { SKILL_SEED_RELATIONSHIPS } from '../lib/skill-relationships.js';
 
 dotenv.config();
 
@@ -214,25 +215,7 @@ async function seedEducationLevels() {
 async function createSkillRelationships() {
   console.log('\n Creating skill relationships...');
 
-  const relationships = [
-    { skill: 'React', related: 'JavaScript', type: 'prerequisite' },
-    { skill: 'Vue.js', related: 'JavaScript', type: 'prerequisite' },
-    { skill: 'Angular', related: 'TypeScript', type: 'prerequisite' },
-    { skill: 'Next.js', related: 'React', type: 'advanced' },
-    { skill: 'Express.js', related: 'JavaScript', type: 'prerequisite' },
-    { skill: 'Django', related: 'Python', type: 'prerequisite' },
-    { skill: 'Flask', related: 'Python', type: 'prerequisite' },
-    { skill: 'Spring Boot', related: 'Java', type: 'prerequisite' },
-    { skill: 'FastAPI', related: 'Python', type: 'prerequisite' },
-    { skill: 'Docker', related: 'Linux', type: 'complementary' },
-    { skill: 'Kubernetes', related: 'Docker', type: 'advanced' },
-    { skill: 'AWS', related: 'Linux', type: 'complementary' },
-    { skill: 'Machine Learning', related: 'Python', type: 'advanced' },
-    { skill: 'TensorFlow', related: 'Machine Learning', type: 'prerequisite' },
-    { skill: 'PyTorch', related: 'Machine Learning', type: 'prerequisite' }
-  ];
-
-  for (const rel of relationships) {
+  for (const rel of SKILL_SEED_RELATIONSHIPS) {
     try {
       // Get skill IDs
       const skillResult = await pool.query(
@@ -249,7 +232,7 @@ async function createSkillRelationships() {
           `INSERT INTO skill_relationships (skill_id, related_skill_id, relationship_type, relevance_score)
            VALUES ($1, $2, $3, $4)
            ON CONFLICT DO NOTHING`,
-          [skillResult.rows[0].id, relatedResult.rows[0].id, rel.type, 0.8]
+          [skillResult.rows[0].id, relatedResult.rows[0].id, rel.type, rel.relevance]
         );
 
         console.log(`   ${rel.skill} → ${rel.related} (${rel.type})`);
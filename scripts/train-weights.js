@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Train Scoring Weights from Hiring Outcomes
+ * Fits per-industry / per-role weights and saves them as a new weight set version
+ * Usage: node scripts/train-weights.js [--days=365] [--min-samples=30] [--dry-run] [--no-activate]
+ */
+
+import pkg from 'pg';
+import dotenv from 'dotenv';
+import WeightTrainer from '../lib/weight-trainer.js';
+
+dotenv.config();
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+function parseArgs(argv) {
+  const options = { activate: true, dryRun: false };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--days=')) options.days = parseInt(arg.split('=')[1]);
+    else if (arg.startsWith('--min-samples=')) options.minSamples = parseInt(arg.split('=')[1]);
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--no-activate') options.activate = false;
+  }
+
+  return options;
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error(' DATABASE_URL not set in .env');
+    process.exit(1);
+  }
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const trainer = new WeightTrainer(pool);
+
+    console.log(' Training scoring weights from hiring outcomes...\n');
+    const summary = await trainer.train(options);
+
+    for (const set of summary.trained) {
+      console.log(`    ${set.scope_type}/${set.scope_key}: n=${set.sample_size}, concordance ${set.concordance} (static ${set.baseline_concordance}), confidence ${set.confidence}`);
+      console.log(`      ${JSON.stringify(set.weights)}`);
+    }
+
+    for (const skip of summary.skipped) {
+      console.log(`   - ${skip.scope_type}/${skip.scope_key}: skipped (${skip.reason})`);
+    }
+
+    if (summary.version) {
+      console.log(`\n Saved weight set version ${summary.version}${summary.active ? ' (active)' : ''}`);
+    } else {
+      console.log('\n No weight set saved; static tables remain in use');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(' Weight training failed:', error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
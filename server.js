@@ -19,23 +19,42 @@ import {
   initializeNLPPipelines,
   extractSkillsFromResume,
   extractCertificationsFromResume,
+  verifyAmbiguousSkills,
   findRelatedSkills
 } from './lib/nlp-skill-extractor.js';
 
-import { extractAllSkills } from './lib/skill-matcher.js';
+import { extractAllSkills, getTaxonomyInfo, getSkillSpellings } from './lib/skill-matcher.js';
+import SkillTaxonomy from './lib/skill-taxonomy.js';
+import SkillGraph from './lib/skill-graph.js';
+import DiscoveryReview from './lib/discovery-review.js';
+import MarketInsights from './lib/market-insights.js';
+import { parseEmploymentHistory, summarizeEmploymentHistory } from './lib/employment-history.js';
+import { segmentResume, getSections, describeSections, getSectionSkillWeight } from './lib/resume-sections.js';
+import { validateJobRequisition, seniorityToYears } from './lib/job-requisition.js';
+import { analyzeJobPosting } from './lib/job-analysis.js';
 
-import { learnFromResume, getKnowledgeBaseItems } from './lib/knowledge-base.js';
+import { initializeLocalEmbeddings } from './lib/local-embeddings.js';
+import { getEmbeddingService, getEmbeddingTag, embeddingTagsMatch } from './lib/embedding-providers.js';
+import EmbeddingMigrator, { EMBEDDING_TARGETS } from './lib/embedding-migrator.js';
+
+import { learnFromResume, getKnowledgeBaseItems, learnFromSkillCorrections, loadLearnedVocabulary } from './lib/knowledge-base.js';
 
 import * as scoring from './lib/improved-scoring.js';
 
 // Multi-agent system
 import ForkManager from './lib/fork-manager.js';
 import AgentCoordinator from './lib/agents/coordinator.js';
+import MCPClient from './lib/mcp-client.js';
 
 // Phase 3: Advanced Features
 import WeightOptimizer from './lib/weight-optimizer.js';
+import WeightTrainer from './lib/weight-trainer.js';
 import AgentAnalytics from './lib/agent-analytics.js';
 import { BatchProcessor } from './lib/batch-processor.js';
+import HiringOutcomes, { normalizeOutcome, parseOutcomesCsv } from './lib/hiring-outcomes.js';
+import CandidateRanker, { saveMultiAgentScore } from './lib/candidate-ranking.js';
+import JobRecommender from './lib/job-recommender.js';
+import ResumeCorrections, { normalizeResumeCorrection, mergeCorrections, readCorrections, applyResumeCorrections } from './lib/resume-corrections.js';
 
 dotenv.config();
 
@@ -51,8 +70,9 @@ const __dirname = path.dirname(__filename);
 const PORT = process.env.PORT || 8080;
 const DB_CONNECTION_STRING = process.env.DATABASE_URL;
 const EMBEDDING_METHOD = process.env.EMBEDDING_METHOD || 'stub';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const DEBUG = process.env.DEBUG === 'true';
+// How often to check the skills table for edits (0 = only on admin reload)
+const SKILL_TAXONOMY_RELOAD_MS = parseInt(process.env.SKILL_TAXONOMY_RELOAD_MS || 60000);
 
 // Scoring weights
 const SCORING_WEIGHTS = {
@@ -76,6 +96,13 @@ console.log(`  WEIGHTS - Keyword: ${SCORING_WEIGHTS.keyword}, Semantic: ${SCORIN
 
 let pool = null;
 let usingDatabase = false;
+let hiringOutcomes = null;
+let embeddingMigrator = null;
+let resumeCorrections = null;
+let skillTaxonomy = null;
+let skillGraph = new SkillGraph(null); // Seed taxonomy until the database connects
+let discoveryReview = null;
+let marketInsights = null;
 
 if (DB_CONNECTION_STRING) {
   console.log(`\n[${new Date().toISOString()}] Connecting to Tiger Database...`);
@@ -105,6 +132,18 @@ if (DB_CONNECTION_STRING) {
       console.log(`[${new Date().toISOString()}] DATABASE CONNECTED`);
       console.log(`    Server: ${res.rows[0].now}`);
       usingDatabase = true;
+      hiringOutcomes = new HiringOutcomes(pool);
+      getEmbeddingService().setDatabase(pool);
+      embeddingMigrator = new EmbeddingMigrator(pool);
+      resumeCorrections = new ResumeCorrections(pool);
+      // Skill dictionary from the skills table (seed list until it loads)
+      skillTaxonomy = new SkillTaxonomy(pool, { reloadIntervalMs: SKILL_TAXONOMY_RELOAD_MS });
+      skillTaxonomy.load().then(() => skillTaxonomy.startAutoReload());
+      skillGraph = new SkillGraph(pool);
+      discoveryReview = new DiscoveryReview(pool);
+      marketInsights = new MarketInsights(pool);
+      // Recruiter-learned skills, aliases and deny-list for the skill matcher
+      loadLearnedVocabulary(pool);
       // Initialize multi-agent system after database is confirmed
       initializeMultiAgentSystem();
     }
@@ -119,12 +158,16 @@ if (DB_CONNECTION_STRING) {
 
 let forkManager = null;
 let agentCoordinator = null;
+let mcpClient = null; // Agent message bus; keeps each run's trail in agent_channels/agent_messages
 let multiAgentEnabled = false;
 
 // Phase 3 Advanced Features
 let batchProcessor = null;
 let agentAnalytics = null;
 let weightOptimizer = null;
+let weightTrainer = null;
+let candidateRanker = null;
+let jobRecommender = null;
 
 /**
  * Initialize multi-agent system after database connection is confirmed
@@ -137,19 +180,33 @@ function initializeMultiAgentSystem() {
   try {
     console.log(`\n[${new Date().toISOString()}] Initializing Multi-Agent System...`);
     forkManager = new ForkManager(DB_CONNECTION_STRING);
+
+    // Shared optimizer so retrained weights reach the coordinator immediately
+    weightOptimizer = new WeightOptimizer();
+    weightOptimizer.loadLearnedWeights(pool);
+
+    mcpClient = new MCPClient({ database: pool });
+
     agentCoordinator = new AgentCoordinator({
       forkManager: forkManager,
       databaseUrl: DB_CONNECTION_STRING,
       database: pool, // Phase 3: Pass database connection for analytics
+      weightOptimizer: weightOptimizer,
+      mcpClient: mcpClient,
       timeout: 120000
     });
 
     // Phase 3: Initialize advanced features
     console.log(`[${new Date().toISOString()}] Initializing Phase 3 Advanced Features...`);
-    weightOptimizer = new WeightOptimizer();
+    weightTrainer = new WeightTrainer(pool, { weightOptimizer });
+    candidateRanker = new CandidateRanker(pool, agentCoordinator);
+    jobRecommender = new JobRecommender(pool, agentCoordinator);
     agentAnalytics = new AgentAnalytics(pool);
     batchProcessor = new BatchProcessor(agentCoordinator, forkManager, 10); // Max 10 concurrent jobs
 
+    // Expired forks and agent message trails
+    forkManager.scheduleCleanup(30);
+
     multiAgentEnabled = true;
     console.log(`[${new Date().toISOString()}] Multi-Agent System + Phase 3 Features ready`);
   } catch (error) {
@@ -158,9 +215,13 @@ function initializeMultiAgentSystem() {
     // Ensure clean state even if initialization partially succeeded
     forkManager = null;
     agentCoordinator = null;
+    mcpClient = null;
     batchProcessor = null;
     agentAnalytics = null;
     weightOptimizer = null;
+    weightTrainer = null;
+    candidateRanker = null;
+    jobRecommender = null;
     multiAgentEnabled = false;
   }
 }
@@ -250,6 +311,20 @@ const upload = multer({
   }
 });
 
+// Separate multer instance for outcome CSV imports
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB is plenty for outcome rows
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = ['text/csv', 'text/plain', 'application/vnd.ms-excel'];
+    if (allowedMimes.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only CSV files allowed. Got: ${file.mimetype}`));
+    }
+  }
+});
+
 // ============================================================================
 // Rate Limiting Setup
 // ============================================================================
@@ -293,6 +368,15 @@ const scoreLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Supply vs demand aggregates every stored resume and job
+const insightsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: 'Too many supply/demand requests, please try again after 15 minutes.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Apply general API limiter to all /api routes
 app.use('/api/', apiLimiter);
 
@@ -416,9 +500,18 @@ function parseResume(text) {
     education: [],
     certifications: [],
     job_titles: [],
-    companies: []
+    companies: [],
+    employment_history: [],
+    education_details: [],
+    certification_details: [],
+    sections: []
   };
 
+  // Section outline: the extractors below weight or filter by source section
+  const segmentation = segmentResume(text);
+  resume.sections = describeSections(segmentation);
+  console.log(`   Sections: ${resume.sections.map(s => s.type).join(', ')}`);
+
   // Extract candidate name - multiple flexible patterns
   let nameMatch = null;
 
@@ -560,12 +653,17 @@ function parseResume(text) {
     'WebAssembly', 'WASM', 'Docker Compose', 'Nginx', 'Apache', 'HAProxy'
   ];
 
-  // Extract skills
+  // Extract skills (ignoring hobby, spoken-language and reference sections)
+  const skillText = segmentation.sections
+    .filter(section => getSectionSkillWeight(section.type) > 0)
+    .map(section => section.text)
+    .join('\n');
+
   allSkills.forEach(skill => {
     // Properly escape all regex special characters
     const escapedSkill = skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const regex = new RegExp(`\\b${escapedSkill}\\b`, 'gi');
-    if (regex.test(text)) {
+    if (regex.test(skillText)) {
       if (!resume.skills.includes(skill)) {
         resume.skills.push(skill);
       }
@@ -577,9 +675,19 @@ function parseResume(text) {
     console.log(`      ${resume.skills.slice(0, 5).join(', ')}${resume.skills.length > 5 ? '...' : ''}`);
   }
 
+  // Dated positions from the experience section
+  resume.employment_history = parseEmploymentHistory(text);
+  if (resume.employment_history.length > 0) {
+    console.log(`   Positions: ${resume.employment_history.length} dated roles`);
+  }
+
   // Extract years of experience - try multiple methods
-  // Method 1: Calculate from employment history (date ranges)
-  resume.years_experience = extractYearsFromEmploymentDates(text);
+  // Method 1: Calculate from employment history (overlapping roles counted once)
+  if (resume.employment_history.length > 0) {
+    resume.years_experience = summarizeEmploymentHistory(resume.employment_history).total_years;
+  } else {
+    resume.years_experience = extractYearsFromEmploymentDates(text);
+  }
 
   // Method 2: Look for explicit mention like "5 years of experience"
   if (resume.years_experience === 0) {
@@ -622,24 +730,26 @@ function parseResume(text) {
     }
   });
 
-  // Extract education degrees
-  const educationPatterns = [
-    /(?:Bachelor|B\.?S\.?|B\.?A\.?|Master|M\.?S\.?|M\.?A\.?|PhD|Ph\.?D\.?|MBA|Associate|A\.?S\.?)/i,
-    /(?:Diploma|Certificate|Bootcamp)/i
-  ];
-  const educationMatches = text.match(/(?:education|degree|university|college)\s*:?\s*([^\n]+(?:\n[^\n]*)*)/gi);
-  if (educationMatches) {
-    educationMatches.forEach(match => {
-      // Extract just the first line or key education info
-      const lines = match.split('\n');
-      lines.forEach(line => {
-        const cleaned = line.replace(/^education\s*:?\s*/i, '').trim();
-        if (cleaned && cleaned.length > 0 && !resume.education.includes(cleaned)) {
-          resume.education.push(cleaned);
-        }
-      });
+  // Extract education: the Education section if there is one, otherwise
+  // degree/institution lines outside experience and project descriptions
+  const degreePattern = /\b(?:Bachelor|Master|B\.?S\.?c?|B\.?A\.?|B\.?Eng|M\.?S\.?c?|M\.?A\.?|M\.?Eng|Ph\.?D\.?|MBA|Associate(?:'s)?\s+(?:degree|of)|Diploma|Bootcamp|University|College|Institute\s+of)\b/;
+  const educationSections = getSections(segmentation, 'education');
+  const educationSources = educationSections.length > 0
+    ? educationSections
+    : segmentation.sections.filter(section => !['experience', 'projects', 'interests', 'references'].includes(section.type));
+
+  educationSources.forEach(section => {
+    section.text.split('\n').forEach(line => {
+      const cleaned = line.replace(/^\s*(?:[-•*▪◦●]\s*)?(?:education\s*:?\s*)?/i, '').trim();
+      if (!cleaned || resume.education.includes(cleaned)) return;
+      if (section.type !== 'education' && !degreePattern.test(cleaned)) return;
+      // Coursework lists belong to the degree, not separate entries
+      if (/^(?:relevant\s+)?course(?:work|s)?\b/i.test(cleaned)) return;
+
+      resume.education.push(cleaned);
+      resume.education_details.push({ text: cleaned, section: section.type });
     });
-  }
+  });
 
   // Extract certifications - comprehensive list of common certs
   const certificationKeywords = [
@@ -659,18 +769,36 @@ function parseResume(text) {
     'Certification', 'Certified'
   ];
 
-  certificationKeywords.forEach(cert => {
-    const escapedCert = cert.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const regex = new RegExp(`\\b${escapedCert}[^\n]*`, 'gi');
-    const matches = text.match(regex);
-    if (matches) {
-      matches.forEach(match => {
-        const cleaned = match.trim();
-        if (cleaned && !resume.certifications.includes(cleaned)) {
+  // Generic words and course platforms only count inside a Certifications section
+  const sectionOnlyKeywords = new Set(['Coursera', 'Udacity', 'edX', 'Certification', 'Certified', 'Salesforce', 'Oracle Database', 'Product Owner']);
+  const coursework = /\b(course(?:work|s)?|class(?:es)?|module|studying|in progress|pursuing|preparing for)\b/i;
+  const skipSections = ['education', 'projects', 'interests', 'references', 'languages'];
+
+  segmentation.sections.forEach(section => {
+    const inCertSection = section.type === 'certifications';
+    if (!inCertSection && skipSections.includes(section.type)) return;
+
+    certificationKeywords.forEach(cert => {
+      if (!inCertSection && sectionOnlyKeywords.has(cert)) return;
+
+      const escapedCert = cert.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const regex = new RegExp(`\\b${escapedCert}[^\n]*`, 'gi');
+      const matches = section.text.match(regex);
+      if (matches) {
+        matches.forEach(match => {
+          const cleaned = match.trim();
+          if (!cleaned || resume.certifications.includes(cleaned)) return;
+          if (!inCertSection && coursework.test(cleaned)) return;
+
           resume.certifications.push(cleaned);
-        }
-      });
-    }
+          resume.certification_details.push({
+            name: cleaned,
+            section: section.type,
+            confidence: inCertSection ? 0.9 : 0.7
+          });
+        });
+      }
+    });
   });
 
   console.log(`   Education: ${resume.education.length > 0 ? resume.education.join(', ') : 'Not found'}`);
@@ -684,59 +812,15 @@ function parseResume(text) {
 // Embeddings
 // ============================================================================
 
+// Provider, batching and the persistent cache live in lib/embedding-providers.js
+// (shared with SemanticAgent so both scoring paths embed text identically).
+// Returns { embedding, tag }; the tag must be stored with the vector.
 async function generateEmbedding(text) {
-  if (EMBEDDING_METHOD === 'openai' && OPENAI_API_KEY) {
-    return await generateOpenAIEmbedding(text);
-  } else {
-    return generateStubEmbedding(text);
-  }
-}
-
-function generateStubEmbedding(text) {
-  const dimension = 1536;
-  const vector = new Array(dimension).fill(0);
-
-  let hash = 0;
-  for (let i = 0; i < text.length; i++) {
-    const char = text.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-
-  let seed = Math.abs(hash);
-  for (let i = 0; i < dimension; i++) {
-    seed = (seed * 9301 + 49297) % 233280;
-    vector[i] = (seed / 233280) * 2 - 1;
-  }
-
-  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-  return magnitude > 0 ? vector.map(v => v / magnitude) : vector;
+  return await getEmbeddingService().embedTagged(text);
 }
 
-async function generateOpenAIEmbedding(text) {
-  try {
-    const response = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        input: text,
-        model: 'text-embedding-3-small'
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.data[0].embedding;
-  } catch (error) {
-    console.warn('OpenAI embedding failed, falling back to stub:', error.message);
-    return generateStubEmbedding(text);
-  }
+function describeEmbeddingTag(tag) {
+  return tag ? `${tag.provider}/${tag.model}/${tag.dimension}` : 'untagged';
 }
 
 // ============================================================================
@@ -754,8 +838,11 @@ async function saveResumeToDB(resumeData) {
   const client = await pool.connect();
   try {
     const query = `
-      INSERT INTO resumes (resume_id, candidate_name, raw_text, skills, years_experience, embedding)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO resumes (
+        resume_id, candidate_name, raw_text, skills, years_experience, embedding,
+        embedding_provider, embedding_model, embedding_dimension, employment_history
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING resume_id
     `;
 
@@ -768,7 +855,11 @@ async function saveResumeToDB(resumeData) {
       resumeData.raw_text,
       resumeData.skills,
       yearsExperience,
-      JSON.stringify(resumeData.embedding)
+      JSON.stringify(resumeData.embedding),
+      resumeData.embedding_provider,
+      resumeData.embedding_model,
+      resumeData.embedding_dimension,
+      JSON.stringify(resumeData.employment_history || [])
     ]);
 
     console.log(`[${new Date().toISOString()}]  Resume saved to Tiger Database: ${result.rows[0].resume_id}`);
@@ -815,7 +906,7 @@ app.post('/api/upload-resume', uploadLimiter, upload.single('resume'), async (re
     // PRIMARY: Use new skill matcher (regex-based, no BERT tokens)
     console.log(`[${new Date().toISOString()}]  Extracting skills using regex-based matcher...`);
     try {
-      nlpSkills = extractAllSkills(resumeText);
+      nlpSkills = await verifyAmbiguousSkills(extractAllSkills(resumeText, { positions: parsedData.employment_history }));
       console.log(`[${new Date().toISOString()}]  Regex extraction: ${nlpSkills.length} skills found`);
 
       // Optional: Enrich with database data
@@ -840,13 +931,17 @@ app.post('/api/upload-resume', uploadLimiter, upload.single('resume'), async (re
     }
 
     // Extract certifications (pattern-based, from parseResume output)
-    nlpCertifications = parsedData.certifications.map(c => ({ name: c, confidence: 0.7 }));
+    nlpCertifications = parsedData.certification_details.map(c => ({
+      name: c.name,
+      confidence: c.confidence,
+      section: c.section
+    }));
     if (nlpCertifications.length > 0) {
       console.log(`[${new Date().toISOString()}]  Certifications: ${nlpCertifications.length} found`);
     }
 
     // Generate embedding
-    const embedding = await generateEmbedding(resumeText);
+    const { embedding, tag: embeddingTag } = await generateEmbedding(resumeText);
     const resumeId = generateUUID();
 
     // Prepare data
@@ -856,11 +951,15 @@ app.post('/api/upload-resume', uploadLimiter, upload.single('resume'), async (re
       raw_text: resumeText,
       skills: nlpSkills,
       years_experience: parsedData.years_experience,
+      employment_history: parsedData.employment_history,
       education: parsedData.education,
       certifications: nlpCertifications,
       email: parsedData.email,
       phone: parsedData.phone,
       embedding: embedding,
+      embedding_provider: embeddingTag.provider,
+      embedding_model: embeddingTag.model,
+      embedding_dimension: embeddingTag.dimension,
       created_at: new Date().toISOString()
     };
 
@@ -882,8 +981,13 @@ app.post('/api/upload-resume', uploadLimiter, upload.single('resume'), async (re
       phone: parsedData.phone,
       skills: parsedData.skills,
       years_experience: parsedData.years_experience,
+      employment_history: parsedData.employment_history,
       education: parsedData.education,
       certifications: parsedData.certifications,
+      sections: parsedData.sections,
+      skill_evidence: nlpSkills
+        .filter(skill => skill.positions && skill.positions.length > 0)
+        .map(skill => ({ skill: skill.name, years_used: skill.years_used, last_used: skill.last_used })),
       message: 'Resume uploaded and parsed successfully'
     });
   } catch (error) {
@@ -893,109 +997,135 @@ app.post('/api/upload-resume', uploadLimiter, upload.single('resume'), async (re
 });
 
 /**
- * POST /api/job-description
+ * Validate a job description request body (title, description, required_years
+ * and the optional requisition fields)
+ * Shared by job creation and the analyze preview
+ *
+ * @returns {{ error: { status, body } }|{ title, description, requisition }}
  */
-app.post('/api/job-description', jobLimiter, async (req, res) => {
-  try {
-    const { title, description, required_years } = req.body;
+function validateJobDescriptionRequest(body = {}) {
+  const { title, description, required_years } = body;
+  const badRequest = (payload) => ({ error: { status: 400, body: payload } });
+
+  // Validate that required fields exist
+  if (!title || !description) {
+    return badRequest({
+      error: 'Title and description are required',
+      details: {
+        title: !title ? 'Missing job title' : 'OK',
+        description: !description ? 'Missing job description' : 'OK'
+      }
+    });
+  }
 
-    // ============================================================================
-    // INPUT VALIDATION FOR JOB DESCRIPTIONS
-    // ============================================================================
+  // Validate title
+  if (typeof title !== 'string') {
+    return badRequest({ error: 'Job title must be a string' });
+  }
 
-    // Validate that required fields exist
-    if (!title || !description) {
-      return res.status(400).json({
-        error: 'Title and description are required',
-        details: {
-          title: !title ? 'Missing job title' : 'OK',
-          description: !description ? 'Missing job description' : 'OK'
-        }
-      });
-    }
+  const trimmedTitle = title.trim();
+  if (trimmedTitle.length < 2) {
+    return badRequest({
+      error: 'Job title must be at least 2 characters long',
+      received: trimmedTitle.length
+    });
+  }
 
-    // Validate title
-    if (typeof title !== 'string') {
-      return res.status(400).json({ error: 'Job title must be a string' });
-    }
+  if (trimmedTitle.length > 300) {
+    return badRequest({
+      error: 'Job title must be less than 300 characters',
+      received: trimmedTitle.length
+    });
+  }
 
-    const trimmedTitle = title.trim();
-    if (trimmedTitle.length < 2) {
-      return res.status(400).json({
-        error: 'Job title must be at least 2 characters long',
-        received: trimmedTitle.length
-      });
-    }
+  // Validate description
+  if (typeof description !== 'string') {
+    return badRequest({ error: 'Job description must be a string' });
+  }
 
-    if (trimmedTitle.length > 300) {
-      return res.status(400).json({
-        error: 'Job title must be less than 300 characters',
-        received: trimmedTitle.length
-      });
-    }
+  const trimmedDescription = description.trim();
+  if (trimmedDescription.length < 10) {
+    return badRequest({
+      error: 'Job description must be at least 10 characters long',
+      received: trimmedDescription.length
+    });
+  }
 
-    // Validate description
-    if (typeof description !== 'string') {
-      return res.status(400).json({ error: 'Job description must be a string' });
-    }
+  if (trimmedDescription.length > 50000) {
+    return badRequest({
+      error: 'Job description must be less than 50,000 characters (too long)',
+      received: trimmedDescription.length
+    });
+  }
 
-    const trimmedDescription = description.trim();
-    if (trimmedDescription.length < 10) {
-      return res.status(400).json({
-        error: 'Job description must be at least 10 characters long',
-        received: trimmedDescription.length
+  // Validate required_years if provided
+  if (required_years !== undefined) {
+    const years = parseInt(required_years, 10);
+    if (isNaN(years) || years < 0) {
+      return badRequest({
+        error: 'Required years must be a non-negative number',
+        received: required_years
       });
     }
-
-    if (trimmedDescription.length > 50000) {
-      return res.status(400).json({
-        error: 'Job description must be less than 50,000 characters (too long)',
-        received: trimmedDescription.length
+    if (years > 100) {
+      return badRequest({
+        error: 'Required years must be 100 or less',
+        received: years
       });
     }
+  }
 
-    // Validate required_years if provided
-    if (required_years !== undefined) {
-      const years = parseInt(required_years, 10);
-      if (isNaN(years) || years < 0) {
-        return res.status(400).json({
-          error: 'Required years must be a non-negative number',
-          received: required_years
-        });
-      }
-      if (years > 100) {
-        return res.status(400).json({
-          error: 'Required years must be 100 or less',
-          received: years
-        });
-      }
+  // Optional structured fields (skills, years, education, certs, seniority, ...)
+  const { requisition, errors: requisitionErrors } = validateJobRequisition(body);
+  if (requisitionErrors.length > 0) {
+    return badRequest({
+      error: 'Invalid job requisition fields',
+      details: requisitionErrors
+    });
+  }
+
+  // Check for suspicious content (basic checks)
+  const suspiciousPatterns = [
+    /<script/i, // JavaScript tags
+    /javascript:/i, // JavaScript protocol
+    /on\w+\s*=/i, // Event handlers (onclick=, onload=, etc.)
+    /sql\s+injection/i // SQL injection attempts
+  ];
+
+  for (const pattern of suspiciousPatterns) {
+    if (pattern.test(trimmedDescription) || pattern.test(trimmedTitle)) {
+      return badRequest({
+        error: 'Job description contains suspicious content',
+        reason: 'Potential script injection or malicious content detected'
+      });
     }
+  }
 
-    // Check for suspicious content (basic checks)
-    const suspiciousPatterns = [
-      /<script/i, // JavaScript tags
-      /javascript:/i, // JavaScript protocol
-      /on\w+\s*=/i, // Event handlers (onclick=, onload=, etc.)
-      /sql\s+injection/i // SQL injection attempts
-    ];
+  return { title, description, requisition };
+}
 
-    for (const pattern of suspiciousPatterns) {
-      if (pattern.test(trimmedDescription) || pattern.test(trimmedTitle)) {
-        return res.status(400).json({
-          error: 'Job description contains suspicious content',
-          reason: 'Potential script injection or malicious content detected'
-        });
-      }
+/**
+ * POST /api/job-description
+ */
+app.post('/api/job-description', jobLimiter, async (req, res) => {
+  try {
+    const validation = validateJobDescriptionRequest(req.body);
+    if (validation.error) {
+      return res.status(validation.error.status).json(validation.error.body);
     }
+    const { title, description, requisition } = validation;
 
     console.log(`[${new Date().toISOString()}]  JOB DESCRIPTION RECEIVED`);
     console.log(`  Title: ${title}`);
     console.log(`  Description length: ${description.length} characters`);
 
-    // Smart estimation of required years if not provided
-    let estimatedYears = required_years !== undefined ? parseInt(required_years, 10) : null;
+    // Smart estimation of required years if not provided (min_years counts as provided)
+    let estimatedYears = requisition.min_years;
 
-    if (estimatedYears === null || estimatedYears === undefined) {
+    if (estimatedYears === null && requisition.seniority) {
+      estimatedYears = seniorityToYears(requisition.seniority);
+      console.log(`  Estimated required years: ${estimatedYears} (from seniority: ${requisition.seniority})`);
+    } else if (estimatedYears === null || estimatedYears === undefined) {
       estimatedYears = estimateRequiredExperienceFromJob({
         title: title,
         description: description
@@ -1005,7 +1135,7 @@ app.post('/api/job-description', jobLimiter, async (req, res) => {
       console.log(`  Required years: ${estimatedYears} (provided explicitly)`);
     }
 
-    const embedding = await generateEmbedding(description);
+    const { embedding, tag: embeddingTag } = await generateEmbedding(description);
     const jobId = generateUUID();
 
     const jobData = {
@@ -1013,7 +1143,11 @@ app.post('/api/job-description', jobLimiter, async (req, res) => {
       title: title,
       description: description,
       required_years: estimatedYears,
+      ...requisition,
       embedding: embedding,
+      embedding_provider: embeddingTag.provider,
+      embedding_model: embeddingTag.model,
+      embedding_dimension: embeddingTag.dimension,
       created_at: new Date().toISOString()
     };
 
@@ -1022,8 +1156,14 @@ app.post('/api/job-description', jobLimiter, async (req, res) => {
       const client = await pool.connect();
       try {
         const query = `
-          INSERT INTO jobs (job_id, title, description, required_years, embedding)
-          VALUES ($1, $2, $3, $4, $5)
+          INSERT INTO jobs (
+            job_id, title, description, required_years, embedding,
+            embedding_provider, embedding_model, embedding_dimension,
+            required_skills, preferred_skills, min_years, max_years,
+            education_level, education_field, required_certifications,
+            location, seniority, employment_type, industry, demand_skills
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
           RETURNING job_id
         `;
 
@@ -1031,8 +1171,24 @@ app.post('/api/job-description', jobLimiter, async (req, res) => {
           jobId,
           title,
           description,
-          required_years || 0,
-          JSON.stringify(embedding)
+          requisition.min_years || 0,
+          JSON.stringify(embedding),
+          embeddingTag.provider,
+          embeddingTag.model,
+          embeddingTag.dimension,
+          requisition.required_skills,
+          requisition.preferred_skills,
+          requisition.min_years,
+          requisition.max_years,
+          requisition.education_level,
+          requisition.education_field,
+          requisition.required_certifications,
+          requisition.location,
+          requisition.seniority,
+          requisition.employment_type,
+          requisition.industry,
+          // Skills the job asks for, read once here for supply vs demand
+          marketInsights ? JSON.stringify(marketInsights.extractDemandSkills(jobData)) : null
         ]);
 
         console.log(`[${new Date().toISOString()}]  Job saved to Tiger Database: ${result.rows[0].job_id}`);
@@ -1050,7 +1206,8 @@ app.post('/api/job-description', jobLimiter, async (req, res) => {
       success: true,
       job_id: jobId,
       title: title,
-      required_years: required_years || 0,
+      required_years: requisition.min_years || 0,
+      requisition,
       message: 'Job description created successfully'
     });
   } catch (error) {
@@ -1059,6 +1216,37 @@ app.post('/api/job-description', jobLimiter, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/job-description/analyze
+ * Preview what the agents extract from a posting; nothing is stored
+ */
+app.post('/api/job-description/analyze', jobLimiter, async (req, res) => {
+  try {
+    const validation = validateJobDescriptionRequest(req.body);
+    if (validation.error) {
+      return res.status(validation.error.status).json(validation.error.body);
+    }
+    const { title, description, requisition } = validation;
+
+    console.log(`[${new Date().toISOString()}]  JOB DESCRIPTION PREVIEW: ${title}`);
+
+    // Same weights the coordinator would pick (static tables without a database)
+    const optimizer = weightOptimizer || new WeightOptimizer();
+    const analysis = analyzeJobPosting({ title, description, ...requisition }, optimizer);
+
+    res.json({
+      success: true,
+      stored: false,
+      title,
+      requisition,
+      ...analysis
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}]  Job preview error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/score/:resume_id/:job_id
  */
@@ -1123,6 +1311,9 @@ app.get('/api/score/:resume_id/:job_id', scoreLimiter, async (req, res) => {
       job = jobs.get(job_id);
     }
 
+    // Score the recruiter-corrected profile, not the raw parse
+    resume = applyResumeCorrections(resume);
+
     // ===== NEW: LEARNING PHASE =====
     // Discover unknown items and store them to knowledge base
     let learningResult = { learningCount: 0, newItems: [] };
@@ -1132,7 +1323,8 @@ app.get('/api/score/:resume_id/:job_id', scoreLimiter, async (req, res) => {
         learningResult = await learnFromResume(
           resume.skills,
           resume_id,
-          pool
+          pool,
+          resume.raw_text
         );
         if (learningResult.learningCount > 0) {
           console.log(`[${new Date().toISOString()}]  Learned ${learningResult.learningCount} new items: ${learningResult.newItems.join(', ')}`);
@@ -1200,6 +1392,9 @@ app.get('/api/score/:resume_id/:job_id', scoreLimiter, async (req, res) => {
 
     // Semantic score (with validation) - Domain-aware relevance
     let semanticScore = 0;
+    const resumeEmbeddingTag = getEmbeddingTag(resume);
+    const jobEmbeddingTag = getEmbeddingTag(job);
+    const embeddingsComparable = embeddingTagsMatch(resumeEmbeddingTag, jobEmbeddingTag);
     try {
       const resumeEmb = JSON.parse(typeof resume.embedding === 'string' ? resume.embedding : JSON.stringify(resume.embedding || []));
       const jobEmb = JSON.parse(typeof job.embedding === 'string' ? job.embedding : JSON.stringify(job.embedding || []));
@@ -1208,6 +1403,10 @@ app.get('/api/score/:resume_id/:job_id', scoreLimiter, async (req, res) => {
       if (!Array.isArray(resumeEmb) || !Array.isArray(jobEmb) || resumeEmb.length === 0 || jobEmb.length === 0) {
         console.warn('[SCORE] Invalid embeddings, using fallback');
         semanticScore = 0.5;
+      } else if (!embeddingsComparable) {
+        // Vectors from different providers/models live in different spaces
+        console.warn(`[SCORE] Embedding tags differ (resume: ${describeEmbeddingTag(resumeEmbeddingTag)}, job: ${describeEmbeddingTag(jobEmbeddingTag)}), skipping vector comparison`);
+        semanticScore = 0.5;
       } else {
         // Pass context for domain-aware relevance calculation
         semanticScore = computeSemanticScore(resumeEmb, jobEmb, {
@@ -1442,7 +1641,9 @@ app.get('/api/score/:resume_id/:job_id', scoreLimiter, async (req, res) => {
         semantic_alignment: {
           score: Math.round(semanticScore * 100) / 100,
           weight: Math.round(usedWeights.semantic * 100) / 100,
-          analysis: semanticScore >= 0.75 ? 'Strong conceptual alignment with role' :
+          embeddings_comparable: embeddingsComparable,
+          analysis: !embeddingsComparable ? 'Not compared: resume and job embeddings come from different models (re-embed required)' :
+                   semanticScore >= 0.75 ? 'Strong conceptual alignment with role' :
                    semanticScore >= 0.55 ? 'Moderate alignment with role requirements' :
                    'Limited alignment with role'
         },
@@ -1530,7 +1731,12 @@ app.get('/api/score-multi-agent/:resume_id/:job_id', scoreLimiter, async (req, r
     }
 
     // Run multi-agent analysis
-    const results = await agentCoordinator.scoreResume(resume_id, job_id);
+    const results = await agentCoordinator.scoreResume(resume_id, job_id, {
+      title: job.title,
+      description: job.description,
+      industry: job.industry,
+      seniority: job.seniority
+    });
 
     console.log(`   Multi-agent scoring complete`);
     console.log(`  Composite Score: ${results.composite_score}%`);
@@ -1540,29 +1746,7 @@ app.get('/api/score-multi-agent/:resume_id/:job_id', scoreLimiter, async (req, r
     // Store results if using database
     if (usingDatabase && pool) {
       try {
-        await pool.query(
-          `INSERT INTO multi_agent_scores (
-            resume_id, job_id, skill_score, experience_score, education_score,
-            certification_score, semantic_score, composite_score, agents_used,
-            total_processing_time_ms, processing_method
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-          ON CONFLICT (resume_id, job_id) DO UPDATE SET
-            composite_score = EXCLUDED.composite_score,
-            total_processing_time_ms = EXCLUDED.total_processing_time_ms,
-            created_at = NOW()`,
-          [
-            resume_id, job_id,
-            results.scores.skill,
-            results.scores.experience,
-            results.scores.education,
-            results.scores.certification,
-            results.scores.semantic,
-            results.composite_score,
-            results.agents_completed,
-            results.processing_time_ms,
-            'parallel_agents'
-          ]
-        );
+        await saveMultiAgentScore(pool, results);
       } catch (storeError) {
         console.warn('[MULTI-AGENT] Failed to store results:', storeError.message);
         // Continue anyway - scoring was successful
@@ -1583,7 +1767,9 @@ app.get('/api/score-multi-agent/:resume_id/:job_id', scoreLimiter, async (req, r
         certification: (results.scores.certification || 0) / 100, // Convert 0-100 to 0-1 decimal
         composite: (results.composite_score / 100) || 0        // Already 0-100, convert to 0-1
       },
+      run_id: results.run_id,
       weights: results.weights,
+      weight_source: results.weight_source,
       breakdown: results.breakdown,
       resume: {
         candidate_name: resume.candidate_name,
@@ -1631,6 +1817,92 @@ app.get('/api/score-multi-agent/:resume_id/:job_id', scoreLimiter, async (req, r
   }
 });
 
+/**
+ * GET /api/jobs/:job_id/ranking
+ * Leaderboard of stored resumes for a job, sorted by multi-agent composite score
+ * Query: page, page_size, resume_ids (comma list), skills (comma list),
+ *        min_score (0-1), max_rescore, refresh=true to ignore the cache
+ */
+app.get('/api/jobs/:job_id/ranking', scoreLimiter, async (req, res) => {
+  const { job_id } = req.params;
+
+  if (!multiAgentEnabled || !candidateRanker) {
+    return res.status(503).json({
+      error: 'Candidate ranking not available',
+      message: 'Database connection required for multi-agent scoring'
+    });
+  }
+
+  const splitList = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+  const minScore = parseFloat(req.query.min_score);
+  const maxRescore = parseInt(req.query.max_rescore);
+
+  try {
+    console.log(`\n[${new Date().toISOString()}]  RANKING REQUEST for job ${job_id}`);
+
+    const ranking = await candidateRanker.rankCandidates(job_id, {
+      page: parseInt(req.query.page) || 1,
+      pageSize: parseInt(req.query.page_size) || 20,
+      resumeIds: splitList(req.query.resume_ids),
+      skills: splitList(req.query.skills),
+      minScore: Number.isFinite(minScore) ? minScore * 100 : undefined,
+      maxRescore: Number.isFinite(maxRescore) ? Math.max(0, maxRescore) : undefined,
+      refresh: req.query.refresh === 'true'
+    });
+
+    console.log(`  Rescored: ${ranking.scoring.rescored}, pending: ${ranking.scoring.pending_rescore}, total ranked: ${ranking.pagination.total}`);
+
+    res.json({
+      success: true,
+      ...ranking
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}]  Ranking error:`, error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/resumes/:resume_id/matches
+ * Top-N stored jobs for a resume: vector nearest-neighbour prefilter, then
+ * full multi-agent scoring of the shortlist
+ * Query: limit (default 10), shortlist, exclude_job_ids (comma list), max_rescore
+ */
+app.get('/api/resumes/:resume_id/matches', scoreLimiter, async (req, res) => {
+  const { resume_id } = req.params;
+
+  if (!multiAgentEnabled || !jobRecommender) {
+    return res.status(503).json({
+      error: 'Job matching not available',
+      message: 'Database connection required for multi-agent scoring'
+    });
+  }
+
+  try {
+    console.log(`\n[${new Date().toISOString()}]  JOB MATCH REQUEST for resume ${resume_id}`);
+
+    const maxRescore = parseInt(req.query.max_rescore);
+    const recommendations = await jobRecommender.recommendJobs(resume_id, {
+      limit: parseInt(req.query.limit) || 10,
+      shortlist: parseInt(req.query.shortlist) || undefined,
+      excludeJobIds: req.query.exclude_job_ids
+        ? String(req.query.exclude_job_ids).split(',').map(id => id.trim()).filter(Boolean)
+        : [],
+      maxRescore: Number.isFinite(maxRescore) ? Math.max(0, maxRescore) : undefined
+    });
+
+    console.log(`  Prefilter: ${recommendations.prefilter.method} (${recommendations.prefilter.shortlist_size} jobs), rescored: ${recommendations.scoring.rescored}, pending: ${recommendations.scoring.pending_rescore}`);
+
+    res.json({
+      success: true,
+      ...recommendations
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}]  Job match error:`, error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/resume/:resume_id
  * Delete a resume and all associated data
@@ -1791,20 +2063,34 @@ app.get('/api/resume/:resume_id', async (req, res) => {
     }
 
     if (resume) {
+      const corrected = applyResumeCorrections(resume);
       res.json({
         success: true,
         resume: {
-          resume_id: resume.resume_id,
+          resume_id: corrected.resume_id,
+          candidate_name: corrected.candidate_name,
+          email: corrected.email,
+          skills: corrected.skills,
+          years_experience: corrected.years_experience,
+          education: corrected.education,
+          certifications: corrected.certifications,
+          employment_history: corrected.employment_history,
+          corrected_fields: corrected.corrected_fields
+        },
+        parsed: {
           candidate_name: resume.candidate_name,
-          email: resume.email,
           skills: resume.skills,
           years_experience: resume.years_experience,
           education: resume.education,
           certifications: resume.certifications
         },
+        corrections: readCorrections(resume),
         actions: {
           delete: `/api/resume/${resume_id}`,
-          method: 'DELETE'
+          method: 'DELETE',
+          correct: `/api/resume/${resume_id}`,
+          correct_method: 'PATCH',
+          history: `/api/resume/${resume_id}/corrections`
         }
       });
     } else {
@@ -1820,81 +2106,460 @@ app.get('/api/resume/:resume_id', async (req, res) => {
 });
 
 /**
- * GET /api/health
+ * PATCH /api/resume/:resume_id
+ * Correct parsed fields (name, contact, years, skills add/remove, education,
+ * certifications, employment history). Corrections are stored apart from the
+ * raw parse, every change is audited, and scoring uses the corrected profile
  */
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    database: usingDatabase ? 'Tiger Cloud Connected' : 'In-Memory (Fallback)',
-    timestamp: new Date().toISOString(),
-    embedding_method: EMBEDDING_METHOD,
-    resumes_in_storage: resumes.size,
-    jobs_in_storage: jobs.size,
-    deletion_endpoints: {
-      delete_resume: 'DELETE /api/resume/:resume_id',
-      delete_job: 'DELETE /api/job/:job_id',
-      get_resume: 'GET /api/resume/:resume_id'
-    }
-  });
-});
+app.patch('/api/resume/:resume_id', async (req, res) => {
+  const { resume_id } = req.params;
 
-/**
- * GET /
- */
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+  const { patch, errors } = normalizeResumeCorrection(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid resume correction', details: errors });
+  }
 
-// ============================================================================
-// Scoring Functions
-// ============================================================================
+  const meta = {
+    corrected_by: typeof req.body.corrected_by === 'string' ? req.body.corrected_by.trim().slice(0, 255) || null : null,
+    reason: typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 2000) || null : null
+  };
 
-function computeKeywordScore(resumeSkills, jobDescription) {
-  if (!resumeSkills || resumeSkills.length === 0) return 0;
+  try {
+    let resume = null;
+    let corrections;
+    let changes;
+    let learning = null;
 
-  const jobLower = (jobDescription || '').toLowerCase();
-  let matches = 0;
-  let skillMatchScores = 0;
-  let validSkillCount = 0;
+    if (usingDatabase && pool) {
+      const saved = await resumeCorrections.saveCorrections(resume_id, patch, meta);
+      if (!saved) {
+        return res.status(404).json({ success: false, error: `Resume ${resume_id} not found` });
+      }
+      ({ resume, corrections, changes } = saved);
 
-  resumeSkills.forEach(skill => {
-    // Handle both string and object formats
-    let skillName = '';
-    if (typeof skill === 'string') {
-      skillName = skill;
-    } else if (skill && typeof skill === 'object' && skill.name) {
-      skillName = String(skill.name);
+      // Skill fixes become aliases / deny-list entries for future parses
+      if (patch.skills && changes.some(change => change.field === 'skills')) {
+        learning = await learnFromSkillCorrections(patch.skills, resume, pool);
+      }
     } else {
-      return; // Skip invalid skills
+      resume = resumes.get(resume_id) || null;
+      if (!resume) {
+        return res.status(404).json({ success: false, error: `Resume ${resume_id} not found` });
+      }
+
+      ({ corrections, changes } = mergeCorrections(readCorrections(resume), patch));
+      if (changes.length > 0) {
+        const correctedAt = new Date().toISOString();
+        resume.corrections = corrections;
+        resume.corrected_at = correctedAt;
+        resume.correction_log = [
+          ...changes.map(change => ({ ...change, ...meta, created_at: correctedAt })),
+          ...(resume.correction_log || [])
+        ];
+      }
     }
 
-    const skillLower = skillName.toLowerCase().trim();
-    if (!skillLower || skillLower.length === 0) return;
+    console.log(`[${new Date().toISOString()}]  Resume corrected: ${resume_id} (${changes.map(c => c.field).join(', ') || 'no changes'})`);
 
-    validSkillCount++;
+    const corrected = applyResumeCorrections(resume);
+    res.json({
+      success: true,
+      resume_id,
+      changes,
+      corrections,
+      learning,
+      resume: {
+        candidate_name: corrected.candidate_name,
+        email: corrected.email,
+        phone: corrected.phone,
+        skills: corrected.skills,
+        years_experience: corrected.years_experience,
+        education: corrected.education,
+        certifications: corrected.certifications,
+        employment_history: corrected.employment_history,
+        corrected_fields: corrected.corrected_fields
+      }
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}]  Resume correction error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Use word boundary matching to avoid false positives (Java ≠ JavaScript)
-    try {
-      const wordBoundaryRegex = new RegExp(`\\b${skillLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-      const skillMatches = jobLower.match(wordBoundaryRegex);
+/**
+ * GET /api/resume/:resume_id/corrections
+ * Audit trail of corrections, newest first
+ */
+app.get('/api/resume/:resume_id/corrections', async (req, res) => {
+  const { resume_id } = req.params;
 
-      if (skillMatches && skillMatches.length > 0) {
-        matches++;
-        // Score: 1.0 for first match + 0.2 for each additional mention (diminishing returns)
-        const matchCount = Math.min(skillMatches.length, 5); // Cap at 5
-        const matchScore = 1.0 + (Math.min(matchCount - 1, 3) * 0.15);
-        skillMatchScores += Math.min(matchScore, 1.5);
+  try {
+    let history = null;
+
+    if (usingDatabase && pool) {
+      const exists = await pool.query('SELECT 1 FROM resumes WHERE resume_id = $1', [resume_id]);
+      if (exists.rows.length > 0) {
+        history = await resumeCorrections.getHistory(resume_id);
       }
-    } catch (e) {
-      // Skip if regex fails
-      console.warn(`[SCORE] Error matching skill "${skillName}":`, e.message);
+    } else if (resumes.has(resume_id)) {
+      history = resumes.get(resume_id).correction_log || [];
     }
-  });
 
-  // Return average skill match score, capped at 1.0
-  if (validSkillCount === 0) return 0;
-  const averageScore = skillMatchScores / validSkillCount;
-  return Math.min(1.0, Math.max(0, averageScore));
+    if (!history) {
+      return res.status(404).json({ success: false, error: `Resume ${resume_id} not found` });
+    }
+
+    res.json({ success: true, resume_id, count: history.length, history });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}]  Correction history error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// Hiring Outcome Feedback
+// ============================================================================
+
+/**
+ * POST /api/outcomes
+ * Record an interview/offer/hire/reject outcome for a scored resume-job pair
+ */
+app.post('/api/outcomes', async (req, res) => {
+  if (!usingDatabase || !hiringOutcomes) {
+    return res.status(503).json({ error: 'Outcome tracking not available (database required)' });
+  }
+
+  const { value, error } = normalizeOutcome(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error,
+      required: ['resume_id (string)', 'job_id (string)', 'outcome (interview|offer|hired|rejected)'],
+      optional: ['success_score (0-1)', 'notes (string)']
+    });
+  }
+
+  try {
+    const recorded = await hiringOutcomes.recordOutcome(value, 'api');
+    console.log(`[${new Date().toISOString()}] Outcome recorded: ${value.resume_id}/${value.job_id} -> ${value.outcome}`);
+
+    res.json({
+      success: true,
+      outcome: recorded
+    });
+  } catch (recordError) {
+    console.error(`[${new Date().toISOString()}] Outcome record error:`, recordError.message);
+    res.status(recordError.statusCode || 500).json({ error: recordError.message });
+  }
+});
+
+/**
+ * POST /api/outcomes/import
+ * Bulk import outcomes from CSV (multipart "file" field or raw text/csv body)
+ * Columns: resume_id, job_id, outcome, success_score (optional), notes (optional)
+ */
+app.post('/api/outcomes/import', csvUpload.single('file'), bodyParser.text({ type: 'text/csv', limit: '5mb' }), async (req, res) => {
+  if (!usingDatabase || !hiringOutcomes) {
+    return res.status(503).json({ error: 'Outcome tracking not available (database required)' });
+  }
+
+  const csvText = req.file ? req.file.buffer.toString('utf8') : (typeof req.body === 'string' ? req.body : '');
+  if (!csvText.trim()) {
+    return res.status(400).json({ error: 'No CSV provided (upload a "file" field or send a text/csv body)' });
+  }
+
+  const { headers, rows } = parseOutcomesCsv(csvText);
+  const missingColumns = ['resume_id', 'job_id', 'outcome'].filter(column => !headers.includes(column));
+  if (missingColumns.length > 0) {
+    return res.status(400).json({ error: `CSV is missing required columns: ${missingColumns.join(', ')}` });
+  }
+
+  try {
+    const { recorded, failed } = await hiringOutcomes.recordOutcomes(rows, 'csv_import');
+    console.log(`[${new Date().toISOString()}] Outcome import: ${recorded.length} recorded, ${failed.length} failed`);
+
+    res.json({
+      success: failed.length === 0,
+      total_rows: rows.length,
+      recorded: recorded.length,
+      failed: failed.length,
+      errors: failed
+    });
+  } catch (importError) {
+    console.error(`[${new Date().toISOString()}] Outcome import error:`, importError.message);
+    res.status(500).json({ error: importError.message });
+  }
+});
+
+/**
+ * GET /api/outcomes/:resume_id/:job_id
+ * Get the recorded outcome and the composite score it was compared against
+ */
+app.get('/api/outcomes/:resume_id/:job_id', async (req, res) => {
+  if (!usingDatabase || !hiringOutcomes) {
+    return res.status(503).json({ error: 'Outcome tracking not available (database required)' });
+  }
+
+  const { resume_id, job_id } = req.params;
+
+  try {
+    const outcome = await hiringOutcomes.getOutcome(resume_id, job_id);
+
+    if (!outcome) {
+      return res.status(404).json({ error: `No outcome recorded for resume ${resume_id} and job ${job_id}` });
+    }
+
+    res.json({ success: true, outcome });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Outcome lookup error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// Skill Graph
+// ============================================================================
+
+/**
+ * GET /api/skills/search?q=
+ * Autocomplete: skills matching the text (names, aliases, full-text, trigram)
+ * Query: q (required), limit (default 10, max 50)
+ */
+app.get('/api/skills/search', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+
+  try {
+    const results = await skillGraph.search(q, { limit: parseInt(req.query.limit) || undefined });
+    res.json({ success: true, query: q, results });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}]  Skill search error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/skills/:name
+ * Category, demand, aliases and related skills for any spelling of a skill
+ */
+app.get('/api/skills/:name', async (req, res) => {
+  try {
+    const skill = await skillGraph.getSkill(req.params.name);
+    if (!skill) {
+      return res.status(404).json({ error: `Unknown skill: ${req.params.name}` });
+    }
+
+    res.json({ success: true, skill });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}]  Skill lookup error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/skills/:name/path?to=
+ * Shortest learning path from one skill to another through skill_relationships
+ */
+app.get('/api/skills/:name/path', async (req, res) => {
+  if (!req.query.to) {
+    return res.status(400).json({ error: 'to is required' });
+  }
+
+  try {
+    const learningPath = await skillGraph.findPath(req.params.name, String(req.query.to));
+    res.json({ success: true, ...learningPath });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error(`[${new Date().toISOString()}]  Skill path error:`, error.message);
+    }
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// Talent Market Insights
+// ============================================================================
+
+/**
+ * GET /api/insights/summary
+ * Knowledge base totals, all-time leaders per type and daily learning metrics
+ * Query: limit (default 10), days (learning metrics history, default 30)
+ */
+app.get('/api/insights/summary', async (req, res) => {
+  if (!usingDatabase || !marketInsights) {
+    return res.status(503).json({ error: 'Insights require a database' });
+  }
+
+  try {
+    const summary = await marketInsights.getSummary({
+      limit: parseInt(req.query.limit) || undefined,
+      days: parseInt(req.query.days) || undefined
+    });
+    res.json({ success: true, timestamp: new Date().toISOString(), ...summary });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}]  Insights summary error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/insights/trends
+ * Resumes mentioning each item per week/month, with growth
+ * Query: type (skill|certification|education), interval (week|month), periods, limit
+ */
+app.get('/api/insights/trends', async (req, res) => {
+  if (!usingDatabase || !marketInsights) {
+    return res.status(503).json({ error: 'Insights require a database' });
+  }
+
+  try {
+    const trends = await marketInsights.getTrends({
+      type: req.query.type,
+      interval: req.query.interval,
+      periods: parseInt(req.query.periods) || undefined,
+      limit: parseInt(req.query.limit) || undefined
+    });
+    res.json({ success: true, ...trends });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error(`[${new Date().toISOString()}]  Insights trends error:`, error.message);
+    }
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/insights/rising
+ * Fastest-growing items: recent half of the window against the half before
+ * Query: type, interval, periods, limit, min_mentions (default 3)
+ */
+app.get('/api/insights/rising', async (req, res) => {
+  if (!usingDatabase || !marketInsights) {
+    return res.status(503).json({ error: 'Insights require a database' });
+  }
+
+  try {
+    const rising = await marketInsights.getRising({
+      type: req.query.type,
+      interval: req.query.interval,
+      periods: parseInt(req.query.periods) || undefined,
+      limit: parseInt(req.query.limit) || undefined,
+      minMentions: parseInt(req.query.min_mentions) || undefined
+    });
+    res.json({ success: true, ...rising });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error(`[${new Date().toISOString()}]  Insights rising error:`, error.message);
+    }
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/insights/supply-demand
+ * Share of stored resumes listing each skill against share of stored jobs asking for it
+ * Query: days, sort (shortage|surplus|demand|supply), limit, skills (comma-separated)
+ */
+app.get('/api/insights/supply-demand', insightsLimiter, async (req, res) => {
+  if (!usingDatabase || !marketInsights) {
+    return res.status(503).json({ error: 'Insights require a database' });
+  }
+
+  try {
+    const comparison = await marketInsights.getSupplyDemand({
+      days: parseInt(req.query.days) || null,
+      sort: req.query.sort,
+      limit: parseInt(req.query.limit) || undefined,
+      skills: req.query.skills ? String(req.query.skills).split(',').map(v => v.trim()).filter(Boolean) : null
+    });
+    res.json({ success: true, ...comparison });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error(`[${new Date().toISOString()}]  Insights supply/demand error:`, error.message);
+    }
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/health
+ */
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    database: usingDatabase ? 'Tiger Cloud Connected' : 'In-Memory (Fallback)',
+    timestamp: new Date().toISOString(),
+    embedding_method: EMBEDDING_METHOD,
+    resumes_in_storage: resumes.size,
+    jobs_in_storage: jobs.size,
+    deletion_endpoints: {
+      delete_resume: 'DELETE /api/resume/:resume_id',
+      delete_job: 'DELETE /api/job/:job_id',
+      get_resume: 'GET /api/resume/:resume_id'
+    }
+  });
+});
+
+/**
+ * GET /
+ */
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// ============================================================================
+// Scoring Functions
+// ============================================================================
+
+function computeKeywordScore(resumeSkills, jobDescription) {
+  if (!resumeSkills || resumeSkills.length === 0) return 0;
+
+  const jobLower = (jobDescription || '').toLowerCase();
+  let matches = 0;
+  let skillMatchScores = 0;
+  let validSkillCount = 0;
+
+  resumeSkills.forEach(skill => {
+    // Handle both string and object formats
+    let skillName = '';
+    if (typeof skill === 'string') {
+      skillName = skill;
+    } else if (skill && typeof skill === 'object' && skill.name) {
+      skillName = String(skill.name);
+    } else {
+      return; // Skip invalid skills
+    }
+
+    const skillLower = skillName.toLowerCase().trim();
+    if (!skillLower || skillLower.length === 0) return;
+
+    validSkillCount++;
+
+    // Use word boundary matching to avoid false positives (Java ≠ JavaScript);
+    // any spelling of the skill counts ("Postgres" in the job for PostgreSQL)
+    try {
+      const spellings = getSkillSpellings(skillLower).map(spelling => spelling.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const wordBoundaryRegex = new RegExp(`\\b(?:${spellings.join('|')})\\b`, 'gi');
+      const skillMatches = jobLower.match(wordBoundaryRegex);
+
+      if (skillMatches && skillMatches.length > 0) {
+        matches++;
+        // Score: 1.0 for first match + 0.2 for each additional mention (diminishing returns)
+        const matchCount = Math.min(skillMatches.length, 5); // Cap at 5
+        const matchScore = 1.0 + (Math.min(matchCount - 1, 3) * 0.15);
+        skillMatchScores += Math.min(matchScore, 1.5);
+      }
+    } catch (e) {
+      // Skip if regex fails
+      console.warn(`[SCORE] Error matching skill "${skillName}":`, e.message);
+    }
+  });
+
+  // Return average skill match score, capped at 1.0
+  if (validSkillCount === 0) return 0;
+  const averageScore = skillMatchScores / validSkillCount;
+  return Math.min(1.0, Math.max(0, averageScore));
 }
 
 /**
@@ -2739,6 +3404,7 @@ app.get('/api/admin/health/system', authenticateAdmin, async (req, res) => {
       components: {
         forkManager: forkManager ? 'ready' : 'not initialized',
         agentCoordinator: agentCoordinator ? 'ready' : 'not initialized',
+        mcpClient: mcpClient ? mcpClient.getHealthStatus() : 'not initialized',
         batchProcessor: batchProcessor ? 'ready' : 'not initialized',
         agentAnalytics: agentAnalytics ? 'ready' : 'not initialized',
         weightOptimizer: weightOptimizer ? 'ready' : 'not initialized'
@@ -2755,6 +3421,457 @@ app.get('/api/admin/health/system', authenticateAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/agent-runs
+ * Recent multi-agent scoring runs with a message trail, newest first
+ * Query: resume_id, job_id, limit (default 20, max 100)
+ */
+app.get('/api/admin/agent-runs', authenticateAdmin, async (req, res) => {
+  if (!mcpClient || !multiAgentEnabled) {
+    return res.status(503).json({ error: 'Agent message trail not available' });
+  }
+
+  try {
+    const runs = await mcpClient.listRuns({
+      resumeId: req.query.resume_id || null,
+      jobId: req.query.job_id || null,
+      limit: req.query.limit
+    });
+
+    res.json({ runs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/agent-runs/:run_id
+ * Replay a scoring run: its channels and every coordinator <-> agent message
+ * in send order (run_id comes from /api/score-multi-agent or the list above)
+ */
+app.get('/api/admin/agent-runs/:run_id', authenticateAdmin, async (req, res) => {
+  if (!mcpClient || !multiAgentEnabled) {
+    return res.status(503).json({ error: 'Agent message trail not available' });
+  }
+
+  try {
+    const trail = await mcpClient.getRunTrail(req.params.run_id);
+    if (!trail) {
+      return res.status(404).json({ error: `Run not found: ${req.params.run_id}` });
+    }
+
+    res.json(trail);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/outcomes/report
+ * Compare recorded hiring outcomes against multi-agent composite scores
+ */
+app.get('/api/admin/outcomes/report', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !hiringOutcomes) {
+    return res.status(503).json({ error: 'Outcome tracking not available' });
+  }
+
+  try {
+    const days = parseInt(req.query.days) || 90;
+    const report = await hiringOutcomes.getAccuracyReport(days);
+
+    res.json({
+      timestamp: new Date().toISOString(),
+      ...report
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/weights
+ * Show the active weight set and saved versions
+ */
+app.get('/api/admin/weights', authenticateAdmin, async (req, res) => {
+  if (!weightTrainer || !multiAgentEnabled) {
+    return res.status(503).json({ error: 'Weight training not available' });
+  }
+
+  try {
+    const versions = await weightTrainer.listVersions(parseInt(req.query.limit) || 20);
+
+    res.json({
+      active_version: weightOptimizer.learnedWeights?.version || null,
+      learned_weights: weightOptimizer.learnedWeights,
+      static_fallback: {
+        industry: weightOptimizer.industryWeights,
+        role: weightOptimizer.roleWeights
+      },
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/weights/train
+ * Fit per-industry / per-role weights from hiring outcomes and save a new version
+ */
+app.post('/api/admin/weights/train', authenticateAdmin, async (req, res) => {
+  if (!weightTrainer || !multiAgentEnabled) {
+    return res.status(503).json({ error: 'Weight training not available' });
+  }
+
+  try {
+    const { days, minSamples, activate, dryRun } = req.body || {};
+    const summary = await weightTrainer.train({
+      days: parseInt(days) || undefined,
+      minSamples: parseInt(minSamples) || undefined,
+      activate: activate !== false,
+      dryRun: dryRun === true
+    });
+
+    if (summary.active) {
+      await weightOptimizer.loadLearnedWeights(pool);
+    }
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...summary
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/weights/:version/activate
+ * Switch the active weight set version (rollback)
+ */
+app.post('/api/admin/weights/:version/activate', authenticateAdmin, async (req, res) => {
+  if (!weightTrainer || !multiAgentEnabled) {
+    return res.status(503).json({ error: 'Weight training not available' });
+  }
+
+  try {
+    const version = parseInt(req.params.version);
+    const activated = await weightTrainer.activateVersion(version);
+
+    if (!activated) {
+      return res.status(404).json({ error: `Weight set version ${req.params.version} not found` });
+    }
+
+    const loaded = await weightOptimizer.loadLearnedWeights(pool);
+
+    res.json({
+      success: true,
+      active_version: version,
+      weight_sets_loaded: loaded
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/embeddings/status
+ * Count stored embeddings per provider/model tag and list re-embedding runs
+ */
+app.get('/api/admin/embeddings/status', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !embeddingMigrator) {
+    return res.status(503).json({ error: 'Embedding migration not available' });
+  }
+
+  try {
+    const status = await embeddingMigrator.getStatus();
+    const runs = await embeddingMigrator.listRuns(parseInt(req.query.limit) || 10);
+
+    res.json({
+      timestamp: new Date().toISOString(),
+      ...status,
+      runs
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/embeddings/reembed
+ * Start (or resume) re-embedding stored vectors with the configured provider
+ * Runs in the background; poll GET /api/admin/embeddings/reembed/:run_id
+ */
+app.post('/api/admin/embeddings/reembed', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !embeddingMigrator) {
+    return res.status(503).json({ error: 'Embedding migration not available' });
+  }
+
+  try {
+    const { targets, batchSize } = req.body || {};
+    const run = await embeddingMigrator.start({
+      targets: Array.isArray(targets) && targets.length > 0 ? targets : EMBEDDING_TARGETS,
+      batchSize: parseInt(batchSize) || undefined
+    });
+
+    const alreadyRunning = embeddingMigrator.activeRuns.has(run.id);
+    if (!alreadyRunning) {
+      embeddingMigrator.run(run.id, {
+        onProgress: (progress) => {
+          console.log(`[${new Date().toISOString()}]  Re-embed run ${progress.run_id}: ${progress.percent}%`);
+        }
+      }).catch(error => {
+        console.error(`[${new Date().toISOString()}]  Re-embed run ${run.id} error:`, error.message);
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      run_id: run.id,
+      provider: run.provider,
+      model: run.model,
+      resumed: run.resumed,
+      already_running: alreadyRunning,
+      status_url: `/api/admin/embeddings/reembed/${run.id}`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/embeddings/reembed/:run_id
+ * Progress of a re-embedding run
+ */
+app.get('/api/admin/embeddings/reembed/:run_id', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !embeddingMigrator) {
+    return res.status(503).json({ error: 'Embedding migration not available' });
+  }
+
+  try {
+    res.json(await embeddingMigrator.getRun(parseInt(req.params.run_id)));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/embeddings/reembed/:run_id/stop
+ * Pause a run after its current batch (start again to resume)
+ */
+app.post('/api/admin/embeddings/reembed/:run_id/stop', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !embeddingMigrator) {
+    return res.status(503).json({ error: 'Embedding migration not available' });
+  }
+
+  const runId = parseInt(req.params.run_id);
+  if (!embeddingMigrator.stop(runId)) {
+    return res.status(409).json({ error: `Re-embedding run ${req.params.run_id} is not running in this process` });
+  }
+
+  res.json({ success: true, run_id: runId, message: 'Run will pause after the current batch' });
+});
+
+/**
+ * GET /api/admin/skills/taxonomy
+ * Skill dictionary the matcher is using: source (database or seed), size, reload state
+ */
+app.get('/api/admin/skills/taxonomy', authenticateAdmin, (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    ...(skillTaxonomy ? skillTaxonomy.getStatus() : { ...getTaxonomyInfo(), autoReload: false })
+  });
+});
+
+/**
+ * POST /api/admin/skills/taxonomy/reload
+ * Reload the skill dictionary from the skills table now
+ */
+app.post('/api/admin/skills/taxonomy/reload', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !skillTaxonomy) {
+    return res.status(503).json({ error: 'Skill taxonomy requires a database (using the seed list)' });
+  }
+
+  const taxonomy = await skillTaxonomy.load();
+  if (skillTaxonomy.lastError) {
+    return res.status(500).json({ error: skillTaxonomy.lastError, taxonomy });
+  }
+
+  res.json({ success: true, taxonomy });
+});
+
+// ============================================================================
+// Admin: Knowledge Base Review Queue
+// ============================================================================
+
+/**
+ * Reload the skill dictionary after a review decision changed the skills table
+ */
+function reloadTaxonomyAfterReview(decision) {
+  if (decision.type === 'skill' && decision.status !== 'rejected' && skillTaxonomy) {
+    skillTaxonomy.load().catch(error => {
+      console.warn(`[${new Date().toISOString()}]  Skill taxonomy reload failed:`, error.message);
+    });
+  }
+}
+
+/**
+ * GET /api/admin/discoveries
+ * Pending knowledge base discoveries with source resumes and context snippets
+ * Query: type (skill|certification|education), min_source_count, limit, offset
+ */
+app.get('/api/admin/discoveries', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !discoveryReview) {
+    return res.status(503).json({ error: 'Discovery review requires a database' });
+  }
+
+  try {
+    const pending = await discoveryReview.listPending({
+      type: req.query.type || null,
+      minSourceCount: parseInt(req.query.min_source_count) || 1,
+      limit: Math.min(200, parseInt(req.query.limit) || 50),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json({ timestamp: new Date().toISOString(), ...pending });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/discoveries/audit
+ * Review decisions from discovery_audit_log, newest first
+ * Query: item_id, limit
+ */
+app.get('/api/admin/discoveries/audit', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !discoveryReview) {
+    return res.status(503).json({ error: 'Discovery review requires a database' });
+  }
+
+  try {
+    const decisions = await discoveryReview.getDecisions({
+      itemId: parseInt(req.query.item_id) || null,
+      limit: Math.min(500, parseInt(req.query.limit) || 100)
+    });
+
+    res.json({ decisions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/discoveries/bulk-approve
+ * Approve every pending item seen in at least min_source_count resumes
+ * Body: { min_source_count, type?, limit?, reviewed_by? }
+ */
+app.post('/api/admin/discoveries/bulk-approve', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !discoveryReview) {
+    return res.status(503).json({ error: 'Discovery review requires a database' });
+  }
+
+  const { min_source_count, type, limit, reviewed_by } = req.body || {};
+  const minSourceCount = parseInt(min_source_count);
+  if (!Number.isInteger(minSourceCount) || minSourceCount < 1) {
+    return res.status(400).json({ error: 'min_source_count must be a positive integer' });
+  }
+
+  try {
+    const result = await discoveryReview.bulkApprove({
+      minSourceCount,
+      type: type || null,
+      limit: parseInt(limit) || undefined,
+      reviewedBy: reviewed_by || null
+    });
+
+    if (result.approved.some(decision => decision.type === 'skill')) {
+      reloadTaxonomyAfterReview({ type: 'skill', status: 'approved' });
+    }
+
+    res.json({ success: true, approvedCount: result.approved.length, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/discoveries/:id/approve
+ * Add the item to skills/certifications; skills take the suggested category,
+ * demand level and related skills unless overridden
+ * Body: { category?, demand_level?, related?: string[], issuer? (certifications), reviewed_by?, reason? }
+ */
+app.post('/api/admin/discoveries/:id/approve', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !discoveryReview) {
+    return res.status(503).json({ error: 'Discovery review requires a database' });
+  }
+
+  try {
+    const { category, demand_level, related, issuer, reviewed_by, reason } = req.body || {};
+    const decision = await discoveryReview.approve(parseInt(req.params.id), {
+      category,
+      demandLevel: demand_level,
+      related,
+      issuer,
+      reviewedBy: reviewed_by || null,
+      reason
+    });
+
+    reloadTaxonomyAfterReview(decision);
+    res.json({ success: true, decision });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/discoveries/:id/merge
+ * Record the item as another spelling of an existing skill/certification
+ * Body: { into, reviewed_by?, reason? }
+ */
+app.post('/api/admin/discoveries/:id/merge', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !discoveryReview) {
+    return res.status(503).json({ error: 'Discovery review requires a database' });
+  }
+
+  try {
+    const { into, reviewed_by, reason } = req.body || {};
+    const decision = await discoveryReview.merge(parseInt(req.params.id), into, {
+      reviewedBy: reviewed_by || null,
+      reason
+    });
+
+    reloadTaxonomyAfterReview(decision);
+    res.json({ success: true, decision });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/discoveries/:id/reject
+ * Drop the item from the queue
+ * Body: { reviewed_by?, reason? }
+ */
+app.post('/api/admin/discoveries/:id/reject', authenticateAdmin, async (req, res) => {
+  if (!usingDatabase || !discoveryReview) {
+    return res.status(503).json({ error: 'Discovery review requires a database' });
+  }
+
+  try {
+    const { reviewed_by, reason } = req.body || {};
+    const decision = await discoveryReview.reject(parseInt(req.params.id), {
+      reviewedBy: reviewed_by || null,
+      reason
+    });
+
+    res.json({ success: true, decision });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 // ============================================================================
 // Error Handling
 // ============================================================================
@@ -2922,6 +4039,16 @@ app.listen(PORT, async () => {
     console.log(`[${new Date().toISOString()}]   Continuing without NLP support\n`);
   }
 
+  // Warm up the local embedding model so the first upload isn't slow
+  if (EMBEDDING_METHOD === 'local') {
+    try {
+      await initializeLocalEmbeddings();
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}]  Local embedding model failed to load:`, error.message);
+      console.log(`[${new Date().toISOString()}]   Falling back to stub embeddings until it loads\n`);
+    }
+  }
+
   // Display fork results and agent findings
   await displayForkResultsOnStartup();
 
@@ -2933,12 +4060,39 @@ app.listen(PORT, async () => {
   console.log('\n API Endpoints:');
   console.log('  POST   /api/upload-resume - Upload resume file');
   console.log('  POST   /api/job-description - Create job description');
+  console.log('  POST   /api/job-description/analyze - Preview extracted requirements (not stored)');
   console.log('  GET    /api/score/:resume_id/:job_id - Get fit score');
   console.log('  GET    /api/resume/:resume_id - Get resume details');
+  console.log('  PATCH  /api/resume/:resume_id - Correct parsed resume fields');
+  console.log('  GET    /api/resume/:resume_id/corrections - Correction audit trail');
   console.log('  DELETE /api/resume/:resume_id - Delete resume ');
   console.log('  DELETE /api/job/:job_id - Delete job ');
+  console.log('  GET    /api/skills/search?q= - Skill autocomplete');
+  console.log('  GET    /api/skills/:name - Skill category, demand, aliases, related skills');
+  console.log('  GET    /api/skills/:name/path?to= - Shortest learning path between skills');
+  if (usingDatabase) {
+    console.log('  POST   /api/outcomes - Record hiring outcome');
+    console.log('  POST   /api/outcomes/import - Bulk import outcomes (CSV)');
+    console.log('  GET    /api/outcomes/:resume_id/:job_id - Get recorded outcome');
+    console.log('  GET    /api/insights/summary - Knowledge base totals & leaders');
+    console.log('  GET    /api/insights/trends - Weekly/monthly mentions with growth');
+    console.log('  GET    /api/insights/rising - Fastest-growing skills');
+    console.log('  GET    /api/insights/supply-demand - Resume supply vs job demand per skill');
+    console.log('  GET    /api/admin/embeddings/status - Embedding tags & re-embed runs (X-API-Key)');
+    console.log('  POST   /api/admin/embeddings/reembed - Start/resume re-embedding (X-API-Key)');
+    console.log('  GET    /api/admin/embeddings/reembed/:run_id - Re-embed progress (X-API-Key)');
+    console.log('  POST   /api/admin/embeddings/reembed/:run_id/stop - Pause re-embedding (X-API-Key)');
+    console.log('  POST   /api/admin/skills/taxonomy/reload - Reload skill dictionary (X-API-Key)');
+    console.log('  GET    /api/admin/discoveries - Pending knowledge base discoveries (X-API-Key)');
+    console.log('  POST   /api/admin/discoveries/:id/approve|merge|reject - Review a discovery (X-API-Key)');
+    console.log('  POST   /api/admin/discoveries/bulk-approve - Approve by min_source_count (X-API-Key)');
+    console.log('  GET    /api/admin/discoveries/audit - Review decisions (X-API-Key)');
+  }
+  console.log('  GET    /api/admin/skills/taxonomy - Skill dictionary source & size (X-API-Key)');
   if (multiAgentEnabled) {
     console.log('  GET    /api/score-multi-agent/:resume_id/:job_id ( Multi-Agent Scoring)');
+    console.log('  GET    /api/jobs/:job_id/ranking - Candidate leaderboard for a job');
+    console.log('  GET    /api/resumes/:resume_id/matches - Best-matching jobs for a resume');
     console.log('\n Phase 3 Admin Endpoints (require X-API-Key header):');
     console.log('  GET    /api/admin/analytics/agent-performance');
     console.log('  POST   /api/admin/batch/submit');
@@ -2947,6 +4101,12 @@ app.listen(PORT, async () => {
     console.log('  GET    /api/admin/analytics/slowest-agents');
     console.log('  GET    /api/admin/analytics/agent/:agentType/trend');
     console.log('  GET    /api/admin/health/system');
+    console.log('  GET    /api/admin/agent-runs');
+    console.log('  GET    /api/admin/agent-runs/:run_id - Replay a run\'s agent messages');
+    console.log('  GET    /api/admin/outcomes/report');
+    console.log('  GET    /api/admin/weights');
+    console.log('  POST   /api/admin/weights/train');
+    console.log('  POST   /api/admin/weights/:version/activate');
   }
   console.log('  GET    /api/health - System health');
   console.log('\n Ready to accept requests');